@@ -2,20 +2,27 @@ const express = require('express');
 const authRoutes = require('./routes/authRoutes');
 const projectRoutes = require('./routes/projectRoutes');
 const documentationRoutes = require('./routes/documentationRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const docsAccess = require('./middleware/docsAccess');
 const path = require('path');
 
 const app = express();
 
+// Webhooks parse their own, larger bodies and keep them raw for signature verification
+app.use('/api/webhooks', webhookRoutes);
+
 // Middleware
 app.use(express.json());
 
-// Serve static documentation files
-app.use('/docs', express.static(path.join(process.cwd(), 'public', 'docs')));
+// Serve rendered documentation files to their project's owner
+app.use('/docs', docsAccess, express.static(path.join(process.cwd(), 'public', 'docs')));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/docs', documentationRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Health check route
 app.get('/', (req, res) => {
@@ -0,0 +1,64 @@
+const Queue = require('bull');
+require('dotenv').config();
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const JOB_ATTEMPTS = parseInt(process.env.JOB_ATTEMPTS, 10) || 3;
+const JOB_BACKOFF_DELAY = parseInt(process.env.JOB_BACKOFF_DELAY_MS, 10) || 30000; // 30 seconds, doubled per attempt
+const PROJECT_BUSY_RETRY_DELAY = parseInt(process.env.PROJECT_BUSY_RETRY_MS, 10) || 60000; // 1 minute
+
+const QUEUE_NAMES = {
+  INGESTION: 'ingestion',
+  DOCUMENTATION: 'documentation'
+};
+
+// Jobs that found another job of their project running (see projectLockService) retry after a fixed
+// delay; other failures back off exponentially
+const backoffStrategies = {
+  jobBackoff: (attemptsMade, error) => error && error.code === 'PROJECT_BUSY'
+    ? PROJECT_BUSY_RETRY_DELAY
+    : Math.round((Math.pow(2, attemptsMade) - 1) * JOB_BACKOFF_DELAY)
+};
+
+const defaultJobOptions = {
+  attempts: JOB_ATTEMPTS,
+  backoff: {
+    type: 'jobBackoff'
+  },
+  // Keep finished jobs around for a while so clients can poll their status
+  removeOnComplete: { age: 7 * 24 * 3600, count: 1000 },
+  removeOnFail: { age: 14 * 24 * 3600, count: 1000 }
+};
+
+const queues = {};
+
+/**
+ * Returns the Bull queue with the given name, creating it on first use.
+ * @param {string} name - One of QUEUE_NAMES.
+ * @returns {Queue} The queue instance.
+ */
+const getQueue = (name) => {
+  if (!Object.values(QUEUE_NAMES).includes(name)) {
+    throw new Error(`Unknown queue: ${name}`);
+  }
+
+  if (!queues[name]) {
+    queues[name] = new Queue(name, REDIS_URL, { defaultJobOptions, settings: { backoffStrategies } });
+    queues[name].on('error', (error) => {
+      console.error(`Queue '${name}' error:`, error.message);
+    });
+  }
+  return queues[name];
+};
+
+/**
+ * Closes all queues opened by this process.
+ */
+const closeQueues = async () => {
+  await Promise.all(Object.values(queues).map(queue => queue.close()));
+};
+
+module.exports = {
+  QUEUE_NAMES,
+  getQueue,
+  closeQueues
+};
@@ -0,0 +1,172 @@
+const { findOwnedProject } = require('../middleware/projectAccess');
+const Conversation = require('../models/Conversation');
+const { answerQuestion } = require('../services/codeQaService');
+
+const MAX_TITLE_LENGTH = 80;
+
+// Ask a question about the project's codebase, optionally continuing a conversation
+const askQuestion = async (req, res) => {
+  try {
+    const { question, conversationId } = req.body;
+
+    if (!question || typeof question !== 'string' || !question.trim()) {
+      return res.status(400).json({ message: 'Question is required' });
+    }
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    if (project.status !== 'active') {
+      return res.status(409).json({
+        message: 'Project is not yet active (ingestion not complete).'
+      });
+    }
+
+    let conversation;
+    if (conversationId) {
+      conversation = await Conversation.findOne({
+        _id: conversationId,
+        projectId: project.projectId
+      }).catch(() => null);
+
+      if (!conversation) {
+        return res.status(404).json({ message: 'Conversation not found' });
+      }
+
+      if (!conversation.isOwner(req.user.userId)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    } else {
+      conversation = new Conversation({
+        projectId: project.projectId,
+        owner: req.user.userId,
+        title: question.trim().substring(0, MAX_TITLE_LENGTH),
+        messages: []
+      });
+    }
+
+    const { answer, sources } = await answerQuestion(
+      project.projectId,
+      question.trim(),
+      conversation.messages
+    );
+
+    conversation.messages.push(
+      { role: 'user', content: question.trim() },
+      { role: 'assistant', content: answer, sources }
+    );
+    await conversation.save();
+
+    res.json({
+      conversationId: conversation._id,
+      answer,
+      sources
+    });
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(503).json({
+        message: error.message,
+        error: error.code,
+        details: error.details
+      });
+    }
+
+    if (error.code === 'RATE_LIMIT') {
+      return res.status(429).json({
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('Error answering question:', error);
+    res.status(500).json({ message: 'Failed to answer question.', error: error.message });
+  }
+};
+
+// List the user's conversations for a project
+const getConversations = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const conversations = await Conversation.find({
+      projectId: project.projectId,
+      owner: req.user.userId
+    })
+      .select('title createdAt updatedAt')
+      .sort('-updatedAt');
+
+    res.json({
+      conversations: conversations.map(conversation => ({
+        conversationId: conversation._id,
+        title: conversation.title,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ message: 'Error fetching conversations', error: error.message });
+  }
+};
+
+// Get a conversation with its full message history
+const getConversation = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.conversationId,
+      projectId: project.projectId
+    }).catch(() => null);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    if (!conversation.isOwner(req.user.userId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(conversation);
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ message: 'Error fetching conversation', error: error.message });
+  }
+};
+
+// Delete a conversation
+const deleteConversation = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.conversationId,
+      projectId: project.projectId
+    }).catch(() => null);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    if (!conversation.isOwner(req.user.userId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await conversation.deleteOne();
+
+    res.json({ message: 'Conversation deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({ message: 'Error deleting conversation', error: error.message });
+  }
+};
+
+module.exports = {
+  askQuestion,
+  getConversations,
+  getConversation,
+  deleteConversation
+};
@@ -1,24 +1,80 @@
+const path = require('path');
+const yaml = require('js-yaml');
 const Project = require('../models/Project');
-const { analyzeAndStoreRepoMetadata } = require('../services/repoAnalysisService');
+const { findOwnedProject } = require('../middleware/projectAccess');
 const progressiveDocService = require('../services/progressiveDocumentationService');
-const { generateDocumentationWithLLM } = require('../services/llmService');
-const { cloneRepository, cleanupRepository } = require('../services/gitService');
-const { Packer } = require('docx');
-const fs = require('fs').promises;
-const path = require('path');
+const { enqueueDocumentation } = require('../services/jobService');
+const { getOpenApiSpec: loadOpenApiSpec } = require('../services/openApiService');
+const { RENDER_FORMATS, DEFAULT_RENDER_FORMAT } = require('../services/renderers');
+const {
+    getLatestDocumentation,
+    getSection,
+    updateSection,
+    regenerateSection,
+    listVersions,
+    getVersion,
+    renderStoredDocumentation,
+    renderSection
+} = require('../services/documentationService');
+const { diffVersions } = require('../services/documentationDiffService');
+const { signDocsUrls } = require('../services/docsLinkService');
 
-// Create docs directory if it doesn't exist
-const DOCS_DIR = path.join(process.cwd(), 'public', 'docs');
-fs.mkdir(DOCS_DIR, { recursive: true }).catch(console.error);
+const DEFAULT_VERSION_COUNT = 50;
+const MAX_VERSION_COUNT = 200;
 
-// Generate documentation for project code
+// Statuses of the errors documentationService and the LLM throw
+const ERROR_STATUSES = {
+    DOCUMENTATION_NOT_FOUND: 404,
+    SECTION_NOT_FOUND: 404,
+    DOCUMENTATION_OUTDATED: 409,
+    VERSION_NOT_FOUND: 404,
+    UNKNOWN_RENDER_FORMAT: 400,
+    RATE_LIMIT: 429,
+    QUOTA_EXCEEDED: 503
+};
+
+/**
+ * Reads the `format` query parameter, sending a 400 response if it has no renderer.
+ * @returns {string|null} The format, or null if a response was already sent.
+ */
+function parseFormat(req, res) {
+    const format = req.query.format || DEFAULT_RENDER_FORMAT;
+    if (!RENDER_FORMATS.includes(format)) {
+        res.status(400).json({
+            message: `format must be one of: ${RENDER_FORMATS.join(', ')}`
+        });
+        return null;
+    }
+    return format;
+}
+
+// Sends the response for an error from documentationService, logging unexpected ones
+function sendDocumentationError(res, error, message) {
+    if (ERROR_STATUSES[error.code]) {
+        return res.status(ERROR_STATUSES[error.code]).json({
+            message: error.message,
+            error: error.code
+        });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        message: `${message}.`,
+        error: error.message
+    });
+}
+
+// Queue documentation generation for project code, rendered in the `format` query parameter's format
 const generateDocumentation = async (req, res) => {
     try {
+        const format = parseFormat(req, res);
+        if (!format) return;
+
         const project = await Project.findOne({ 
             projectId: req.params.projectId,
             status: { $ne: 'deleted' }
         });
-        console.log(process.env.OPENAI_API_KEY);
+
         if (!project || project.status !== 'active') {
             return res.status(400).json({ 
                 message: 'Project not found or not yet active (ingestion not complete).' 
@@ -29,101 +85,265 @@ const generateDocumentation = async (req, res) => {
             return res.status(403).json({ message: 'Access denied' });
         }
 
-        // Create project-specific docs directory
-        const projectDocsDir = path.join(DOCS_DIR, project.projectId);
-        await fs.mkdir(projectDocsDir, { recursive: true });
-
-        // Clone the repository first
-        const localRepoPath = await cloneRepository(
-            project.githubUrl,
-            project.projectId,
-            project.githubBranch
-        );
-
-        // Analyze the repository and store metadata
-        await analyzeAndStoreRepoMetadata(project.projectId, localRepoPath);
+        const jobId = await enqueueDocumentation(project.projectId, req.user.userId, { format });
 
-        // Generate documentation progressively
-        const documentation = await progressiveDocService.generateDocumentation(project.projectId);
-
-        // Create Word document
-        const doc = await generateDocumentationWithLLM(documentation);
+        res.status(202).json({ 
+            message: 'Documentation generation queued.',
+            jobId,
+            format,
+            statusUrl: `/api/jobs/${jobId}`
+        });
 
-        // Save the documentation
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const mainFileName = 'documentation.docx';
-        const versionFileName = `documentation-${timestamp}.docx`;
+    } catch (error) {
+        console.error('Error queueing documentation generation:', error);
+        res.status(500).json({ 
+            message: 'Failed to queue documentation generation.',
+            error: error.message 
+        });
+    }
+};
 
-        // Convert document to buffer
-        const mainBuffer = await Packer.toBuffer(doc);
-        const versionBuffer = Buffer.from(mainBuffer);
+// Get documentation generation progress
+const getDocumentationProgress = async (req, res) => {
+    try {
+        const progress = await progressiveDocService.getDocumentationProgress(req.params.projectId);
+        res.status(200).json({ progress });
+    } catch (error) {
+        console.error('Error fetching documentation progress:', error);
+        res.status(500).json({ 
+            message: 'Failed to fetch documentation progress',
+            error: error.message 
+        });
+    }
+};
 
-        // Save current version and versioned copy
-        await fs.writeFile(path.join(projectDocsDir, mainFileName), mainBuffer);
-        await fs.writeFile(path.join(projectDocsDir, versionFileName), versionBuffer);
+// Get the project's OpenAPI document, generated from its routes, as JSON or YAML
+const getOpenApiSpec = async (req, res) => {
+    try {
+        const project = await findOwnedProject(req, res);
+        if (!project) return;
 
-        // Generate docs URL
-        const docsUrl = `/docs/${project.projectId}/${mainFileName}`;
-        const versionedUrl = `/docs/${project.projectId}/${versionFileName}`;
+        if (project.status !== 'active') {
+            return res.status(409).json({
+                message: 'Project is not yet active (ingestion not complete).'
+            });
+        }
 
-        res.status(200).json({ 
-            message: 'Documentation generated successfully',
-            documentation: {
-                currentUrl: docsUrl,
-                versionedUrl: versionedUrl,
-                projectId: project.projectId,
-                generatedAt: timestamp
-            }
-        });
+        const spec = await loadOpenApiSpec(project.projectId);
+        if (req.params.format === 'yaml') {
+            return res.type('application/yaml').send(yaml.dump(spec, { noRefs: true }));
+        }
+        res.status(200).json(spec);
 
     } catch (error) {
-        if (error.code === 'QUOTA_EXCEEDED') {
-            return res.status(503).json({ 
-                message: error.message,
-                error: error.code,
-                details: error.details
-            });
-        }
-        
-        if (error.code === 'RATE_LIMIT') {
-            return res.status(429).json({ 
+        if (error.code === 'INVALID_OPENAPI') {
+            return res.status(422).json({
                 message: error.message,
                 error: error.code
             });
         }
 
-        console.error('Error generating documentation:', error);
+        console.error('Error generating OpenAPI document:', error);
         res.status(500).json({ 
-            message: 'Failed to generate documentation.',
+            message: 'Failed to generate OpenAPI document.',
             error: error.message 
         });
-    } finally {
-        // Clean up cloned repository if project exists
-        if (req.params.projectId) {
-            try {
-                await cleanupRepository(req.params.projectId);
-            } catch (cleanupError) {
-                console.error('Error cleaning up repository:', cleanupError);
-            }
+    }
+};
+
+// Get the project's latest stored documentation
+const getDocumentation = async (req, res) => {
+    try {
+        const project = await findOwnedProject(req, res);
+        if (!project) return;
+
+        const documentation = await getLatestDocumentation(project.projectId);
+        if (!documentation) {
+            return res.status(404).json({
+                message: 'No documentation has been generated for this project yet.'
+            });
         }
+
+        res.status(200).json(documentation);
+
+    } catch (error) {
+        sendDocumentationError(res, error, 'Failed to fetch documentation');
     }
 };
 
-// Get documentation generation progress
-const getDocumentationProgress = async (req, res) => {
+// Get one section of the project's latest documentation
+const getDocumentationSection = async (req, res) => {
     try {
-        const progress = await progressiveDocService.getDocumentationProgress(req.params.projectId);
-        res.status(200).json({ progress });
+        const project = await findOwnedProject(req, res);
+        if (!project) return;
+
+        const section = await getSection(project.projectId, req.params.sectionKey);
+        res.status(200).json(section);
+
     } catch (error) {
-        console.error('Error fetching documentation progress:', error);
-        res.status(500).json({ 
-            message: 'Failed to fetch documentation progress',
-            error: error.message 
+        sendDocumentationError(res, error, 'Failed to fetch documentation section');
+    }
+};
+
+// Edit the title or content of a section of the project's latest documentation
+const updateDocumentationSection = async (req, res) => {
+    try {
+        const { title, content } = req.body;
+        if (title === undefined && content === undefined) {
+            return res.status(400).json({ message: 'title or content is required' });
+        }
+        if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+            return res.status(400).json({ message: 'title must be a non-empty string' });
+        }
+        if (content !== undefined && typeof content !== 'string') {
+            return res.status(400).json({ message: 'content must be a string' });
+        }
+
+        const project = await findOwnedProject(req, res);
+        if (!project) return;
+
+        const section = await updateSection(
+            project.projectId,
+            req.params.sectionKey,
+            { title: title === undefined ? undefined : title.trim(), content },
+            req.user.userId
+        );
+        res.status(200).json(section);
+
+    } catch (error) {
+        sendDocumentationError(res, error, 'Failed to update documentation section');
+    }
+};
+
+// Write a section of the project's latest documentation again with the LLM, replacing any edits
+const regenerateDocumentationSection = async (req, res) => {
+    try {
+        const project = await findOwnedProject(req, res);
+        if (!project) return;
+
+        if (project.status !== 'active') {
+            return res.status(409).json({
+                message: 'Project is not yet active (ingestion not complete).'
+            });
+        }
+
+        const section = await regenerateSection(project, req.params.sectionKey);
+        res.status(200).json(section);
+
+    } catch (error) {
+        sendDocumentationError(res, error, 'Failed to regenerate documentation section');
+    }
+};
+
+// Render the project's latest documentation, with its edits, in the `format` query parameter's format
+const renderDocumentation = async (req, res) => {
+    try {
+        const format = parseFormat(req, res);
+        if (!format) return;
+
+        const project = await findOwnedProject(req, res);
+        if (!project) return;
+
+        const documentation = await getLatestDocumentation(project.projectId);
+        if (!documentation) {
+            return res.status(404).json({
+                message: 'No documentation has been generated for this project yet.'
+            });
+        }
+
+        const rendered = await renderStoredDocumentation(documentation, format);
+        res.status(200).json({
+            documentationId: documentation._id,
+            ...signDocsUrls(rendered, req.user.userId, project.projectId)
+        });
+
+    } catch (error) {
+        sendDocumentationError(res, error, 'Failed to render documentation');
+    }
+};
+
+// Render one section of the project's latest documentation on its own and send the file
+const renderDocumentationSection = async (req, res) => {
+    try {
+        const format = parseFormat(req, res);
+        if (!format) return;
+
+        const project = await findOwnedProject(req, res);
+        if (!project) return;
+
+        const file = await renderSection(project.projectId, req.params.sectionKey, format);
+        res.type(path.extname(file.path)).send(file.content);
+
+    } catch (error) {
+        sendDocumentationError(res, error, 'Failed to render documentation section');
+    }
+};
+
+// List the generations of the project's documentation, latest first, with their commits and rendered files
+const listDocumentationVersions = async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? DEFAULT_VERSION_COUNT : parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_VERSION_COUNT) {
+            return res.status(400).json({ message: `limit must be between 1 and ${MAX_VERSION_COUNT}` });
+        }
+
+        const project = await findOwnedProject(req, res);
+        if (!project) return;
+
+        const versions = await listVersions(project.projectId, { limit });
+        res.status(200).json({
+            versions: versions.map(version => signDocsUrls(version, req.user.userId, project.projectId))
         });
+
+    } catch (error) {
+        sendDocumentationError(res, error, 'Failed to list documentation versions');
+    }
+};
+
+// Get one version of the project's documentation, by version ID or commit SHA
+const getDocumentationVersion = async (req, res) => {
+    try {
+        const project = await findOwnedProject(req, res);
+        if (!project) return;
+
+        const { _id, ...version } = await getVersion(project.projectId, req.params.versionId);
+        res.status(200).json({ versionId: _id, ...signDocsUrls(version, req.user.userId, project.projectId) });
+
+    } catch (error) {
+        sendDocumentationError(res, error, 'Failed to fetch documentation version');
+    }
+};
+
+// Compare two versions of the project's documentation (`from` and `to`, version IDs or commit SHAs)
+const diffDocumentationVersions = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if ((from !== undefined && typeof from !== 'string') || (to !== undefined && typeof to !== 'string')) {
+            return res.status(400).json({ message: 'from and to must be version IDs or commit SHAs' });
+        }
+
+        const project = await findOwnedProject(req, res);
+        if (!project) return;
+
+        const diff = await diffVersions(project.projectId, { from, to });
+        res.status(200).json(diff);
+
+    } catch (error) {
+        sendDocumentationError(res, error, 'Failed to compare documentation versions');
     }
 };
 
 module.exports = {
     generateDocumentation,
-    getDocumentationProgress
+    getDocumentationProgress,
+    getOpenApiSpec,
+    getDocumentation,
+    getDocumentationSection,
+    updateDocumentationSection,
+    regenerateDocumentationSection,
+    renderDocumentation,
+    renderDocumentationSection,
+    listDocumentationVersions,
+    getDocumentationVersion,
+    diffDocumentationVersions
 };
\ No newline at end of file
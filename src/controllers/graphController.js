@@ -0,0 +1,61 @@
+const { findOwnedProject } = require('../middleware/projectAccess');
+const {
+  GRAPH_FORMATS,
+  getDependencyGraph: loadDependencyGraph,
+  filterGraph,
+  toDot,
+  toMermaid
+} = require('../services/dependencyGraphService');
+
+// The module dependency graph built at the last ingestion, as JSON, DOT or Mermaid
+const getDependencyGraph = async (req, res) => {
+  try {
+    const { format = 'json', pathPrefix } = req.query;
+    if (!GRAPH_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${GRAPH_FORMATS.join(', ')}` });
+    }
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const storedGraph = await loadDependencyGraph(project.projectId);
+    if (!storedGraph) {
+      return res.status(404).json({ message: 'Dependency graph not built yet. Re-sync the project to build it.' });
+    }
+
+    const graph = filterGraph(storedGraph, {
+      pathPrefix: pathPrefix ? String(pathPrefix) : undefined,
+      cyclesOnly: req.query.cyclesOnly === 'true'
+    });
+
+    if (format === 'dot') {
+      return res.type('text/vnd.graphviz').send(toDot(graph));
+    }
+    if (format === 'mermaid') {
+      return res.type('text/plain').send(toMermaid(graph));
+    }
+
+    res.json({
+      projectId: project.projectId,
+      commit: graph.commit,
+      builtAt: graph.builtAt,
+      stats: {
+        files: graph.nodes.length,
+        edges: graph.edges.length,
+        external: graph.external.length,
+        cycles: graph.cycles.length
+      },
+      nodes: graph.nodes,
+      edges: graph.edges,
+      external: graph.external,
+      cycles: graph.cycles
+    });
+  } catch (error) {
+    console.error('Error fetching dependency graph:', error);
+    res.status(500).json({ message: 'Failed to retrieve dependency graph.', error: error.message });
+  }
+};
+
+module.exports = {
+  getDependencyGraph
+};
@@ -0,0 +1,32 @@
+const { findJob, describeJob } = require('../services/jobService');
+const { signDocsUrls } = require('../services/docsLinkService');
+
+// Get status, result and failure reason of a background job
+const getJobStatus = async (req, res) => {
+  try {
+    const job = await findJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.data.userId && job.data.userId !== req.user.userId.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const description = await describeJob(job);
+    // Documentation jobs return the URLs of the rendered files, which need a token to be opened
+    if (description.result && description.result.currentUrl) {
+      description.result = signDocsUrls(description.result, req.user.userId, job.data.projectId);
+    }
+
+    res.json(description);
+  } catch (error) {
+    console.error('Error fetching job status:', error);
+    res.status(500).json({ message: 'Failed to retrieve job status.', error: error.message });
+  }
+};
+
+module.exports = {
+  getJobStatus
+};
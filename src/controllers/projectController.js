@@ -1,51 +1,187 @@
 const Project = require('../models/Project');
-const { ingestProject } = require('../services/projectIngestionService');
+const { findOwnedProject } = require('../middleware/projectAccess');
+const fs = require('fs-extra');
+const { enqueueIngestion } = require('../services/jobService');
+const { storeProjectArchive } = require('../services/archiveService');
 
-// Create a new project with GitHub repository
+// Create a new project from a git repository (GitHub, GitLab, Bitbucket, Gitea, SSH or file://)
 const createProject = async (req, res) => {
   try {
-    const { githubUrl, name, description, githubBranch } = req.body;
+    const { name, description, githubBranch, accessToken, provider, embeddingProvider } = req.body;
+    // githubUrl is still accepted from older clients
+    const repositoryUrl = req.body.repositoryUrl || req.body.githubUrl;
 
     // Validate required fields
-    if (!githubUrl) {
+    if (!repositoryUrl) {
       return res.status(400).json({
-        message: 'GitHub repository URL is required'
+        message: 'Repository URL is required'
       });
     }
 
     // Create new project
     const project = new Project({
-      githubUrl,
+      repositoryUrl,
+      ...(provider && { provider }),
       name,
       description,
       owner: req.user.userId,
       githubBranch: githubBranch || 'main',
+      ...(embeddingProvider && { settings: { embeddingProvider } }),
       status: 'pending' // Initial status
     });
 
+    // Private repositories need a token to clone; it is stored encrypted
+    if (accessToken) {
+      project.setAccessToken(accessToken);
+      project.settings.isPrivate = true;
+    }
+
     await project.save();
 
+    const jobId = await enqueueIngestion(project.projectId, req.user.userId, { trigger: 'create' });
+
     res.status(201).json({
-      message: 'Project created successfully. Ingestion process started.',
+      message: 'Project created successfully. Ingestion queued.',
+      jobId,
       project: {
         projectId: project.projectId,
         name: project.name,
-        githubUrl: project.githubUrl,
+        repositoryUrl: project.repositoryUrl,
+        provider: project.provider,
+        hasAccessToken: project.hasAccessToken,
         status: project.status
       }
     });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid project data.',
+        error: error.message
+      });
+    }
 
-    // Asynchronously start the ingestion process
-    ingestProject(project.projectId).catch(err => {
-      console.error(`Error during async ingestion of project ${project.projectId}:`, err);
+    console.error('Project creation error:', error);
+    res.status(500).json({
+      message: 'Failed to create project.',
+      error: error.message
     });
+  }
+};
+
+// Create a new project from an uploaded .zip or .tar.gz archive
+const createUploadedProject = async (req, res) => {
+  let project;
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'Archive file is required (multipart field "archive")'
+      });
+    }
+
+    const { name, description, embeddingProvider } = req.body;
+
+    project = new Project({
+      sourceType: 'upload',
+      name: name || req.file.originalname.replace(/\.(zip|tar\.gz|tgz)$/i, ''),
+      description,
+      owner: req.user.userId,
+      ...(embeddingProvider && { settings: { embeddingProvider } }),
+      status: 'pending' // Initial status
+    });
+
+    // Save first so the project has an ID to store the archive under
+    await project.save();
+
+    project.upload = {
+      ...await storeProjectArchive(project.projectId, req.file.path, req.file.originalname),
+      uploadedAt: new Date()
+    };
+    await project.save();
+
+    const jobId = await enqueueIngestion(project.projectId, req.user.userId, { trigger: 'upload' });
 
+    res.status(201).json({
+      message: 'Project created successfully. Ingestion queued.',
+      jobId,
+      project: {
+        projectId: project.projectId,
+        name: project.name,
+        sourceType: project.sourceType,
+        upload: project.upload,
+        status: project.status
+      }
+    });
   } catch (error) {
-    console.error('Project creation error:', error);
+    // Don't leave a project behind without its archive
+    if (project && !project.isNew && !project.upload?.sha256) {
+      await project.deleteOne().catch(() => {});
+    }
+
+    if (error.name === 'ValidationError' || error.code === 'INVALID_ARCHIVE') {
+      return res.status(400).json({
+        message: 'Invalid project data.',
+        error: error.message
+      });
+    }
+
+    console.error('Uploaded project creation error:', error);
     res.status(500).json({
       message: 'Failed to create project.',
       error: error.message
     });
+  } finally {
+    // The archive has been moved into storage unless something failed
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+  }
+};
+
+// Replace the archive of an uploaded project and re-ingest it
+const replaceProjectArchive = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'Archive file is required (multipart field "archive")'
+      });
+    }
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    if (project.sourceType !== 'upload') {
+      return res.status(400).json({ message: 'Only uploaded projects accept archives' });
+    }
+
+    project.upload = {
+      ...await storeProjectArchive(project.projectId, req.file.path, req.file.originalname),
+      uploadedAt: new Date()
+    };
+    project.status = 'pending'; // Set status to pending before re-ingestion
+    await project.save();
+
+    const jobId = await enqueueIngestion(project.projectId, req.user.userId, { trigger: 'upload' });
+
+    res.status(202).json({
+      message: 'Archive uploaded. Re-ingestion queued.',
+      jobId,
+      project: {
+        projectId: project.projectId,
+        upload: project.upload,
+        status: project.status
+      }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_ARCHIVE') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Error replacing project archive:', error);
+    res.status(500).json({ message: 'Failed to replace project archive.', error: error.message });
+  } finally {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
   }
 };
 
@@ -58,9 +194,12 @@ const getUserProjects = async (req, res) => {
         projectId: project.projectId,
         name: project.name,
         description: project.description,
-        githubUrl: project.githubUrl,
-        githubOwner: project.githubOwner,
-        githubRepoName: project.githubRepoName,
+        sourceType: project.sourceType,
+        repositoryUrl: project.repositoryUrl,
+        provider: project.provider,
+        repoOwner: project.repoOwner,
+        repoName: project.repoName,
+        hasAccessToken: project.hasAccessToken,
         status: project.status,
         lastSyncedAt: project.lastSyncedAt,
         error: project.error,
@@ -76,18 +215,8 @@ const getUserProjects = async (req, res) => {
 // Get project by projectId
 const getProjectById = async (req, res) => {
   try {
-    const project = await Project.findOne({ 
-      projectId: req.params.projectId,
-      status: { $ne: 'deleted' }
-    }).select('-githubAccessToken');
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    if (!project.isOwner(req.user.userId)) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const project = await findOwnedProject(req, res, { select: '-githubAccessToken' });
+    if (!project) return;
 
     res.json(project);
   } catch (error) {
@@ -99,26 +228,35 @@ const getProjectById = async (req, res) => {
 // Update project
 const updateProject = async (req, res) => {
   try {
-    const { name, description, isPrivate, githubBranch } = req.body;
-    
-    const project = await Project.findOne({ 
-      projectId: req.params.projectId,
-      status: { $ne: 'deleted' }
-    });
+    const { name, description, isPrivate, githubBranch, autoSync, autoGenerateDocs, accessToken } = req.body;
+    const { respectGitignore, includePatterns, excludePatterns, maxFileSizeKb, embeddingProvider } = req.body;
 
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    if (!project.isOwner(req.user.userId)) {
-      return res.status(403).json({ message: 'Access denied' });
+    const isPatternList = (value) => value === undefined || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+    if (!isPatternList(includePatterns) || !isPatternList(excludePatterns)) {
+      return res.status(400).json({ message: 'includePatterns and excludePatterns must be arrays of strings' });
     }
+    
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
 
     // Update fields
     if (name) project.name = name;
     if (description !== undefined) project.description = description;
     if (isPrivate !== undefined) project.settings.isPrivate = isPrivate;
     if (githubBranch) project.githubBranch = githubBranch;
+    if (autoSync !== undefined) project.settings.autoSync = autoSync;
+    if (autoGenerateDocs !== undefined) project.settings.autoGenerateDocs = autoGenerateDocs;
+    if (accessToken !== undefined) project.setAccessToken(accessToken); // null or '' removes the token
+
+    // File selection settings
+    if (respectGitignore !== undefined) project.settings.respectGitignore = respectGitignore;
+    if (includePatterns !== undefined) project.settings.includePatterns = includePatterns;
+    if (excludePatterns !== undefined) project.settings.excludePatterns = excludePatterns;
+    if (maxFileSizeKb !== undefined) project.settings.maxFileSizeKb = maxFileSizeKb; // null restores the default
+    if (embeddingProvider !== undefined) project.settings.embeddingProvider = embeddingProvider; // null restores the default
+    if (['respectGitignore', 'includePatterns', 'excludePatterns', 'maxFileSizeKb', 'embeddingProvider'].some(field => project.isModified(`settings.${field}`))) {
+      project.lastIngestedCommit = null; // The next sync must re-scan (or re-embed) every file, not just changed ones
+    }
 
     await project.save();
 
@@ -127,6 +265,10 @@ const updateProject = async (req, res) => {
       project
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid project data.', error: error.message });
+    }
+
     console.error('Error updating project:', error);
     res.status(500).json({ message: 'Error updating project', error: error.message });
   }
@@ -135,18 +277,8 @@ const updateProject = async (req, res) => {
 // Delete project (soft delete)
 const deleteProject = async (req, res) => {
   try {
-    const project = await Project.findOne({ 
-      projectId: req.params.projectId,
-      status: { $ne: 'deleted' }
-    });
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    if (!project.isOwner(req.user.userId)) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
 
     project.status = 'deleted';
     await project.save();
@@ -161,46 +293,81 @@ const deleteProject = async (req, res) => {
 // Resync project
 const resyncProject = async (req, res) => {
   try {
-    const project = await Project.findOne({ 
-      projectId: req.params.projectId,
-      status: { $ne: 'deleted' }
-    });
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    if (!project.isOwner(req.user.userId)) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
 
     project.status = 'pending'; // Set status to pending before re-ingestion
     await project.save();
 
+    const jobId = await enqueueIngestion(project.projectId, req.user.userId, { trigger: 'resync' });
+
     res.status(202).json({
-      message: 'Project re-sync requested. Processing will begin shortly.',
+      message: 'Project re-sync queued. Processing will begin shortly.',
+      jobId,
       project: {
         projectId: project.projectId,
         status: project.status
       }
     });
+  } catch (error) {
+    console.error('Error triggering re-sync:', error);
+    res.status(500).json({ message: 'Failed to trigger re-sync.', error: error.message });
+  }
+};
+
+// Get the GitHub webhook configuration for a project
+const getWebhookConfig = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res, { select: '+webhookSecret' });
+    if (!project) return;
 
-    // Asynchronously start the re-ingestion process
-    ingestProject(project.projectId).catch(err => {
-      console.error(`Error during async re-ingestion of project ${project.projectId}:`, err);
+    // Projects created before webhooks were supported have no secret yet
+    if (!project.webhookSecret) {
+      project.webhookSecret = Project.generateWebhookSecret();
+      await project.save();
+    }
+
+    res.json({
+      payloadUrl: `${req.protocol}://${req.get('host')}/api/webhooks/github`,
+      contentType: 'application/json',
+      secret: project.webhookSecret,
+      events: ['push'],
+      autoSync: project.settings.autoSync
     });
+  } catch (error) {
+    console.error('Error fetching webhook configuration:', error);
+    res.status(500).json({ message: 'Failed to retrieve webhook configuration.', error: error.message });
+  }
+};
+
+// Rotate the GitHub webhook secret for a project
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    project.webhookSecret = Project.generateWebhookSecret();
+    await project.save();
 
+    res.json({
+      message: 'Webhook secret rotated. Update the secret in your GitHub webhook settings.',
+      secret: project.webhookSecret
+    });
   } catch (error) {
-    console.error('Error triggering re-sync:', error);
-    res.status(500).json({ message: 'Failed to trigger re-sync.', error: error.message });
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ message: 'Failed to rotate webhook secret.', error: error.message });
   }
 };
 
 module.exports = {
   createProject,
+  createUploadedProject,
+  replaceProjectArchive,
   getUserProjects,
   getProjectById,
   updateProject,
   deleteProject,
-  resyncProject
+  resyncProject,
+  getWebhookConfig,
+  rotateWebhookSecret
 }; 
\ No newline at end of file
@@ -0,0 +1,29 @@
+const { findOwnedProject } = require('../middleware/projectAccess');
+const { getProjectRoutes } = require('../services/routeExtractionService');
+
+// The HTTP routes found in the project's code at its last ingestion
+const listRoutes = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const { method, pathPrefix, filePath } = req.query;
+    const routes = await getProjectRoutes(project.projectId, {
+      method: method ? String(method) : undefined,
+      pathPrefix: pathPrefix ? String(pathPrefix) : undefined,
+      filePath: filePath ? String(filePath) : undefined
+    });
+
+    res.json({
+      total: routes.length,
+      routes
+    });
+  } catch (error) {
+    console.error('Error fetching routes:', error);
+    res.status(500).json({ message: 'Failed to retrieve routes.', error: error.message });
+  }
+};
+
+module.exports = {
+  listRoutes
+};
@@ -0,0 +1,96 @@
+const { findOwnedProject } = require('../middleware/projectAccess');
+const { hybridSearch, SEARCH_MODES } = require('../services/hybridSearchService');
+
+const DEFAULT_RESULT_COUNT = 10;
+const MAX_RESULT_COUNT = 50;
+// When filtering by path prefix we over-fetch, since vector stores can't filter on prefixes themselves
+const PATH_PREFIX_FETCH_MULTIPLIER = 5;
+
+/**
+ * Converts hybridSearch results into the API's result format.
+ * @param {Array<Object>} results - Ranked results from hybridSearch.
+ * @returns {Array<Object>} Ranked search results.
+ */
+function formatSearchResults(results) {
+  return results.map(({ id, content, metadata = {}, score, ranks }) => ({
+    id,
+    filePath: metadata.file_path,
+    lineStart: metadata.line_start,
+    lineEnd: metadata.line_end,
+    language: metadata.language,
+    type: metadata.type,
+    name: metadata.name,
+    parent: metadata.parent || null, // Enclosing class/impl/module of a method
+    score, // Reciprocal rank fusion score, higher is better
+    ranks, // Position in the vector and/or keyword ranking
+    content
+  }));
+}
+
+// Hybrid keyword + semantic search over a project's ingested code chunks
+const searchCode = async (req, res) => {
+  try {
+    // GET passes parameters in the query string, POST in the body
+    const params = req.method === 'GET' ? req.query : req.body;
+    const { query, language, type, name, mode = 'hybrid' } = params;
+    const pathPrefix = params.pathPrefix ? String(params.pathPrefix) : undefined;
+    const rerank = params.rerank === true || params.rerank === 'true';
+
+    if (!query || typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+
+    const limit = parseInt(params.limit, 10) || DEFAULT_RESULT_COUNT;
+    if (limit < 1 || limit > MAX_RESULT_COUNT) {
+      return res.status(400).json({
+        message: `limit must be between 1 and ${MAX_RESULT_COUNT}`
+      });
+    }
+
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        message: `mode must be one of: ${SEARCH_MODES.join(', ')}`
+      });
+    }
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    if (project.status !== 'active') {
+      return res.status(409).json({
+        message: 'Project is not yet active (ingestion not complete).'
+      });
+    }
+
+    const filters = {};
+    if (language) filters.language = String(language);
+    if (type) filters.type = String(type);
+    if (name) filters.name = String(name);
+
+    const results = await hybridSearch(project.projectId, query, {
+      limit,
+      filters,
+      mode,
+      rerank,
+      ...(pathPrefix && {
+        postFilter: result => Boolean(result.metadata?.file_path?.startsWith(pathPrefix)),
+        candidateCount: limit * PATH_PREFIX_FETCH_MULTIPLIER
+      })
+    });
+
+    res.json({
+      query,
+      mode,
+      rerank,
+      filters: { ...filters, ...(pathPrefix && { pathPrefix }) },
+      results: formatSearchResults(results)
+    });
+  } catch (error) {
+    console.error('Error searching project code:', error);
+    res.status(500).json({ message: 'Failed to search project code.', error: error.message });
+  }
+};
+
+module.exports = {
+  searchCode
+};
@@ -0,0 +1,123 @@
+const { findOwnedProject } = require('../middleware/projectAccess');
+const {
+  searchSymbols,
+  getSymbol,
+  getDefinitionCode,
+  findReferences
+} = require('../services/symbolIndexService');
+
+const DEFAULT_SYMBOL_COUNT = 20;
+const MAX_SYMBOL_COUNT = 100;
+const DEFAULT_REFERENCE_COUNT = 200;
+const MAX_REFERENCE_COUNT = 1000;
+
+/**
+ * Parses a `limit` query parameter, sending a 400 response if it is out of range.
+ * @returns {number|null} The limit, or null if a response was already sent.
+ */
+function parseLimit(req, res, defaultLimit, maxLimit) {
+  const limit = req.query.limit === undefined ? defaultLimit : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    res.status(400).json({ message: `limit must be between 1 and ${maxLimit}` });
+    return null;
+  }
+  return limit;
+}
+
+// Converts a stored symbol into the API's format
+function formatSymbol(symbol) {
+  return {
+    symbolId: symbol.symbolId,
+    name: symbol.name,
+    qualifiedName: symbol.qualifiedName,
+    kind: symbol.kind,
+    language: symbol.language,
+    filePath: symbol.filePath,
+    line: symbol.line,
+    lineStart: symbol.lineStart,
+    lineEnd: symbol.lineEnd,
+    signature: symbol.signature,
+    parent: symbol.parent,
+    exported: symbol.exported
+  };
+}
+
+// Search the project's symbol table by name
+const listSymbols = async (req, res) => {
+  try {
+    const { q = '', kind, filePath } = req.query;
+    const limit = parseLimit(req, res, DEFAULT_SYMBOL_COUNT, MAX_SYMBOL_COUNT);
+    if (limit === null) return;
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const symbols = await searchSymbols(project.projectId, String(q).trim(), {
+      kind: kind ? String(kind) : undefined,
+      filePath: filePath ? String(filePath) : undefined,
+      limit
+    });
+
+    res.json({
+      query: q,
+      symbols: symbols.map(formatSymbol)
+    });
+  } catch (error) {
+    console.error('Error searching symbols:', error);
+    res.status(500).json({ message: 'Failed to search symbols.', error: error.message });
+  }
+};
+
+// Go to definition: the symbol's location, signature and code
+const getSymbolDefinition = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const symbol = await getSymbol(project.projectId, req.params.symbolId);
+    if (!symbol) {
+      return res.status(404).json({ message: 'Symbol not found' });
+    }
+
+    res.json({
+      symbol: formatSymbol(symbol),
+      code: await getDefinitionCode(project.projectId, symbol)
+    });
+  } catch (error) {
+    console.error('Error fetching symbol definition:', error);
+    res.status(500).json({ message: 'Failed to retrieve symbol definition.', error: error.message });
+  }
+};
+
+// Find references: the lines using the symbol's name
+const getSymbolReferences = async (req, res) => {
+  try {
+    const limit = parseLimit(req, res, DEFAULT_REFERENCE_COUNT, MAX_REFERENCE_COUNT);
+    if (limit === null) return;
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const symbol = await getSymbol(project.projectId, req.params.symbolId);
+    if (!symbol) {
+      return res.status(404).json({ message: 'Symbol not found' });
+    }
+
+    const { references, total } = await findReferences(project.projectId, symbol, { limit });
+
+    res.json({
+      symbol: formatSymbol(symbol),
+      total,
+      references
+    });
+  } catch (error) {
+    console.error('Error fetching symbol references:', error);
+    res.status(500).json({ message: 'Failed to retrieve symbol references.', error: error.message });
+  }
+};
+
+module.exports = {
+  listSymbols,
+  getSymbolDefinition,
+  getSymbolReferences
+};
@@ -0,0 +1,54 @@
+const { findVerifiedProjects, handlePushEvent } = require('../services/webhookService');
+
+// GitHub's `owner/repo` repository name
+const REPOSITORY_FULL_NAME = /^[^/]+\/[^/]+$/;
+
+// Receive GitHub webhooks and re-sync matching auto-sync projects
+const handleGithubWebhook = async (req, res) => {
+  try {
+    const event = req.header('X-GitHub-Event');
+    const signature = req.header('X-Hub-Signature-256');
+    const repoFullName = req.body?.repository?.full_name;
+
+    if (!signature) {
+      return res.status(401).json({ message: 'Missing X-Hub-Signature-256 header' });
+    }
+
+    if (!event || !repoFullName) {
+      return res.status(400).json({ message: 'Missing event type or repository' });
+    }
+
+    if (typeof repoFullName !== 'string' || !REPOSITORY_FULL_NAME.test(repoFullName)) {
+      return res.status(400).json({ message: 'repository.full_name must be in owner/repo form' });
+    }
+
+    const projects = await findVerifiedProjects(repoFullName, req.rawBody, signature);
+
+    // Repositories without auto-sync projects get the same answer, so it doesn't reveal which ones have them
+    if (projects.length === 0) {
+      return res.status(401).json({ message: 'Invalid signature' });
+    }
+
+    if (event === 'ping') {
+      return res.json({ message: 'pong' });
+    }
+
+    if (event !== 'push') {
+      return res.status(202).json({ message: `Ignoring '${event}' event`, jobs: [] });
+    }
+
+    const jobs = await handlePushEvent(projects, req.body);
+
+    res.status(202).json({
+      message: jobs.length > 0 ? 'Re-sync queued' : 'No projects track this branch',
+      jobs
+    });
+  } catch (error) {
+    console.error('Error handling GitHub webhook:', error);
+    res.status(500).json({ message: 'Failed to handle webhook.', error: error.message });
+  }
+};
+
+module.exports = {
+  handleGithubWebhook
+};
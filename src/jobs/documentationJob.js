@@ -0,0 +1,29 @@
+// src/jobs/documentationJob.js
+const { generateProjectDocumentation } = require('../services/documentationGenerationService');
+const { withProjectLock } = require('../services/projectLockService');
+
+// Errors that will not go away by retrying
+const NON_RETRYABLE_CODES = new Set(['QUOTA_EXCEEDED']);
+
+/**
+ * Bull processor for documentation generation jobs.
+ * @param {Object} job - Bull job with `data.projectId` and optionally `data.format` (see renderers).
+ * @returns {Promise<Object>} URLs of the generated documentation.
+ */
+async function processDocumentationJob(job) {
+    const { projectId, format } = job.data;
+    console.log(`[Worker] Generating documentation for project ${projectId} (job ${job.id}, attempt ${job.attemptsMade + 1})`);
+
+    try {
+        // Retried later if another ingestion or documentation job of the project is running
+        return await withProjectLock(projectId, () =>
+            generateProjectDocumentation(projectId, progress => job.progress(progress), { format }));
+    } catch (error) {
+        if (NON_RETRYABLE_CODES.has(error.code)) {
+            job.discard();
+        }
+        throw error;
+    }
+}
+
+module.exports = processDocumentationJob;
@@ -0,0 +1,29 @@
+const { QUEUE_NAMES, getQueue } = require('../config/queue');
+const processIngestionJob = require('./ingestionJob');
+const processDocumentationJob = require('./documentationJob');
+
+const INGESTION_CONCURRENCY = parseInt(process.env.INGESTION_CONCURRENCY, 10) || 2;
+const DOCUMENTATION_CONCURRENCY = parseInt(process.env.DOCUMENTATION_CONCURRENCY, 10) || 1;
+
+const registerProcessor = (name, concurrency, processor) => {
+  const queue = getQueue(name);
+  queue.process(concurrency, processor);
+  queue.on('failed', (job, error) => {
+    console.error(`[Worker] ${name} job ${job.id} failed (attempt ${job.attemptsMade}/${job.opts.attempts}):`, error.message);
+  });
+  queue.on('completed', (job) => {
+    console.log(`[Worker] ${name} job ${job.id} completed`);
+  });
+  console.log(`[Worker] Processing '${name}' jobs with concurrency ${concurrency}`);
+};
+
+// Start processing queued jobs in this process: in src/worker.js, or in the API server
+// when RUN_JOBS_IN_PROCESS=true (needed by the in-memory vector store)
+const startProcessors = () => {
+  registerProcessor(QUEUE_NAMES.INGESTION, INGESTION_CONCURRENCY, processIngestionJob);
+  registerProcessor(QUEUE_NAMES.DOCUMENTATION, DOCUMENTATION_CONCURRENCY, processDocumentationJob);
+};
+
+module.exports = {
+  startProcessors
+};
@@ -0,0 +1,29 @@
+// src/jobs/ingestionJob.js
+const { ingestProject } = require('../services/projectIngestionService');
+const { enqueueDocumentation } = require('../services/jobService');
+const { withProjectLock } = require('../services/projectLockService');
+
+/**
+ * Bull processor for project ingestion jobs.
+ * When `data.generateDocs` is set, documentation generation is queued once ingestion succeeds.
+ * @param {Object} job - Bull job with `data.projectId`.
+ * @returns {Promise<Object>} The job result stored by Bull.
+ */
+async function processIngestionJob(job) {
+    const { projectId } = job.data;
+    console.log(`[Worker] Ingesting project ${projectId} (job ${job.id}, attempt ${job.attemptsMade + 1})`);
+
+    // Retried later if another ingestion or documentation job of the project is running
+    const summary = await withProjectLock(projectId, () => ingestProject(projectId, progress => job.progress(progress)));
+    const result = { projectId, ingestedAt: new Date(), ...summary };
+
+    if (job.data.generateDocs && summary.mode !== 'unchanged') {
+        result.documentationJobId = await enqueueDocumentation(projectId, job.data.userId, {
+            trigger: job.data.trigger
+        });
+    }
+
+    return result;
+}
+
+module.exports = processIngestionJob;
@@ -11,7 +11,12 @@ const verifyToken = (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
+
+    // Tokens issued for one purpose, like documentation links, don't authenticate API requests
+    if (decoded.purpose) {
+      return res.status(401).json({ message: 'Invalid or expired token' });
+    }
+
     // Add user data to request
     req.user = decoded;
     
@@ -0,0 +1,88 @@
+const jwt = require('jsonwebtoken');
+const Project = require('../models/Project');
+const { verifyDocsToken } = require('../services/docsLinkService');
+
+const DOCS_COOKIE = 'docs_token';
+
+// The value of a cookie of the request
+const readCookie = (req, name) => {
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = pair.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+/**
+ * Works out who is requesting a documentation file: from an API token in the Authorization header,
+ * or from a documentation token (see docsLinkService) in the `token` query parameter or the cookie
+ * a previous request with one set.
+ * @returns {Object|null} `{ userId }`, plus `token` and `expiresAt` when the token came from the URL; null if there is none.
+ * @throws {Error} If a token is invalid, expired, or for another project.
+ */
+const authenticate = (req, projectId) => {
+  const header = req.header('Authorization')?.replace('Bearer ', '');
+  if (header) {
+    const decoded = jwt.verify(header, process.env.JWT_SECRET || 'your-secret-key');
+    if (decoded.purpose) throw new Error('Not an API token');
+    return { userId: decoded.userId };
+  }
+
+  const queryToken = typeof req.query.token === 'string' ? req.query.token : null;
+  const token = queryToken || readCookie(req, DOCS_COOKIE);
+  if (!token) return null;
+
+  const claims = verifyDocsToken(token);
+  if (claims.projectId !== projectId) throw new Error('Token is for another project');
+  return { userId: claims.userId, token: queryToken, expiresAt: claims.exp * 1000 };
+};
+
+// Lets only a project's owner read its rendered documentation, served under /docs/:projectId/.
+// Browsers open the signed links API responses return; the cookie then covers the pages and assets they link to.
+const docsAccess = async (req, res, next) => {
+  try {
+    const projectId = decodeURIComponent(req.path.split('/')[1] || '');
+
+    let user;
+    try {
+      user = authenticate(req, projectId);
+    } catch (error) {
+      return res.status(401).json({ message: 'Invalid or expired token' });
+    }
+    if (!user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    const project = projectId && await Project.findOne({
+      projectId,
+      status: { $ne: 'deleted' }
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (!project.isOwner(user.userId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (user.token) {
+      res.cookie(DOCS_COOKIE, user.token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        path: `${req.baseUrl}/${encodeURIComponent(projectId)}`,
+        expires: new Date(user.expiresAt)
+      });
+    }
+
+    next();
+  } catch (error) {
+    if (error instanceof URIError) {
+      return res.status(400).json({ message: 'Invalid documentation path' });
+    }
+    res.status(500).json({ message: 'Failed to check documentation access', error: error.message });
+  }
+};
+
+module.exports = docsAccess;
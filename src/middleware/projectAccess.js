@@ -0,0 +1,32 @@
+const Project = require('../models/Project');
+
+/**
+ * Loads the project named by the route's :projectId and checks that the user owns it,
+ * sending the error response if either fails.
+ * @param {Object} [options]
+ * @param {string} [options.select] - Fields to include or exclude, e.g. '+webhookSecret'.
+ * @returns {Promise<Object|null>} The project, or null if a response was already sent.
+ */
+const findOwnedProject = async (req, res, { select } = {}) => {
+  const query = Project.findOne({
+    projectId: req.params.projectId,
+    status: { $ne: 'deleted' }
+  });
+  const project = await (select ? query.select(select) : query);
+
+  if (!project) {
+    res.status(404).json({ message: 'Project not found' });
+    return null;
+  }
+
+  if (!project.isOwner(req.user.userId)) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return project;
+};
+
+module.exports = {
+  findOwnedProject
+};
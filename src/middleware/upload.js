@@ -0,0 +1,39 @@
+const multer = require('multer');
+const fs = require('fs-extra');
+const path = require('path');
+const { UPLOADS_DIR, getArchiveType } = require('../services/archiveService');
+
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB, 10) || 100) * 1024 * 1024;
+const UPLOAD_TEMP_DIR = path.join(UPLOADS_DIR, 'tmp');
+fs.ensureDirSync(UPLOAD_TEMP_DIR);
+
+const upload = multer({
+  dest: UPLOAD_TEMP_DIR,
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!getArchiveType(file.originalname)) {
+      return cb(new Error('Only .zip, .tar.gz and .tgz archives are supported'));
+    }
+    cb(null, true);
+  }
+}).single('archive');
+
+// Accepts a single project archive in the multipart field `archive`
+const uploadArchive = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `Archive exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB upload limit`
+      });
+    }
+
+    res.status(400).json({ message: error.message });
+  });
+};
+
+module.exports = uploadArchive;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const functionRefSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    parent: { type: String }, // Enclosing class, e.g. a Spring controller
+    filePath: { type: String },
+    line: { type: Number },
+    symbolId: { type: String } // Set when the function is in the project's symbol index
+}, { _id: false });
+
+const responseSchema = new mongoose.Schema({
+    status: { type: Number, required: true },
+    description: { type: String } // From the handler's code, e.g. the message it sends
+}, { _id: false });
+
+// An HTTP route found in a project's code by static analysis, see routeExtractionService
+const apiRouteSchema = new mongoose.Schema({
+    projectId: { type: String, required: true },
+    method: { type: String, required: true }, // GET, POST, ..., or ALL
+    path: { type: String, required: true },  // Full path including mount prefixes, in the framework's syntax
+    framework: { type: String, required: true },
+    filePath: { type: String, required: true }, // Where the route is declared
+    line: { type: Number },
+    handler: { type: functionRefSchema, required: true },
+    middleware: { type: [functionRefSchema], default: [] }, // Outermost first
+    mounted: { type: Boolean, default: true }, // False if the route's router is never mounted on an app
+    // What the handler reads and responds with, see routeExtractors/index.js. Parameters are
+    // { name, in, required, schema } and the body { contentType, typeName?, fields }, with JSON schemas
+    parameters: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    requestBody: { type: mongoose.Schema.Types.Mixed, default: null },
+    responses: { type: [responseSchema], default: [] }
+});
+
+apiRouteSchema.index({ projectId: 1, path: 1, method: 1 });
+
+const ApiRoute = mongoose.model('ApiRoute', apiRouteSchema);
+
+module.exports = ApiRoute;
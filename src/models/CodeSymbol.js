@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A symbol defined in a project's code (function, class, method, ...), see symbolIndexService
+const codeSymbolSchema = new mongoose.Schema({
+    projectId: { type: String, required: true },
+    symbolId: { type: String, required: true }, // Stable while the symbol keeps its file, kind and qualified name
+    name: { type: String, required: true },
+    qualifiedName: { type: String, required: true }, // Dotted with the enclosing containers, e.g. OrderService.create
+    kind: { type: String, required: true }, // The chunk type, e.g. function, class, method
+    language: String,
+    filePath: { type: String, required: true },
+    line: Number, // Where the name appears
+    lineStart: Number,
+    lineEnd: Number,
+    signature: { type: String, default: '' },
+    parent: { type: String, default: null },
+    exported: { type: Boolean, default: false },
+    chunkId: { type: String, default: null } // Chunk holding the definition's code
+});
+
+codeSymbolSchema.index({ projectId: 1, symbolId: 1 }, { unique: true });
+codeSymbolSchema.index({ projectId: 1, name: 1 });
+codeSymbolSchema.index({ projectId: 1, filePath: 1 });
+
+const CodeSymbol = mongoose.model('CodeSymbol', codeSymbolSchema);
+
+module.exports = CodeSymbol;
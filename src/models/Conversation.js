@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const sourceSchema = new mongoose.Schema({
+    index: { type: Number, required: true }, // The [n] marker used in the answer
+    filePath: { type: String, required: true },
+    lineStart: { type: Number },
+    lineEnd: { type: Number },
+    name: { type: String },
+    type: { type: String },
+    citation: { type: String }, // file_path:line_start-line_end
+    cited: { type: Boolean, default: false } // Whether the answer actually referenced this source
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+    role: { type: String, enum: ['user', 'assistant'], required: true },
+    content: { type: String, required: true },
+    sources: [sourceSchema],
+    createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+    projectId: { type: String, required: true, index: true },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: { type: String, trim: true },
+    messages: [messageSchema]
+}, { timestamps: true });
+
+conversationSchema.methods.isOwner = function(userId) {
+    return this.owner && this.owner.toString() === userId.toString();
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A project's file-level dependency graph as of its last ingestion, see dependencyGraphService
+const dependencyGraphSchema = new mongoose.Schema({
+    projectId: { type: String, required: true, unique: true },
+    commit: { type: String, default: null }, // Null for uploaded archives
+    nodes: [{
+        _id: false,
+        filePath: String,
+        language: String
+    }],
+    edges: [{ // File `from` imports file `to`
+        _id: false,
+        from: String,
+        to: String,
+        source: String, // The specifier that resolved to `to`
+        line: Number,
+        cyclic: Boolean // Both files are in the same cycle
+    }],
+    external: [{ // Imports that don't resolve to a file of the project (packages, standard library, ...)
+        _id: false,
+        from: String,
+        source: String,
+        line: Number
+    }],
+    cycles: { type: [[String]], default: [] }, // Files of each import cycle
+    builtAt: { type: Date, default: Date.now }
+});
+
+const DependencyGraph = mongoose.model('DependencyGraph', dependencyGraphSchema);
+
+module.exports = DependencyGraph;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A file of the project's code that documentation was written from
+const sourceRefSchema = new mongoose.Schema({
+    filePath: { type: String, required: true },
+    line: { type: Number }
+}, { _id: false });
+
+// An endpoint's handler or middleware, as in the route table, see ApiRoute
+const functionRefSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    parent: { type: String }, // Enclosing class, e.g. a Spring controller
+    filePath: { type: String },
+    line: { type: Number },
+    symbolId: { type: String } // Set when the function is in the project's symbol index
+}, { _id: false });
+
+const sectionSchema = new mongoose.Schema({
+    key: { type: String, required: true }, // overview, authentication, endpoints or errorHandling
+    title: { type: String, required: true },
+    content: { type: String, default: '' }, // Plain text, a paragraph per line
+    sources: { type: [sourceRefSchema], default: [] }, // Files in the context the content was written from
+    generatedAt: { type: Date, default: Date.now }, // Last written by the LLM
+    editedAt: { type: Date, default: null }, // Last edited by a user, if after generatedAt
+    editedBy: { type: String, default: null }
+}, { _id: false });
+
+const parameterSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    type: { type: String, default: '' }, // Where it goes: path, query, body or header
+    description: { type: String, default: '' }
+}, { _id: false });
+
+const exampleSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    language: { type: String, required: true }, // e.g. shell
+    code: { type: String, required: true }
+}, { _id: false });
+
+const endpointSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    method: { type: String, required: true },
+    url: { type: String, required: true }, // The route's path, in the framework's syntax
+    description: { type: String, default: '' },
+    parameters: { type: [parameterSchema], default: [] },
+    // From the route table: { contentType, typeName?, fields } and { status, description }, see ApiRoute
+    requestBody: { type: mongoose.Schema.Types.Mixed, default: null },
+    responses: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    examples: { type: [exampleSchema], default: [] },
+    handler: { type: functionRefSchema, required: true },
+    middleware: { type: [functionRefSchema], default: [] }
+}, { _id: false });
+
+// A named type endpoints take as their request body, e.g. a Pydantic model or a Java DTO
+const dataModelSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    fields: { type: [mongoose.Schema.Types.Mixed], default: [] }, // { name, required, schema }, schema being a JSON schema
+    usedBy: { type: [String], default: [] } // Endpoints taking it, as 'METHOD url'
+}, { _id: false });
+
+// Files rendered from the documentation in one format
+const renderSchema = new mongoose.Schema({
+    format: { type: String, required: true },
+    url: { type: String, required: true }, // Of the rendered copy to open, under /docs
+    renderedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A project's documentation as generated at one point, see documentationService. Every generation adds
+// one, whose sections can then be edited, regenerated and rendered without rerunning the pipeline
+const documentationSchema = new mongoose.Schema({
+    projectId: { type: String, required: true },
+    title: { type: String, required: true },
+    commit: { type: String, default: null }, // Null for uploaded archives
+    sections: { type: [sectionSchema], default: [] }, // In reading order
+    endpoints: { type: [endpointSchema], default: [] },
+    models: { type: [dataModelSchema], default: [] },
+    generation: {
+        model: { type: String }, // LLM that wrote the content
+        routeCount: { type: Number, default: 0 },
+        durationMs: { type: Number }
+    },
+    renders: { type: [renderSchema], default: [] }, // Latest first
+    generatedAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+documentationSchema.index({ projectId: 1, generatedAt: -1 });
+
+const Documentation = mongoose.model('Documentation', documentationSchema);
+
+module.exports = Documentation;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const TTL_DAYS = parseInt(process.env.EMBEDDING_CACHE_TTL_DAYS, 10) || 30;
+
+// One cached embedding per model and chunk content; entries unused for TTL_DAYS are evicted by MongoDB
+const embeddingCacheSchema = new mongoose.Schema({
+    model: { type: String, required: true },
+    contentHash: { type: String, required: true }, // SHA-256 of the embedded text
+    embedding: { type: Buffer, required: true }, // Float32 values, half the size of a Number array
+    dimensions: { type: Number, required: true },
+    lastUsedAt: { type: Date, default: Date.now }
+});
+
+embeddingCacheSchema.index({ model: 1, contentHash: 1 }, { unique: true });
+embeddingCacheSchema.index({ lastUsedAt: 1 }, { expireAfterSeconds: TTL_DAYS * 24 * 60 * 60 });
+
+// Converts an embedding to the stored representation
+embeddingCacheSchema.statics.encodeEmbedding = function(embedding) {
+    return Buffer.from(new Float32Array(embedding).buffer);
+};
+
+// Converts the stored representation back to an array of numbers
+embeddingCacheSchema.methods.decodeEmbedding = function() {
+    const { buffer, byteOffset } = this.embedding;
+    return Array.from(new Float32Array(buffer.slice(byteOffset, byteOffset + this.dimensions * 4)));
+};
+
+const EmbeddingCache = mongoose.model('EmbeddingCache', embeddingCacheSchema);
+
+module.exports = EmbeddingCache;
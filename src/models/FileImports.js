@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// The module specifiers one file imports, unresolved; see dependencyGraphService
+const fileImportsSchema = new mongoose.Schema({
+    projectId: { type: String, required: true },
+    filePath: { type: String, required: true },
+    language: { type: String, default: null },
+    imports: [{
+        _id: false,
+        source: String, // As written, e.g. './utils' or 'app.models'
+        line: Number
+    }]
+});
+
+fileImportsSchema.index({ projectId: 1, filePath: 1 }, { unique: true });
+
+const FileImports = mongoose.model('FileImports', fileImportsSchema);
+
+module.exports = FileImports;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One code chunk in a project's keyword (BM25) index, see lexicalIndexService
+const lexicalChunkSchema = new mongoose.Schema({
+    projectId: { type: String, required: true },
+    chunkId: { type: String, required: true }, // Same ID as in the vector store
+    filePath: { type: String, required: true },
+    content: { type: String, default: '' },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} }, // Chunk metadata, for filters and results
+    terms: [{ // Term frequencies, with symbol-name terms weighted up
+        _id: false,
+        term: String,
+        tf: Number
+    }],
+    length: { type: Number, default: 0 } // Weighted term count, BM25's document length
+});
+
+lexicalChunkSchema.index({ projectId: 1, chunkId: 1 }, { unique: true });
+lexicalChunkSchema.index({ projectId: 1, filePath: 1 });
+lexicalChunkSchema.index({ projectId: 1, 'terms.term': 1 });
+
+const LexicalChunk = mongoose.model('LexicalChunk', lexicalChunkSchema);
+
+module.exports = LexicalChunk;
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A project's OpenAPI document as generated from its route table, see openApiService
+const openApiSpecSchema = new mongoose.Schema({
+    projectId: { type: String, required: true, unique: true },
+    commit: { type: String, default: null }, // Null for uploaded archives
+    // The document as JSON text: its path keys contain dots and dollar signs that Mongo keys can't
+    document: { type: String, required: true },
+    routeCount: { type: Number, default: 0 },
+    generatedAt: { type: Date, default: Date.now }
+});
+
+const OpenApiSpec = mongoose.model('OpenApiSpec', openApiSpecSchema);
+
+module.exports = OpenApiSpec;
@@ -1,6 +1,10 @@
 
 // src/models/Project.js
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { encryptSecret, decryptSecret } = require('../utils/secretCrypto');
+const { PROVIDERS, parseRepositoryUrl, isValidRepositoryUrl } = require('../utils/repositoryUrl');
+const { EMBEDDING_PROVIDERS } = require('../services/embeddings');
 
 const projectSchema = new mongoose.Schema({
   projectId: {
@@ -24,19 +28,46 @@ const projectSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  // GitHub configuration
-  githubUrl: {
+  sourceType: { // 'git' clones repositoryUrl, 'upload' extracts an uploaded archive
     type: String,
-    required: true,
+    enum: ['git', 'upload'],
+    default: 'git'
+  },
+  upload: { // Details of the uploaded archive for 'upload' projects
+    fileName: String,
+    size: Number,
+    sha256: String,
+    uploadedAt: Date
+  },
+  // Repository configuration
+  repositoryUrl: { // HTTPS, SSH or (if enabled) file:// URL on any git host
+    type: String,
+    required: function() {
+      return this.sourceType !== 'upload';
+    },
     trim: true,
     validate: {
-      validator: function(v) {
-        // Basic GitHub URL validation
-        return /^https:\/\/github\.com\/[\w-]+\/[\w-]+(\/?|\.git)$/.test(v);
-      },
-      message: 'Invalid GitHub repository URL'
+      validator: isValidRepositoryUrl,
+      message: 'Invalid repository URL'
     }
   },
+  provider: {
+    type: String,
+    enum: PROVIDERS
+  },
+  repoOwner: { // May contain slashes for GitLab subgroups; null for local repositories
+    type: String,
+    trim: true
+  },
+  repoName: {
+    type: String,
+    trim: true
+  },
+  // Deprecated: GitHub-only fields kept so projects created before repositoryUrl still load
+  githubUrl: {
+    type: String,
+    trim: true
+  },
   githubRepoName: {
     type: String,
     trim: true
@@ -45,16 +76,25 @@ const projectSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  githubBranch: {
+  githubBranch: { // The tracked branch, for every provider
+
     type: String,
     trim: true,
     default: 'main'
   },
-  githubAccessToken: { // For future private repo support
+  githubAccessToken: { // Encrypted (AES-256-GCM) token for private repos, see setAccessToken()
     type: String,
     trim: true,
     select: false // This field won't be returned in queries by default
   },
+  hasAccessToken: { // Lets clients show whether a token is stored without selecting it
+    type: Boolean,
+    default: false
+  },
+  webhookSecret: { // HMAC secret for verifying GitHub push webhooks
+    type: String,
+    select: false
+  },
   // Project status and metadata
   status: {
     type: String,
@@ -65,6 +105,10 @@ const projectSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  lastIngestedCommit: { // HEAD SHA of the last successful ingestion, base for incremental re-sync
+    type: String,
+    default: null
+  },
   settings: {
     isPrivate: { // Not directly used for clone, but good metadata
       type: Boolean,
@@ -73,6 +117,33 @@ const projectSchema = new mongoose.Schema({
     autoSync: {
       type: Boolean,
       default: false // Default to false for manual trigger simplicity now
+    },
+    autoGenerateDocs: { // Regenerate documentation after an automatic (webhook) re-sync
+      type: Boolean,
+      default: false
+    },
+    // Which files ingestion picks up, on top of the built-in dependency/build/generated-file rules
+    respectGitignore: {
+      type: Boolean,
+      default: true
+    },
+    includePatterns: { // Globs such as 'src/**'; when set, only matching files are ingested
+      type: [String],
+      default: []
+    },
+    excludePatterns: { // gitignore-style patterns such as 'fixtures/' or '*.spec.ts'
+      type: [String],
+      default: []
+    },
+    maxFileSizeKb: { // Falls back to MAX_FILE_SIZE_KB
+      type: Number,
+      min: 1,
+      default: null
+    },
+    embeddingProvider: { // Falls back to EMBEDDING_PROVIDER; changing it re-embeds the project on the next sync
+      type: String,
+      enum: [...EMBEDDING_PROVIDERS, null],
+      default: null
     }
   },
   error: {
@@ -81,10 +152,58 @@ const projectSchema = new mongoose.Schema({
     timestamp: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Never serialize credentials, even when they were selected or just set
+    transform: (doc, ret) => {
+      delete ret.githubAccessToken;
+      delete ret.webhookSecret;
+      return ret;
+    }
+  }
 });
 
-// Generate unique project ID and parse GitHub URL before saving
+// Migrate projects created before repositoryUrl existed when they are loaded
+// (the derived fields are persisted on the next save)
+projectSchema.post('init', function() {
+  if (!this.repositoryUrl && this.githubUrl) {
+    this.repositoryUrl = this.githubUrl;
+    const parsed = parseRepositoryUrl(this.githubUrl, 'github');
+    this.provider = parsed.provider;
+    this.repoOwner = parsed.owner;
+    this.repoName = parsed.name;
+  }
+});
+
+// Parse the repository URL before validation so the derived name can satisfy `required`
+projectSchema.pre('validate', function(next) {
+  try {
+    if (!this.repositoryUrl && this.githubUrl) {
+      this.repositoryUrl = this.githubUrl;
+    }
+
+    if (this.sourceType !== 'upload' && this.repositoryUrl && (this.isModified('repositoryUrl') || this.isModified('provider') || !this.repoName)) {
+      // An explicitly chosen provider (e.g. for an unlisted self-hosted GitLab) takes precedence
+      const parsed = parseRepositoryUrl(this.repositoryUrl, this.isModified('provider') ? this.provider : undefined);
+
+      this.provider = parsed.provider;
+      this.repoOwner = parsed.owner;
+      this.repoName = parsed.name;
+
+      // Set name from repo if not provided
+      if (!this.name || this.name.trim() === '') {
+        this.name = this.repoName;
+      }
+    }
+
+    next();
+  } catch (error) {
+    this.invalidate('repositoryUrl', error.message, this.repositoryUrl);
+    next();
+  }
+});
+
+// Generate unique project ID before saving
 projectSchema.pre('save', async function(next) {
   try {
     // Generate projectId if not exists
@@ -93,18 +212,9 @@ projectSchema.pre('save', async function(next) {
       this.projectId = `PRJ-${randomString}`;
     }
 
-    // Parse GitHub URL if it's new or modified
-    if (this.isModified('githubUrl')) {
-      const url = new URL(this.githubUrl);
-      const [, owner, repo] = url.pathname.split('/');
-      
-      this.githubOwner = owner;
-      this.githubRepoName = repo.replace('.git', '');
-      
-      // Set name from repo if not provided
-      if (!this.name || this.name.trim() === '') {
-        this.name = this.githubRepoName;
-      }
+    // Generate webhook secret for new projects
+    if (this.isNew && !this.webhookSecret) {
+      this.webhookSecret = this.constructor.generateWebhookSecret();
     }
 
     next();
@@ -119,13 +229,47 @@ projectSchema.methods.isOwner = function(userId) {
   return this.owner && this.owner.toString() === userId.toString();
 };
 
+// Method to store (or clear, with a falsy value) the encrypted repository access token
+projectSchema.methods.setAccessToken = function(accessToken) {
+  this.githubAccessToken = accessToken ? encryptSecret(accessToken) : undefined;
+  this.hasAccessToken = Boolean(accessToken);
+};
+
+// Method to decrypt the access token; the query must have selected '+githubAccessToken'
+projectSchema.methods.getAccessToken = function() {
+  return this.githubAccessToken ? decryptSecret(this.githubAccessToken) : null;
+};
+
+// Method to build the options git operations need for this project's repository
+projectSchema.methods.getGitOptions = function() {
+  return {
+    provider: this.provider,
+    accessToken: this.getAccessToken()
+  };
+};
+
+// Method to build the options scanCodeFiles needs to pick this project's files
+projectSchema.methods.getScanOptions = function() {
+  return {
+    respectGitignore: this.settings.respectGitignore !== false,
+    includePatterns: this.settings.includePatterns || [],
+    excludePatterns: this.settings.excludePatterns || [],
+    maxFileSizeKb: this.settings.maxFileSizeKb || undefined
+  };
+};
+
+// Static method to create a random webhook secret
+projectSchema.statics.generateWebhookSecret = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
 // Static method to find user's projects
 projectSchema.statics.findUserProjects = function(userId) {
   return this.find({ 
     owner: userId, 
     status: { $ne: 'deleted' } 
   })
-  .select('-githubAccessToken')
+  .select('-githubAccessToken -webhookSecret')
   .sort('-createdAt');
 };
 
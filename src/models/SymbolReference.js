@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// The lines of one file on which an identifier occurs, see symbolIndexService
+const symbolReferenceSchema = new mongoose.Schema({
+    projectId: { type: String, required: true },
+    filePath: { type: String, required: true },
+    name: { type: String, required: true },
+    lines: { type: [Number], default: [] }
+});
+
+symbolReferenceSchema.index({ projectId: 1, name: 1 });
+symbolReferenceSchema.index({ projectId: 1, filePath: 1 });
+
+const SymbolReference = mongoose.model('SymbolReference', symbolReferenceSchema);
+
+module.exports = SymbolReference;
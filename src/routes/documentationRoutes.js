@@ -1,9 +1,37 @@
 const express = require('express');
 const router = express.Router();
-const { generateDocumentation } = require('../controllers/documentationController');
+const {
+  generateDocumentation,
+  getOpenApiSpec,
+  getDocumentation,
+  getDocumentationSection,
+  updateDocumentationSection,
+  regenerateDocumentationSection,
+  renderDocumentation,
+  renderDocumentationSection,
+  listDocumentationVersions,
+  getDocumentationVersion,
+  diffDocumentationVersions
+} = require('../controllers/documentationController');
 const auth = require('../middleware/auth');
 
 // Generate documentation for project code
 router.post('/:projectId/document', auth, generateDocumentation);
 
-module.exports = router; 
\ No newline at end of file
+// Stored documentation: the latest generation, rendered again with its edits, and its sections
+router.get('/:projectId/documentation', auth, getDocumentation);
+router.post('/:projectId/documentation/render', auth, renderDocumentation);
+router.get('/:projectId/documentation/sections/:sectionKey', auth, getDocumentationSection);
+router.patch('/:projectId/documentation/sections/:sectionKey', auth, updateDocumentationSection);
+router.post('/:projectId/documentation/sections/:sectionKey/regenerate', auth, regenerateDocumentationSection);
+router.get('/:projectId/documentation/sections/:sectionKey/render', auth, renderDocumentationSection);
+
+// Versions: one per generation, each linked to the commit it was generated from
+router.get('/:projectId/versions', auth, listDocumentationVersions);
+router.get('/:projectId/versions/:versionId', auth, getDocumentationVersion);
+router.get('/:projectId/diff', auth, diffDocumentationVersions);
+
+// OpenAPI document generated from the project's routes
+router.get('/:projectId/openapi.:format(json|yaml)', auth, getOpenApiSpec);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const { getJobStatus } = require('../controllers/jobController');
+const verifyToken = require('../middleware/auth');
+
+const router = express.Router();
+
+// Background job status
+router.get('/:jobId', verifyToken, getJobStatus);
+
+module.exports = router;
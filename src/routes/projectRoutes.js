@@ -1,13 +1,32 @@
 const express = require('express');
 const {
   createProject,
+  createUploadedProject,
+  replaceProjectArchive,
   getUserProjects,
   getProjectById,
   updateProject,
   deleteProject,
-  resyncProject
+  resyncProject,
+  getWebhookConfig,
+  rotateWebhookSecret
 } = require('../controllers/projectController');
+const { searchCode } = require('../controllers/searchController');
+const {
+  listSymbols,
+  getSymbolDefinition,
+  getSymbolReferences
+} = require('../controllers/symbolController');
+const { getDependencyGraph } = require('../controllers/graphController');
+const { listRoutes } = require('../controllers/routeController');
+const {
+  askQuestion,
+  getConversations,
+  getConversation,
+  deleteConversation
+} = require('../controllers/chatController');
 const verifyToken = require('../middleware/auth');
+const uploadArchive = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -16,6 +35,7 @@ router.use(verifyToken);
 
 // Project routes
 router.post('/', createProject);
+router.post('/upload', uploadArchive, createUploadedProject);
 router.get('/', getUserProjects);
 router.get('/:projectId', getProjectById);
 router.put('/:projectId', updateProject);
@@ -23,5 +43,31 @@ router.delete('/:projectId', deleteProject);
 
 // Project re-sync
 router.post('/:projectId/resync', resyncProject);
+router.post('/:projectId/upload', uploadArchive, replaceProjectArchive);
+
+// GitHub webhook configuration
+router.get('/:projectId/webhook', getWebhookConfig);
+router.post('/:projectId/webhook/rotate', rotateWebhookSecret);
+
+// Semantic code search
+router.get('/:projectId/search', searchCode);
+router.post('/:projectId/search', searchCode);
+
+// Code navigation
+router.get('/:projectId/symbols', listSymbols);
+router.get('/:projectId/symbols/:symbolId/definition', getSymbolDefinition);
+router.get('/:projectId/symbols/:symbolId/references', getSymbolReferences);
+
+// Module dependency graph
+router.get('/:projectId/graph', getDependencyGraph);
+
+// HTTP routes declared in the project's code
+router.get('/:projectId/routes', listRoutes);
+
+// Codebase Q&A
+router.post('/:projectId/ask', askQuestion);
+router.get('/:projectId/conversations', getConversations);
+router.get('/:projectId/conversations/:conversationId', getConversation);
+router.delete('/:projectId/conversations/:conversationId', deleteConversation);
 
 module.exports = router; 
\ No newline at end of file
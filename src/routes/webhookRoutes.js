@@ -0,0 +1,18 @@
+const express = require('express');
+const { handleGithubWebhook } = require('../controllers/webhookController');
+
+const router = express.Router();
+
+// Push payloads list every pushed commit, so they can be much larger than other requests
+const parseWebhookBody = express.json({
+  limit: '5mb',
+  // Keep the raw body around for signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
+
+// Webhooks authenticate with per-project HMAC signatures instead of JWTs
+router.post('/github', parseWebhookBody, handleGithubWebhook);
+
+module.exports = router;
@@ -25,7 +25,7 @@ const connectDB = require('./config/db');
     // Override with correct key
 
 // Check critical environment variables
-const requiredEnvVars = ['OPENAI_API_KEY', 'MONGODB_URI', 'EMBEDDING_SERVICE_URL'];
+const requiredEnvVars = ['OPENAI_API_KEY', 'MONGODB_URI']; // EMBEDDING_SERVICE_URL is only needed by the http embedding provider
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
 
 if (missingEnvVars.length > 0) {
@@ -39,4 +39,11 @@ connectDB().then(() => {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
+
+  // Single-process setup, e.g. for the in-memory vector store, which the worker can't share
+  if (process.env.RUN_JOBS_IN_PROCESS === 'true') {
+    require('./jobs').startProcessors();
+  } else if (process.env.VECTOR_STORE === 'memory') {
+    console.warn('VECTOR_STORE=memory without RUN_JOBS_IN_PROCESS=true: chunks ingested by the worker are not visible to this server');
+  }
 });
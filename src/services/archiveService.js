@@ -0,0 +1,348 @@
+// src/services/archiveService.js
+const yauzl = require('yauzl');
+const tar = require('tar');
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const UPLOADS_DIR = './uploads'; // Uploaded project archives, kept for re-syncs
+const MAX_EXTRACTED_BYTES = (parseInt(process.env.MAX_EXTRACTED_MB, 10) || 500) * 1024 * 1024;
+const MAX_EXTRACTED_FILES = parseInt(process.env.MAX_EXTRACTED_FILES, 10) || 20000;
+
+const ARCHIVE_TYPES = {
+    zip: ['.zip'],
+    tar: ['.tar.gz', '.tgz']
+};
+
+/**
+ * Works out the archive type from a file name.
+ * @param {string} fileName - The uploaded file name.
+ * @returns {string|null} 'zip', 'tar', or null if unsupported.
+ */
+function getArchiveType(fileName) {
+    const lowerName = fileName.toLowerCase();
+    return Object.keys(ARCHIVE_TYPES).find(type =>
+        ARCHIVE_TYPES[type].some(extension => lowerName.endsWith(extension))
+    ) || null;
+}
+
+/**
+ * Creates an error for archives that break the extraction rules.
+ * @param {string} message - What was wrong.
+ * @returns {Error} Error with code 'INVALID_ARCHIVE'.
+ */
+function archiveError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_ARCHIVE';
+    return error;
+}
+
+/**
+ * Resolves an archive entry path inside the destination, rejecting anything that escapes it (zip-slip).
+ * @param {string} destination - The extraction directory.
+ * @param {string} entryPath - The path stored in the archive.
+ * @returns {string} The absolute target path.
+ * @throws {Error} If the entry would be written outside the destination.
+ */
+function resolveEntryPath(destination, entryPath) {
+    const root = path.resolve(destination);
+    const target = path.resolve(root, entryPath);
+    if (path.isAbsolute(entryPath) || (target !== root && !target.startsWith(root + path.sep))) {
+        throw archiveError(`Archive entry escapes the extraction directory: ${entryPath}`);
+    }
+    return target;
+}
+
+/**
+ * Tracks extracted file count and size against the configured limits.
+ * @returns {{addFile: Function, addBytes: Function}} Counters that throw once a limit is exceeded.
+ */
+function createLimitTracker() {
+    let files = 0;
+    let bytes = 0;
+    return {
+        addFile() {
+            if (++files > MAX_EXTRACTED_FILES) {
+                throw archiveError(`Archive contains more than ${MAX_EXTRACTED_FILES} files`);
+            }
+        },
+        addBytes(count) {
+            bytes += count;
+            if (bytes > MAX_EXTRACTED_BYTES) {
+                throw archiveError(`Archive expands to more than ${MAX_EXTRACTED_BYTES / (1024 * 1024)} MB`);
+            }
+        }
+    };
+}
+
+/**
+ * Extracts a zip file. Sizes are counted while streaming, since the sizes in zip headers can't be trusted.
+ * @param {string} archivePath - Path to the zip file.
+ * @param {string} destination - The extraction directory.
+ */
+async function extractZip(archivePath, destination) {
+    const limits = createLimitTracker();
+    const zipfile = await new Promise((resolve, reject) => {
+        yauzl.open(archivePath, { lazyEntries: true }, (error, opened) => error ? reject(error) : resolve(opened));
+    });
+    const openReadStream = (entry) => new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, (error, stream) => error ? reject(error) : resolve(stream));
+    });
+
+    try {
+        await new Promise((resolve, reject) => {
+            zipfile.on('error', reject);
+            zipfile.on('end', resolve);
+            zipfile.on('entry', async (entry) => {
+                try {
+                    const target = resolveEntryPath(destination, entry.fileName);
+                    // Unix mode lives in the upper bits of the external attributes; skip symlinks
+                    const isSymlink = ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+
+                    if (entry.fileName.endsWith('/')) {
+                        await fs.ensureDir(target);
+                    } else if (!isSymlink) {
+                        limits.addFile();
+                        await fs.ensureDir(path.dirname(target));
+                        const counter = new Transform({
+                            transform(chunk, encoding, callback) {
+                                try {
+                                    limits.addBytes(chunk.length);
+                                    callback(null, chunk);
+                                } catch (error) {
+                                    callback(error);
+                                }
+                            }
+                        });
+                        await pipeline(await openReadStream(entry), counter, fs.createWriteStream(target));
+                    }
+                    zipfile.readEntry();
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            zipfile.readEntry();
+        });
+    } finally {
+        zipfile.close();
+    }
+}
+
+/**
+ * Extracts a gzipped tarball, skipping links and device files.
+ * @param {string} archivePath - Path to the .tar.gz file.
+ * @param {string} destination - The extraction directory.
+ */
+async function extractTar(archivePath, destination) {
+    const limits = createLimitTracker();
+    let limitError = null;
+
+    await tar.x({
+        file: archivePath,
+        cwd: destination,
+        strict: true,
+        filter: (entryPath, entry) => {
+            if (limitError) return false;
+            try {
+                resolveEntryPath(destination, entryPath);
+                if (entry.type === 'Directory') return true;
+                if (entry.type !== 'File' && entry.type !== 'OldFile' && entry.type !== 'ContiguousFile') return false;
+                limits.addFile();
+                limits.addBytes(entry.size);
+                return true;
+            } catch (error) {
+                limitError = error;
+                return false;
+            }
+        }
+    });
+
+    if (limitError) {
+        throw limitError;
+    }
+}
+
+/**
+ * Reads a whole zip file without extracting it, checking entry paths and limits the way extraction does.
+ * @param {string} archivePath - Path to the zip file.
+ */
+async function validateZip(archivePath) {
+    const limits = createLimitTracker();
+    const zipfile = await new Promise((resolve, reject) => {
+        yauzl.open(archivePath, { lazyEntries: true }, (error, opened) => error ? reject(error) : resolve(opened));
+    });
+    const openReadStream = (entry) => new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, (error, stream) => error ? reject(error) : resolve(stream));
+    });
+
+    try {
+        await new Promise((resolve, reject) => {
+            zipfile.on('error', reject);
+            zipfile.on('end', resolve);
+            zipfile.on('entry', async (entry) => {
+                try {
+                    resolveEntryPath(UPLOADS_DIR, entry.fileName);
+                    const isSymlink = ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000; // Not extracted
+                    if (!entry.fileName.endsWith('/') && !isSymlink) {
+                        limits.addFile();
+                        const stream = await openReadStream(entry);
+                        for await (const chunk of stream) {
+                            limits.addBytes(chunk.length); // Also checks the data decompresses
+                        }
+                    }
+                    zipfile.readEntry();
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            zipfile.readEntry();
+        });
+    } finally {
+        zipfile.close();
+    }
+}
+
+/**
+ * Reads a whole gzipped tarball without extracting it, checking entry paths and limits the way extraction does.
+ * @param {string} archivePath - Path to the .tar.gz file.
+ */
+async function validateTar(archivePath) {
+    const limits = createLimitTracker();
+    let limitError = null;
+
+    await tar.t({
+        file: archivePath,
+        strict: true,
+        onentry: (entry) => {
+            if (limitError) return;
+            try {
+                resolveEntryPath(UPLOADS_DIR, entry.path);
+                if (entry.type === 'File' || entry.type === 'OldFile' || entry.type === 'ContiguousFile') {
+                    limits.addFile();
+                    limits.addBytes(entry.size);
+                }
+            } catch (error) {
+                limitError = error;
+            }
+        }
+    });
+
+    if (limitError) {
+        throw limitError;
+    }
+}
+
+/**
+ * Checks that an archive can be extracted: it opens, and its entries stay inside the extraction
+ * directory and within the size and file-count limits.
+ * @param {string} archivePath - Path to the archive.
+ * @param {string} archiveType - 'zip' or 'tar'.
+ * @throws {Error} With code 'INVALID_ARCHIVE' if it can't be extracted.
+ */
+async function validateArchive(archivePath, archiveType) {
+    try {
+        if (archiveType === 'zip') {
+            await validateZip(archivePath);
+        } else {
+            await validateTar(archivePath);
+        }
+    } catch (error) {
+        throw error.code === 'INVALID_ARCHIVE' ? error : archiveError(`Invalid archive: ${error.message}`);
+    }
+}
+
+// Stored archives are named source.zip or source.tar.gz
+const STORED_ARCHIVE = /^source\.(zip|tar\.gz)$/;
+
+/**
+ * Moves an uploaded archive into permanent storage for a project, replacing any previous upload.
+ * The archive is validated before it replaces anything, so a bad upload leaves the previous one in place.
+ * @param {string} projectId - The project the archive belongs to.
+ * @param {string} tempPath - Where the upload middleware stored the file.
+ * @param {string} originalName - The uploaded file name (decides the archive type).
+ * @returns {Promise<{fileName: string, size: number, sha256: string}>} Stored archive details.
+ * @throws {Error} With code 'INVALID_ARCHIVE' if the archive type is not supported or the archive can't be extracted.
+ */
+async function storeProjectArchive(projectId, tempPath, originalName) {
+    const archiveType = getArchiveType(originalName);
+    if (!archiveType) {
+        throw archiveError('Only .zip, .tar.gz and .tgz archives are supported');
+    }
+
+    const projectUploadDir = path.join(UPLOADS_DIR, projectId);
+    const storedName = `source.${archiveType === 'zip' ? 'zip' : 'tar.gz'}`;
+    // Next to the stored archive, so the final rename stays on one file system
+    const incomingPath = path.join(projectUploadDir, `.incoming-${crypto.randomUUID()}-${storedName}`);
+    await fs.move(tempPath, incomingPath);
+
+    try {
+        await validateArchive(incomingPath, archiveType);
+
+        const hash = crypto.createHash('sha256');
+        await pipeline(fs.createReadStream(incomingPath), hash);
+        const { size } = await fs.stat(incomingPath);
+
+        // A rename replaces the stored archive atomically; a job extracting it keeps reading the old file
+        await fs.rename(incomingPath, path.join(projectUploadDir, storedName));
+        const previous = (await fs.readdir(projectUploadDir))
+            .filter(name => STORED_ARCHIVE.test(name) && name !== storedName);
+        await Promise.all(previous.map(name => fs.remove(path.join(projectUploadDir, name))));
+
+        return { fileName: originalName, size, sha256: hash.digest('hex') };
+    } catch (error) {
+        await fs.remove(incomingPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Extracts a project's stored archive into the given directory.
+ * @param {string} projectId - The project whose archive to extract.
+ * @param {string} destination - The extraction directory (the same layout cloneRepository uses).
+ * @returns {Promise<string>} The extraction directory.
+ * @throws {Error} If no archive is stored, or it breaks the path, size or file-count rules.
+ */
+async function extractProjectArchive(projectId, destination) {
+    const projectUploadDir = path.join(UPLOADS_DIR, projectId);
+    const archiveName = (await fs.readdir(projectUploadDir).catch(() => [])).find(name => STORED_ARCHIVE.test(name));
+    if (!archiveName) {
+        throw new Error(`No uploaded archive found for project ${projectId}`);
+    }
+
+    const archivePath = path.join(projectUploadDir, archiveName);
+    await fs.emptyDir(destination);
+
+    console.log(`Extracting ${archivePath} to ${destination}...`);
+    try {
+        if (getArchiveType(archiveName) === 'zip') {
+            await extractZip(archivePath, destination);
+        } else {
+            await extractTar(archivePath, destination);
+        }
+    } catch (error) {
+        await fs.remove(destination);
+        throw error.code === 'INVALID_ARCHIVE' ? error : archiveError(`Failed to extract archive: ${error.message}`);
+    }
+
+    // Archives often wrap everything in a single top-level folder (e.g. repo-main/); unwrap it
+    const entries = await fs.readdir(destination, { withFileTypes: true });
+    if (entries.length === 1 && entries[0].isDirectory()) {
+        const wrapperDir = path.join(destination, entries[0].name);
+        const unwrappedDir = `${destination}.unwrapped`;
+        await fs.move(wrapperDir, unwrappedDir, { overwrite: true });
+        await fs.remove(destination);
+        await fs.move(unwrappedDir, destination);
+    }
+
+    console.log(`Archive extracted to: ${destination}`);
+    return destination;
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    getArchiveType,
+    storeProjectArchive,
+    extractProjectArchive
+};
@@ -0,0 +1,106 @@
+// src/services/chunkSplitter.js
+
+const MAX_CHUNK_TOKENS = parseInt(process.env.MAX_CHUNK_TOKENS, 10) || 1000;
+const CHUNK_OVERLAP_TOKENS = parseInt(process.env.CHUNK_OVERLAP_TOKENS, 10) || 100;
+const CHARS_PER_TOKEN = 3; // Code tokenizes denser than prose, so err on the side of smaller chunks
+
+/**
+ * Estimates how many tokens a text uses, without depending on a specific tokenizer.
+ * @param {string} text - The text to measure.
+ * @returns {number} Approximate token count.
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Splits text into lines, cutting lines that alone exceed the token budget (e.g. minified code) into slices.
+ * @param {string} text - The chunk content.
+ * @param {number} maxTokens - Token budget per part.
+ * @returns {Array<{text: string, line: number, continued: boolean}>} Pieces with their 0-based line offset;
+ *   `continued` means the next piece belongs to the same line.
+ */
+function splitIntoPieces(text, maxTokens) {
+    const maxChars = (maxTokens - 1) * CHARS_PER_TOKEN; // Leave a token for the newline
+    const pieces = [];
+
+    text.split('\n').forEach((lineText, line) => {
+        if (lineText.length <= maxChars) {
+            pieces.push({ text: lineText, line, continued: false });
+            return;
+        }
+        for (let offset = 0; offset < lineText.length; offset += maxChars) {
+            pieces.push({
+                text: lineText.substring(offset, offset + maxChars),
+                line,
+                continued: offset + maxChars < lineText.length
+            });
+        }
+    });
+
+    return pieces;
+}
+
+/**
+ * Splits a chunk that exceeds the token budget into overlapping parts along line boundaries.
+ * Each part repeats roughly `overlapTokens` of the previous part's tail so context carries across.
+ * @param {Object} chunk - A chunk from getCodeChunks ({content, metadata}).
+ * @param {Object} [options] - Overrides for the MAX_CHUNK_TOKENS / CHUNK_OVERLAP_TOKENS settings.
+ * @param {number} [options.maxTokens] - Token budget per part.
+ * @param {number} [options.overlapTokens] - Tokens repeated between consecutive parts.
+ * @returns {Array<Object>} The chunk itself if it fits, otherwise its parts with `part` and `part_count` metadata
+ *   (without IDs; getCodeChunks assigns those afterwards).
+ */
+function splitChunk(chunk, { maxTokens = MAX_CHUNK_TOKENS, overlapTokens = CHUNK_OVERLAP_TOKENS } = {}) {
+    if (estimateTokens(chunk.content) <= maxTokens) {
+        return [chunk];
+    }
+
+    const pieces = splitIntoPieces(chunk.content, maxTokens);
+    const pieceTokens = pieces.map(piece => estimateTokens(piece.text) + 1); // +1 for the newline
+    const ranges = [];
+    let start = 0;
+
+    while (start < pieces.length) {
+        let end = start;
+        let tokens = 0;
+        while (end < pieces.length && (end === start || tokens + pieceTokens[end] <= maxTokens)) {
+            tokens += pieceTokens[end++];
+        }
+        ranges.push({ start, end });
+        if (end >= pieces.length) break;
+
+        // Step back so the next part starts with the tail of this one (always moving forward),
+        // as long as the piece that didn't fit still fits after the overlap
+        let next = end;
+        let overlap = 0;
+        while (next - 1 > start && overlap + pieceTokens[next - 1] <= overlapTokens
+            && overlap + pieceTokens[next - 1] + pieceTokens[end] <= maxTokens) {
+            overlap += pieceTokens[--next];
+        }
+        start = next;
+    }
+
+    return ranges.map(({ start: from, end: to }, index) => {
+        const content = pieces.slice(from, to)
+            .map((piece, i) => piece.text + (piece.continued || from + i === to - 1 ? '' : '\n'))
+            .join('');
+
+        return {
+            content,
+            metadata: {
+                ...chunk.metadata,
+                line_start: chunk.metadata.line_start + pieces[from].line,
+                line_end: chunk.metadata.line_start + pieces[to - 1].line,
+                part: index + 1,
+                part_count: ranges.length
+            }
+        };
+    });
+}
+
+module.exports = {
+    MAX_CHUNK_TOKENS,
+    estimateTokens,
+    splitChunk
+};
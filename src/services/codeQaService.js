@@ -0,0 +1,142 @@
+const { OpenAI } = require('openai');
+const { queryCodeDB } = require('./vectorStoreService');
+const { handleOpenAIError } = require('./llmService');
+
+const openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+    maxRetries: 3,
+});
+
+const RETRIEVAL_RESULT_COUNT = 8;
+const MAX_HISTORY_MESSAGES = 6; // Prior messages (3 question/answer turns) sent back to the LLM
+const MAX_SOURCE_CHARS = 2000; // Truncate long chunks so the prompt stays within the context window
+
+/**
+ * Formats a chunk location as `file_path:line_start-line_end`.
+ * @param {Object} source - Source with filePath, lineStart and lineEnd.
+ * @returns {string} The citation string.
+ */
+function formatCitation(source) {
+    if (!source.lineStart) return source.filePath;
+    return `${source.filePath}:${source.lineStart}-${source.lineEnd}`;
+}
+
+/**
+ * Builds the text used for retrieval. Follow-up questions such as "and where is it called?"
+ * carry little meaning on their own, so the previous question is folded in.
+ * @param {string} question - The current question.
+ * @param {Array<Object>} history - Prior conversation messages.
+ * @returns {string} The retrieval query.
+ */
+function buildRetrievalQuery(question, history) {
+    const previousQuestion = [...history].reverse().find(message => message.role === 'user');
+    return previousQuestion ? `${previousQuestion.content}\n${question}` : question;
+}
+
+/**
+ * Retrieves relevant chunks for a question and numbers them for citation.
+ * @param {string} query - The retrieval query.
+ * @param {string} projectId - Project identifier.
+ * @returns {Promise<Array<Object>>} Numbered sources with their content.
+ */
+async function retrieveSources(query, projectId) {
+    const results = await queryCodeDB(query, projectId, RETRIEVAL_RESULT_COUNT);
+    const documents = results.documents?.[0] || [];
+    const metadatas = results.metadatas?.[0] || [];
+
+    return documents.map((content, i) => {
+        const metadata = metadatas[i] || {};
+        return {
+            index: i + 1,
+            filePath: metadata.file_path || 'Unknown file',
+            lineStart: metadata.line_start,
+            lineEnd: metadata.line_end,
+            name: metadata.name,
+            type: metadata.type,
+            content: content || ''
+        };
+    });
+}
+
+/**
+ * Extracts the [n] citation markers used in an answer.
+ * @param {string} answer - The LLM answer.
+ * @returns {Set<number>} Cited source indexes.
+ */
+function extractCitedIndexes(answer) {
+    const cited = new Set();
+    for (const match of answer.matchAll(/\[(\d+)\]/g)) {
+        cited.add(parseInt(match[1], 10));
+    }
+    return cited;
+}
+
+/**
+ * Answers a question about a project's codebase using retrieved code chunks.
+ * @param {string} projectId - Project identifier.
+ * @param {string} question - The user's question.
+ * @param {Array<Object>} [history=[]] - Prior messages of the conversation ({role, content}).
+ * @returns {Promise<{answer: string, sources: Array<Object>}>} The answer and the sources it was based on.
+ */
+async function answerQuestion(projectId, question, history = []) {
+    const recentHistory = history.slice(-MAX_HISTORY_MESSAGES);
+    const sources = await retrieveSources(buildRetrievalQuery(question, recentHistory), projectId);
+
+    const formattedSources = sources.map(source =>
+        `[${source.index}] ${formatCitation(source)}\n${source.content.substring(0, MAX_SOURCE_CHARS)}`
+    ).join('\n\n');
+
+    const systemPrompt = `You are an expert software engineer answering questions about a codebase.
+Answer only from the numbered code sources provided. Cite every claim with the source marker, e.g. [2].
+If the sources do not contain the answer, say so instead of guessing.`;
+
+    const userPrompt = `Code sources:
+${formattedSources || 'No relevant code was found.'}
+
+Question: ${question}`;
+
+    try {
+        console.log(`[LLM] Answering question for project ${projectId} with ${sources.length} sources`);
+        console.time(`[LLM] Question answering time`);
+
+        const completion = await openai.chat.completions.create({
+            model: "gpt-3.5-turbo-16k",
+            messages: [
+                {
+                    role: "system",
+                    content: systemPrompt
+                },
+                ...recentHistory.map(message => ({
+                    role: message.role,
+                    content: message.content
+                })),
+                {
+                    role: "user",
+                    content: userPrompt
+                }
+            ],
+            temperature: 0.1
+        });
+
+        console.timeEnd(`[LLM] Question answering time`);
+
+        const answer = completion.choices[0].message.content.trim();
+        const citedIndexes = extractCitedIndexes(answer);
+
+        return {
+            answer,
+            sources: sources.map(({ content, ...source }) => ({
+                ...source,
+                citation: formatCitation(source),
+                cited: citedIndexes.has(source.index)
+            }))
+        };
+    } catch (error) {
+        handleOpenAIError(error);
+    }
+}
+
+module.exports = {
+    answerQuestion,
+    formatCitation
+};
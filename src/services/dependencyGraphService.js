@@ -0,0 +1,334 @@
+// src/services/dependencyGraphService.js
+const path = require('path');
+const FileImports = require('../models/FileImports');
+const DependencyGraph = require('../models/DependencyGraph');
+const { getLanguageForFile } = require('./languages');
+
+const GRAPH_FORMATS = ['json', 'dot', 'mermaid'];
+
+/**
+ * Replaces the recorded imports of one file.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} filePath - Repository-relative file path.
+ * @param {Object} parsed - parseCodeFile's result for the file (`language`, `imports`).
+ */
+async function recordFileImports(projectId, filePath, { language, imports }) {
+    await FileImports.findOneAndUpdate(
+        { projectId, filePath },
+        { language, imports },
+        { upsert: true }
+    );
+}
+
+/**
+ * Removes the recorded imports of the given files.
+ * @param {string} projectId - The ID of the project.
+ * @param {Array<string>} filePaths - Repository-relative file paths.
+ */
+async function deleteFileImports(projectId, filePaths) {
+    if (filePaths.length === 0) {
+        return;
+    }
+    await FileImports.deleteMany({ projectId, filePath: { $in: filePaths } });
+}
+
+/**
+ * Removes all of a project's recorded imports, before a full re-ingestion.
+ * @param {string} projectId - The ID of the project.
+ */
+async function resetFileImports(projectId) {
+    await FileImports.deleteMany({ projectId });
+}
+
+/**
+ * Creates the helpers languages use to resolve an import of one file (see languages/index.js).
+ * All paths are repository-relative with forward slashes; the root directory is ''.
+ * @param {Object} fileIndex - The project's files, from indexFiles.
+ * @param {string} fromPath - The importing file.
+ * @returns {Object} The resolver.
+ */
+function createResolver(fileIndex, fromPath) {
+    const fromDir = path.posix.dirname(fromPath) === '.' ? '' : path.posix.dirname(fromPath);
+    const bySuffix = (byName, suffix) => {
+        const trimmed = suffix.replace(/^\/+|\/+$/g, '');
+        return (byName.get(path.posix.basename(trimmed)) || [])
+            .filter(candidate => candidate === trimmed || candidate.endsWith(`/${trimmed}`));
+    };
+
+    return {
+        fromPath,
+        fromDir,
+        // Joins and normalizes path segments; null if the result is outside the repository
+        join: (...segments) => {
+            const joined = path.posix.normalize(segments.filter(segment => segment !== '').join('/') || '.')
+                .replace(/^\/+/, '')
+                .replace(/\/+$/, '');
+            if (joined === '..' || joined.startsWith('../')) {
+                return null;
+            }
+            return joined === '.' ? '' : joined;
+        },
+        // The first candidate that is a file of the project
+        findFile: (candidates) => candidates.find(candidate => candidate && fileIndex.files.has(candidate)) || null,
+        // Files whose path ends with the given path, e.g. `models/User.php`
+        findBySuffix: (suffix) => bySuffix(fileIndex.filesByName, suffix),
+        // Directories (holding files) whose path ends with the given path
+        findDirectoriesBySuffix: (suffix) => bySuffix(fileIndex.directoriesByName, suffix),
+        // Files directly in a directory
+        filesInDirectory: (dir) => fileIndex.filesByDirectory.get(dir) || []
+    };
+}
+
+/**
+ * Indexes file paths by name and directory, so suffix lookups don't scan every file.
+ * @param {Array<string>} filePaths - Repository-relative file paths.
+ */
+function indexFiles(filePaths) {
+    const addTo = (map, key, value) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(value);
+    };
+    const index = {
+        files: new Set(filePaths),
+        filesByName: new Map(),
+        filesByDirectory: new Map(),
+        directoriesByName: new Map()
+    };
+
+    for (const filePath of [...index.files].sort()) {
+        addTo(index.filesByName, path.posix.basename(filePath), filePath);
+        const dir = path.posix.dirname(filePath) === '.' ? '' : path.posix.dirname(filePath);
+        if (!index.filesByDirectory.has(dir) && dir !== '') {
+            addTo(index.directoriesByName, path.posix.basename(dir), dir);
+        }
+        addTo(index.filesByDirectory, dir, filePath);
+    }
+    return index;
+}
+
+/**
+ * Creates a function resolving an import of one file to the project files it imports, using the
+ * importing file's language definition.
+ * @param {Array<string>} filePaths - Repository-relative paths of all of the project's code files.
+ * @returns {function(string, string): Array<string>} `(fromPath, specifier) => filePaths`; `[]` for external modules.
+ */
+function createImportResolver(filePaths) {
+    const fileIndex = indexFiles(filePaths);
+    return (fromPath, specifier) => {
+        const language = getLanguageForFile(fromPath)?.language;
+        return language?.resolveImport ? language.resolveImport(specifier, createResolver(fileIndex, fromPath)) : [];
+    };
+}
+
+/**
+ * Finds the import cycles of a graph: its strongly connected components with more than one file.
+ * Tarjan's algorithm, iterative so deep chains can't overflow the stack.
+ * @param {Array<string>} nodes - File paths.
+ * @param {Map<string, Array<string>>} adjacency - Each file's imported files.
+ * @returns {Array<Array<string>>} The files of each cycle, sorted.
+ */
+function findCycles(nodes, adjacency) {
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const cycles = [];
+    let nextIndex = 0;
+
+    for (const root of nodes) {
+        if (indexes.has(root)) continue;
+
+        const work = [{ node: root, next: 0 }];
+        indexes.set(root, nextIndex);
+        lowLinks.set(root, nextIndex++);
+        stack.push(root);
+        onStack.add(root);
+
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const successors = adjacency.get(frame.node) || [];
+
+            if (frame.next < successors.length) {
+                const successor = successors[frame.next++];
+                if (!indexes.has(successor)) {
+                    indexes.set(successor, nextIndex);
+                    lowLinks.set(successor, nextIndex++);
+                    stack.push(successor);
+                    onStack.add(successor);
+                    work.push({ node: successor, next: 0 });
+                } else if (onStack.has(successor)) {
+                    lowLinks.set(frame.node, Math.min(lowLinks.get(frame.node), indexes.get(successor)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].node;
+                lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.node)));
+            }
+            if (lowLinks.get(frame.node) === indexes.get(frame.node)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== frame.node);
+
+                if (component.length > 1) {
+                    cycles.push(component.sort());
+                }
+            }
+        }
+    }
+
+    return cycles.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Resolves every recorded import against the project's current files, finds cycles and stores the graph.
+ * @param {string} projectId - The ID of the project.
+ * @param {string|null} commit - The ingested commit (null for uploaded archives).
+ * @param {Array<string>} filePaths - Repository-relative paths of all of the project's code files.
+ * @returns {Promise<Object>} The stored graph.
+ */
+async function buildDependencyGraph(projectId, commit, filePaths) {
+    const files = [...new Set(filePaths)].sort();
+    const resolveImport = createImportResolver(files);
+    const recorded = await FileImports.find({ projectId, filePath: { $in: files } }).lean();
+    const importsByFile = new Map(recorded.map(entry => [entry.filePath, entry]));
+
+    const nodes = files.map(filePath => ({
+        filePath,
+        language: importsByFile.get(filePath)?.language || getLanguageForFile(filePath)?.language.name || null
+    }));
+    const edges = [];
+    const external = [];
+    const adjacency = new Map();
+
+    for (const { filePath, language } of nodes) {
+        const entry = importsByFile.get(filePath);
+        if (!entry) continue;
+
+        const targets = new Set();
+        for (const { source, line } of entry.imports) {
+            let resolved = [];
+            try {
+                resolved = resolveImport(filePath, source);
+            } catch (error) {
+                console.warn(`Could not resolve ${language} import '${source}' in ${filePath}:`, error.message);
+            }
+
+            if (resolved.length === 0) {
+                external.push({ from: filePath, source, line });
+            }
+            for (const to of resolved) {
+                // Wildcard and package imports can include the file itself
+                if (to === filePath || targets.has(to)) continue;
+                targets.add(to);
+                edges.push({ from: filePath, to, source, line });
+            }
+        }
+        adjacency.set(filePath, [...targets]);
+    }
+
+    const cycles = findCycles(nodes.map(node => node.filePath), adjacency);
+    const cycleOf = new Map();
+    cycles.forEach((cycle, i) => cycle.forEach(filePath => cycleOf.set(filePath, i)));
+    for (const edge of edges) {
+        edge.cyclic = cycleOf.has(edge.from) && cycleOf.get(edge.from) === cycleOf.get(edge.to);
+    }
+
+    return DependencyGraph.findOneAndUpdate(
+        { projectId },
+        { commit, nodes, edges, external, cycles, builtAt: new Date() },
+        { upsert: true, new: true, lean: true }
+    );
+}
+
+/**
+ * Loads a project's stored dependency graph.
+ * @param {string} projectId - The ID of the project.
+ * @returns {Promise<Object|null>} The graph, or null if none was built yet.
+ */
+async function getDependencyGraph(projectId) {
+    return DependencyGraph.findOne({ projectId }).lean();
+}
+
+/**
+ * Narrows a graph to part of the project.
+ * @param {Object} graph - The graph.
+ * @param {Object} [options]
+ * @param {string} [options.pathPrefix] - Only files under this path, and the edges between them.
+ * @param {boolean} [options.cyclesOnly=false] - Only files that are part of a cycle, and the cycles' edges.
+ * @returns {Object} The narrowed graph.
+ */
+function filterGraph(graph, { pathPrefix, cyclesOnly = false } = {}) {
+    const inCycle = new Set(graph.cycles.flat());
+    const keep = (filePath) => (!pathPrefix || filePath.startsWith(pathPrefix)) && (!cyclesOnly || inCycle.has(filePath));
+    const nodes = graph.nodes.filter(node => keep(node.filePath));
+    const kept = new Set(nodes.map(node => node.filePath));
+
+    return {
+        ...graph,
+        nodes,
+        edges: graph.edges.filter(edge => kept.has(edge.from) && kept.has(edge.to) && (!cyclesOnly || edge.cyclic)),
+        external: graph.external.filter(entry => kept.has(entry.from)),
+        cycles: graph.cycles.filter(cycle => cycle.some(filePath => kept.has(filePath)))
+    };
+}
+
+/**
+ * Renders a graph in Graphviz DOT. Edges within a cycle are red.
+ * @param {Object} graph - The graph.
+ * @returns {string} The DOT source.
+ */
+function toDot(graph) {
+    const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const lines = [
+        'digraph dependencies {',
+        '  rankdir=LR;',
+        '  node [shape=box, fontname="Helvetica", fontsize=10];',
+        ...graph.nodes.map(node => `  ${quote(node.filePath)};`),
+        ...graph.edges.map(edge => `  ${quote(edge.from)} -> ${quote(edge.to)}${edge.cyclic ? ' [color=red]' : ''};`),
+        '}'
+    ];
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders a graph as a Mermaid flowchart. Edges within a cycle are red.
+ * @param {Object} graph - The graph.
+ * @returns {string} The Mermaid source.
+ */
+function toMermaid(graph) {
+    // Mermaid IDs can't hold path characters, so files get numbered IDs and their path as label
+    const ids = new Map(graph.nodes.map((node, i) => [node.filePath, `n${i}`]));
+    const lines = [
+        'flowchart LR',
+        ...graph.nodes.map(node => `    ${ids.get(node.filePath)}["${node.filePath.replace(/"/g, '#quot;')}"]`)
+    ];
+    const cyclicEdges = [];
+    graph.edges.forEach((edge, i) => {
+        lines.push(`    ${ids.get(edge.from)} --> ${ids.get(edge.to)}`);
+        if (edge.cyclic) cyclicEdges.push(i);
+    });
+    if (cyclicEdges.length > 0) {
+        lines.push(`    linkStyle ${cyclicEdges.join(',')} stroke:#d33,stroke-width:2px`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    GRAPH_FORMATS,
+    createImportResolver,
+    recordFileImports,
+    deleteFileImports,
+    resetFileImports,
+    buildDependencyGraph,
+    getDependencyGraph,
+    filterGraph,
+    toDot,
+    toMermaid
+};
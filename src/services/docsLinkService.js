@@ -0,0 +1,63 @@
+// src/services/docsLinkService.js
+const jwt = require('jsonwebtoken');
+
+const DOCS_LINK_TTL = parseInt(process.env.DOCS_LINK_TTL_SECONDS, 10) || 60 * 60; // 1 hour
+const DOCS_TOKEN_PURPOSE = 'docs';
+
+const secret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+/**
+ * Issues a short-lived token that lets a user open a project's rendered documentation under /docs,
+ * where browsers can't send an Authorization header. It grants nothing else, see middleware/auth.js.
+ * @param {string} userId - The user the links are for.
+ * @param {string} projectId - The project whose documentation they open.
+ * @returns {string} The token.
+ */
+function createDocsToken(userId, projectId) {
+    return jwt.sign(
+        { userId: userId.toString(), projectId, purpose: DOCS_TOKEN_PURPOSE },
+        secret(),
+        { expiresIn: DOCS_LINK_TTL }
+    );
+}
+
+/**
+ * Checks a documentation token.
+ * @param {string} token - The token.
+ * @returns {Object} Its claims: `userId`, `projectId` and `exp` (in seconds).
+ * @throws {Error} If the token is invalid, expired, or not a documentation token.
+ */
+function verifyDocsToken(token) {
+    const claims = jwt.verify(token, secret());
+    if (claims.purpose !== DOCS_TOKEN_PURPOSE) {
+        throw new Error('Not a documentation token');
+    }
+    return claims;
+}
+
+/**
+ * Adds a documentation token to the /docs URLs of a result, so they can be opened in a browser.
+ * @param {Object} result - Object with `currentUrl` and `versionedUrl`, and/or `renders` with a `url` each.
+ * @param {string} userId - The user the links are for.
+ * @param {string} projectId - The project the URLs belong to.
+ * @returns {Object} A copy of the result with the links signed.
+ */
+function signDocsUrls(result, userId, projectId) {
+    const token = createDocsToken(userId, projectId);
+    const sign = (url) => url && url.startsWith(`/docs/${projectId}/`)
+        ? `${url}?token=${encodeURIComponent(token)}`
+        : url;
+
+    const signed = { ...result };
+    if (result.currentUrl) signed.currentUrl = sign(result.currentUrl);
+    if (result.versionedUrl) signed.versionedUrl = sign(result.versionedUrl);
+    if (Array.isArray(result.renders)) signed.renders = result.renders.map(render => ({ ...render, url: sign(render.url) }));
+    return signed;
+}
+
+module.exports = {
+    DOCS_LINK_TTL,
+    createDocsToken,
+    verifyDocsToken,
+    signDocsUrls
+};
@@ -0,0 +1,163 @@
+// src/services/documentationDiffService.js
+const { getLatestDocumentation, getVersion, getPreviousVersion } = require('./documentationService');
+const { paragraphs } = require('./renderers/text');
+
+// Endpoint fields that make up the API's shape, all from static analysis of the routes
+const ENDPOINT_FIELDS = {
+    parameters: endpoint => endpoint.parameters.map(({ name, type }) => ({ name, type })),
+    requestBody: endpoint => endpoint.requestBody || null,
+    responses: endpoint => endpoint.responses.map(({ status, description }) => ({ status, description: description || null })),
+    handler: endpoint => ({ name: endpoint.handler.name, filePath: endpoint.handler.filePath || null }),
+    middleware: endpoint => endpoint.middleware.map(middleware => middleware.name)
+};
+
+// Endpoint fields written by the LLM, which can change between generations while the API stays the same
+const ENDPOINT_DOCUMENTATION_FIELDS = {
+    name: endpoint => endpoint.name,
+    description: endpoint => endpoint.description,
+    parameterDescriptions: endpoint => endpoint.parameters.map(({ name, type, description }) => ({ name, type, description }))
+};
+
+function diffError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// What identifies a version in a diff
+const summarize = (version) => ({
+    versionId: version._id,
+    commit: version.commit,
+    generatedAt: version.generatedAt
+});
+
+/**
+ * Indexes items by key, numbering repeated keys ('GET /a', 'GET /a#2') so every item can be matched.
+ * @returns {Map<string, Object>} The items by key, in order.
+ */
+function byKey(items, keyOf) {
+    const indexed = new Map();
+    for (const item of items) {
+        let key = keyOf(item);
+        for (let i = 2; indexed.has(key); i++) key = `${keyOf(item)}#${i}`;
+        indexed.set(key, item);
+    }
+    return indexed;
+}
+
+/**
+ * Matches items of two lists by key into added, removed and changed ones.
+ * @param {Array<Object>} fromItems - Items of the earlier version.
+ * @param {Array<Object>} toItems - Items of the later version.
+ * @param {Function} keyOf - The key identifying an item.
+ * @param {Function} changesOf - Lists the changes between an item's two versions; none if it is unchanged.
+ * @param {Function} describe - What to show of an item.
+ * @param {Function} [documentationChangesOf] - Lists changes to how an item is documented, reported apart from `changed`.
+ * @returns {Object} `{ added, removed, changed }`, changed items with their `changes`; with documentationChangesOf
+ *   also `documentationChanges`, the items whose documentation changed, with theirs.
+ */
+function diffItems(fromItems, toItems, keyOf, changesOf, describe, documentationChangesOf) {
+    const from = byKey(fromItems, keyOf);
+    const to = byKey(toItems, keyOf);
+    const changed = [];
+    const documentationChanges = [];
+    for (const [key, item] of to) {
+        if (!from.has(key)) continue;
+        const changes = changesOf(from.get(key), item);
+        if (changes.length > 0) {
+            changed.push({ ...describe(item), changes });
+        }
+        const proseChanges = documentationChangesOf ? documentationChangesOf(from.get(key), item) : [];
+        if (proseChanges.length > 0) {
+            documentationChanges.push({ ...describe(item), changes: proseChanges });
+        }
+    }
+    return {
+        added: [...to].filter(([key]) => !from.has(key)).map(([, item]) => describe(item)),
+        removed: [...from].filter(([key]) => !to.has(key)).map(([, item]) => describe(item)),
+        changed,
+        ...(documentationChangesOf && { documentationChanges })
+    };
+}
+
+// Changes to a section: its title, and the paragraphs its content gained or lost
+function sectionChanges(from, to) {
+    const changes = [];
+    if (from.title !== to.title) {
+        changes.push({ field: 'title', from: from.title, to: to.title });
+    }
+    if (from.content !== to.content) {
+        const fromParagraphs = paragraphs(from.content);
+        const toParagraphs = paragraphs(to.content);
+        changes.push({
+            field: 'content',
+            added: toParagraphs.filter(paragraph => !fromParagraphs.includes(paragraph)),
+            removed: fromParagraphs.filter(paragraph => !toParagraphs.includes(paragraph))
+        });
+    }
+    return changes;
+}
+
+// Changes to the fields of an endpoint that differ between its versions
+const fieldChanges = (fields) => (from, to) => Object.entries(fields)
+    .map(([field, valueOf]) => ({ field, from: valueOf(from), to: valueOf(to) }))
+    .filter(change => !same(change.from, change.to));
+
+const endpointChanges = fieldChanges(ENDPOINT_FIELDS);
+const endpointDocumentationChanges = fieldChanges(ENDPOINT_DOCUMENTATION_FIELDS);
+
+function modelChanges(from, to) {
+    return same(from.fields, to.fields) ? [] : [{ field: 'fields', from: from.fields, to: to.fields }];
+}
+
+/**
+ * Compares two versions of a project's documentation: sections by key, endpoints by method and path,
+ * and request body models by name. Endpoints are `changed` when their API changed; when only the
+ * LLM-written names and descriptions did, they are listed in `documentationChanges` instead.
+ * @param {Object} from - The earlier version.
+ * @param {Object} to - The later version.
+ * @returns {Object} `{ from, to, sections, endpoints, models }`, each of the last three with `added`, `removed` and `changed`.
+ */
+function diffDocumentation(from, to) {
+    return {
+        from: summarize(from),
+        to: summarize(to),
+        sections: diffItems(from.sections, to.sections, section => section.key, sectionChanges,
+            ({ key, title }) => ({ key, title })),
+        endpoints: diffItems(from.endpoints, to.endpoints, endpoint => `${endpoint.method} ${endpoint.url}`, endpointChanges,
+            ({ method, url, name }) => ({ method, url, name }), endpointDocumentationChanges),
+        models: diffItems(from.models, to.models, model => model.name, modelChanges,
+            ({ name, usedBy }) => ({ name, usedBy }))
+    };
+}
+
+/**
+ * Compares two versions of a project's documentation.
+ * @param {string} projectId - The ID of the project.
+ * @param {Object} [references]
+ * @param {string} [references.from] - Version ID or commit SHA; defaults to the version before `to`.
+ * @param {string} [references.to] - Version ID or commit SHA; defaults to the latest version.
+ * @returns {Promise<Object>} The diff, see diffDocumentation.
+ * @throws {Error} With code 'VERSION_NOT_FOUND' if a version doesn't exist, or there is none before `to`.
+ */
+async function diffVersions(projectId, { from, to } = {}) {
+    const latest = to ? null : await getLatestDocumentation(projectId);
+    const toVersion = to ? await getVersion(projectId, to) : latest && latest.toObject();
+    if (!toVersion) {
+        throw diffError('No documentation has been generated for this project yet.', 'VERSION_NOT_FOUND');
+    }
+
+    const fromVersion = from ? await getVersion(projectId, from) : await getPreviousVersion(toVersion);
+    if (!fromVersion) {
+        throw diffError('There is no earlier documentation version to compare with.', 'VERSION_NOT_FOUND');
+    }
+
+    return diffDocumentation(fromVersion, toVersion);
+}
+
+module.exports = {
+    diffDocumentation,
+    diffVersions
+};
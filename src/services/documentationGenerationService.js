@@ -0,0 +1,77 @@
+// src/services/documentationGenerationService.js
+const Project = require('../models/Project');
+const { analyzeAndStoreRepoMetadata } = require('./repoAnalysisService');
+const progressiveDocService = require('./progressiveDocumentationService');
+const { generateDocumentationWithLLM } = require('./llmService');
+const { getProjectRoutes, attachHandlerCode } = require('./routeExtractionService');
+const { cleanupRepository } = require('./gitService');
+const { checkoutProjectSource } = require('./projectSourceService');
+const { DOCS_DIR, buildDocumentation, saveDocumentation, renderStoredDocumentation } = require('./documentationService');
+const { DEFAULT_RENDER_FORMAT } = require('./renderers');
+
+/**
+ * Runs the full documentation pipeline for a project: clone, analyze, generate and store the documentation,
+ * then render it in the requested format, as the current version and a timestamped copy.
+ * @param {string} projectId - The unique ID of the project.
+ * @param {Function} [reportProgress] - Optional callback receiving a 0-100 progress value.
+ * @param {Object} [options]
+ * @param {string} [options.format] - Output format, one of renderers' RENDER_FORMATS (default 'docx').
+ * @returns {Promise<Object>} Format, URLs, stored documentation ID and timestamp of the generated documentation.
+ */
+async function generateProjectDocumentation(projectId, reportProgress = () => {}, { format = DEFAULT_RENDER_FORMAT } = {}) {
+    const project = await Project.findOne({
+        projectId,
+        status: { $ne: 'deleted' }
+    }).select('+githubAccessToken');
+
+    if (!project || project.status !== 'active') {
+        throw new Error('Project not found or not yet active (ingestion not complete).');
+    }
+
+    const generatedAt = new Date();
+    let localRepoPath = null;
+    try {
+        // Clone the repository (or extract the uploaded archive) first
+        localRepoPath = await checkoutProjectSource(project);
+        await reportProgress(10);
+
+        // Analyze the repository and store metadata
+        await analyzeAndStoreRepoMetadata(project.projectId, localRepoPath, project.getScanOptions());
+        await reportProgress(40);
+
+        // Routes found at ingestion are the endpoints to document; the LLM only describes them
+        const routes = await attachHandlerCode(project.projectId, await getProjectRoutes(project.projectId));
+
+        // Generate documentation progressively
+        const { context, sourceFiles } = await progressiveDocService.generateDocumentation(project.projectId, { routes });
+        await reportProgress(60);
+
+        // Write the content and store it, so sections can later be edited or regenerated on their own
+        const content = await generateDocumentationWithLLM(context, routes);
+        const documentation = await saveDocumentation(buildDocumentation(project, { content, routes, sourceFiles, generatedAt }));
+        await reportProgress(80);
+
+        // Render it in the requested format, as the current version and a versioned copy
+        const rendered = await renderStoredDocumentation(documentation, format);
+        await reportProgress(100);
+
+        return {
+            format,
+            currentUrl: rendered.currentUrl,
+            versionedUrl: rendered.versionedUrl,
+            projectId: project.projectId,
+            documentationId: documentation._id.toString(),
+            generatedAt: rendered.renderedAt
+        };
+    } finally {
+        // Clean up cloned repository
+        if (localRepoPath) {
+            await cleanupRepository(localRepoPath);
+        }
+    }
+}
+
+module.exports = {
+    generateProjectDocumentation,
+    DOCS_DIR
+};
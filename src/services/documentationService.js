@@ -0,0 +1,434 @@
+// src/services/documentationService.js
+const fs = require('fs').promises;
+const path = require('path');
+const Documentation = require('../models/Documentation');
+const progressiveDocService = require('./progressiveDocumentationService');
+const { MODEL, describeRoutes, generateSectionsWithLLM, getRouteParameters } = require('./llmService');
+const { getProjectRoutes, attachHandlerCode } = require('./routeExtractionService');
+const { toOpenApiPath, requiresAuth } = require('./openApiService');
+const { renderDocumentation, DEFAULT_RENDER_FORMAT } = require('./renderers');
+
+const DOCS_DIR = path.join(process.cwd(), 'public', 'docs');
+
+// The sections in reading order, and their content when the LLM wrote nothing for them
+const SECTIONS = [
+    { key: 'overview', title: 'Overview', placeholder: 'No overview provided.' },
+    { key: 'authentication', title: 'Authentication', placeholder: 'No authentication details provided.' },
+    { key: 'endpoints', title: 'API Endpoints', placeholder: '' },
+    { key: 'errorHandling', title: 'Error Handling', placeholder: 'No error handling information provided.' }
+];
+const SECTION_KEYS = SECTIONS.map(section => section.key);
+const METHODS_WITHOUT_BODY = new Set(['GET', 'HEAD']);
+// Values request examples fill in, by JSON schema type
+const EXAMPLE_VALUES = {
+    string: 'string',
+    integer: 0,
+    number: 0,
+    boolean: true,
+    object: {}
+};
+
+function documentationError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// An example value for a JSON schema
+function exampleValue(schema = {}) {
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+    if (schema.type === 'array') return [exampleValue(schema.items)];
+    return schema.type in EXAMPLE_VALUES ? EXAMPLE_VALUES[schema.type] : 'string';
+}
+
+/**
+ * Builds a curl request for a route, from what its handler reads: path parameters stay as `{name}`
+ * placeholders, required query parameters and headers and the body fields get example values.
+ * @param {Object} route - The route, see routeExtractionService.
+ * @returns {Array<Object>} The examples, `{ title, language, code }`.
+ */
+function buildExamples(route) {
+    const method = route.method === 'ALL' ? 'GET' : route.method;
+    const parameters = route.parameters || [];
+    const query = parameters
+        .filter(parameter => parameter.in === 'query' && parameter.required)
+        .map(parameter => `${encodeURIComponent(parameter.name)}=${encodeURIComponent(exampleValue(parameter.schema))}`);
+
+    const lines = [`curl -X ${method} "$BASE_URL${toOpenApiPath(route.path).path}${query.length > 0 ? `?${query.join('&')}` : ''}"`];
+    if (requiresAuth(route)) {
+        lines.push('-H "Authorization: Bearer $TOKEN"');
+    }
+    for (const parameter of parameters.filter(candidate => candidate.in === 'header' && candidate.required)) {
+        lines.push(`-H "${parameter.name}: ${exampleValue(parameter.schema)}"`);
+    }
+
+    if (route.requestBody && !METHODS_WITHOUT_BODY.has(method)) {
+        const { contentType, fields } = route.requestBody;
+        if (contentType === 'multipart/form-data') {
+            for (const field of fields) {
+                const file = field.schema && field.schema.format === 'binary';
+                lines.push(`-F "${field.name}=${file ? '@file' : exampleValue(field.schema)}"`);
+            }
+        } else if (contentType === 'application/x-www-form-urlencoded') {
+            for (const field of fields) {
+                lines.push(`--data-urlencode "${field.name}=${exampleValue(field.schema)}"`);
+            }
+        } else {
+            const body = JSON.stringify(Object.fromEntries(fields.map(field => [field.name, exampleValue(field.schema)])));
+            lines.push('-H "Content-Type: application/json"', `-d '${body.replace(/'/g, "'\\''")}'`);
+        }
+    }
+
+    return [{ title: `${method} ${route.path}`, language: 'shell', code: lines.join(' \\\n  ') }];
+}
+
+/**
+ * Combines the LLM's descriptions of routes with what static analysis found in them. Parameters are the
+ * route's own; the LLM only contributes their descriptions.
+ * @param {Array<Object>} described - Endpoints from describeRoutes, one per route and in the same order.
+ * @param {Array<Object>} routes - The routes.
+ * @returns {Array<Object>} The endpoints to store.
+ */
+function buildEndpoints(described, routes) {
+    return described.map((endpoint, i) => ({
+        ...endpoint,
+        parameters: getRouteParameters(routes[i]).map(parameter => {
+            const describedParameter = (endpoint.parameters || [])
+                .find(candidate => candidate.name === parameter.name && candidate.type === parameter.type);
+            return { ...parameter, description: describedParameter ? describedParameter.description : '' };
+        }),
+        requestBody: routes[i].requestBody || null,
+        responses: routes[i].responses || [],
+        examples: buildExamples(routes[i]),
+        handler: { ...endpoint.handler, filePath: endpoint.handler.filePath || routes[i].filePath }
+    }));
+}
+
+/**
+ * Lists the named types routes take as their request body, with the endpoints taking each.
+ * @param {Array<Object>} routes - The routes.
+ * @returns {Array<Object>} The models, `{ name, fields, usedBy }`, by name.
+ */
+function buildDataModels(routes) {
+    const models = new Map();
+    for (const route of routes.filter(candidate => candidate.requestBody && candidate.requestBody.typeName)) {
+        const { typeName, fields } = route.requestBody;
+        if (!models.has(typeName)) {
+            models.set(typeName, { name: typeName, fields, usedBy: [] });
+        }
+        models.get(typeName).usedBy.push(`${route.method} ${route.path}`);
+    }
+    return [...models.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Files that declare the routes, as the endpoints section's sources
+const routeSources = (routes) => [...new Set(routes.map(route => route.filePath))].sort().map(filePath => ({ filePath }));
+
+/**
+ * Builds the documentation to store from the generated content.
+ * @param {Object} project - The project.
+ * @param {Object} generated
+ * @param {Object} generated.content - Content from generateDocumentationWithLLM.
+ * @param {Array<Object>} generated.routes - The routes it describes.
+ * @param {Array<string>} generated.sourceFiles - Files whose code was in the context the sections were written from.
+ * @param {Date} generated.generatedAt - When generation started.
+ * @returns {Object} The documentation, in the Documentation model's shape.
+ */
+function buildDocumentation(project, { content, routes, sourceFiles, generatedAt }) {
+    const sources = sourceFiles.map(filePath => ({ filePath }));
+    return {
+        projectId: project.projectId,
+        title: `${project.name} API Documentation`,
+        commit: project.lastIngestedCommit || null,
+        sections: SECTIONS.map(({ key, title, placeholder }) => key === 'endpoints'
+            ? { key, title, content: placeholder, sources: routeSources(routes), generatedAt }
+            : { key, title, content: content[key].trim() || placeholder, sources, generatedAt }),
+        endpoints: buildEndpoints(content.endpoints, routes),
+        models: buildDataModels(routes),
+        generation: {
+            model: MODEL,
+            routeCount: routes.length,
+            durationMs: Date.now() - generatedAt.getTime()
+        },
+        generatedAt,
+        updatedAt: generatedAt
+    };
+}
+
+/**
+ * Stores a generation of a project's documentation.
+ * @param {Object} documentation - The documentation, see buildDocumentation.
+ * @returns {Promise<Object>} The stored documentation.
+ */
+async function saveDocumentation(documentation) {
+    return Documentation.create(documentation);
+}
+
+/**
+ * Loads a project's latest documentation.
+ * @param {string} projectId - The ID of the project.
+ * @returns {Promise<Object|null>} The documentation, or null if none was generated yet.
+ */
+async function getLatestDocumentation(projectId) {
+    return Documentation.findOne({ projectId }).sort({ generatedAt: -1 });
+}
+
+// Loads the latest documentation and one of its sections, or throws
+async function findSection(projectId, sectionKey) {
+    const documentation = await getLatestDocumentation(projectId);
+    if (!documentation) {
+        throw documentationError('No documentation has been generated for this project yet.', 'DOCUMENTATION_NOT_FOUND');
+    }
+    const section = documentation.sections.find(candidate => candidate.key === sectionKey);
+    if (!section) {
+        throw documentationError(`Unknown section: ${sectionKey}. Expected one of: ${SECTION_KEYS.join(', ')}`, 'SECTION_NOT_FOUND');
+    }
+    return { documentation, section };
+}
+
+// Converts a stored section into the API's format; the endpoints section includes the endpoints and models
+function formatSection(documentation, section) {
+    const formatted = {
+        documentationId: documentation._id,
+        key: section.key,
+        title: section.title,
+        content: section.content,
+        sources: section.sources,
+        generatedAt: section.generatedAt,
+        editedAt: section.editedAt,
+        editedBy: section.editedBy
+    };
+    if (section.key === 'endpoints') {
+        formatted.endpoints = documentation.endpoints;
+        formatted.models = documentation.models;
+    }
+    return formatted;
+}
+
+/**
+ * Gets one section of a project's latest documentation.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} sectionKey - One of SECTION_KEYS.
+ * @returns {Promise<Object>} The section.
+ * @throws {Error} With code 'DOCUMENTATION_NOT_FOUND' or 'SECTION_NOT_FOUND'.
+ */
+async function getSection(projectId, sectionKey) {
+    const { documentation, section } = await findSection(projectId, sectionKey);
+    return formatSection(documentation, section);
+}
+
+/**
+ * Replaces the title or content of a section of a project's latest documentation.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} sectionKey - One of SECTION_KEYS.
+ * @param {Object} changes - `{ title?, content? }`.
+ * @param {string} userId - The user editing the section.
+ * @returns {Promise<Object>} The updated section.
+ * @throws {Error} With code 'DOCUMENTATION_NOT_FOUND' or 'SECTION_NOT_FOUND'.
+ */
+async function updateSection(projectId, sectionKey, { title, content }, userId) {
+    const { documentation, section } = await findSection(projectId, sectionKey);
+    if (title !== undefined) section.title = title;
+    if (content !== undefined) section.content = content;
+    section.editedAt = new Date();
+    section.editedBy = userId;
+    documentation.updatedAt = section.editedAt;
+    await documentation.save();
+    return formatSection(documentation, section);
+}
+
+/**
+ * Writes one section of a project's latest documentation again with the LLM, from the stored repository
+ * metadata, code index and route table, without checking the code out. Replaces any edits to it.
+ * @param {Object} project - The project.
+ * @param {string} sectionKey - One of SECTION_KEYS; 'endpoints' describes all the routes again.
+ * @returns {Promise<Object>} The regenerated section.
+ * @throws {Error} With code 'DOCUMENTATION_NOT_FOUND' or 'SECTION_NOT_FOUND', or 'DOCUMENTATION_OUTDATED'
+ * if the project was ingested again since, so its indexes no longer match the documentation's commit.
+ */
+async function regenerateSection(project, sectionKey) {
+    const { documentation, section } = await findSection(project.projectId, sectionKey);
+    if ((project.lastIngestedCommit || null) !== documentation.commit) {
+        throw documentationError(
+            'The project has been ingested again since this documentation was generated; generate the documentation again instead.',
+            'DOCUMENTATION_OUTDATED'
+        );
+    }
+
+    const routes = await attachHandlerCode(project.projectId, await getProjectRoutes(project.projectId));
+    if (sectionKey === 'endpoints') {
+        documentation.endpoints = buildEndpoints(await describeRoutes(routes), routes);
+        documentation.models = buildDataModels(routes);
+        section.sources = routeSources(routes);
+    } else {
+        const { context, sourceFiles } = await progressiveDocService.generateDocumentation(project.projectId, { routes });
+        const content = await generateSectionsWithLLM(context, [sectionKey]);
+        section.content = content[sectionKey].trim() || SECTIONS.find(candidate => candidate.key === sectionKey).placeholder;
+        section.sources = sourceFiles.map(filePath => ({ filePath }));
+    }
+
+    section.generatedAt = new Date();
+    section.editedAt = null;
+    section.editedBy = null;
+    documentation.updatedAt = section.generatedAt;
+    await documentation.save();
+    return formatSection(documentation, section);
+}
+
+/**
+ * Lists the generations of a project's documentation, each with the commit it was generated from.
+ * @param {string} projectId - The ID of the project.
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Maximum number of versions.
+ * @returns {Promise<Array<Object>>} The versions, latest first, without their content.
+ */
+async function listVersions(projectId, { limit = 50 } = {}) {
+    const versions = await Documentation.find({ projectId })
+        .select('title commit generation renders generatedAt updatedAt')
+        .sort({ generatedAt: -1 })
+        .limit(limit)
+        .lean();
+    return versions.map(({ _id, ...version }) => ({ versionId: _id, ...version }));
+}
+
+/**
+ * Finds a version of a project's documentation by its ID or by the commit it was generated from.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} reference - A version ID, or a full or abbreviated commit SHA (the latest version from that commit).
+ * @returns {Promise<Object>} The version.
+ * @throws {Error} With code 'VERSION_NOT_FOUND' if neither matches.
+ */
+async function getVersion(projectId, reference) {
+    if (/^[0-9a-f]{24}$/i.test(reference)) {
+        const version = await Documentation.findOne({ projectId, _id: reference }).lean();
+        if (version) return version;
+    }
+    if (/^[0-9a-f]{4,40}$/i.test(reference)) {
+        const version = await Documentation.findOne({ projectId, commit: { $regex: `^${reference.toLowerCase()}` } })
+            .sort({ generatedAt: -1 })
+            .lean();
+        if (version) return version;
+    }
+    throw documentationError(`Documentation version not found: ${reference}`, 'VERSION_NOT_FOUND');
+}
+
+/**
+ * Finds the version generated just before another one.
+ * @param {Object} version - The later version.
+ * @returns {Promise<Object|null>} The earlier version, or null if it is the first.
+ */
+async function getPreviousVersion(version) {
+    return Documentation.findOne({ projectId: version.projectId, generatedAt: { $lt: version.generatedAt } })
+        .sort({ generatedAt: -1 })
+        .lean();
+}
+
+/**
+ * Converts stored documentation into the model the renderers take (see renderers/index.js).
+ * @param {Object} documentation - The stored documentation.
+ * @returns {Object} The documentation model.
+ */
+function toRenderModel(documentation) {
+    const { projectId, title, commit, generatedAt, sections, endpoints } = documentation.toObject
+        ? documentation.toObject()
+        : documentation;
+    return {
+        title,
+        projectId,
+        commit,
+        generatedAt,
+        sections: sections.map(({ key, title: sectionTitle, content }) => ({ key, title: sectionTitle, content })),
+        endpoints
+    };
+}
+
+/**
+ * Names the versioned copy of a rendered file: 'documentation.docx' becomes 'documentation-<timestamp>.docx'
+ * and files of a directory such as 'site/index.html' go to 'site-<timestamp>/index.html'.
+ */
+function versionedPath(filePath, timestamp) {
+    const [first, ...rest] = filePath.split('/');
+    if (rest.length > 0) {
+        return [`${first}-${timestamp}`, ...rest].join('/');
+    }
+    const extension = path.extname(first);
+    return `${path.basename(first, extension)}-${timestamp}${extension}`;
+}
+
+/**
+ * Writes rendered files under a directory, replacing the directories they are in (e.g. a previous site).
+ * @param {string} directory - The project's docs directory.
+ * @param {Array<Object>} files - The files, `{ path, content }` with paths relative to the directory.
+ */
+async function writeRenderedFiles(directory, files) {
+    const subdirectories = new Set(files.filter(file => file.path.includes('/')).map(file => file.path.split('/')[0]));
+    for (const subdirectory of subdirectories) {
+        await fs.rm(path.join(directory, subdirectory), { recursive: true, force: true });
+    }
+    for (const file of files) {
+        const filePath = path.join(directory, file.path);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, file.content);
+    }
+}
+
+/**
+ * Renders stored documentation in one format and saves it under the project's docs directory, as the
+ * current version and a timestamped copy, which is recorded on the documentation.
+ * @param {Object} documentation - The stored documentation.
+ * @param {string} [format] - One of renderers' RENDER_FORMATS (default 'docx').
+ * @returns {Promise<Object>} Format, URLs and timestamp of the rendered files.
+ */
+async function renderStoredDocumentation(documentation, format = DEFAULT_RENDER_FORMAT) {
+    const files = await renderDocumentation(toRenderModel(documentation), format);
+
+    const projectDocsDir = path.join(DOCS_DIR, documentation.projectId);
+    const renderedAt = new Date();
+    const timestamp = renderedAt.toISOString().replace(/[:.]/g, '-');
+    const versionedFiles = files.map(file => ({ ...file, path: versionedPath(file.path, timestamp) }));
+    await fs.mkdir(projectDocsDir, { recursive: true });
+    await writeRenderedFiles(projectDocsDir, files);
+    await writeRenderedFiles(projectDocsDir, versionedFiles);
+
+    const versionedUrl = `/docs/${documentation.projectId}/${versionedFiles[0].path}`;
+    documentation.renders.unshift({ format, url: versionedUrl, renderedAt });
+    await documentation.save();
+
+    return {
+        format,
+        currentUrl: `/docs/${documentation.projectId}/${files[0].path}`,
+        versionedUrl,
+        renderedAt: timestamp
+    };
+}
+
+/**
+ * Renders one section of a project's latest documentation on its own, without saving it.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} sectionKey - One of SECTION_KEYS.
+ * @param {string} [format] - One of renderers' RENDER_FORMATS (default 'docx').
+ * @returns {Promise<Object>} The rendered file, `{ path, content }`; for 'html', the section's page.
+ * @throws {Error} With code 'DOCUMENTATION_NOT_FOUND', 'SECTION_NOT_FOUND' or 'UNKNOWN_RENDER_FORMAT'.
+ */
+async function renderSection(projectId, sectionKey, format = DEFAULT_RENDER_FORMAT) {
+    const { documentation, section } = await findSection(projectId, sectionKey);
+    const model = toRenderModel(documentation);
+    const files = await renderDocumentation({ ...model, sections: model.sections.filter(({ key }) => key === section.key) }, format);
+    return files[0];
+}
+
+module.exports = {
+    DOCS_DIR,
+    SECTION_KEYS,
+    buildDocumentation,
+    saveDocumentation,
+    getLatestDocumentation,
+    getSection,
+    updateSection,
+    regenerateSection,
+    listVersions,
+    getVersion,
+    getPreviousVersion,
+    renderStoredDocumentation,
+    renderSection
+};
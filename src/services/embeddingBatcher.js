@@ -0,0 +1,111 @@
+// src/services/embeddingBatcher.js
+const { addCodeChunksToDB } = require('./vectorStoreService');
+const { EMBEDDING_BATCH_SIZE } = require('./embeddings');
+const { estimateTokens } = require('./chunkSplitter');
+
+const EMBEDDING_BATCH_TOKENS = parseInt(process.env.EMBEDDING_BATCH_TOKENS, 10) || 16000;
+const EMBEDDING_CONCURRENCY = parseInt(process.env.EMBEDDING_CONCURRENCY, 10) || 4;
+
+/**
+ * Collects chunks across files into batches and embeds/stores them with bounded concurrency,
+ * so ingestion makes a few large round-trips instead of one per file.
+ *
+ * Usage: `await batcher.add(chunks)` for every file (it waits when too many batches are in flight),
+ * then `await batcher.flush()`. The first failed batch makes later add/flush calls throw.
+ */
+class EmbeddingBatcher {
+    /**
+     * @param {string} projectId - The project whose collection the chunks are stored in.
+     * @param {Object} [options]
+     * @param {number} [options.batchSize] - Maximum chunks per embedding request (EMBEDDING_BATCH_SIZE).
+     * @param {number} [options.maxBatchTokens] - Maximum estimated tokens per request (EMBEDDING_BATCH_TOKENS).
+     * @param {number} [options.concurrency] - Maximum requests in flight (EMBEDDING_CONCURRENCY).
+     * @param {Function} [options.onProgress] - Called with `{ queued, embedded }` chunk counts after each batch.
+     */
+    constructor(projectId, {
+        batchSize = EMBEDDING_BATCH_SIZE,
+        maxBatchTokens = EMBEDDING_BATCH_TOKENS,
+        concurrency = EMBEDDING_CONCURRENCY,
+        onProgress = () => {}
+    } = {}) {
+        this.projectId = projectId;
+        this.batchSize = batchSize;
+        this.maxBatchTokens = maxBatchTokens;
+        this.concurrency = concurrency;
+        this.onProgress = onProgress;
+
+        this.pending = [];
+        this.pendingTokens = 0;
+        this.inFlight = new Set();
+        this.queued = 0;
+        this.embedded = 0;
+        this.error = null;
+    }
+
+    /**
+     * Queues chunks, sending full batches as they fill up.
+     * @param {Array<Object>} chunks - Chunks with IDs and metadata, as produced by getCodeChunks.
+     */
+    async add(chunks) {
+        this.throwIfFailed();
+
+        for (const chunk of chunks) {
+            const tokens = estimateTokens(chunk.content);
+            if (this.pending.length > 0 &&
+                (this.pending.length >= this.batchSize || this.pendingTokens + tokens > this.maxBatchTokens)) {
+                await this.sendPending();
+            }
+            this.pending.push(chunk);
+            this.pendingTokens += tokens;
+            this.queued++;
+        }
+    }
+
+    /**
+     * Sends whatever is still queued and waits for every batch to be stored.
+     * @returns {Promise<{queued: number, embedded: number}>} Final chunk counts.
+     */
+    async flush() {
+        if (this.pending.length > 0) {
+            await this.sendPending();
+        }
+        await Promise.allSettled([...this.inFlight]);
+        this.throwIfFailed();
+        return { queued: this.queued, embedded: this.embedded };
+    }
+
+    /**
+     * Starts storing the pending batch, first waiting for a free slot if `concurrency` batches are in flight.
+     */
+    async sendPending() {
+        while (this.inFlight.size >= this.concurrency) {
+            await Promise.race(this.inFlight);
+        }
+        this.throwIfFailed();
+
+        const batch = this.pending;
+        this.pending = [];
+        this.pendingTokens = 0;
+
+        const request = addCodeChunksToDB(batch, this.projectId)
+            .then(() => {
+                this.embedded += batch.length;
+                this.onProgress({ queued: this.queued, embedded: this.embedded });
+            })
+            .catch(error => {
+                this.error = this.error || error;
+            })
+            .finally(() => this.inFlight.delete(request));
+        this.inFlight.add(request);
+    }
+
+    throwIfFailed() {
+        if (this.error) {
+            throw this.error;
+        }
+    }
+}
+
+module.exports = {
+    EmbeddingBatcher
+};
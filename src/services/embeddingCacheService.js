@@ -0,0 +1,96 @@
+// src/services/embeddingCacheService.js
+const EmbeddingCache = require('../models/EmbeddingCache');
+const { hashContent } = require('../utils/chunkId');
+
+const CACHE_ENABLED = process.env.EMBEDDING_CACHE !== 'false';
+
+// Hit/miss counters for this process (reset on restart)
+const stats = { hits: 0, misses: 0, errors: 0 };
+
+/**
+ * Looks up cached embeddings for a list of texts.
+ * Cache failures are logged and treated as misses, so embedding never fails because of the cache.
+ * @param {string} model - Name of the embedding model (cache entries are per model).
+ * @param {Array<string>} texts - The texts to look up.
+ * @returns {Promise<Array<Array<number>|null>>} One embedding per text, null where it is not cached.
+ */
+async function getCachedEmbeddings(model, texts) {
+    if (!CACHE_ENABLED || texts.length === 0) {
+        return texts.map(() => null);
+    }
+
+    try {
+        const hashes = texts.map(hashContent);
+        const entries = await EmbeddingCache.find({ model, contentHash: { $in: [...new Set(hashes)] } });
+        const byHash = new Map(entries.map(entry => [entry.contentHash, entry]));
+
+        if (entries.length > 0) {
+            // Refresh lastUsedAt so entries in use are not evicted
+            await EmbeddingCache.updateMany(
+                { _id: { $in: entries.map(entry => entry._id) } },
+                { $set: { lastUsedAt: new Date() } }
+            );
+        }
+
+        const embeddings = hashes.map(hash => byHash.has(hash) ? byHash.get(hash).decodeEmbedding() : null);
+        const hits = embeddings.filter(Boolean).length;
+        stats.hits += hits;
+        stats.misses += texts.length - hits;
+        return embeddings;
+    } catch (error) {
+        stats.errors++;
+        stats.misses += texts.length;
+        console.error('Embedding cache lookup failed:', error.message);
+        return texts.map(() => null);
+    }
+}
+
+/**
+ * Stores freshly computed embeddings in the cache.
+ * @param {string} model - Name of the embedding model.
+ * @param {Array<string>} texts - The embedded texts.
+ * @param {Array<Array<number>>} embeddings - Their embeddings, in the same order.
+ */
+async function storeEmbeddings(model, texts, embeddings) {
+    if (!CACHE_ENABLED || texts.length === 0) {
+        return;
+    }
+
+    try {
+        await EmbeddingCache.bulkWrite(texts.map((text, i) => ({
+            updateOne: {
+                filter: { model, contentHash: hashContent(text) },
+                update: {
+                    $set: {
+                        embedding: EmbeddingCache.encodeEmbedding(embeddings[i]),
+                        dimensions: embeddings[i].length,
+                        lastUsedAt: new Date()
+                    }
+                },
+                upsert: true
+            }
+        })), { ordered: false });
+    } catch (error) {
+        stats.errors++;
+        console.error('Failed to store embeddings in cache:', error.message);
+    }
+}
+
+/**
+ * Returns cache statistics for this process.
+ * @returns {{enabled: boolean, hits: number, misses: number, errors: number, hitRate: number|null}} Counters since startup.
+ */
+function getCacheStats() {
+    const lookups = stats.hits + stats.misses;
+    return {
+        enabled: CACHE_ENABLED,
+        ...stats,
+        hitRate: lookups > 0 ? stats.hits / lookups : null
+    };
+}
+
+module.exports = {
+    getCachedEmbeddings,
+    storeEmbeddings,
+    getCacheStats
+};
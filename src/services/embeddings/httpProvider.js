@@ -0,0 +1,42 @@
+// src/services/embeddings/httpProvider.js
+const axios = require('axios');
+
+const EMBEDDING_SERVICE_URL = process.env.EMBEDDING_SERVICE_URL || 'http://localhost:5000/embed';
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 1000; // 1 second
+
+/**
+ * Sends one request to the external Python embedding service, retrying recoverable failures.
+ * @param {Array<string>} texts - An array of strings to embed.
+ * @param {number} retryCount - Number of retries attempted.
+ * @returns {Promise<Array<Array<number>>>} A promise that resolves to an array of embeddings.
+ */
+async function requestEmbeddings(texts, retryCount = 0) {
+    try {
+        console.log(`Attempting to get embeddings for ${texts.length} texts (attempt ${retryCount + 1}/${MAX_RETRIES})`);
+        const response = await axios.post(EMBEDDING_SERVICE_URL, { texts });
+        if (!response.data || !Array.isArray(response.data.embeddings)) {
+            throw new Error("Invalid response from embedding service.");
+        }
+        return response.data.embeddings;
+    } catch (error) {
+        console.error("Error getting embeddings from service:", error.response?.data || error.message);
+        
+        // If we haven't exceeded max retries and it's a potentially recoverable error
+        if (retryCount < MAX_RETRIES - 1 && 
+            (error.code === 'ECONNREFUSED' || error.response?.status >= 500)) {
+            console.log(`Retrying embedding request in ${RETRY_DELAY}ms...`);
+            await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+            return requestEmbeddings(texts, retryCount + 1);
+        }
+        
+        throw new Error(`Failed to get embeddings from service after ${retryCount + 1} attempts. Is the Python service running?`);
+    }
+}
+
+// The external embedding service at EMBEDDING_SERVICE_URL (POST { texts } -> { embeddings })
+module.exports = {
+    name: 'http',
+    model: process.env.EMBEDDING_MODEL || 'default', // Whatever model the service runs; only used to tell models apart
+    embed: requestEmbeddings
+};
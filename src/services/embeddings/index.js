@@ -0,0 +1,76 @@
+// src/services/embeddings/index.js
+const { getCachedEmbeddings, storeEmbeddings } = require('../embeddingCacheService');
+
+/**
+ * Embedding providers turn texts into vectors. Each provider module exports:
+ * - `name`: provider name, selectable per project (`settings.embeddingProvider`)
+ * - `model`: the model it uses; recorded with each collection so queries use the model the code was embedded with
+ * - `maxBatchSize` (optional): most texts it accepts per call, below EMBEDDING_BATCH_SIZE
+ * - `embed(texts)`: resolves to one embedding per text
+ */
+const providers = new Map([
+    require('./httpProvider'),
+    require('./openaiProvider'),
+    require('./localProvider')
+].map(provider => [provider.name, provider]));
+
+const EMBEDDING_PROVIDERS = [...providers.keys()];
+const DEFAULT_EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || 'http';
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 64; // Texts per embedding request
+
+/**
+ * Looks up an embedding provider.
+ * @param {string} [name] - Provider name; defaults to EMBEDDING_PROVIDER.
+ * @returns {Object} The provider.
+ * @throws {Error} With code 'UNKNOWN_EMBEDDING_PROVIDER' if there is no such provider.
+ */
+function getEmbeddingProvider(name = DEFAULT_EMBEDDING_PROVIDER) {
+    const provider = providers.get(name);
+    if (!provider) {
+        const error = new Error(`Unknown embedding provider: ${name}`);
+        error.code = 'UNKNOWN_EMBEDDING_PROVIDER';
+        throw error;
+    }
+    return provider;
+}
+
+/**
+ * Gets embeddings for texts, from the embedding cache where possible and from the provider otherwise.
+ * Texts the provider has to embed are deduplicated, sent in batches and then cached.
+ * @param {Object} provider - The embedding provider (see getEmbeddingProvider).
+ * @param {Array<string>} texts - An array of strings to embed.
+ * @returns {Promise<Array<Array<number>>>} A promise that resolves to an array of embeddings.
+ */
+async function embedTexts(provider, texts) {
+    if (texts.length === 0) return [];
+
+    const cacheModel = `${provider.name}:${provider.model}`;
+    const batchSize = Math.min(EMBEDDING_BATCH_SIZE, provider.maxBatchSize || Infinity);
+    const embeddings = await getCachedEmbeddings(cacheModel, texts);
+    const missingTexts = [...new Set(texts.filter((text, i) => !embeddings[i]))];
+
+    if (missingTexts.length > 0) {
+        const computed = new Map();
+        for (let i = 0; i < missingTexts.length; i += batchSize) {
+            const batch = missingTexts.slice(i, i + batchSize);
+            const batchEmbeddings = await provider.embed(batch);
+            if (batchEmbeddings.length !== batch.length) {
+                throw new Error(`Mismatch between number of texts and embeddings returned by the ${provider.name} embedding provider.`);
+            }
+            batch.forEach((text, j) => computed.set(text, batchEmbeddings[j]));
+            await storeEmbeddings(cacheModel, batch, batchEmbeddings);
+        }
+        texts.forEach((text, i) => {
+            if (!embeddings[i]) embeddings[i] = computed.get(text);
+        });
+    }
+
+    return embeddings;
+}
+
+module.exports = {
+    EMBEDDING_PROVIDERS,
+    EMBEDDING_BATCH_SIZE,
+    getEmbeddingProvider,
+    embedTexts
+};
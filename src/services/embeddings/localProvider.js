@@ -0,0 +1,25 @@
+// src/services/embeddings/localProvider.js
+
+const LOCAL_EMBEDDING_MODEL = process.env.LOCAL_EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+
+let embeddingFunction = null; // Loads the model (downloaded once, then cached on disk) on first use
+
+/**
+ * Embeds texts in-process with a small transformers.js model, so no embedding service is needed.
+ * @param {Array<string>} texts - An array of strings to embed.
+ * @returns {Promise<Array<Array<number>>>} One embedding per text.
+ */
+async function embed(texts) {
+    if (!embeddingFunction) {
+        const { DefaultEmbeddingFunction } = require('@chroma-core/default-embed');
+        embeddingFunction = new DefaultEmbeddingFunction({ modelName: LOCAL_EMBEDDING_MODEL });
+    }
+    return embeddingFunction.generate(texts);
+}
+
+module.exports = {
+    name: 'local',
+    model: LOCAL_EMBEDDING_MODEL,
+    maxBatchSize: 32, // Runs on the server's CPU; small batches keep memory use predictable
+    embed
+};
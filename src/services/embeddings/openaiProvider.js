@@ -0,0 +1,37 @@
+// src/services/embeddings/openaiProvider.js
+const { OpenAI } = require('openai');
+
+const OPENAI_EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+let openai = null; // Created on first use, so the server starts without OPENAI_API_KEY when this provider is unused
+
+/**
+ * Embeds texts with the OpenAI embeddings API.
+ * @param {Array<string>} texts - An array of strings to embed.
+ * @returns {Promise<Array<Array<number>>>} One embedding per text.
+ */
+async function embed(texts) {
+    if (!openai) {
+        openai = new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY,
+            maxRetries: 3,
+        });
+    }
+
+    console.log(`[LLM] Embedding ${texts.length} texts with ${OPENAI_EMBEDDING_MODEL}`);
+    const response = await openai.embeddings.create({
+        model: OPENAI_EMBEDDING_MODEL,
+        input: texts
+    });
+    // Results carry their input index; don't rely on the response order
+    return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+}
+
+module.exports = {
+    name: 'openai',
+    model: OPENAI_EMBEDDING_MODEL,
+    maxBatchSize: 256,
+    embed
+};
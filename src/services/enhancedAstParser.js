@@ -2,6 +2,7 @@ const parser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
 const fs = require('fs').promises;
 const path = require('path');
+const { assignChunkIds } = require('../utils/chunkId');
 
 /**
  * Enhanced AST-based code chunking
@@ -30,7 +31,8 @@ class EnhancedAstParser {
     }
 
     /**
-     * Extracts imports and their relationships
+     * Extracts imports and their relationships: import declarations, re-exports (`export ... from`),
+     * `require()` calls and dynamic `import()`
      * @param {Object} ast - The parsed AST
      * @returns {Array} Import information
      */
@@ -46,6 +48,42 @@ class EnhancedAstParser {
                         imported: spec.imported ? spec.imported.name : null
                     }))
                 });
+            },
+            'ExportNamedDeclaration|ExportAllDeclaration'(path) {
+                if (path.node.source) {
+                    imports.push({
+                        source: path.node.source.value,
+                        specifiers: (path.node.specifiers || []).map(spec => ({
+                            type: spec.type,
+                            local: spec.exported.name,
+                            imported: spec.local ? spec.local.name : null
+                        }))
+                    });
+                }
+            },
+            CallExpression(path) {
+                const { callee, arguments: args } = path.node;
+                const isRequire = callee.type === 'Identifier' && callee.name === 'require';
+                if ((!isRequire && callee.type !== 'Import') || !args[0] || args[0].type !== 'StringLiteral') {
+                    return;
+                }
+
+                // `const { a, b: c } = require('x')` names what it takes; other forms take the whole module
+                const declarator = path.parent.type === 'VariableDeclarator' ? path.parent : null;
+                let specifiers = [];
+                if (declarator && declarator.id.type === 'ObjectPattern') {
+                    specifiers = declarator.id.properties
+                        .filter(property => property.type === 'ObjectProperty' && property.value.type === 'Identifier')
+                        .map(property => ({
+                            type: 'RequireSpecifier',
+                            local: property.value.name,
+                            imported: property.key.name || property.key.value
+                        }));
+                } else if (declarator && declarator.id.type === 'Identifier') {
+                    specifiers = [{ type: 'RequireDefaultSpecifier', local: declarator.id.name, imported: null }];
+                }
+
+                imports.push({ source: args[0].value, specifiers, dynamic: !isRequire });
             }
         });
         return imports;
@@ -126,7 +164,6 @@ class EnhancedAstParser {
         const content = code.slice(start, end);
 
         const chunk = {
-            id: `${filePath}:${start}-${end}`,
             content,
             metadata: {
                 file_path: filePath,
@@ -147,16 +184,28 @@ class EnhancedAstParser {
         return chunk;
     }
 
+    /**
+     * Works out the symbol path used for a chunk's ID, e.g. `FunctionDeclaration:handler`
+     * @param {Object} node - AST node
+     * @returns {string} Symbol path
+     */
+    getSymbolPath(node) {
+        const idNode = node.id || (node.declarations && node.declarations[0].id);
+        return `${node.type}:${idNode && idNode.name ? idNode.name : 'anonymous'}`;
+    }
+
     /**
      * Parses a file and extracts enhanced code chunks
      * @param {string} filePath - Path to the file
+     * @param {string} [relativePath] - Repository-relative path stored in metadata and used for IDs (defaults to filePath)
      * @returns {Promise<Array>} Array of code chunks with metadata
      */
-    async parseFile(filePath) {
+    async parseFile(filePath, relativePath = filePath) {
         try {
             const code = await fs.readFile(filePath, 'utf-8');
             const ast = parser.parse(code, this.parseOptions);
             const chunks = [];
+            const symbolPaths = new Map();
             const imports = this.extractImports(ast);
 
             traverse(ast, {
@@ -168,14 +217,16 @@ class EnhancedAstParser {
                          path.node.declarations[0].init &&
                          path.node.declarations[0].init.type === 'ArrowFunctionExpression')
                     ) {
-                        const chunk = this.createChunk(path.node, code, filePath);
+                        const chunk = this.createChunk(path.node, code, relativePath);
                         chunk.metadata.imports = imports;
+                        symbolPaths.set(chunk, this.getSymbolPath(path.node));
                         chunks.push(chunk);
                     }
                 }
             });
 
-            return chunks;
+            // Same content-addressed IDs as languageParser, instead of character offsets that shift on every edit
+            return assignChunkIds(chunks, chunk => symbolPaths.get(chunk));
         } catch (error) {
             console.error(`Error parsing file ${filePath}:`, error);
             return [];
@@ -0,0 +1,173 @@
+// src/services/fileFilterService.js
+const fs = require('fs-extra');
+const path = require('path');
+const ignore = require('ignore');
+const picomatch = require('picomatch');
+
+const MAX_FILE_SIZE_KB = parseInt(process.env.MAX_FILE_SIZE_KB, 10) || 500;
+
+// Dependencies, build output and tooling directories that never hold the project's own code.
+// gitignore syntax, so a project can re-include one with a negated exclude pattern (e.g. `!build/`).
+const DEFAULT_EXCLUDES = [
+    '.git/', 'node_modules/', 'bower_components/', 'jspm_packages/', 'vendor/', 'third_party/',
+    'dist/', 'build/', 'out/', 'target/', 'coverage/', '.next/', '.nuxt/',
+    '__pycache__/', '.venv/', 'venv/', '.tox/',
+    '*.min.js', '*.min.mjs', '*.bundle.js'
+];
+
+// File names produced by code generators (protobuf, gRPC, designers)
+const GENERATED_FILE_PATTERNS = [
+    '*.pb.go', '*_pb2.py', '*_pb2_grpc.py', '*_pb.js', '*_pb.d.ts', '*_grpc_pb.js',
+    '*.g.cs', '*.designer.cs', '*.generated.*', '*.gen.go'
+];
+
+// Markers code generators put in a file's header comment, matched against whole comment lines
+const GENERATED_MARKERS = [
+    /^@generated\b/, // Facebook/Meta tooling
+    /^Code generated .* DO NOT EDIT\.$/, // Go convention (golang.org/s/generatedcode)
+    /^<auto-generated\b/ // .NET tooling
+];
+const COMMENT_LINE = /^(\/\/|\/\*|\*|#|--|;|<!--)/;
+const SNIFF_BYTES = 64 * 1024; // How much of a file the content heuristics look at
+const MAX_AVERAGE_LINE_LENGTH = 250;
+const MAX_LINE_LENGTH = 5000;
+
+/**
+ * Converts a path inside the scanned directory to a relative path with forward slashes, as gitignore rules expect.
+ * @param {string} root - The scanned directory.
+ * @param {string} filePath - A path inside it.
+ * @returns {string} The relative path.
+ */
+function toRelativePath(root, filePath) {
+    return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Reads the comment lines a file starts with, after any blank lines and shebang, without their comment markers.
+ * @param {string} text - The start of the file.
+ * @returns {Array<string>} The header's lines, trimmed.
+ */
+function readHeaderComment(text) {
+    const header = [];
+    let inBlock = false;
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+        if (!inBlock && header.length === 0 && (line === '' || line.startsWith('#!'))) continue;
+        if (!inBlock && !COMMENT_LINE.test(line)) break;
+
+        if (!inBlock && (line.startsWith('/*') || line.startsWith('<!--'))) inBlock = true;
+        if (inBlock && (line.endsWith('*/') || line.endsWith('-->'))) inBlock = false;
+
+        header.push(line
+            .replace(/^(\/\/+|\/\*+|\*+|#+|--|;+|<!--)\s*/, '')
+            .replace(/\s*(\*\/|-->)$/, ''));
+    }
+    return header;
+}
+
+/**
+ * Looks at the start of a file for signs that it is not hand-written source.
+ * @param {string} filePath - The file to inspect.
+ * @returns {Promise<string|null>} 'binary', 'generated' or 'minified', or null if it looks like source code.
+ */
+async function detectNonSourceContent(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    let sample;
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const { bytesRead } = await fs.read(handle, buffer, 0, SNIFF_BYTES, 0);
+        sample = buffer.subarray(0, bytesRead);
+    } finally {
+        await fs.close(handle);
+    }
+
+    if (sample.subarray(0, 8000).includes(0)) {
+        return 'binary'; // Text files don't contain NUL bytes (same check git uses)
+    }
+
+    const text = sample.toString('utf8');
+    const header = readHeaderComment(text);
+    if (header.some(line => GENERATED_MARKERS.some(marker => marker.test(line)))) {
+        return 'generated'; // "// Code generated by protoc-gen-go. DO NOT EDIT." and the like
+    }
+
+    const lines = text.split('\n');
+    const averageLineLength = text.length / lines.length;
+    if (averageLineLength > MAX_AVERAGE_LINE_LENGTH || lines.some(line => line.length > MAX_LINE_LENGTH)) {
+        return 'minified';
+    }
+
+    return null;
+}
+
+/**
+ * Builds the filter that decides which files of a checkout are ingested.
+ * @param {string} root - The directory being scanned.
+ * @param {Object} [options] - Per-project scan settings (see Project#getScanOptions).
+ * @param {Array<string>} [options.includePatterns] - Globs; when non-empty, only matching files are kept.
+ * @param {Array<string>} [options.excludePatterns] - gitignore-style patterns, applied after the built-in excludes.
+ * @param {number} [options.maxFileSizeKb] - Size limit per file (defaults to MAX_FILE_SIZE_KB).
+ * @param {boolean} [options.respectGitignore=true] - Whether to honor the repository's .gitignore files.
+ * @returns {Object} Filter with `loadGitignore(dir)`, `isIgnoredDirectory(dir)` and `getSkipReason(filePath, size)`.
+ */
+function createFileFilter(root, options = {}) {
+    const {
+        includePatterns = [],
+        excludePatterns = [],
+        maxFileSizeKb = MAX_FILE_SIZE_KB,
+        respectGitignore = true
+    } = options;
+
+    const excludes = ignore().add(DEFAULT_EXCLUDES).add(excludePatterns);
+    const generated = ignore().add(GENERATED_FILE_PATTERNS);
+    const isIncluded = includePatterns.length > 0 ? picomatch(includePatterns, { dot: true }) : () => true;
+    const maxFileSize = (maxFileSizeKb || MAX_FILE_SIZE_KB) * 1024;
+    const gitignores = []; // { dir, rules } for every .gitignore found so far; rules are relative to dir
+
+    // A .gitignore applies to everything below its directory
+    const isGitignored = (filePath, isDirectory) => gitignores.some(({ dir, rules }) => {
+        if (dir !== root && !filePath.startsWith(dir + path.sep)) return false;
+        const relativePath = toRelativePath(dir, filePath);
+        return rules.ignores(isDirectory ? `${relativePath}/` : relativePath);
+    });
+
+    return {
+        /**
+         * Reads a directory's .gitignore, if any. Call before scanning the directory's entries.
+         */
+        async loadGitignore(dir) {
+            if (!respectGitignore) return;
+            const gitignorePath = path.join(dir, '.gitignore');
+            if (await fs.pathExists(gitignorePath)) {
+                gitignores.push({ dir, rules: ignore().add(await fs.readFile(gitignorePath, 'utf8')) });
+            }
+        },
+
+        /**
+         * Whether a directory is skipped entirely (so huge trees like node_modules are never walked).
+         */
+        isIgnoredDirectory(dir) {
+            return excludes.ignores(`${toRelativePath(root, dir)}/`) || isGitignored(dir, true);
+        },
+
+        /**
+         * Works out why a file should be skipped.
+         * @returns {Promise<string|null>} 'excluded', 'gitignored', 'not_included', 'too_large', 'binary',
+         *   'generated' or 'minified'; null if the file should be ingested.
+         */
+        async getSkipReason(filePath, size) {
+            const relativePath = toRelativePath(root, filePath);
+            if (excludes.ignores(relativePath)) return 'excluded';
+            if (isGitignored(filePath, false)) return 'gitignored';
+            if (!isIncluded(relativePath)) return 'not_included';
+            if (size > maxFileSize) return 'too_large';
+            if (generated.ignores(relativePath)) return 'generated';
+            return detectNonSourceContent(filePath);
+        }
+    };
+}
+
+module.exports = {
+    MAX_FILE_SIZE_KB,
+    createFileFilter
+};
@@ -1,47 +1,158 @@
 // src/services/gitService.js
+const crypto = require('crypto');
 const simpleGit = require('simple-git');
 const fs = require('fs-extra');
 const path = require('path');
+const { redactSecrets } = require('../utils/secretCrypto');
+const { getSupportedExtensions } = require('./languages');
+const { createFileFilter } = require('./fileFilterService');
 
 const TEMP_REPOS_DIR = './temp_repos'; // Directory to store cloned repos
 
+// Username each provider expects alongside an access token for HTTPS basic auth
+const TOKEN_USERNAMES = {
+    github: 'x-access-token',
+    gitlab: 'oauth2',
+    bitbucket: 'x-token-auth'
+};
+
 /**
- * Clones a GitHub repository.
- * @param {string} repoUrl - The GitHub repository URL.
- * @param {string} projectId - Unique ID for the project (used for local directory name).
+ * Builds the git config and the values to scrub for authenticated requests.
+ * The token is sent as an HTTP header via `-c http.extraHeader`, so it never ends up in the
+ * clone URL, the remote configuration or git's own error output.
+ * Only applies to HTTPS remotes; SSH remotes use the server's SSH keys.
+ * @param {string} [accessToken] - Personal access token for private repositories.
+ * @param {string} [provider] - The repository provider, which decides the basic auth username.
+ * @returns {{config: Array<string>, secrets: Array<string>}} simple-git config entries and secrets to redact.
+ */
+function getAuthOptions(accessToken, provider) {
+    if (!accessToken) {
+        return { config: [], secrets: [] };
+    }
+    const username = TOKEN_USERNAMES[provider] || 'git';
+    const credentials = Buffer.from(`${username}:${accessToken}`).toString('base64');
+    return {
+        config: [`http.extraHeader=Authorization: Basic ${credentials}`],
+        secrets: [accessToken, credentials]
+    };
+}
+
+/**
+ * Clones a git repository from any host (HTTPS, SSH or a local file:// path).
+ * @param {string} repoUrl - The repository URL.
+ * @param {string} projectLocalPath - The directory to clone into, see createCheckoutPath.
  * @param {string} branch - The branch to clone (default 'main').
+ * @param {Object} [options={}] - Clone options.
+ * @param {string} [options.accessToken] - Token for cloning private repositories.
+ * @param {string} [options.provider] - The repository provider (see utils/repositoryUrl).
  * @returns {Promise<string>} The local path where the repository was cloned.
- * @throws {Error} If cloning fails.
+ * @throws {Error} If cloning fails. The message never contains the access token.
  */
-async function cloneRepository(repoUrl, projectId, branch = 'main') {
-    const projectLocalPath = path.join(TEMP_REPOS_DIR, projectId);
-
+async function cloneRepository(repoUrl, projectLocalPath, branch = 'main', options = {}) {
     await fs.ensureDir(projectLocalPath); // Ensure the temporary directory exists
 
-    const git = simpleGit();
+    const { config, secrets } = getAuthOptions(options.accessToken, options.provider);
+    const git = simpleGit({ config });
+    const safeRepoUrl = redactSecrets(repoUrl, secrets);
 
-    console.log(`Cloning ${repoUrl} (branch: ${branch}) to ${projectLocalPath}...`);
+    console.log(`Cloning ${safeRepoUrl} (branch: ${branch}) to ${projectLocalPath}...`);
     try {
-        await git.clone(repoUrl, projectLocalPath, ['--branch', branch, '--single-branch', '--depth', '1']);
+        // --no-local makes file:// and plain-path clones honour --depth like remote ones
+        await git.clone(repoUrl, projectLocalPath, ['--branch', branch, '--single-branch', '--depth', '1', '--no-local']);
         console.log(`Repository cloned to: ${projectLocalPath}`);
         return projectLocalPath;
     } catch (error) {
-        console.error(`Failed to clone repository ${repoUrl}:`, error.message);
-        throw new Error(`Git clone failed for ${repoUrl}: ${error.message}`);
+        const safeMessage = redactSecrets(error.message, secrets);
+        console.error(`Failed to clone repository ${safeRepoUrl}:`, safeMessage);
+        throw new Error(`Git clone failed for ${safeRepoUrl}: ${safeMessage}`);
     }
 }
 
 /**
- * Cleans up a cloned repository.
- * @param {string} projectId - The project ID associated with the cloned repo.
+ * Returns a new working directory for one checkout of a project's source. Every job gets its own,
+ * so jobs of the same project never clone into or clean up each other's directory.
+ * @param {string} projectId - The project ID.
+ * @returns {string} The directory path, under the project's directory in TEMP_REPOS_DIR.
+ */
+function createCheckoutPath(projectId) {
+    return path.join(TEMP_REPOS_DIR, projectId, crypto.randomUUID());
+}
+
+/**
+ * Returns the commit SHA currently checked out in a local repository.
+ * @param {string} localRepoPath - Path to the cloned repository.
+ * @returns {Promise<string>} The HEAD commit SHA.
  */
-async function cleanupRepository(projectId) {
-    const projectLocalPath = path.join(TEMP_REPOS_DIR, projectId);
+async function getHeadCommit(localRepoPath) {
+    const git = simpleGit(localRepoPath);
+    return (await git.revparse(['HEAD'])).trim();
+}
+
+/**
+ * Makes a specific commit available in a shallow clone so it can be diffed against.
+ * @param {string} localRepoPath - Path to the cloned repository.
+ * @param {string} commitSha - The commit to fetch.
+ * @param {Object} [options={}] - Fetch options.
+ * @param {string} [options.accessToken] - Token for private repositories.
+ * @param {string} [options.provider] - The repository provider.
+ * @returns {Promise<boolean>} True if the commit is available, false if it could not be fetched
+ * (e.g. it was removed by a force push or the host does not allow fetching by SHA).
+ */
+async function fetchCommit(localRepoPath, commitSha, options = {}) {
+    const { config, secrets } = getAuthOptions(options.accessToken, options.provider);
+    const git = simpleGit({ baseDir: localRepoPath, config });
+    try {
+        await git.fetch(['--depth', '1', 'origin', commitSha]);
+        return true;
+    } catch (error) {
+        console.warn(`Could not fetch commit ${commitSha}: ${redactSecrets(error.message, secrets)}`);
+        return false;
+    }
+}
+
+/**
+ * Lists files changed between two commits.
+ * Renames are reported as a deletion of the old path plus an addition of the new one.
+ * @param {string} localRepoPath - Path to the cloned repository.
+ * @param {string} fromSha - The base commit.
+ * @param {string} toSha - The target commit.
+ * @returns {Promise<{added: Array<string>, modified: Array<string>, deleted: Array<string>}>}
+ * Repository-relative paths (forward slashes) grouped by change type.
+ */
+async function getChangedFiles(localRepoPath, fromSha, toSha) {
+    const git = simpleGit(localRepoPath);
+    const output = await git.raw(['diff', '--name-status', '--no-renames', fromSha, toSha]);
+    const changes = { added: [], modified: [], deleted: [] };
+
+    for (const line of output.split('\n')) {
+        if (!line.trim()) continue;
+        const [status, filePath] = line.split('\t');
+        switch (status[0]) {
+            case 'A':
+                changes.added.push(filePath);
+                break;
+            case 'D':
+                changes.deleted.push(filePath);
+                break;
+            default: // M (modified), T (type change)
+                changes.modified.push(filePath);
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Cleans up a cloned repository, and the project's directory once no other checkout is in it.
+ * @param {string} projectLocalPath - The checkout's directory, from createCheckoutPath.
+ */
+async function cleanupRepository(projectLocalPath) {
     try {
         if (await fs.pathExists(projectLocalPath)) {
             await fs.remove(projectLocalPath);
             console.log(`Cleaned up temporary repository at: ${projectLocalPath}`);
         }
+        await fs.rmdir(path.dirname(projectLocalPath)).catch(() => {}); // Fails while other checkouts remain
     } catch (error) {
         console.error(`Error cleaning up repository ${projectLocalPath}:`, error.message);
         // Don't rethrow, cleanup should be best-effort
@@ -50,31 +161,56 @@ async function cleanupRepository(projectId) {
 
 /**
  * Scans a directory for supported code files.
+ * Skips dependency and build directories, anything the repository's .gitignore files ignore, the project's
+ * exclude patterns, files over the size limit, and binary, generated or minified files.
  * @param {string} directory - The directory to scan (e.g., cloned repo root).
+ * @param {Object} [options] - Per-project scan settings (see Project#getScanOptions and fileFilterService).
  * @returns {Promise<Array<string>>} An array of absolute file paths to supported code files.
  */
-async function scanCodeFiles(directory) {
+async function scanCodeFiles(directory, options = {}) {
     console.log(`Scanning directory: ${directory} for code files...`);
-    const supportedExtensions = new Set(['.js', '.jsx', '.ts', '.tsx', '.py', '.java']); // Matches languageParsers.js
-
-    const allFiles = await fs.readdir(directory, { withFileTypes: true, recursive: true });
+    const supportedExtensions = getSupportedExtensions(); // Every language registered in ./languages
+    const filter = createFileFilter(directory, options);
     const codeFiles = [];
+    const skipped = {};
 
-    for (const dirent of allFiles) {
-        const filePath = path.join(dirent.path, dirent.name);
-        if (dirent.isFile()) {
-            const ext = path.extname(filePath).toLowerCase();
-            if (supportedExtensions.has(ext)) {
-                codeFiles.push(filePath);
+    async function walk(dir) {
+        await filter.loadGitignore(dir);
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+
+        for (const dirent of entries) {
+            const filePath = path.join(dir, dirent.name);
+            if (dirent.isDirectory()) {
+                if (!filter.isIgnoredDirectory(filePath)) {
+                    await walk(filePath);
+                }
+            } else if (dirent.isFile() && supportedExtensions.has(path.extname(filePath).toLowerCase())) {
+                const { size } = await fs.stat(filePath);
+                const skipReason = await filter.getSkipReason(filePath, size);
+                if (skipReason) {
+                    skipped[skipReason] = (skipped[skipReason] || 0) + 1;
+                } else {
+                    codeFiles.push(filePath);
+                }
             }
         }
     }
+
+    await walk(directory);
+
     console.log(`Found ${codeFiles.length} supported code files.`);
+    if (Object.keys(skipped).length > 0) {
+        console.log(`Skipped code files: ${Object.entries(skipped).map(([reason, count]) => `${count} ${reason}`).join(', ')}`);
+    }
     return codeFiles;
 }
 
 module.exports = {
     cloneRepository,
     cleanupRepository,
-    scanCodeFiles
+    scanCodeFiles,
+    createCheckoutPath,
+    getHeadCommit,
+    fetchCommit,
+    getChangedFiles
 };
\ No newline at end of file
@@ -0,0 +1,146 @@
+// src/services/hybridSearchService.js
+const { OpenAI } = require('openai');
+const { queryCodeDB } = require('./vectorStoreService');
+const { searchLexical } = require('./lexicalIndexService');
+
+const openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+    maxRetries: 3,
+});
+
+const SEARCH_MODES = ['hybrid', 'vector', 'lexical'];
+const RRF_K = 60; // Reciprocal rank fusion constant; dampens the weight of the very top ranks
+const CANDIDATE_MULTIPLIER = 3; // Each ranking contributes this many candidates per requested result
+const RERANK_CANDIDATES = 20;
+const RERANK_SNIPPET_CHARS = 600;
+
+/**
+ * Flattens a queryCodeDB result into a ranked list of chunks.
+ * @param {Object} results - queryCodeDB result (arrays nested per query).
+ * @returns {Array<{id: string, content: string, metadata: Object, distance: number}>} Chunks, nearest first.
+ */
+function flattenVectorResults(results) {
+    const ids = results.ids?.[0] || [];
+    return ids.map((id, i) => ({
+        id,
+        content: results.documents?.[0]?.[i],
+        metadata: results.metadatas?.[0]?.[i] || {},
+        distance: results.distances?.[0]?.[i]
+    }));
+}
+
+/**
+ * Merges rankings with reciprocal rank fusion: each chunk scores the sum of 1 / (RRF_K + rank)
+ * over the rankings it appears in, so chunks found by both keyword and vector search rise to the top.
+ * @param {Object<string, Array<Object>>} rankings - Ranked results per source (e.g. `{ vector, lexical }`).
+ * @returns {Array<Object>} Fused results, best first, with `score` and the rank per source.
+ */
+function fuseRankings(rankings) {
+    const fused = new Map();
+    for (const [source, results] of Object.entries(rankings)) {
+        results.forEach((result, i) => {
+            const entry = fused.get(result.id) || { ...result, score: 0, ranks: {} };
+            entry.score += 1 / (RRF_K + i + 1);
+            entry.ranks[source] = i + 1;
+            if (result.distance !== undefined) entry.distance = result.distance;
+            fused.set(result.id, entry);
+        });
+    }
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Reorders the top results by asking the LLM which snippets best answer the query.
+ * Falls back to the given order if the LLM call fails or returns something unusable.
+ * @param {string} queryText - The search query.
+ * @param {Array<Object>} results - Results to rerank, best first.
+ * @returns {Promise<Array<Object>>} The results, reranked.
+ */
+async function rerankResults(queryText, results) {
+    const candidates = results.slice(0, RERANK_CANDIDATES);
+    if (candidates.length < 2) {
+        return results;
+    }
+
+    const snippets = candidates.map((result, i) =>
+        `[${i}] ${result.metadata.file_path || 'Unknown file'}${result.metadata.name ? ` (${result.metadata.name})` : ''}\n` +
+        (result.content || '').substring(0, RERANK_SNIPPET_CHARS)
+    ).join('\n\n');
+
+    try {
+        console.log(`[LLM] Reranking ${candidates.length} search results`);
+        const completion = await openai.chat.completions.create({
+            model: "gpt-3.5-turbo-16k",
+            messages: [
+                {
+                    role: "system",
+                    content: `You rank code search results. Return JSON of the form {"ranking": [indexes]} listing the snippet indexes from most to least relevant to the query. Put snippets that define or directly match the searched symbol first.`
+                },
+                {
+                    role: "user",
+                    content: `Query: ${queryText}\n\nSnippets:\n${snippets}`
+                }
+            ],
+            temperature: 0,
+            response_format: { type: "json_object" }
+        });
+
+        const { ranking } = JSON.parse(completion.choices[0].message.content.trim());
+        const order = [...new Set((Array.isArray(ranking) ? ranking : [])
+            .map(Number)
+            .filter(i => Number.isInteger(i) && i >= 0 && i < candidates.length))];
+        // Snippets the LLM left out keep their fused order after the ranked ones
+        candidates.forEach((result, i) => {
+            if (!order.includes(i)) order.push(i);
+        });
+        return [...order.map(i => candidates[i]), ...results.slice(candidates.length)];
+    } catch (error) {
+        console.error('Reranking failed, keeping fused order:', error.message);
+        return results;
+    }
+}
+
+/**
+ * Searches a project's code with keyword (BM25) and/or vector search.
+ * In hybrid mode both rankings are merged with reciprocal rank fusion.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} queryText - The search query.
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Number of results to return.
+ * @param {Object} [options.filters={}] - Metadata values that must match exactly (language, type, name).
+ * @param {Function} [options.postFilter] - Predicate applied to candidates before the limit (e.g. a path prefix).
+ * @param {number} [options.candidateCount] - Candidates to fetch per ranking; defaults to a multiple of the limit.
+ * @param {string} [options.mode='hybrid'] - 'hybrid', 'vector' or 'lexical'.
+ * @param {boolean} [options.rerank=false] - Whether to rerank the top results with the LLM.
+ * @returns {Promise<Array<Object>>} Results (`id`, `content`, `metadata`, `score`, `ranks`), best first.
+ */
+async function hybridSearch(projectId, queryText, {
+    limit = 10,
+    filters = {},
+    postFilter = () => true,
+    candidateCount = limit * CANDIDATE_MULTIPLIER,
+    mode = 'hybrid',
+    rerank = false
+} = {}) {
+    const rankings = {};
+    if (mode !== 'lexical') {
+        const vectorResults = await queryCodeDB(queryText, projectId, candidateCount, filters);
+        rankings.vector = flattenVectorResults(vectorResults).filter(postFilter);
+    }
+    if (mode !== 'vector') {
+        const lexicalResults = await searchLexical(projectId, queryText, { limit: candidateCount, filters });
+        rankings.lexical = lexicalResults.map(({ score, ...result }) => result).filter(postFilter);
+    }
+
+    let results = fuseRankings(rankings);
+    if (rerank) {
+        results = await rerankResults(queryText, results);
+    }
+    return results.slice(0, limit);
+}
+
+module.exports = {
+    SEARCH_MODES,
+    hybridSearch,
+    fuseRankings
+};
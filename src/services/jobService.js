@@ -0,0 +1,92 @@
+// src/services/jobService.js
+const { QUEUE_NAMES, getQueue } = require('../config/queue');
+
+/**
+ * Builds the job ID exposed to clients. Bull job IDs are only unique per queue,
+ * so the queue name is prefixed to make them unique across queues.
+ * @param {Object} job - The Bull job.
+ * @returns {string} The public job ID, e.g. `ingestion:42`.
+ */
+function toPublicJobId(job) {
+    return `${job.queue.name}:${job.id}`;
+}
+
+/**
+ * Enqueues (re-)ingestion of a project.
+ * @param {string} projectId - The project to ingest.
+ * @param {string} userId - The user who requested the ingestion.
+ * @param {Object} [options={}] - Extra job data (e.g. `trigger`).
+ * @returns {Promise<string>} The public job ID.
+ */
+async function enqueueIngestion(projectId, userId, options = {}) {
+    const job = await getQueue(QUEUE_NAMES.INGESTION).add({
+        projectId,
+        userId: userId ? userId.toString() : null,
+        ...options
+    });
+    console.log(`Enqueued ingestion job ${job.id} for project ${projectId}`);
+    return toPublicJobId(job);
+}
+
+/**
+ * Enqueues documentation generation for a project.
+ * @param {string} projectId - The project to document.
+ * @param {string} userId - The user who requested the documentation.
+ * @param {Object} [options={}] - Extra job data.
+ * @returns {Promise<string>} The public job ID.
+ */
+async function enqueueDocumentation(projectId, userId, options = {}) {
+    const job = await getQueue(QUEUE_NAMES.DOCUMENTATION).add({
+        projectId,
+        userId: userId ? userId.toString() : null,
+        ...options
+    });
+    console.log(`Enqueued documentation job ${job.id} for project ${projectId}`);
+    return toPublicJobId(job);
+}
+
+/**
+ * Looks up a job by its public ID.
+ * @param {string} publicJobId - The ID returned by enqueueIngestion/enqueueDocumentation.
+ * @returns {Promise<Object|null>} The Bull job, or null if the ID is malformed or unknown.
+ */
+async function findJob(publicJobId) {
+    const separatorIndex = publicJobId.indexOf(':');
+    if (separatorIndex === -1) return null;
+
+    const queueName = publicJobId.substring(0, separatorIndex);
+    const jobId = publicJobId.substring(separatorIndex + 1);
+    if (!Object.values(QUEUE_NAMES).includes(queueName) || !jobId) return null;
+
+    return getQueue(queueName).getJob(jobId);
+}
+
+/**
+ * Summarizes a job's state for API responses.
+ * @param {Object} job - The Bull job.
+ * @returns {Promise<Object>} Job status, progress, result and failure details.
+ */
+async function describeJob(job) {
+    const state = await job.getState();
+    return {
+        jobId: toPublicJobId(job),
+        type: job.queue.name,
+        projectId: job.data.projectId,
+        state,
+        progress: job.progress(),
+        attemptsMade: job.attemptsMade,
+        maxAttempts: job.opts.attempts,
+        result: job.returnvalue ?? null,
+        failedReason: job.failedReason ?? null,
+        createdAt: new Date(job.timestamp),
+        processedAt: job.processedOn ? new Date(job.processedOn) : null,
+        finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+    };
+}
+
+module.exports = {
+    enqueueIngestion,
+    enqueueDocumentation,
+    findJob,
+    describeJob
+};
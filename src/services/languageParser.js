@@ -1,210 +1,337 @@
 // src/languageParsers.js
 const Parser = require('tree-sitter');
-const JavaScript = require('tree-sitter-javascript');
-const Python = require('tree-sitter-python');
-const Java = require('tree-sitter-java');
 const fs = require('fs');
-const path = require('path');
-
-// Map file extensions to language parsers and names
-const languageMap = {
-    '.js': { parser: JavaScript, name: 'javascript' },
-    '.jsx': { parser: JavaScript, name: 'javascript' }, // JSX is typically parsed by JS parser with plugins
-    '.ts': { parser: JavaScript, name: 'typescript' },   // TypeScript is often parsed by JS parser
-    '.tsx': { parser: JavaScript, name: 'typescript' }, // TSX is parsed similarly
-    '.py': { parser: Python, name: 'python' },
-    '.java': { parser: Java, name: 'java' },
-    
-};
+const { getLanguageForFile, getGrammar } = require('./languages');
+const { splitChunk } = require('./chunkSplitter');
+const { assignChunkIds } = require('../utils/chunkId');
+
+const parserCache = new Map(); // Cache parsers per grammar for efficiency
 
-const parserCache = {}; // Cache parsers for efficiency
+// Leaf nodes naming something (identifier, type_identifier, Ruby constant, PHP name, ...), collected as references
+const IDENTIFIER_NODE_TYPE = /(^|_)identifier(_pattern)?$|^constant$|^name$/;
+const MAX_SIGNATURE_LENGTH = 300;
+// Chunk names that don't name a symbol, besides patterns such as `{ a, b }`
+const UNNAMED_SYMBOLS = new Set(['anonymous', 'import', 'export']);
+const isSymbolName = (name) => !UNNAMED_SYMBOLS.has(name) && !/[\s{}()[\],]/.test(name);
 
 /**
  * Determines the language based on file extension and returns the appropriate tree-sitter parser.
+ * Languages are declared in ./languages; see the registry there to add one.
  * @param {string} filePath - The path to the file.
- * @returns {{parser: Parser, langName: string} | null} The parser instance and language name, or null if not supported.
+ * @returns {{parser: Parser, language: Object} | null} The parser instance and language definition, or null if not supported.
  */
 function getLanguageParser(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
-    const langInfo = languageMap[ext];
-
-    if (!langInfo) {
-        // console.warn(`Unsupported file extension: ${ext} for ${filePath}`);
+    const match = getLanguageForFile(filePath);
+    if (!match) {
         return null;
     }
 
-    if (!parserCache[langInfo.name]) {
+    const grammar = getGrammar(match.language, match.extension);
+    if (!grammar) {
+        return null; // The grammar's native module failed to load
+    }
+
+    if (!parserCache.has(grammar)) {
         const parser = new Parser();
-        parser.setLanguage(langInfo.parser);
-        parserCache[langInfo.name] = parser;
+        parser.setLanguage(grammar);
+        parserCache.set(grammar, parser);
     }
-    return { parser: parserCache[langInfo.name], langName: langInfo.name };
+    return { parser: parserCache.get(grammar), language: match.language };
 }
 
 /**
- * Extracts meaningful code chunks from a file using an AST parser.
+ * Parses a file into its tree-sitter syntax tree, for analyses other than chunking (e.g. route extraction).
  * @param {string} filePath - The path to the code file.
- * @returns {Promise<Array<Object>>} A promise that resolves to an array of code chunks, each with content and rich metadata.
+ * @returns {{tree: Object, source: string, language: Object} | null} The tree, the file's source and its
+ *   language definition, or null if the language is not supported.
  */
-async function getCodeChunks(filePath) {
-    const fileContent = fs.readFileSync(filePath, 'utf8');
+function parseSyntaxTree(filePath) {
     const langParserInfo = getLanguageParser(filePath);
-
     if (!langParserInfo) {
-        return []; // Skip unsupported files
+        return null;
+    }
+
+    const source = fs.readFileSync(filePath, 'utf8');
+    // node-tree-sitter rejects inputs larger than its read buffer (32 KB by default), so size it to the file
+    const tree = langParserInfo.parser.parse(source, null, { bufferSize: Math.max(32 * 1024, source.length + 1) });
+    return { tree, source, language: langParserInfo.language };
+}
+
+/**
+ * Parses a code file into chunks for embedding and into its symbols.
+ * Containers (classes, impls, modules) produce a summary chunk with member bodies elided, and each
+ * member gets its own chunk whose `parent` metadata names the container (dotted when nested).
+ * Chunks over the token budget are split into overlapping parts (see chunkSplitter).
+ * Chunk IDs are content-addressed (see utils/chunkId), so unchanged code keeps its ID across ingestions.
+ * Every named chunk is also a symbol definition; references are the identifiers used anywhere in the file.
+ * Imports are the module specifiers found by the language's `importTypes`, unresolved.
+ * @param {string} filePath - The path to the code file.
+ * @param {Object} [options] - Parsing options.
+ * @param {string} [options.relativePath] - Repository-relative path stored in metadata and used for IDs (defaults to filePath).
+ * @returns {Promise<{language: string|null, chunks: Array<Object>, definitions: Array<Object>,
+ *   references: Map<string, Array<number>>, imports: Array<{source: string, line: number}>}>}
+ *   The language; the chunks; the definitions (name, kind, parent, lines, signature and the ID of their first chunk);
+ *   the lines on which each identifier occurs; and the imported modules. All empty for unsupported files.
+ */
+async function parseCodeFile(filePath, { relativePath = filePath } = {}) {
+    const parsedFile = parseSyntaxTree(filePath);
+
+    if (!parsedFile) {
+        return { language: null, chunks: [], definitions: [], references: new Map(), imports: [] }; // Skip unsupported files
     }
 
-    const { parser, langName } = langParserInfo;
-    const tree = parser.parse(fileContent);
+    const { tree, source: fileContent, language } = parsedFile;
+    const langName = language.name;
     const chunks = [];
-    let chunkIdCounter = 0;
-
-    // --- Language-Specific Node Type Mappings for Chunking ---
-    // These are common top-level declarations that make good semantic chunks.
-    // Extend this as needed for more granular or specific chunking requirements.
-    const relevantNodeTypes = {
-        'javascript': new Set([
-            'function_declaration', // function foo() {}
-            'arrow_function',       // const foo = () => {}
-            'function',             // function expression
-            'class_declaration',    // class MyClass {}
-            'lexical_declaration',  // const/let/var, often for function expressions or important constants
-            'variable_declaration', // for `var` declarations
-            'export_statement',     // export ...
-            'import_statement',     // import ...
-        ]),
-        'typescript': new Set([ // TypeScript often shares JS structure but adds interfaces, types, etc.
-            'function_declaration',
-            'arrow_function',
-            'function',
-            'class_declaration',
-            'lexical_declaration',
-            'variable_declaration',
-            'export_statement',
-            'import_statement',
-            'interface_declaration', // interface MyInterface {}
-            'type_alias_declaration', // type MyType = {}
-            'enum_declaration',       // enum MyEnum {}
-        ]),
-        'python': new Set([
-            'function_definition',  // def my_func():
-            'class_definition',     // class MyClass:
-            'decorated_definition', // @decorator def my_func():
-            'import_statement',     // import module
-            'import_from_statement',// from module import name
-            'expression_statement', // Can capture top-level assignments/calls if desired, be careful
-        ]),
-        'java': new Set([
-            'class_declaration',    // class MyClass {}
-            'interface_declaration',// interface MyInterface {}
-            'enum_declaration',     // enum MyEnum {}
-            'method_declaration',   // public void myMethod() {}
-            'constructor_declaration',// public MyClass() {}
-            'import_declaration',   // import java.util.List;
-            'package_declaration',  // package com.example;
-            'field_declaration',    // private String myField; (for top-level fields)
-        ]),
-        // Add relevant node types for other languages
+    const definitions = [];
+    const chunkDefinitions = new Map(); // Chunk -> its definition, to link definitions to chunk IDs
+
+    // Helpers for the `describe` functions of language definitions
+    const context = {
+        text: (node) => fileContent.substring(node.startIndex, node.endIndex),
+        // A string literal's value, without its quotes (escapes are kept as written)
+        stringValue: (node) => context.text(node).replace(/^[^'"`]*(['"`])([\s\S]*)\1$/, '$2'),
+        nameOf: (node, field = 'name') => {
+            const nameNode = node && node.childForFieldName(field);
+            return nameNode ? fileContent.substring(nameNode.startIndex, nameNode.endIndex) : 'anonymous';
+        },
+        describe: (node) => {
+            const { specificType, ...described } = describeNode(node);
+            return { ...described, type: specificType };
+        }
     };
 
-    // A generic AST traversal function for common patterns
-    function traverseAndChunk(node) {
-        if (!node) return;
+    /**
+     * Collects decorators (TypeScript @Component(...), C#/PHP attributes), which are children
+     * of the decorated declaration or of the statement exporting it.
+     * @param {Object} node - The tree-sitter node.
+     * @returns {Array<string>} Decorator source texts.
+     */
+    function getDecorators(node) {
+        const decoratorTypes = language.decoratorTypes || [];
+        return node.children
+            .filter(child => decoratorTypes.includes(child.type))
+            .map(child => context.text(child));
+    }
 
-        // Check if this node type is relevant for the current language
-        if (relevantNodeTypes[langName]?.has(node.type)) {
-            const chunkContent = fileContent.substring(node.startIndex, node.endIndex);
-
-            // Basic attempt to get a name for the chunk
-            let name = 'anonymous';
-            let specificType = node.type; // Default to AST node type
-
-            // More specific naming based on common node patterns
-            if (node.type === 'function_declaration' || node.type === 'function_definition' || node.type === 'method_declaration') {
-                const identifierNode = node.childForFieldName('name') || node.childForFieldName('id');
-                if (identifierNode) {
-                    name = fileContent.substring(identifierNode.startIndex, identifierNode.endIndex);
-                }
-                specificType = 'function';
-            } else if (node.type === 'class_declaration' || node.type === 'class_definition' || node.type === 'interface_declaration' || node.type === 'enum_declaration') {
-                const identifierNode = node.childForFieldName('name') || node.childForFieldName('id');
-                if (identifierNode) {
-                    name = fileContent.substring(identifierNode.startIndex, identifierNode.endIndex);
-                }
-                specificType = node.type.replace(/_declaration|_definition/, ''); // e.g., 'class', 'interface'
-            } else if (node.type === 'lexical_declaration' || node.type === 'variable_declaration') {
-                // For variable declarations, check if it's a function expression
-                const declaratorNode = node.children.find(child => child.type === 'variable_declarator');
-                if (declaratorNode) {
-                    const idNode = declaratorNode.childForFieldName('name');
-                    const valueNode = declaratorNode.childForFieldName('value');
-                    if (idNode) {
-                        name = fileContent.substring(idNode.startIndex, idNode.endIndex);
-                    }
-                    if (valueNode && (valueNode.type === 'arrow_function' || valueNode.type === 'function')) {
-                        specificType = 'function_expression';
-                    } else {
-                        specificType = 'variable';
-                    }
-                }
-            } else if (node.type === 'export_statement' || node.type === 'import_statement' || node.type === 'import_from_statement') {
-                specificType = node.type.replace(/_statement/, ''); // e.g., 'export', 'import'
-                name = specificType; // Name it by its type for simplicity
-            } else if (node.type === 'field_declaration') { // Java field
-                 const varDeclaratorNode = node.childForFieldName('declarator'); // Assuming single declarator
-                 if (varDeclaratorNode) {
-                     const idNode = varDeclaratorNode.childForFieldName('name');
-                     if (idNode) {
-                         name = fileContent.substring(idNode.startIndex, idNode.endIndex);
-                     }
-                 }
-                 specificType = 'field';
-            } else if (node.type === 'package_declaration') {
-                 const nameNode = node.childForFieldName('name');
-                 if (nameNode) name = fileContent.substring(nameNode.startIndex, nameNode.endIndex);
-                 specificType = 'package';
-            }
+    /**
+     * Works out a readable name and type for a chunkable node from its language's node type mapping.
+     * @param {Object} node - The tree-sitter node.
+     * @returns {{name: string, specificType: string, extra: Object, container: boolean, target: Object}} Name,
+     *   friendly type, extra metadata, whether it holds members, and the node declaring them (e.g. the class of `export class`).
+     */
+    function describeNode(node) {
+        const mapping = language.nodeTypes[node.type];
+        let described;
 
+        if (mapping?.describe) {
+            described = mapping.describe(node, context);
+        } else if (mapping) {
+            described = {
+                name: mapping.name || context.nameOf(node, mapping.nameField),
+                type: mapping.type,
+                extra: mapping.extra
+            };
+        } else {
+            described = { name: 'anonymous', type: node.type }; // Default to AST node type
+        }
 
-            chunks.push({
-                id: `${langName}_${specificType}_${name}_${path.basename(filePath)}_${chunkIdCounter++}`,
-                content: chunkContent,
-                metadata: {
-                    file_path: filePath,
-                    language: langName,
-                    type: specificType, // More user-friendly type
-                    name: name,
-                    line_start: node.startPosition.row + 1, // tree-sitter is 0-indexed for rows
-                    line_end: node.endPosition.row + 1,
-                    // Add parent_type or other contextual info if beneficial for specific use cases
-                    // parent_type: node.parent?.type || 'root', // Might be useful but adds complexity
-                },
-            });
-
-            // IMPORTANT: If we chunked this node as a top-level unit, we prevent its children
-            // from being processed as separate top-level chunks to avoid redundancy.
-            // This assumes we want functions/classes as single chunks.
-            return;
+        const extra = { ...described.extra };
+        const decorators = [...getDecorators(node), extra.decorators].filter(Boolean);
+        if (decorators.length > 0) {
+            // Chroma metadata values must be scalars, so the list is stored as a string
+            extra.decorators = decorators.join(', ');
         }
 
-        // Recursively traverse children for other types of nodes that are not top-level chunks themselves
-        // but might contain relevant nested structures or simple statements.
-        // For very large chunk types (e.g., a massive function body), you might
-        // apply a secondary character-based splitter *here* before adding to chunks.
-        for (const child of node.children) {
-            traverseAndChunk(child);
+        return {
+            name: described.name,
+            specificType: described.type || node.type,
+            extra,
+            container: Boolean(mapping?.container || described.container),
+            target: described.target || node
+        };
+    }
+
+    /**
+     * Returns a declaration's signature: its source up to the body (or its first line), on one line.
+     */
+    function getSignature(node, description) {
+        const bodyNode = description.target.childForFieldName('body');
+        let end = bodyNode && bodyNode.startIndex > node.startIndex
+            ? bodyNode.startIndex
+            : fileContent.indexOf('\n', node.startIndex);
+        if (end === -1 || end > node.endIndex) end = node.endIndex;
+        return fileContent.substring(node.startIndex, end)
+            .replace(/\s+/g, ' ')
+            .replace(/\s*[{:]?\s*$/, '') // Drop the trailing `{` / `:` that opens the body
+            .substring(0, MAX_SIGNATURE_LENGTH);
+    }
+
+    /**
+     * Adds a chunk for a node; `content` defaults to the node's source.
+     * Named chunks are recorded as symbol definitions too.
+     */
+    function addChunk(node, description, parentPath, content = context.text(node), extraMetadata = {}) {
+        const { name, specificType, extra } = description;
+        const chunk = {
+            content,
+            metadata: {
+                file_path: relativePath,
+                language: langName,
+                type: specificType, // More user-friendly type
+                name: name,
+                line_start: node.startPosition.row + 1, // tree-sitter is 0-indexed for rows
+                line_end: node.endPosition.row + 1,
+                ...(parentPath && { parent: parentPath }), // Chroma rejects null metadata, so omit it at top level
+                ...extra,
+                ...extraMetadata,
+            },
+        };
+        chunks.push(chunk);
+
+        if (isSymbolName(name)) {
+            const definition = {
+                name,
+                kind: specificType,
+                parent: parentPath || null,
+                line_start: chunk.metadata.line_start,
+                line_end: chunk.metadata.line_end,
+                signature: getSignature(node, description),
+                exported: Boolean(extra.exported)
+            };
+            definitions.push(definition);
+            chunkDefinitions.set(chunk, definition);
         }
     }
 
+    /**
+     * Chunks a container: members first, then a summary of the container with their bodies elided,
+     * so a search for one method doesn't return (or embed) the whole class.
+     */
+    function chunkContainer(node, description, parentPath) {
+        const containerPath = parentPath ? `${parentPath}.${description.name}` : description.name;
+        const members = description.target.children.flatMap(child => traverseAndChunk(child, containerPath));
+
+        let content = '';
+        let cursor = node.startIndex;
+        for (const member of members) {
+            // Keep the signature (everything before the body); without a body field, keep the first line
+            const bodyNode = member.description.target.childForFieldName('body');
+            const lineEnd = fileContent.indexOf('\n', member.node.startIndex);
+            const signatureEnd = bodyNode ? bodyNode.startIndex : lineEnd;
+            if (signatureEnd === -1 || signatureEnd >= member.node.endIndex) {
+                continue; // Single-line member, nothing to elide
+            }
+            content += fileContent.substring(cursor, signatureEnd) + '...';
+            cursor = member.node.endIndex;
+        }
+        content += fileContent.substring(cursor, node.endIndex);
+
+        addChunk(node, description, parentPath, content, members.length > 0 ? { members: members.length } : {});
+    }
+
+    /**
+     * Walks the AST and chunks relevant nodes. Inside a container only members and nested containers
+     * are chunked; everything else (fields, properties, ...) stays in the container's summary.
+     * @param {Object} node - The tree-sitter node.
+     * @param {string|null} parentPath - Dotted name of the enclosing container, null at top level.
+     * @returns {Array<{node: Object, description: Object}>} The nodes chunked at this level.
+     */
+    function traverseAndChunk(node, parentPath = null) {
+        if (!node) return [];
+
+        // Check if this node type is relevant for the current language
+        // (named nodes only: keywords such as Ruby's `class` share their name with node types)
+        const mapping = node.isNamed ? language.nodeTypes[node.type] : null;
+        if (mapping && (!parentPath || mapping.member || mapping.container)) {
+            const description = describeNode(node);
+            if (description.container) {
+                chunkContainer(node, description, parentPath);
+            } else {
+                addChunk(node, description, parentPath);
+            }
+
+            // IMPORTANT: a chunked function is a single unit; its children are not chunked separately.
+            // Containers have already chunked their members above.
+            return [{ node, description }];
+        }
+
+        // Recursively traverse children for other types of nodes that are not chunks themselves
+        // but might contain relevant nested structures (e.g. classes inside a C# namespace).
+        return node.children.flatMap(child => traverseAndChunk(child, parentPath));
+    }
+
     // Start traversal from the root of the AST
     traverseAndChunk(tree.rootNode);
 
     // Optional: Sort chunks by line number for consistent ordering
     chunks.sort((a, b) => a.metadata.line_start - b.metadata.line_start);
 
+    // Split oversized functions and summaries so they fit the embedding input limit
+    const firstParts = new Map(); // Definition -> the chunk (or first part) holding it
+    const splitChunks = chunks.flatMap(chunk => {
+        const parts = splitChunk(chunk);
+        if (chunkDefinitions.has(chunk)) firstParts.set(chunkDefinitions.get(chunk), parts[0]);
+        return parts;
+    });
+
+    // e.g. `method:OrderService.create` or `function:main#part2`
+    assignChunkIds(splitChunks, ({ metadata }) => {
+        const symbolPath = [metadata.parent, metadata.name].filter(Boolean).join('.');
+        return `${metadata.type}:${symbolPath}${metadata.part ? `#part${metadata.part}` : ''}`;
+    });
+
+    // Identifier occurrences by name, one entry per line, and import specifiers in file order
+    const references = new Map();
+    const imports = [];
+    const importTypes = language.importTypes || {};
+    (function collectIdentifiers(node) {
+        const findImports = node.isNamed && importTypes[node.type];
+        if (findImports) {
+            const line = node.startPosition.row + 1;
+            for (const source of [findImports(node, context)].flat()) {
+                if (source && !imports.some(existing => existing.source === source)) {
+                    imports.push({ source, line });
+                }
+            }
+        }
+        if (node.childCount === 0) {
+            if (node.isNamed && IDENTIFIER_NODE_TYPE.test(node.type)) {
+                const name = context.text(node);
+                const line = node.startPosition.row + 1;
+                const lines = references.get(name) || [];
+                if (lines[lines.length - 1] !== line) lines.push(line);
+                references.set(name, lines);
+            }
+            return;
+        }
+        node.children.forEach(collectIdentifiers);
+    })(tree.rootNode);
+
+    for (const definition of definitions) {
+        definition.chunk_id = firstParts.get(definition)?.id || null;
+        // Where the name itself appears, so the definition isn't listed among its own references
+        definition.line = (references.get(definition.name) || [])
+            .find(line => line >= definition.line_start && line <= definition.line_end) || definition.line_start;
+    }
+
+    return { language: langName, chunks: splitChunks, definitions, references, imports };
+}
+
+/**
+ * Extracts meaningful code chunks from a file using an AST parser (see parseCodeFile).
+ * @param {string} filePath - The path to the code file.
+ * @param {Object} [options] - Parsing options.
+ * @param {string} [options.relativePath] - Repository-relative path stored in metadata and used for IDs (defaults to filePath).
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of code chunks, each with content and rich metadata.
+ */
+async function getCodeChunks(filePath, options = {}) {
+    const { chunks } = await parseCodeFile(filePath, options);
     return chunks;
 }
 
 module.exports = {
+    parseSyntaxTree,
+    parseCodeFile,
     getCodeChunks
-};
\ No newline at end of file
+};
@@ -0,0 +1,52 @@
+// src/services/languages/csharp.js
+
+const FRAMEWORK_NAMESPACES = new Set(['System', 'Microsoft', 'Windows']);
+
+/**
+ * Reads the namespace of `using A.B;`, `using static A.B.C;` and `using X = A.B;`.
+ */
+function findUsing(node, context) {
+    return context.text(node).replace(/^(global\s+)?using\s+(static\s+)?(\w+\s*=\s*)?|\s|;$/g, '');
+}
+
+/**
+ * Namespaces don't name files, but projects usually mirror them in folders below a root namespace
+ * (`MyApp.Services` in `Services/`). A using resolves to the files of the directory matching the
+ * longest trailing part of the namespace. The framework's own namespaces are always external.
+ */
+function resolveImport(specifier, resolver) {
+    const segments = specifier.split('.');
+    if (FRAMEWORK_NAMESPACES.has(segments[0])) {
+        return [];
+    }
+    for (let start = 0; start < segments.length; start++) {
+        const [dir] = resolver.findDirectoriesBySuffix(segments.slice(start).join('/'));
+        if (dir !== undefined) {
+            return resolver.filesInDirectory(dir).filter(file => file.endsWith('.cs'));
+        }
+    }
+    return [];
+}
+
+// Namespaces are not chunked themselves; traversal continues into them to find the types they declare
+module.exports = {
+    name: 'csharp',
+    extensions: ['.cs'],
+    loadGrammar: () => require('tree-sitter-c-sharp'),
+    decoratorTypes: ['attribute_list'], // [ApiController], [HttpGet("...")]
+    nodeTypes: {
+        class_declaration: { type: 'class', container: true },         // public class OrdersController {}
+        interface_declaration: { type: 'interface', container: true }, // interface IRepository {}
+        struct_declaration: { type: 'struct', container: true },       // struct Point {}
+        record_declaration: { type: 'record', container: true },       // record Order(int Id);
+        enum_declaration: { type: 'enum' },           // enum Status {}
+        delegate_declaration: { type: 'delegate' },   // delegate void Handler();
+        method_declaration: { type: 'method', member: true },           // public IActionResult Get() {}
+        constructor_declaration: { type: 'constructor', member: true }, // public OrdersController(...) {}
+        using_directive: { type: 'import', name: 'import' }, // using System.Linq;
+    },
+    importTypes: {
+        using_directive: findUsing,
+    },
+    resolveImport
+};
@@ -0,0 +1,72 @@
+// src/services/languages/go.js
+
+// `type X struct {}` and `type Y interface {}` are both type_declarations; name them by their spec
+const TYPE_KINDS = {
+    struct_type: 'struct',
+    interface_type: 'interface'
+};
+
+/**
+ * Describes a declaration by its first spec, e.g. `type Foo struct {}` or `const ( A = 1 ... )`.
+ */
+function describeBySpec(specType, fallbackType) {
+    return (node, context) => {
+        // Grouped declarations (`const ( ... )`) also list their specs as direct children
+        const specNode = node.children.find(child => child.type === specType);
+        if (!specNode) {
+            return { name: 'anonymous', type: fallbackType };
+        }
+
+        const typeNode = specNode.childForFieldName('type');
+        return {
+            name: context.nameOf(specNode),
+            type: (typeNode && TYPE_KINDS[typeNode.type]) || fallbackType
+        };
+    };
+}
+
+/**
+ * Resolves an import path to the package's directory: the longest trailing part of the path that is a
+ * directory in the repository (the module path from go.mod is not known). Standard library packages,
+ * whose first segment has no dot, are external. A package is all of its non-test files.
+ */
+function resolveImport(specifier, resolver) {
+    const segments = specifier.split('/');
+    if (specifier.startsWith('.')) {
+        const dir = resolver.join(resolver.fromDir, specifier);
+        return dir === null ? [] : packageFiles(dir, resolver);
+    }
+    if (!segments[0].includes('.')) {
+        return [];
+    }
+
+    for (let start = 1; start < segments.length; start++) {
+        const [dir] = resolver.findDirectoriesBySuffix(segments.slice(start).join('/'));
+        if (dir !== undefined) {
+            return packageFiles(dir, resolver);
+        }
+    }
+    return [];
+}
+
+function packageFiles(dir, resolver) {
+    return resolver.filesInDirectory(dir).filter(file => file.endsWith('.go') && !file.endsWith('_test.go'));
+}
+
+module.exports = {
+    name: 'go',
+    extensions: ['.go'],
+    loadGrammar: () => require('tree-sitter-go'),
+    nodeTypes: {
+        function_declaration: { type: 'function' },  // func main() {}
+        method_declaration: { type: 'method' },      // func (s *Server) Start() {}
+        type_declaration: { describe: describeBySpec('type_spec', 'type') },    // type Server struct {}
+        const_declaration: { describe: describeBySpec('const_spec', 'constant') }, // const Timeout = 5
+        var_declaration: { describe: describeBySpec('var_spec', 'variable') },   // var ErrNotFound = ...
+        import_declaration: { type: 'import', name: 'import' },                 // import "fmt"
+    },
+    importTypes: {
+        import_spec: (node, context) => context.stringValue(node.childForFieldName('path')), // "github.com/x/y/pkg"
+    },
+    resolveImport
+};
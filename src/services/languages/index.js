@@ -0,0 +1,99 @@
+// src/services/languages/index.js
+const path = require('path');
+
+/**
+ * Registry of languages the ingestion pipeline can parse.
+ *
+ * Each language definition declares:
+ * - `name`: language name stored in chunk metadata
+ * - `extensions`: file extensions (lower case, with dot)
+ * - `loadGrammar(extension)`: returns the tree-sitter grammar; called lazily so a grammar that
+ *   fails to load only disables its own language
+ * - `nodeTypes`: AST node types that make good chunks, mapped to `{ type, name?, nameField?, extra? }`
+ *   or `{ describe(node, context) }` for nodes whose name needs custom logic. Two flags control nesting:
+ *   `container: true` (classes, impls, modules) gets a summary chunk and its members are chunked
+ *   separately; `member: true` (methods, constructors) marks what is chunked inside a container.
+ *   Anything else inside a container stays in the container's summary.
+ * - `decoratorTypes` (optional): child node types collected into the `decorators` metadata field
+ * - `importTypes` (optional): AST node types that import other modules, mapped to
+ *   `(node, context) => specifier | specifier[] | null` (e.g. `'./utils'`, `'app.models'`)
+ * - `resolveImport(specifier, resolver)` (optional): maps a specifier to the repository files it imports,
+ *   or `[]` for external modules; see dependencyGraphService for the `resolver` helpers
+ */
+const languages = new Map();
+const languagesByExtension = new Map();
+const grammarCache = new Map();
+
+/**
+ * Adds a language to the registry. Later registrations win for shared extensions.
+ * @param {Object} definition - The language definition (see above).
+ * @throws {Error} If the definition is missing required fields.
+ */
+function registerLanguage(definition) {
+    const { name, extensions, loadGrammar, nodeTypes } = definition;
+    if (!name || !Array.isArray(extensions) || typeof loadGrammar !== 'function' || !nodeTypes) {
+        throw new Error(`Invalid language definition${name ? ` for '${name}'` : ''}`);
+    }
+
+    languages.set(name, definition);
+    for (const extension of extensions) {
+        languagesByExtension.set(extension.toLowerCase(), definition);
+    }
+}
+
+/**
+ * Finds the language for a file by its extension.
+ * @param {string} filePath - Path to the file.
+ * @returns {{language: Object, extension: string} | null} The language definition, or null if unsupported.
+ */
+function getLanguageForFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const language = languagesByExtension.get(extension);
+    return language ? { language, extension } : null;
+}
+
+/**
+ * Loads (once) the tree-sitter grammar a language uses for an extension.
+ * @param {Object} language - The language definition.
+ * @param {string} extension - The file extension.
+ * @returns {Object|null} The grammar, or null if its native module could not be loaded.
+ */
+function getGrammar(language, extension) {
+    const cacheKey = `${language.name}${extension}`;
+    if (!grammarCache.has(cacheKey)) {
+        try {
+            grammarCache.set(cacheKey, language.loadGrammar(extension));
+        } catch (error) {
+            console.error(`Failed to load tree-sitter grammar for ${language.name} (${extension}):`, error.message);
+            grammarCache.set(cacheKey, null);
+        }
+    }
+    return grammarCache.get(cacheKey);
+}
+
+/**
+ * Lists every file extension a registered language handles.
+ * @returns {Set<string>} Supported extensions (lower case, with dot).
+ */
+function getSupportedExtensions() {
+    return new Set(languagesByExtension.keys());
+}
+
+[
+    require('./javascript'),
+    require('./typescript'),
+    require('./python'),
+    require('./java'),
+    require('./go'),
+    require('./rust'),
+    require('./csharp'),
+    require('./ruby'),
+    require('./php')
+].forEach(registerLanguage);
+
+module.exports = {
+    registerLanguage,
+    getLanguageForFile,
+    getGrammar,
+    getSupportedExtensions
+};
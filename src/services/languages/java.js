@@ -0,0 +1,64 @@
+// src/services/languages/java.js
+
+/**
+ * Reads `import a.b.C;`, `import a.b.*;` and `import static a.b.C.member;`.
+ */
+function findImport(node, context) {
+    return context.text(node).replace(/^import\s+(static\s+)?|\s|;$/g, '');
+}
+
+/**
+ * Resolves a class by the path its package implies (`a/b/C.java` under any source root),
+ * and a wildcard to the package directory's files. Static imports name a member of the class.
+ */
+function resolveImport(specifier, resolver) {
+    const segments = specifier.split('.');
+    if (segments[segments.length - 1] === '*') {
+        const packagePath = segments.slice(0, -1).join('/');
+        const classFile = resolver.findBySuffix(`${packagePath}.java`)[0]; // import static a.b.C.*
+        if (classFile) {
+            return [classFile];
+        }
+        const [dir] = resolver.findDirectoriesBySuffix(packagePath);
+        return dir === undefined ? [] : resolver.filesInDirectory(dir).filter(file => file.endsWith('.java'));
+    }
+
+    for (let end = segments.length; end > 1; end--) {
+        const [found] = resolver.findBySuffix(`${segments.slice(0, end).join('/')}.java`);
+        if (found) {
+            return [found];
+        }
+    }
+    return [];
+}
+
+module.exports = {
+    name: 'java',
+    extensions: ['.java'],
+    loadGrammar: () => require('tree-sitter-java'),
+    nodeTypes: {
+        class_declaration: { type: 'class', container: true },         // class MyClass {}
+        interface_declaration: { type: 'interface', container: true }, // interface MyInterface {}
+        enum_declaration: { type: 'enum', container: true },           // enum MyEnum {}
+        record_declaration: { type: 'record', container: true },       // record Point(int x, int y) {}
+        method_declaration: { type: 'function', member: true },        // public void myMethod() {}
+        constructor_declaration: { type: 'constructor', member: true }, // public MyClass() {}
+        import_declaration: { type: 'import', name: 'import' }, // import java.util.List;
+        package_declaration: {                        // package com.example;
+            describe: (node, context) => ({
+                name: context.text(node).replace(/^package\s+|\s*;$/g, ''),
+                type: 'package'
+            })
+        },
+        field_declaration: {                          // private String myField;
+            describe: (node, context) => ({
+                name: context.nameOf(node.childForFieldName('declarator')), // First declarator only
+                type: 'field'
+            })
+        },
+    },
+    importTypes: {
+        import_declaration: findImport,
+    },
+    resolveImport
+};
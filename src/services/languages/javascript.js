@@ -0,0 +1,102 @@
+// src/services/languages/javascript.js
+
+/**
+ * Describes `const foo = () => {}` style declarations by their first declarator.
+ */
+function describeVariableDeclaration(node, context) {
+    const declaratorNode = node.children.find(child => child.type === 'variable_declarator');
+    if (!declaratorNode) {
+        return { name: 'anonymous', type: node.type };
+    }
+
+    const valueNode = declaratorNode.childForFieldName('value');
+    const isFunction = valueNode && ['arrow_function', 'function', 'function_expression'].includes(valueNode.type);
+    return {
+        name: context.nameOf(declaratorNode),
+        type: isFunction ? 'function_expression' : 'variable'
+    };
+}
+
+/**
+ * Describes `export ...` statements by what they export, e.g. `export class Foo {}` is the class Foo.
+ */
+function describeExportStatement(node, context) {
+    const declarationNode = node.childForFieldName('declaration');
+    if (!declarationNode) {
+        return { name: 'export', type: 'export' }; // export { a, b } / export default expression
+    }
+
+    const described = context.describe(declarationNode); // Keeps `container` for `export class`
+    return { ...described, extra: { ...described.extra, exported: true } };
+}
+
+/**
+ * Reads the module specifier of `require('x')` and dynamic `import('x')` calls.
+ */
+function findCallImport(node, context) {
+    const functionNode = node.childForFieldName('function');
+    const isImportCall = functionNode && (functionNode.type === 'import' ||
+        (functionNode.type === 'identifier' && context.text(functionNode) === 'require'));
+    const firstArgument = node.childForFieldName('arguments')?.namedChildren[0];
+    return isImportCall && firstArgument?.type === 'string' ? context.stringValue(firstArgument) : null;
+}
+
+/**
+ * Reads the `from '...'` specifier of import and re-export statements (and TypeScript's `import x = require('...')`).
+ */
+function findStatementImport(node, context) {
+    const sourceNode = node.childForFieldName('source') ||
+        node.descendantsOfType('import_require_clause')[0]?.childForFieldName('source');
+    return sourceNode ? context.stringValue(sourceNode) : null;
+}
+
+const RESOLVED_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.json'];
+
+/**
+ * Resolves relative specifiers like Node and bundlers do: the exact file, the file with an extension,
+ * or the directory's index file. TypeScript's `./foo.js` also finds `foo.ts`. Package imports are external.
+ */
+function resolveImport(specifier, resolver) {
+    if (!specifier.startsWith('.')) {
+        return [];
+    }
+
+    const base = resolver.join(resolver.fromDir, specifier);
+    if (base === null) {
+        return [];
+    }
+    const withoutExtension = base.replace(/\.[mc]?jsx?$/, '');
+    const found = resolver.findFile([
+        base,
+        ...RESOLVED_EXTENSIONS.map(extension => withoutExtension + extension),
+        ...RESOLVED_EXTENSIONS.map(extension => `${base}/index${extension}`)
+    ]);
+    return found ? [found] : [];
+}
+
+// These are common top-level declarations that make good semantic chunks
+const nodeTypes = {
+    function_declaration: { type: 'function' },         // function foo() {}
+    generator_function_declaration: { type: 'function' }, // function* foo() {}
+    arrow_function: { type: 'arrow_function', name: 'anonymous' }, // () => {}, e.g. top-level callbacks
+    function_expression: { type: 'function', name: 'anonymous' },  // function () {}
+    class_declaration: { type: 'class', container: true }, // class MyClass {}
+    method_definition: { type: 'method', member: true }, // Class methods, getters and setters
+    lexical_declaration: { describe: describeVariableDeclaration },  // const/let, often function expressions or important constants
+    variable_declaration: { describe: describeVariableDeclaration }, // var declarations
+    export_statement: { describe: describeExportStatement },         // export ...
+    import_statement: { type: 'import', name: 'import' },           // import ...
+};
+
+module.exports = {
+    name: 'javascript',
+    extensions: ['.js', '.jsx', '.mjs', '.cjs'], // The JS grammar handles JSX natively
+    loadGrammar: () => require('tree-sitter-javascript'),
+    nodeTypes,
+    importTypes: {
+        import_statement: findStatementImport, // import x from './x'
+        export_statement: findStatementImport, // export * from './x'
+        call_expression: findCallImport,       // require('./x'), import('./x')
+    },
+    resolveImport
+};
@@ -0,0 +1,74 @@
+// src/services/languages/php.js
+
+/**
+ * Reads the classes of `use A\B;`, `use A\{B, C as D};` and `use function A\f;`.
+ */
+function findUses(node, context) {
+    const text = context.text(node)
+        .replace(/^use\s+((function|const)\s+)?|;$/g, '')
+        .replace(/\s+as\s+\w+/g, '')
+        .replace(/\s/g, '');
+    const group = text.match(/^(.*?)\\?\{(.*)\}$/);
+    const names = group
+        ? group[2].split(',').filter(Boolean).map(name => `${group[1]}\\${name}`)
+        : text.split(',');
+    return names.map(name => name.replace(/^\\/, ''));
+}
+
+/**
+ * Reads the file of `require`/`include` expressions with a string path. Paths built from
+ * `__DIR__` or `dirname(__FILE__)` are recorded relative to the file (`./x.php`).
+ */
+function findInclude(node, context) {
+    const [stringNode] = node.descendantsOfType(['string', 'encapsed_string']);
+    if (!stringNode) {
+        return null;
+    }
+    const included = context.stringValue(stringNode);
+    return /__DIR__|__FILE__/.test(context.text(node)) ? `.${included.startsWith('/') ? '' : '/'}${included}` : included;
+}
+
+/**
+ * Resolves includes against the file's directory (then the repository root), and classes through
+ * PSR-4 style layouts: `App\Models\User` is `Models/User.php` below whichever folder maps `App`.
+ */
+function resolveImport(specifier, resolver) {
+    if (specifier.endsWith('.php')) {
+        const found = resolver.findFile([resolver.join(resolver.fromDir, specifier), resolver.join(specifier)]);
+        return found ? [found] : [];
+    }
+
+    const segments = specifier.split('\\');
+    for (let start = 0; start <= segments.length - Math.min(2, segments.length); start++) {
+        const [found] = resolver.findBySuffix(`${segments.slice(start).join('/')}.php`);
+        if (found) {
+            return [found];
+        }
+    }
+    return [];
+}
+
+module.exports = {
+    name: 'php',
+    extensions: ['.php'],
+    // The `php` grammar handles files mixing HTML and <?php ... ?> blocks
+    loadGrammar: () => require('tree-sitter-php').php,
+    decoratorTypes: ['attribute_list'], // #[Route('/users')]
+    nodeTypes: {
+        class_declaration: { type: 'class', container: true },         // class UserController
+        interface_declaration: { type: 'interface', container: true }, // interface Repository
+        trait_declaration: { type: 'trait', container: true },         // trait HasTimestamps
+        enum_declaration: { type: 'enum', container: true },           // enum Status
+        method_declaration: { type: 'method', member: true },          // public function index()
+        function_definition: { type: 'function' },    // function helper()
+        namespace_use_declaration: { type: 'import', name: 'import' }, // use App\Models\User;
+    },
+    importTypes: {
+        namespace_use_declaration: findUses,
+        require_expression: findInclude,      // require __DIR__ . '/config.php'
+        require_once_expression: findInclude,
+        include_expression: findInclude,
+        include_once_expression: findInclude,
+    },
+    resolveImport
+};
@@ -0,0 +1,97 @@
+// src/services/languages/python.js
+
+/**
+ * Describes `@decorator def foo():` by the decorated function or class, keeping the decorators.
+ */
+function describeDecoratedDefinition(node, context) {
+    const definitionNode = node.childForFieldName('definition');
+    if (!definitionNode) {
+        return { name: 'anonymous', type: node.type };
+    }
+
+    const decorators = node.children
+        .filter(child => child.type === 'decorator')
+        .map(child => context.text(child));
+    const described = context.describe(definitionNode);
+    return { ...described, extra: { ...described.extra, decorators: decorators.join(', ') } };
+}
+
+/**
+ * Lists the modules of `import a.b, c as d`.
+ */
+function findImports(node, context) {
+    return node.childrenForFieldName('name').map(nameNode =>
+        context.text(nameNode.type === 'aliased_import' ? nameNode.childForFieldName('name') : nameNode));
+}
+
+/**
+ * Lists the module of `from a.b import c` / `from ..pkg import c`. For `from . import a, b`
+ * the imported names are the sibling modules.
+ */
+function findFromImports(node, context) {
+    const moduleName = context.text(node.childForFieldName('module_name'));
+    if (/^\.+$/.test(moduleName)) {
+        return node.childrenForFieldName('name').map(nameNode =>
+            moduleName + context.text(nameNode.type === 'aliased_import' ? nameNode.childForFieldName('name') : nameNode));
+    }
+    return [moduleName];
+}
+
+/**
+ * Finds the directories top-level packages live in besides the repository root: `src/`, and the parent
+ * of every package (a directory with `__init__.py`) whose own parent is not a package.
+ */
+function findSourceRoots(resolver) {
+    const packageDirs = new Set(resolver.findBySuffix('__init__.py').map(file => resolver.join(file, '..')));
+    const roots = [...packageDirs]
+        .map(dir => resolver.join(dir, '..'))
+        .filter(parent => parent !== '' && !packageDirs.has(parent));
+    return [...new Set(['src', ...roots.sort()])];
+}
+
+/**
+ * Resolves `a.b` to `a/b.py` or `a/b/__init__.py`, from the repository root or, failing that, from a
+ * source root (e.g. `src/`). Leading dots are relative to the importing file's package. Anything else,
+ * like the standard library or installed packages, is not a project file even if a file deeper in the
+ * repository happens to have the same name.
+ */
+function resolveImport(specifier, resolver) {
+    const [, dots, dotted] = specifier.match(/^(\.*)(.*)$/);
+    const modulePath = dotted.split('.').filter(Boolean).join('/');
+    const candidates = (base) => modulePath
+        ? [`${base}/${modulePath}.py`, `${base}/${modulePath}/__init__.py`].map(candidate => resolver.join(candidate))
+        : [resolver.join(`${base}/__init__.py`)];
+
+    if (dots) {
+        const packageDir = resolver.join(resolver.fromDir, ...Array(dots.length - 1).fill('..'));
+        const found = packageDir === null ? null : resolver.findFile(candidates(packageDir));
+        return found ? [found] : [];
+    }
+
+    for (const root of ['', ...findSourceRoots(resolver)]) {
+        const found = resolver.findFile(candidates(root));
+        if (found) {
+            return [found];
+        }
+    }
+    return [];
+}
+
+module.exports = {
+    name: 'python',
+    extensions: ['.py'],
+    loadGrammar: () => require('tree-sitter-python'),
+    nodeTypes: {
+        function_definition: { type: 'function', member: true }, // def my_func():
+        class_definition: { type: 'class', container: true },   // class MyClass:
+        decorated_definition: { describe: describeDecoratedDefinition, member: true }, // @decorator def my_func():
+        import_statement: { type: 'import', name: 'import' },      // import module
+        import_from_statement: { type: 'import', name: 'import' }, // from module import name
+        expression_statement: { type: 'expression_statement', name: 'anonymous' }, // Top-level assignments/calls
+    },
+    importTypes: {
+        import_statement: findImports,          // import a.b
+        import_from_statement: findFromImports, // from .a import b
+    },
+    resolveImport
+};
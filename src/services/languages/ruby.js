@@ -0,0 +1,45 @@
+// src/services/languages/ruby.js
+
+const REQUIRE_METHODS = new Set(['require', 'require_relative', 'load']);
+
+/**
+ * Reads `require 'x'`, `load 'x.rb'` and `require_relative 'x'` (recorded as `./x`).
+ */
+function findRequire(node, context) {
+    const methodNode = node.childForFieldName('method');
+    const method = methodNode && context.text(methodNode);
+    const argumentNode = node.childForFieldName('arguments')?.namedChildren[0];
+    if (node.childForFieldName('receiver') || !REQUIRE_METHODS.has(method) || argumentNode?.type !== 'string') {
+        return null;
+    }
+
+    const required = context.stringValue(argumentNode);
+    return method === 'require_relative' && !required.startsWith('.') ? `./${required}` : required;
+}
+
+/**
+ * Resolves relative requires against the file's directory, others against the repository root and `lib/`.
+ */
+function resolveImport(specifier, resolver) {
+    const fileName = specifier.endsWith('.rb') ? specifier : `${specifier}.rb`;
+    const found = specifier.startsWith('.')
+        ? resolver.findFile([resolver.join(resolver.fromDir, fileName)])
+        : resolver.findFile([resolver.join('lib', fileName), resolver.join(fileName)]);
+    return found ? [found] : [];
+}
+
+module.exports = {
+    name: 'ruby',
+    extensions: ['.rb', '.rake'],
+    loadGrammar: () => require('tree-sitter-ruby'),
+    nodeTypes: {
+        class: { type: 'class', container: true },   // class User < ApplicationRecord
+        module: { type: 'module', container: true }, // module Billing
+        method: { type: 'method', member: true },    // def charge
+        singleton_method: { type: 'method', member: true, extra: { static: true } }, // def self.find_by_token
+    },
+    importTypes: {
+        call: findRequire, // require_relative 'billing/invoice'
+    },
+    resolveImport
+};
@@ -0,0 +1,112 @@
+// src/services/languages/rust.js
+
+/**
+ * Expands a use tree into the paths it imports, e.g. `a::{b, c::{d, self}}` into `a::b`, `a::c::d` and `a::c`.
+ */
+function expandUseTree(text) {
+    const tree = text.replace(/\s+/g, '').replace(/\bas\b.*?(?=[,}]|$)/g, '');
+    const groupStart = tree.indexOf('{');
+    if (groupStart === -1) {
+        return [tree.replace(/::(\*|self)$/, '')];
+    }
+
+    const prefix = tree.substring(0, groupStart).replace(/::$/, '');
+    const items = [];
+    let depth = 0;
+    let itemStart = groupStart + 1;
+    for (let i = itemStart; i < tree.length - 1; i++) {
+        if (tree[i] === '{') depth++;
+        if (tree[i] === '}') depth--;
+        if (tree[i] === ',' && depth === 0) {
+            items.push(tree.substring(itemStart, i));
+            itemStart = i + 1;
+        }
+    }
+    items.push(tree.substring(itemStart, tree.length - 1));
+
+    return items.filter(Boolean).flatMap(item =>
+        item === 'self' || item === '*' ? [prefix] : expandUseTree(`${prefix}::${item}`));
+}
+
+/**
+ * Resolves `crate::`, `self::` and `super::` paths to the file of the longest module prefix
+ * (`a/b.rs` or `a/b/mod.rs`), since a path usually ends in an item rather than a module.
+ * `mod foo;` is recorded as `self::foo`. Other paths name external crates.
+ */
+function resolveImport(specifier, resolver) {
+    const [root, ...segments] = specifier.split('::');
+    const fileName = resolver.fromPath.split('/').pop();
+    // The directory holding the current module's submodules
+    const moduleDir = ['mod.rs', 'lib.rs', 'main.rs'].includes(fileName)
+        ? resolver.fromDir
+        : resolver.join(resolver.fromDir, fileName.replace(/\.rs$/, ''));
+
+    let baseDir;
+    if (root === 'self') {
+        baseDir = moduleDir;
+    } else if (root === 'super') {
+        baseDir = resolver.join(moduleDir, '..');
+    } else if (root === 'crate') {
+        baseDir = findCrateRoot(resolver);
+    }
+    if (baseDir === null || baseDir === undefined) {
+        return [];
+    }
+
+    for (let end = segments.length; end > 0; end--) {
+        const modulePath = segments.slice(0, end).join('/');
+        const found = resolver.findFile([
+            resolver.join(baseDir, `${modulePath}.rs`),
+            resolver.join(baseDir, modulePath, 'mod.rs')
+        ]);
+        if (found) {
+            return [found];
+        }
+    }
+    return [];
+}
+
+// The nearest enclosing directory with a lib.rs or main.rs
+function findCrateRoot(resolver) {
+    for (let dir = resolver.fromDir; dir !== null; dir = dir === '' ? null : resolver.join(dir, '..')) {
+        if (resolver.findFile([resolver.join(dir, 'lib.rs'), resolver.join(dir, 'main.rs')])) {
+            return dir;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    name: 'rust',
+    extensions: ['.rs'],
+    loadGrammar: () => require('tree-sitter-rust'),
+    nodeTypes: {
+        function_item: { type: 'function', member: true }, // fn main() {}, or a method inside impl/trait
+        struct_item: { type: 'struct' },       // struct Config {}
+        enum_item: { type: 'enum' },           // enum State {}
+        union_item: { type: 'union' },         // union Value {}
+        trait_item: { type: 'trait', container: true }, // trait Handler {}
+        type_item: { type: 'type_alias' },     // type Result<T> = ...
+        mod_item: { type: 'module' },          // mod tests {}
+        const_item: { type: 'constant' },      // const MAX: u32 = 10;
+        static_item: { type: 'variable' },     // static COUNTER: AtomicUsize = ...
+        macro_definition: { type: 'macro' },   // macro_rules! my_macro {}
+        impl_item: {                           // impl Handler for Server {}
+            container: true,
+            describe: (node, context) => {
+                const traitNode = node.childForFieldName('trait');
+                const typeName = context.nameOf(node, 'type');
+                return {
+                    name: traitNode ? `${context.text(traitNode)} for ${typeName}` : typeName,
+                    type: 'impl'
+                };
+            }
+        },
+        use_declaration: { type: 'import', name: 'import' }, // use std::io;
+    },
+    importTypes: {
+        use_declaration: (node, context) => expandUseTree(context.text(node.childForFieldName('argument'))),
+        mod_item: (node, context) => node.childForFieldName('body') ? null : `self::${context.nameOf(node)}`, // mod foo;
+    },
+    resolveImport
+};
@@ -0,0 +1,23 @@
+// src/services/languages/typescript.js
+const javascript = require('./javascript');
+
+module.exports = {
+    name: 'typescript',
+    extensions: ['.ts', '.tsx', '.mts', '.cts'],
+    // Type assertions like <T>x clash with JSX, so TSX has its own grammar
+    loadGrammar: (extension) => {
+        const TypeScript = require('tree-sitter-typescript');
+        return extension === '.tsx' ? TypeScript.tsx : TypeScript.typescript;
+    },
+    // @Component(...) decorators are children of the class or of the statement exporting it
+    decoratorTypes: ['decorator'],
+    nodeTypes: {
+        ...javascript.nodeTypes, // TypeScript shares JS structure but adds interfaces, types, etc.
+        abstract_class_declaration: { type: 'class', container: true, extra: { abstract: true } }, // abstract class Base {}
+        interface_declaration: { type: 'interface' },     // interface MyInterface {}
+        type_alias_declaration: { type: 'type_alias' },   // type MyType = {}
+        enum_declaration: { type: 'enum' },               // enum MyEnum {}
+    },
+    importTypes: javascript.importTypes,
+    resolveImport: javascript.resolveImport
+};
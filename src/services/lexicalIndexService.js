@@ -0,0 +1,209 @@
+// src/services/lexicalIndexService.js
+const LexicalChunk = require('../models/LexicalChunk');
+
+// BM25 parameters (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const NAME_WEIGHT = 3; // Each occurrence of a term in the chunk's symbol name or parent counts this many times
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 64; // Longer "words" are hashes, base64 and the like
+const MAX_DOCUMENT_FREQUENCY = 0.5; // Query terms in more of the chunks than this barely rank and are skipped
+
+// Words of natural-language questions that carry no meaning for a code search
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'in', 'is',
+    'it', 'of', 'on', 'or', 'the', 'that', 'this', 'to', 'what', 'when', 'where', 'which', 'who', 'why', 'with'
+]);
+
+/**
+ * Splits text into search terms. Every identifier yields itself (so `updateProcessingStatus` or
+ * `QUOTA_EXCEEDED` can be matched exactly) plus its camelCase / snake_case parts, all lowercased.
+ * @param {string} text - Code or a search query.
+ * @returns {Array<string>} The terms, with repetitions.
+ */
+function tokenize(text) {
+    const terms = [];
+    for (const [identifier] of (text || '').matchAll(/[A-Za-z_$][\w$]*|\d+/g)) {
+        const parts = identifier
+            .split(/[_$]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/)
+            .filter(Boolean);
+        const candidates = parts.length > 1 ? [identifier, ...parts] : [identifier];
+        for (const candidate of candidates) {
+            if (candidate.length >= MIN_TERM_LENGTH && candidate.length <= MAX_TERM_LENGTH) {
+                terms.push(candidate.toLowerCase());
+            }
+        }
+    }
+    return terms;
+}
+
+/**
+ * Builds the weighted term frequencies of a chunk.
+ * @param {Object} chunk - Chunk with content and metadata.
+ * @returns {{terms: Array<{term: string, tf: number}>, length: number}} Terms and weighted length.
+ */
+function buildTermFrequencies(chunk) {
+    const frequencies = new Map();
+    const add = (term, weight) => frequencies.set(term, (frequencies.get(term) || 0) + weight);
+
+    tokenize(chunk.content).forEach(term => add(term, 1));
+    tokenize([chunk.metadata.name, chunk.metadata.parent].filter(Boolean).join(' ')).forEach(term => add(term, NAME_WEIGHT));
+
+    const terms = [...frequencies].map(([term, tf]) => ({ term, tf }));
+    return { terms, length: terms.reduce((sum, { tf }) => sum + tf, 0) };
+}
+
+/**
+ * Replaces the indexed chunks of one file.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} filePath - Repository-relative file path (as stored in chunk metadata).
+ * @param {Array<Object>} chunks - All current chunks of the file.
+ */
+async function indexFileChunks(projectId, filePath, chunks) {
+    await LexicalChunk.deleteMany({ projectId, filePath });
+
+    const documents = chunks
+        .filter(chunk => chunk.content.trim())
+        .map(chunk => ({
+            projectId,
+            chunkId: chunk.id,
+            filePath,
+            content: chunk.content,
+            metadata: chunk.metadata,
+            ...buildTermFrequencies(chunk)
+        }));
+    if (documents.length > 0) {
+        // Unordered, so a chunk ID that occurs twice in the file is skipped instead of failing the rest
+        await LexicalChunk.insertMany(documents, { ordered: false }).catch(error => {
+            if (error.code !== 11000) throw error;
+        });
+    }
+}
+
+/**
+ * Removes the indexed chunks of the given files.
+ * @param {string} projectId - The ID of the project.
+ * @param {Array<string>} filePaths - Repository-relative file paths.
+ */
+async function deleteFileChunks(projectId, filePaths) {
+    if (filePaths.length === 0) {
+        return;
+    }
+    await LexicalChunk.deleteMany({ projectId, filePath: { $in: filePaths } });
+}
+
+/**
+ * Removes a project's whole keyword index, before a full re-ingestion.
+ * @param {string} projectId - The ID of the project.
+ */
+async function resetLexicalIndex(projectId) {
+    await LexicalChunk.deleteMany({ projectId });
+}
+
+/**
+ * Picks the query terms worth looking up: no stop words, and none that occur in most chunks
+ * (their candidates would be most of the index while adding next to nothing to the scores).
+ * @param {Array<string>} queryTerms - Distinct query terms.
+ * @param {Object} match - Conditions selecting the project's (filtered) chunks.
+ * @param {number} count - How many chunks match.
+ * @returns {Promise<Map<string, number>>} The selected terms with their document frequencies.
+ */
+async function selectQueryTerms(queryTerms, match, count) {
+    const meaningfulTerms = queryTerms.filter(term => !STOP_WORDS.has(term));
+    const terms = meaningfulTerms.length > 0 ? meaningfulTerms : queryTerms;
+
+    const frequencies = await Promise.all(
+        terms.map(term => LexicalChunk.countDocuments({ ...match, 'terms.term': term }))
+    );
+    const found = terms
+        .map((term, i) => [term, frequencies[i]])
+        .filter(([, df]) => df > 0)
+        .sort((a, b) => a[1] - b[1]);
+
+    const selected = found.filter(([, df]) => df <= count * MAX_DOCUMENT_FREQUENCY);
+    // A query made only of common terms is still answered, by its rarest one
+    return new Map(selected.length > 0 ? selected : found.slice(0, 1));
+}
+
+/**
+ * Ranks a project's chunks against a query with BM25.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} queryText - The search query.
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Maximum number of results.
+ * @param {Object} [options.filters={}] - Metadata values that must match exactly (e.g. language, type, name).
+ * @returns {Promise<Array<{id: string, content: string, metadata: Object, score: number}>>} Results, best first.
+ */
+async function searchLexical(projectId, queryText, { limit = 10, filters = {} } = {}) {
+    const queryTerms = [...new Set(tokenize(queryText))];
+    if (queryTerms.length === 0) {
+        return [];
+    }
+
+    const match = {
+        projectId,
+        ...Object.fromEntries(Object.entries(filters).map(([key, value]) => [`metadata.${key}`, value]))
+    };
+    const [stats] = await LexicalChunk.aggregate([
+        { $match: match },
+        { $group: { _id: null, count: { $sum: 1 }, averageLength: { $avg: '$length' } } }
+    ]);
+    if (!stats) {
+        return [];
+    }
+
+    const documentFrequency = await selectQueryTerms(queryTerms, match, stats.count);
+    if (documentFrequency.size === 0) {
+        return [];
+    }
+    const terms = [...documentFrequency.keys()];
+
+    // Scoring only needs each candidate's frequencies of the query terms and its length
+    const candidates = await LexicalChunk.aggregate([
+        { $match: { ...match, 'terms.term': { $in: terms } } },
+        { $project: {
+            _id: 0,
+            chunkId: 1,
+            length: 1,
+            terms: { $filter: { input: '$terms', cond: { $in: ['$$this.term', terms] } } }
+        } }
+    ]);
+
+    const averageLength = stats.averageLength || 1;
+    const ranked = candidates
+        .map(candidate => ({
+            id: candidate.chunkId,
+            score: candidate.terms.reduce((sum, { term, tf }) => {
+                const df = documentFrequency.get(term);
+                const idf = Math.log(1 + (stats.count - df + 0.5) / (df + 0.5));
+                const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * candidate.length / averageLength);
+                return sum + idf * tf * (BM25_K1 + 1) / norm;
+            }, 0)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    // Content is only loaded for the results
+    const chunks = await LexicalChunk.find(
+        { projectId, chunkId: { $in: ranked.map(result => result.id) } },
+        { chunkId: 1, content: 1, metadata: 1 }
+    ).lean();
+    const chunksById = new Map(chunks.map(chunk => [chunk.chunkId, chunk]));
+
+    return ranked
+        .filter(result => chunksById.has(result.id)) // Deleted by a concurrent re-ingestion
+        .map(result => ({
+            id: result.id,
+            content: chunksById.get(result.id).content,
+            metadata: chunksById.get(result.id).metadata,
+            score: result.score
+        }));
+}
+
+module.exports = {
+    tokenize,
+    indexFileChunks,
+    deleteFileChunks,
+    resetLexicalIndex,
+    searchLexical
+};
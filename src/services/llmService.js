@@ -1,5 +1,4 @@
 const { OpenAI } = require('openai');
-const { Document, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType, AlignmentType } = require('docx');
 
 // Initialize OpenAI client
 const openai = new OpenAI({ 
@@ -7,6 +6,18 @@ const openai = new OpenAI({
     maxRetries: 3,
 });
 
+const MODEL = "gpt-3.5-turbo-16k";
+const ROUTE_BATCH_SIZE = 15; // Routes described per LLM call
+const MAX_HANDLER_CODE_LENGTH = 1500;
+
+// Sections written from the code context, and what the prompt asks for in each
+const SECTION_PROMPTS = {
+    overview: "Additional overview information",
+    authentication: "Auth-related information",
+    errorHandling: "Error handling information"
+};
+const TEXT_SECTIONS = Object.keys(SECTION_PROMPTS);
+
 /**
  * Handles errors from OpenAI API calls
  * @param {Error} error - The error from OpenAI
@@ -41,72 +52,129 @@ function handleOpenAIError(error) {
 }
 
 /**
- * Creates a Word document section for an API endpoint
- * @param {Object} endpoint - The endpoint information
- * @returns {Array} Array of document elements (paragraphs, tables, etc.)
+ * Lists the path parameters of a route, in Express (`:id`), Flask (`<int:id>`) or FastAPI/Spring (`{id}`) syntax
+ * @param {string} routePath - The route's path
+ * @returns {Array<Object>} Parameters as `{ name, type, description }`
  */
-function createEndpointSection(endpoint) {
-    const elements = [];
-    
-    // Endpoint title
-    elements.push(new Paragraph({
-        text: endpoint.name,
-        heading: HeadingLevel.HEADING_2
-    }));
+function getPathParameters(routePath) {
+    const names = [...routePath.matchAll(/:(\w+)|<(?:\w+:)?(\w+)>|\{(\w+)(?::[^}]*)?\}/g)]
+        .map(match => match[1] || match[2] || match[3]);
+    return names.map(name => ({ name, type: 'path', description: '' }));
+}
+
+/**
+ * Lists a route's parameters as static analysis found them: its path parameters, then what its handler
+ * reads from the query string and headers, then its body fields
+ * @param {Object} route - A route from the route table
+ * @returns {Array<Object>} Parameters as `{ name, type, description }`, without descriptions
+ */
+function getRouteParameters(route) {
+    const parameters = getPathParameters(route.path);
+    const add = (name, type) => {
+        if (!parameters.some(parameter => parameter.name === name && parameter.type === type)) {
+            parameters.push({ name, type, description: '' });
+        }
+    };
+    (route.parameters || []).forEach(parameter => add(parameter.name, parameter.in));
+    ((route.requestBody && route.requestBody.fields) || []).forEach(field => add(field.name, 'body'));
+    return parameters;
+}
 
-    // Method and URL
-    elements.push(new Paragraph({
-        children: [
-            new TextRun({ text: endpoint.method + " ", bold: true }),
-            new TextRun(endpoint.url)
-        ]
+/**
+ * Describes routes found in the code with the LLM. The routes and their parameters are fixed: the LLM only
+ * adds a name and a description to each route and descriptions to its parameters, and anything it returns
+ * for other routes or parameters is ignored.
+ * @param {Array<Object>} routes - Routes from the route table, with `handlerCode` (see routeExtractionService)
+ * @returns {Promise<Array<Object>>} One endpoint per route
+ */
+async function describeRoutes(routes) {
+    const endpoints = routes.map(route => ({
+        name: `${route.method} ${route.path}`,
+        method: route.method,
+        url: route.path,
+        description: '',
+        parameters: getRouteParameters(route),
+        handler: route.handler,
+        middleware: route.middleware
     }));
 
-    // Description
-    if (endpoint.description) {
-        elements.push(new Paragraph({
-            text: endpoint.description
-        }));
-    }
+    for (let start = 0; start < routes.length; start += ROUTE_BATCH_SIZE) {
+        const batch = routes.slice(start, start + ROUTE_BATCH_SIZE);
+        const routeList = batch.map((route, i) => {
+            const middleware = route.middleware.length > 0
+                ? `\nMiddleware: ${route.middleware.map(entry => entry.name).join(', ')}`
+                : '';
+            const code = route.handlerCode
+                ? `\nHandler code:\n${route.handlerCode.substring(0, MAX_HANDLER_CODE_LENGTH)}`
+                : '';
+            const parameters = endpoints[start + i].parameters.length > 0
+                ? `\nParameters: ${endpoints[start + i].parameters.map(parameter => `${parameter.name} (${parameter.type})`).join(', ')}`
+                : '';
+            return `[${start + i}] ${route.method} ${route.path}\nHandler: ${route.handler.name} in ${route.handler.filePath || route.filePath}${middleware}${parameters}${code}`;
+        }).join('\n\n');
+
+        const userPrompt = `Describe each of these API routes and their parameters. They were extracted from the code: do not add, remove or rename routes or parameters.
+
+${routeList}
+
+Return JSON:
+{
+    "endpoints": [
+        {
+            "id": route number,
+            "name": "short endpoint name",
+            "description": "what it does, what it returns and its error responses",
+            "parameters": { "parameter name": "description" }
+        }
+    ]
+}`;
 
-    // Parameters table if there are any
-    if (endpoint.parameters && endpoint.parameters.length > 0) {
-        const table = new Table({
-            width: {
-                size: 100,
-                type: WidthType.PERCENTAGE,
-            },
-            rows: [
-                new TableRow({
-                    children: [
-                        new TableCell({ children: [new Paragraph("Parameter")] }),
-                        new TableCell({ children: [new Paragraph("Type")] }),
-                        new TableCell({ children: [new Paragraph("Description")] })
-                    ]
-                }),
-                ...endpoint.parameters.map(param => 
-                    new TableRow({
-                        children: [
-                            new TableCell({ children: [new Paragraph(param.name)] }),
-                            new TableCell({ children: [new Paragraph(param.type)] }),
-                            new TableCell({ children: [new Paragraph(param.description)] })
-                        ]
-                    })
-                )
-            ]
+        console.log(`[LLM] Describing routes ${start + 1}-${start + batch.length} of ${routes.length}`);
+        const completion = await openai.chat.completions.create({
+            model: MODEL,
+            messages: [
+                {
+                    role: "system",
+                    content: "You are a technical writer documenting the API routes you are given."
+                },
+                {
+                    role: "user",
+                    content: userPrompt
+                }
+            ],
+            temperature: 0.1,
+            max_tokens: 4000,
+            response_format: { type: "json_object" }
         });
-        elements.push(table);
+
+        const described = JSON.parse(completion.choices[0].message.content.trim()).endpoints || [];
+        for (const entry of described) {
+            const id = Number(entry.id);
+            if (!Number.isInteger(id) || id < start || id >= start + batch.length) {
+                continue; // Not one of the routes in this batch
+            }
+            endpoints[id].name = entry.name || endpoints[id].name;
+            endpoints[id].description = entry.description || '';
+            const parameterDescriptions = entry.parameters && typeof entry.parameters === 'object' ? entry.parameters : {};
+            for (const parameter of endpoints[id].parameters) {
+                const description = parameterDescriptions[parameter.name];
+                if (typeof description === 'string') {
+                    parameter.description = description;
+                }
+            }
+        }
     }
 
-    return elements;
+    return endpoints;
 }
 
 /**
- * Generates documentation using OpenAI's GPT model
+ * Writes the documentation's text sections from the code context, one chunk of context at a time
  * @param {string} codeContext - The code context to generate documentation for
- * @returns {Promise<Document>} The generated Word document
+ * @param {Array<string>} [sectionKeys] - Which of TEXT_SECTIONS to write (default all)
+ * @returns {Promise<Object>} The text of each section, by key
  */
-async function generateDocumentationWithLLM(codeContext) {
+async function generateSectionsWithLLM(codeContext, sectionKeys = TEXT_SECTIONS) {
     // Break down code context into smaller chunks if it's too large
     const contextChunks = [];
     const maxChunkSize = 6000; // Leave room for prompts and response
@@ -127,16 +195,12 @@ async function generateDocumentationWithLLM(codeContext) {
 
     console.log(`[LLM] Split documentation into ${contextChunks.length} chunks`);
 
-    const systemPrompt = `You are a technical writer. Create clear API docs focusing on endpoints, params, examples, and errors. 
+    const systemPrompt = `You are a technical writer. Create clear API docs focusing on the overview, authentication and errors.
 Generate documentation in JSON format that can be merged with other sections.`;
+    const sectionList = sectionKeys.map(key => `    "${key}": "${SECTION_PROMPTS[key]}"`).join(',\n');
 
     // Process each chunk and combine results
-    let combinedDoc = {
-        overview: "",
-        authentication: "",
-        endpoints: [],
-        errorHandling: ""
-    };
+    const sections = Object.fromEntries(sectionKeys.map(key => [key, ""]));
 
     try {
         for (let i = 0; i < contextChunks.length; i++) {
@@ -146,25 +210,14 @@ ${contextChunks[i]}
 
 Return JSON with sections:
 {
-    "overview": "Additional overview information",
-    "authentication": "Auth-related information",
-    "endpoints": [
-        {
-            "name": "endpoint name",
-            "method": "HTTP method",
-            "url": "path",
-            "description": "description",
-            "parameters": []
-        }
-    ],
-    "errorHandling": "Error handling information"
+${sectionList}
 }`;
 
             console.log(`[LLM] Processing chunk ${i + 1}/${contextChunks.length}`);
             console.time(`[LLM] Chunk ${i + 1} processing time`);
 
             const completion = await openai.chat.completions.create({
-                model: "gpt-3.5-turbo-16k",
+                model: MODEL,
                 messages: [
                     {
                         role: "system",
@@ -186,80 +239,56 @@ Return JSON with sections:
             console.timeEnd(`[LLM] Chunk ${i + 1} processing time`);
 
             const chunkContent = JSON.parse(completion.choices[0].message.content.trim());
-            
-            // Merge chunk results into combined doc
-            combinedDoc.overview += (chunkContent.overview ? "\n" + chunkContent.overview : "");
-            combinedDoc.authentication += (chunkContent.authentication ? "\n" + chunkContent.authentication : "");
-            combinedDoc.endpoints.push(...(chunkContent.endpoints || []));
-            combinedDoc.errorHandling += (chunkContent.errorHandling ? "\n" + chunkContent.errorHandling : "");
-            
+
+            // Merge chunk results into the sections
+            for (const key of sectionKeys) {
+                sections[key] += (chunkContent[key] ? "\n" + chunkContent[key] : "");
+            }
+
             // Add a small delay between chunks to avoid rate limits
             if (i < contextChunks.length - 1) {
                 await new Promise(resolve => setTimeout(resolve, 1000));
             }
         }
 
+        return sections;
+    } catch (error) {
+        handleOpenAIError(error);
+    }
+}
+
+/**
+ * Generates documentation using OpenAI's GPT model
+ * @param {string} codeContext - The code context to generate documentation for
+ * @param {Array<Object>} [routes] - Routes found by static analysis, with `handlerCode`; the only endpoints documented
+ * @returns {Promise<Object>} The generated content: `{ overview, authentication, endpoints, errorHandling }`
+ */
+async function generateDocumentationWithLLM(codeContext, routes = []) {
+    const combinedDoc = await generateSectionsWithLLM(codeContext);
+
+    try {
+        // Endpoints come from the route table, not from the model reading slices of code
+        combinedDoc.endpoints = await describeRoutes(routes);
+
         console.log(`[LLM] Documentation generation complete:
 - Overview length: ${combinedDoc.overview.length} chars
 - Auth section length: ${combinedDoc.authentication.length} chars
 - Endpoints found: ${combinedDoc.endpoints.length}
 - Error handling length: ${combinedDoc.errorHandling.length} chars`);
 
-        // Create Word document
-        const doc = new Document({
-            sections: [{
-                properties: {},
-                children: [
-                    // Title
-                    new Paragraph({
-                        text: "API Documentation",
-                        heading: HeadingLevel.HEADING_1,
-                        alignment: AlignmentType.CENTER
-                    }),
-
-                    // Overview
-                    new Paragraph({
-                        text: "Overview",
-                        heading: HeadingLevel.HEADING_1
-                    }),
-                    new Paragraph({
-                        text: combinedDoc.overview || "No overview provided."
-                    }),
-
-                    // Authentication
-                    new Paragraph({
-                        text: "Authentication",
-                        heading: HeadingLevel.HEADING_1
-                    }),
-                    new Paragraph({
-                        text: combinedDoc.authentication || "No authentication details provided."
-                    }),
-
-                    // Endpoints
-                    new Paragraph({
-                        text: "API Endpoints",
-                        heading: HeadingLevel.HEADING_1
-                    }),
-                    ...(combinedDoc.endpoints || []).flatMap(endpoint => createEndpointSection(endpoint)),
-
-                    // Error Handling
-                    new Paragraph({
-                        text: "Error Handling",
-                        heading: HeadingLevel.HEADING_1
-                    }),
-                    new Paragraph({
-                        text: combinedDoc.errorHandling || "No error handling information provided."
-                    })
-                ]
-            }]
-        });
-
-        return doc;
+        return combinedDoc;
     } catch (error) {
         handleOpenAIError(error);
     }
 }
 
 module.exports = {
-    generateDocumentationWithLLM
+    MODEL,
+    TEXT_SECTIONS,
+    generateDocumentationWithLLM,
+    generateSectionsWithLLM,
+    describeRoutes,
+    getPathParameters,
+    getRouteParameters,
+    handleOpenAIError
 };
\ No newline at end of file
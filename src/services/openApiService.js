@@ -0,0 +1,316 @@
+// src/services/openApiService.js
+const http = require('http');
+const SwaggerParser = require('@apidevtools/swagger-parser');
+const OpenApiSpec = require('../models/OpenApiSpec');
+const Project = require('../models/Project');
+const { getProjectRoutes } = require('./routeExtractionService');
+
+const OPENAPI_VERSION = '3.1.0';
+// Methods a route matching every method (Express `all`, Spring's @RequestMapping without `method`) is listed under
+const ALL_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const OPENAPI_METHODS = new Set([...ALL_METHODS, 'head', 'options', 'trace']);
+const METHODS_WITHOUT_BODY = new Set(['get', 'head']);
+// OpenAPI describes these headers elsewhere (content negotiation, security schemes) and ignores them as parameters
+const RESERVED_HEADERS = new Set(['accept', 'content-type', 'authorization']);
+// Middleware whose name says it authenticates the request
+const AUTH_MIDDLEWARE = /auth|token|jwt|login_required|current_user|permission|PreAuthorize|Secured|RolesAllowed/i;
+const BEARER_AUTH = 'bearerAuth';
+// Flask path converters
+const CONVERTER_SCHEMAS = {
+    int: { type: 'integer' },
+    float: { type: 'number' },
+    uuid: { type: 'string', format: 'uuid' }
+};
+// Path parameters in Flask (<int:id>), FastAPI and Spring ({id}, {id:regex}) and Express (:id, :id(\d+), :id?) syntax
+const PATH_PARAMETER = /<(?:(\w+):)?(\w+)>|\{(\w+)(?::[^}]*)?\}|:(\w+)(?:\([^)]*\))?\??/g;
+
+/**
+ * Converts a route path to an OpenAPI path template.
+ * @param {string} routePath - The path in its framework's syntax, e.g. '/users/:id' or '/users/<int:id>'.
+ * @returns {Object} `{ path, parameters }`, e.g. '/users/{id}' and its parameters `{ name, schema }` in order.
+ */
+function toOpenApiPath(routePath) {
+    const parameters = [];
+    const template = routePath.replace(PATH_PARAMETER, (match, converter, flaskName, bracedName, expressName) => {
+        const name = flaskName || bracedName || expressName;
+        if (!parameters.some(parameter => parameter.name === name)) {
+            parameters.push({ name, schema: CONVERTER_SCHEMAS[converter] || { type: 'string' } });
+        }
+        return `{${name}}`;
+    });
+    return { path: template, parameters };
+}
+
+// An optional Express path parameter with its leading slash, e.g. '/:id?' or '/:id(\\d+)?'
+const OPTIONAL_PARAMETER = /\/:(\w+)(\([^)]*\))?\?/;
+
+/**
+ * Lists the paths a route with optional Express parameters answers, with and without each of them,
+ * e.g. '/users/:id?' into '/users/:id' and '/users'. OpenAPI path parameters are always required.
+ * @param {string} routePath - The route's path.
+ * @returns {Array<string>} The paths, longest first; just the route's path if nothing is optional.
+ */
+function expandOptionalParameters(routePath) {
+    const match = routePath.match(OPTIONAL_PARAMETER);
+    if (!match) {
+        return [routePath];
+    }
+    const before = routePath.slice(0, match.index);
+    const after = routePath.slice(match.index + match[0].length);
+    return [
+        ...expandOptionalParameters(`${before}/:${match[1]}${match[2] || ''}${after}`),
+        ...expandOptionalParameters(`${before}${after}` || '/')
+    ];
+}
+
+// Templates with the same shape are one path to OpenAPI, whatever their parameters are called
+const pathShape = (template) => template.replace(/\{[^}]+\}/g, '{}');
+const placeholders = (template) => [...template.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+
+/**
+ * Renames the path parameters of a route to those of the first template of the same shape,
+ * e.g. '/users/{userId}' to '/users/{id}', so both routes' operations go under one path.
+ * @param {Object} route - The route.
+ * @param {Object} converted - Its path, from toOpenApiPath.
+ * @param {Object} canonical - The first path of that shape, from toOpenApiPath.
+ * @returns {Object} `{ route, converted }` with the parameters renamed.
+ */
+function alignPathParameters(route, converted, canonical) {
+    const canonicalNames = placeholders(canonical.path);
+    const names = new Map(placeholders(converted.path).map((name, i) => [name, canonicalNames[i]]));
+    const rename = (parameter) => ({ ...parameter, name: names.get(parameter.name) || parameter.name });
+    return {
+        route: {
+            ...route,
+            parameters: route.parameters.map(parameter => parameter.in === 'path' ? rename(parameter) : parameter)
+        },
+        converted: { path: canonical.path, parameters: converted.parameters.map(rename) }
+    };
+}
+
+// 'getUserProjects' or 'get_user_projects' into 'Get user projects'
+function humanize(name) {
+    const words = name
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .trim()
+        .toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// The first path segment that names a resource, skipping 'api', versions and parameters
+function tagOf(template) {
+    return template.split('/').find(segment => segment && segment !== 'api' && !/^v\d+$/.test(segment) && !segment.startsWith('{')) || null;
+}
+
+// An operationId not used yet: the handler's name, qualified by the method, then numbered
+function uniqueOperationId(route, method, template, used) {
+    const fromPath = method + template
+        .split('/')
+        .map(segment => segment.replace(/[{}]/g, '').replace(/[^A-Za-z0-9]+(.)?/g, (_, next) => (next || '').toUpperCase()))
+        .map(segment => segment.charAt(0).toUpperCase() + segment.slice(1))
+        .join('');
+    const base = route.handler.name !== 'anonymous' && /^[A-Za-z_$][\w$]*$/.test(route.handler.name) ? route.handler.name : fromPath;
+    const candidates = [base, `${base}${method.charAt(0).toUpperCase()}${method.slice(1)}`, fromPath];
+    let operationId = candidates.find(candidate => !used.has(candidate));
+    for (let i = 2; !operationId; i++) {
+        if (!used.has(`${base}${i}`)) operationId = `${base}${i}`;
+    }
+    used.add(operationId);
+    return operationId;
+}
+
+/**
+ * Whether a route authenticates its requests, judging by the names of its middleware.
+ * @param {Object} route - The route, see routeExtractionService.
+ * @returns {boolean} True if one of its middleware looks like authentication.
+ */
+function requiresAuth(route) {
+    return route.middleware.some(middleware => AUTH_MIDDLEWARE.test(middleware.name));
+}
+
+/**
+ * Builds the operation for one route and method.
+ * @returns {Object} The OpenAPI operation object.
+ */
+function buildOperation(route, method, { path: template, parameters: pathParameters }, usedOperationIds) {
+    const operationId = uniqueOperationId(route, method, template, usedOperationIds);
+
+    // Path parameters come from the template; the handler's reads only add their types
+    const parameters = pathParameters.map(({ name, schema }) => {
+        const read = route.parameters.find(parameter => parameter.in === 'path' && parameter.name === name);
+        return { name, in: 'path', required: true, schema: read && read.schema.type ? read.schema : schema };
+    });
+    for (const parameter of route.parameters) {
+        if (parameter.in === 'path' || (parameter.in === 'header' && RESERVED_HEADERS.has(parameter.name.toLowerCase()))) continue;
+        parameters.push({ name: parameter.name, in: parameter.in, required: Boolean(parameter.required), schema: parameter.schema || {} });
+    }
+
+    const operation = {
+        operationId,
+        summary: route.handler.name !== 'anonymous' ? humanize(route.handler.name) : `${method.toUpperCase()} ${template}`,
+        ...(tagOf(template) && { tags: [tagOf(template)] }),
+        ...(parameters.length > 0 && { parameters })
+    };
+
+    if (route.requestBody && !METHODS_WITHOUT_BODY.has(method)) {
+        const { contentType, typeName, fields } = route.requestBody;
+        const required = fields.filter(field => field.required).map(field => field.name);
+        operation.requestBody = {
+            required: required.length > 0,
+            content: {
+                [contentType]: {
+                    schema: {
+                        type: 'object',
+                        ...(typeName && { title: typeName }),
+                        properties: Object.fromEntries(fields.map(field => [field.name, field.schema || {}])),
+                        ...(required.length > 0 && { required })
+                    }
+                }
+            }
+        };
+    }
+
+    // Handlers whose success response isn't seen (e.g. sent by code that isn't followed) are assumed to send 200
+    const responses = route.responses.some(response => response.status < 400)
+        ? route.responses
+        : [{ status: 200 }, ...route.responses];
+    operation.responses = Object.fromEntries(responses.map(({ status, description }) => [
+        String(status),
+        { description: description || http.STATUS_CODES[status] || 'Response' }
+    ]));
+
+    if (requiresAuth(route)) {
+        operation.security = [{ [BEARER_AUTH]: [] }];
+    }
+    return operation;
+}
+
+/**
+ * Builds an OpenAPI 3.1 document from a route table.
+ * @param {Object} project - The project, for the document's title and description.
+ * @param {Array<Object>} routes - Its routes, see routeExtractionService.
+ * @returns {Object} The OpenAPI document.
+ */
+function buildOpenApiDocument(project, routes) {
+    const paths = {};
+    const pathsByShape = new Map(); // pathShape -> the first converted path of that shape
+    const tags = new Set();
+    const usedOperationIds = new Set();
+    let secured = false;
+
+    // Routes whose router isn't seen mounted are kept: it may be mounted where static analysis can't follow
+    for (const declared of routes) {
+        for (const routePath of expandOptionalParameters(declared.path)) {
+            const ownPath = toOpenApiPath(routePath);
+            const shape = pathShape(ownPath.path);
+            if (!pathsByShape.has(shape)) pathsByShape.set(shape, ownPath);
+            const { route, converted } = alignPathParameters(declared, ownPath, pathsByShape.get(shape));
+
+            const methods = route.method === 'ALL' ? ALL_METHODS : [route.method.toLowerCase()];
+            for (const method of methods.filter(candidate => OPENAPI_METHODS.has(candidate))) {
+                paths[converted.path] = paths[converted.path] || {};
+                if (paths[converted.path][method]) continue; // Declared twice, e.g. ':id' and ':userId' at the same place
+
+                const operation = buildOperation(route, method, converted, usedOperationIds);
+                paths[converted.path][method] = operation;
+                (operation.tags || []).forEach(tag => tags.add(tag));
+                secured = secured || Boolean(operation.security);
+            }
+        }
+    }
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: project.name,
+            version: project.lastIngestedCommit ? project.lastIngestedCommit.substring(0, 12) : '0.0.0',
+            ...(project.description && { description: project.description })
+        },
+        ...(tags.size > 0 && { tags: [...tags].sort().map(name => ({ name })) }),
+        paths,
+        ...(secured && {
+            components: {
+                securitySchemes: {
+                    [BEARER_AUTH]: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+                }
+            }
+        })
+    };
+}
+
+/**
+ * Checks a document against the OpenAPI schema.
+ * @param {Object} document - The OpenAPI document.
+ * @throws {Error} With code INVALID_OPENAPI if it isn't valid.
+ */
+async function validateOpenApiDocument(document) {
+    try {
+        // The validator dereferences the document it is given in place
+        await SwaggerParser.validate(structuredClone(document));
+    } catch (validationError) {
+        const error = new Error(`Generated OpenAPI document is invalid: ${validationError.message}`);
+        error.code = 'INVALID_OPENAPI';
+        throw error;
+    }
+}
+
+/**
+ * Generates a project's OpenAPI document from its route table, validates it and saves it.
+ * An invalid document is not saved, and the one saved before it is removed as outdated.
+ * @param {string} projectId - The ID of the project.
+ * @returns {Promise<Object>} The OpenAPI document.
+ */
+async function generateOpenApiSpec(projectId) {
+    const project = await Project.findOne({ projectId });
+    if (!project) {
+        throw new Error(`Project ${projectId} not found`);
+    }
+
+    const routes = await getProjectRoutes(projectId);
+    const document = buildOpenApiDocument(project, routes);
+    try {
+        await validateOpenApiDocument(document);
+    } catch (error) {
+        await OpenApiSpec.deleteOne({ projectId });
+        throw error;
+    }
+
+    await OpenApiSpec.findOneAndUpdate(
+        { projectId },
+        {
+            commit: project.lastIngestedCommit || null,
+            document: JSON.stringify(document),
+            routeCount: routes.length,
+            generatedAt: new Date()
+        },
+        { upsert: true }
+    );
+    return document;
+}
+
+/**
+ * Gets a project's saved OpenAPI document, generating it first if the project has none yet
+ * or it was generated before the project's last ingestion.
+ * @param {string} projectId - The ID of the project.
+ * @returns {Promise<Object>} The OpenAPI document.
+ */
+async function getOpenApiSpec(projectId) {
+    const [spec, project] = await Promise.all([
+        OpenApiSpec.findOne({ projectId }).lean(),
+        Project.findOne({ projectId }).select('lastIngestedCommit').lean()
+    ]);
+    if (spec && spec.commit === (project?.lastIngestedCommit || null)) {
+        return JSON.parse(spec.document);
+    }
+    return generateOpenApiSpec(projectId);
+}
+
+module.exports = {
+    toOpenApiPath,
+    requiresAuth,
+    buildOpenApiDocument,
+    validateOpenApiDocument,
+    generateOpenApiSpec,
+    getOpenApiSpec
+};
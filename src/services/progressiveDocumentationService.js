@@ -1,5 +1,5 @@
 const { OpenAI } = require('openai');
-const { queryCodeDB } = require('./ChromaService');
+const { queryCodeDB } = require('./vectorStoreService');
 const { getRepoMetadata } = require('./repoAnalysisService');
 const RepoMetadata = require('../models/RepoMetadata');
 
@@ -191,9 +191,11 @@ Return JSON:
     /**
      * Progressively generates documentation for a project
      * @param {string} projectId - Project identifier
-     * @returns {Promise<Object>} Generated documentation
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.routes] - Routes found by static analysis (see routeExtractionService)
+     * @returns {Promise<Object>} `{ context, sourceFiles }`: the context to write documentation from, and the files whose code it includes
      */
-    async generateDocumentation(projectId) {
+    async generateDocumentation(projectId, { routes = [] } = {}) {
         // Get repository metadata
         const repoMetadata = await getRepoMetadata(projectId);
         if (!repoMetadata) {
@@ -213,14 +215,16 @@ Return JSON:
         const sortedFiles = [...repoMetadata.files].sort((a, b) => b.importance - a.importance);
         const entryPoints = repoMetadata.entryPoints || [];
 
-        // Group files by type
+        // Group files by type; route files are the ones declaring routes, wherever they live
+        const routeFiles = new Set(routes.map(route => route.filePath));
+        const isRouteFile = f => routeFiles.has(f.filePath);
         const fileGroups = {
-            routes: sortedFiles.filter(f => f.filePath.includes('routes')),
-            controllers: sortedFiles.filter(f => f.filePath.includes('controllers')),
-            models: sortedFiles.filter(f => f.filePath.includes('models')),
-            services: sortedFiles.filter(f => f.filePath.includes('services')),
+            routes: sortedFiles.filter(isRouteFile),
+            controllers: sortedFiles.filter(f => !isRouteFile(f) && f.filePath.includes('controllers')),
+            models: sortedFiles.filter(f => !isRouteFile(f) && f.filePath.includes('models')),
+            services: sortedFiles.filter(f => !isRouteFile(f) && f.filePath.includes('services')),
             other: sortedFiles.filter(f => 
-                !f.filePath.includes('routes') && 
+                !isRouteFile(f) &&
                 !f.filePath.includes('controllers') && 
                 !f.filePath.includes('models') && 
                 !f.filePath.includes('services')
@@ -237,9 +241,13 @@ ${files.map(f => `- ${f.filePath} (Importance: ${f.importance})
 
 Entry Points:
 ${entryPoints.map(ep => `- ${ep.filePath} (Priority: ${ep.priority})
-  ${ep.reason}`).join('\n')}`;
+  ${ep.reason}`).join('\n')}
+
+Routes:
+${routes.map(route => `- ${route.method} ${route.path} -> ${route.handler.name} (${route.handler.filePath || route.filePath})`).join('\n')}`;
 
         // Get code content for important files
+        const sourceFiles = [];
         for (const file of sortedFiles.filter(f => f.importance > 70)) {
             const results = await queryCodeDB(
                 `Find code in file: ${file.filePath}`,
@@ -248,6 +256,7 @@ ${entryPoints.map(ep => `- ${ep.filePath} (Priority: ${ep.priority})
             );
             if (results.documents && results.documents[0]) {
                 documentationContext += `\n\nFile: ${file.filePath}\n${results.documents[0].join('\n')}`;
+                sourceFiles.push(file.filePath);
             }
         }
 
@@ -271,7 +280,7 @@ ${entryPoints.map(ep => `- ${ep.filePath} (Priority: ${ep.priority})
             lastUpdated: new Date()
         });
 
-        return fullDocumentation;
+        return { context: fullDocumentation, sourceFiles };
     }
 
     /**
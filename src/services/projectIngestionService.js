@@ -1,67 +1,254 @@
 // src/services/projectIngestionService.js
 const Project = require('../models/Project');
-const { cloneRepository, cleanupRepository, scanCodeFiles } = require('./gitService');
-const { getCodeChunks } = require('../services/languageParser');
-const { addCodeChunksToDB, resetCollection, getOrCreateCodeCollection } = require('./ChromaService');
+const {
+    cleanupRepository,
+    scanCodeFiles,
+    getHeadCommit,
+    fetchCommit,
+    getChangedFiles
+} = require('./gitService');
+const { checkoutProjectSource } = require('./projectSourceService');
+const { parseCodeFile } = require('../services/languageParser');
+const {
+    resetCollection,
+    getOrCreateCodeCollection,
+    getCollectionEmbeddingInfo,
+    deleteChunksForFiles,
+    reconcileFileChunks
+} = require('./vectorStoreService');
+const { indexFileChunks, deleteFileChunks, resetLexicalIndex } = require('./lexicalIndexService');
+const { indexFileSymbols, deleteFileSymbols, resetSymbolIndex } = require('./symbolIndexService');
+const {
+    recordFileImports,
+    deleteFileImports,
+    resetFileImports,
+    buildDependencyGraph
+} = require('./dependencyGraphService');
+const { buildRouteTable } = require('./routeExtractionService');
+const { generateOpenApiSpec } = require('./openApiService');
+const { EmbeddingBatcher } = require('./embeddingBatcher');
+const { getCacheStats } = require('./embeddingCacheService');
+const { getEmbeddingProvider } = require('./embeddings');
 const path = require('path');
 
+/**
+ * Converts an absolute file path inside the clone to a repository-relative path with forward slashes,
+ * matching both the chunk metadata and `git diff` output.
+ * @param {string} localRepoPath - Path to the cloned repository.
+ * @param {string} filePath - Path of a file inside it.
+ * @returns {string} The repository-relative path.
+ */
+function toRepoPath(localRepoPath, filePath) {
+    return path.relative(localRepoPath, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Works out which files need (re-)embedding since the last ingested commit.
+ * @param {Object} project - The project being ingested.
+ * @param {string} localRepoPath - Path to the cloned repository.
+ * @param {string} headCommit - The commit that was just cloned.
+ * @param {Object} gitOptions - Options passed to git operations (e.g. accessToken).
+ * @returns {Promise<Object|null>} The changed files, or null if a full re-ingestion is needed.
+ */
+async function getIncrementalChanges(project, localRepoPath, headCommit, gitOptions) {
+    if (!project.lastIngestedCommit) {
+        return null; // Never ingested successfully, nothing to diff against
+    }
+
+    if (!await fetchCommit(localRepoPath, project.lastIngestedCommit, gitOptions)) {
+        return null;
+    }
+
+    try {
+        const changes = await getChangedFiles(localRepoPath, project.lastIngestedCommit, headCommit);
+
+        // A changed .gitignore can drop or add files that were not modified themselves
+        const changedPaths = [...changes.added, ...changes.modified, ...changes.deleted];
+        if (changedPaths.some(filePath => path.posix.basename(filePath) === '.gitignore')) {
+            console.log(`.gitignore changed since ${project.lastIngestedCommit}, falling back to full ingestion.`);
+            return null;
+        }
+        return changes;
+    } catch (error) {
+        console.warn(`Could not diff ${project.lastIngestedCommit}..${headCommit}, falling back to full ingestion:`, error.message);
+        return null;
+    }
+}
+
 /**
  * Orchestrates the full ingestion process for a new or updated project.
+ * When a git project was ingested before, only files changed since the last ingested commit
+ * are re-embedded; otherwise (and always for uploaded archives) the collection is rebuilt from scratch.
+ * Chunks are embedded in batches across files (see EmbeddingBatcher).
  * @param {string} projectId - The unique ID of the project.
+ * @param {Function} [reportProgress] - Optional callback receiving a 0-100 progress value.
+ * @returns {Promise<Object>} Summary of the ingestion (mode, commit and file counts).
+ * @throws {Error} If any step fails (the project status is set to 'error' first).
  */
-async function ingestProject(projectId) {
+async function ingestProject(projectId, reportProgress = () => {}) {
     let project;
     let localRepoPath = null; // To keep track for cleanup
 
     try {
-        project = await Project.findOne({ projectId: projectId });
+        project = await Project.findOne({ projectId: projectId }).select('+githubAccessToken');
         if (!project) {
             throw new Error(`Project with ID ${projectId} not found.`);
         }
+        const gitOptions = project.getGitOptions();
 
         // 1. Update project status to cloning
         await project.updateProcessingStatus('cloning');
 
-        // 2. Clone the repository
-        localRepoPath = await cloneRepository(
-            project.githubUrl,
-            project.projectId,
-            project.githubBranch
-        );
+        // 2. Clone the repository (or extract the uploaded archive)
+        localRepoPath = await checkoutProjectSource(project);
+        const isGitSource = project.sourceType !== 'upload';
+        const headCommit = isGitSource ? await getHeadCommit(localRepoPath) : null;
 
         // 3. Update project status to ingesting
         await project.updateProcessingStatus('ingesting');
 
-        // 4. Only reset collection if this is a re-sync (not first time)
-        // Check if lastSyncedAt exists to determine if this is a re-sync
-        if (project.lastSyncedAt) {
-            await resetCollection(project.projectId);
+        if (isGitSource && headCommit === project.lastIngestedCommit) {
+            await project.updateProcessingStatus('active');
+            console.log(`Project ${projectId} is already up to date at ${headCommit}.`);
+            return { mode: 'unchanged', commit: headCommit, filesEmbedded: 0, filesDeleted: 0 };
+        }
+
+        // 4. Scan for code files
+        const codeFilePaths = await scanCodeFiles(localRepoPath, project.getScanOptions());
+
+        // 5. Decide between incremental and full ingestion. Chunks embedded with another provider
+        // or model can't be searched alongside new ones, so switching either re-embeds everything.
+        const embeddingProvider = getEmbeddingProvider(project.settings.embeddingProvider || undefined);
+        const collectionEmbedding = await getCollectionEmbeddingInfo(project.projectId);
+        const embeddingChanged = collectionEmbedding !== null &&
+            (collectionEmbedding.provider !== embeddingProvider.name ||
+                (collectionEmbedding.model !== null && collectionEmbedding.model !== embeddingProvider.model));
+        if (embeddingChanged) {
+            console.log(`Embedding provider of ${projectId} changed to ${embeddingProvider.name} (${embeddingProvider.model}), re-embedding all files.`);
         }
+        const changes = isGitSource && !embeddingChanged
+            ? await getIncrementalChanges(project, localRepoPath, headCommit, gitOptions)
+            : null;
+        let filesToEmbed;
+        let filesDeleted = 0;
+
+        if (changes) {
+            console.log(`Incremental re-sync of ${projectId} from ${project.lastIngestedCommit} to ${headCommit}: ` +
+                `${changes.added.length} added, ${changes.modified.length} modified, ${changes.deleted.length} deleted.`);
 
-        // 5. Scan for code files
-        const codeFilePaths = await scanCodeFiles(localRepoPath);
+            const changedFiles = new Set([...changes.added, ...changes.modified]);
+            filesToEmbed = codeFilePaths.filter(filePath => changedFiles.has(toRepoPath(localRepoPath, filePath)));
+
+            // Changed files are synced chunk by chunk below; deleted ones, and changed files that are no
+            // longer scanned (e.g. now excluded or too large), lose all their chunks
+            const embeddedFiles = new Set(filesToEmbed.map(filePath => toRepoPath(localRepoPath, filePath)));
+            const filesToClear = [
+                ...changes.deleted,
+                ...[...changedFiles].filter(filePath => !embeddedFiles.has(filePath))
+            ];
+            await deleteChunksForFiles(project.projectId, filesToClear);
+            await deleteFileChunks(project.projectId, filesToClear);
+            await deleteFileSymbols(project.projectId, filesToClear);
+            await deleteFileImports(project.projectId, filesToClear);
+            filesDeleted = changes.deleted.length;
+        } else {
+            // Rebuild the collection from scratch, dropping anything left by earlier or failed runs. The stored
+            // commit is cleared first so a failure part-way through can't be mistaken for a complete ingestion.
+            if (project.lastIngestedCommit) {
+                project.lastIngestedCommit = null;
+                await project.save();
+            }
+            await resetCollection(project.projectId);
+            await resetLexicalIndex(project.projectId);
+            await resetSymbolIndex(project.projectId);
+            await resetFileImports(project.projectId);
+            filesToEmbed = codeFilePaths;
+        }
 
-        // 6. Process and add chunks to ChromaDB
+        // 6. Process and add chunks to the vector store
         if (codeFilePaths.length === 0) {
             console.warn(`No supported code files found in project ${projectId}.`);
         }
 
         // Create a *new* collection for this project if it doesn't exist
-        const projectCollection = await getOrCreateCodeCollection(project.projectId);
-
-        for (const filePath of codeFilePaths) {
-            const relativeFilePath = path.relative(localRepoPath, filePath);
-            console.log(`  Parsing and embedding: ${relativeFilePath}`);
-            const chunks = await getCodeChunks(filePath);
-            if (chunks.length > 0) {
-                chunks.forEach(chunk => chunk.metadata.projectId = project.projectId);
-                await addCodeChunksToDB(chunks, project.projectId);
+        await getOrCreateCodeCollection(project.projectId, embeddingProvider.name);
+        await reportProgress(10);
+
+        // Parsing runs ahead of embedding; the batcher makes it wait when enough batches are in flight
+        const cacheStatsBefore = getCacheStats();
+        let filesParsed = 0;
+        const batcher = new EmbeddingBatcher(project.projectId, {
+            onProgress: ({ queued, embedded }) => {
+                console.log(`  Embedded ${embedded}/${queued} chunks (${filesParsed}/${filesToEmbed.length} files parsed)`);
             }
+        });
+
+        for (const filePath of filesToEmbed) {
+            const relativeFilePath = toRepoPath(localRepoPath, filePath);
+            console.log(`  Parsing: ${relativeFilePath}`);
+            // Store paths relative to the repo root so they stay meaningful after cleanup (chunk IDs derive from them too)
+            const parsed = await parseCodeFile(filePath, { relativePath: relativeFilePath });
+            const { chunks } = parsed;
+            chunks.forEach(chunk => {
+                chunk.metadata.projectId = project.projectId;
+            });
+            // The keyword and symbol indexes are cheap to rebuild, so they always get the whole file
+            await indexFileChunks(project.projectId, relativeFilePath, chunks);
+            await indexFileSymbols(project.projectId, relativeFilePath, parsed);
+            await recordFileImports(project.projectId, relativeFilePath, parsed);
+
+            if (changes) {
+                // Only chunks whose content changed are re-embedded; the rest keep their IDs
+                const { newChunks } = await reconcileFileChunks(project.projectId, relativeFilePath, chunks);
+                await batcher.add(newChunks);
+            } else {
+                await batcher.add(chunks);
+            }
+
+            filesParsed++;
+            await reportProgress(10 + Math.floor(85 * filesParsed / filesToEmbed.length));
         }
 
-        // 7. Update project status to active
+        const { embedded } = await batcher.flush();
+        // Process-wide counters, so other jobs running in this worker at the same time are included
+        const cacheStatsAfter = getCacheStats();
+        const embeddingCache = {
+            hits: cacheStatsAfter.hits - cacheStatsBefore.hits,
+            misses: cacheStatsAfter.misses - cacheStatsBefore.misses
+        };
+        console.log(`Embedded ${embedded} chunks from ${filesToEmbed.length} files ` +
+            `(embedding cache: ${embeddingCache.hits} hits, ${embeddingCache.misses} misses).`);
+
+        // Imports resolve against every current file, so the graph is rebuilt even if only one file changed
+        const graph = await buildDependencyGraph(project.projectId, headCommit,
+            codeFilePaths.map(filePath => toRepoPath(localRepoPath, filePath)));
+        console.log(`Dependency graph: ${graph.nodes.length} files, ${graph.edges.length} imports, ${graph.cycles.length} cycles.`);
+        // Routes are mounted across files, so they are extracted from the whole project too
+        const routes = await buildRouteTable(project.projectId, localRepoPath, codeFilePaths);
+        console.log(`Found ${routes.length} HTTP routes.`);
+
+        // 7. Record the ingested commit and update project status to active
+        project.lastIngestedCommit = headCommit;
         await project.updateProcessingStatus('active');
-        console.log(`Project ${projectId} successfully ingested.`);
+        console.log(`Project ${projectId} successfully ingested${headCommit ? ` at ${headCommit}` : ''}.`);
+
+        // The OpenAPI document is versioned by the ingested commit, so it is generated once that is recorded
+        try {
+            await generateOpenApiSpec(project.projectId);
+        } catch (error) {
+            console.warn(`Could not generate the OpenAPI document of project ${projectId}:`, error.message);
+        }
+
+        await reportProgress(100);
+
+        return {
+            mode: changes ? 'incremental' : 'full',
+            commit: headCommit,
+            filesEmbedded: filesToEmbed.length,
+            chunksEmbedded: embedded,
+            embeddingCache,
+            filesDeleted
+        };
 
     } catch (error) {
         console.error(`Error ingesting project ${projectId}:`, error);
@@ -71,14 +258,16 @@ async function ingestProject(projectId) {
                 code: error.code || 'INGESTION_FAILED'
             });
         }
+        // Re-throw so the job queue can record the failure and retry
+        throw error;
     } finally {
         // 8. Clean up the cloned repository
         if (localRepoPath) {
-            await cleanupRepository(projectId);
+            await cleanupRepository(localRepoPath);
         }
     }
 }
 
 module.exports = {
     ingestProject
-};
\ No newline at end of file
+};
@@ -0,0 +1,57 @@
+// src/services/projectLockService.js
+const crypto = require('crypto');
+const { QUEUE_NAMES, getQueue } = require('../config/queue');
+
+const LOCK_TTL = 60000; // Expires this long after its holder stops renewing it, e.g. when a worker dies
+const LOCK_RENEW_INTERVAL = 20000;
+
+// Deletes or extends the lock only while it still holds the caller's token
+const RELEASE_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end`;
+const RENEW_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end`;
+
+const lockKey = (projectId) => `project-lock:${projectId}`;
+
+// The queues' Redis connection, shared by workers of both queues
+const redis = () => getQueue(QUEUE_NAMES.INGESTION).client;
+
+/**
+ * Runs a task while holding a project's lock.
+ * Ingestion and documentation jobs of a project both rebuild its indexes and read its code, so they
+ * run one at a time, across queues and worker processes. A job that finds the lock taken fails
+ * straight away instead of waiting in a worker slot other projects could use; Bull retries it later
+ * (see PROJECT_BUSY_RETRY_DELAY in config/queue.js).
+ * @param {string} projectId - The project.
+ * @param {Function} task - Async function to run.
+ * @returns {Promise<*>} What the task returns.
+ * @throws {Error} With code 'PROJECT_BUSY' if another job holds the lock.
+ */
+async function withProjectLock(projectId, task) {
+    const client = redis();
+    const key = lockKey(projectId);
+    const token = crypto.randomUUID();
+
+    if (await client.set(key, token, 'PX', LOCK_TTL, 'NX') !== 'OK') {
+        const error = new Error(`Project ${projectId} is busy with another job.`);
+        error.code = 'PROJECT_BUSY';
+        throw error;
+    }
+
+    const renewal = setInterval(() => {
+        client.eval(RENEW_SCRIPT, 1, key, token, LOCK_TTL).catch(error => {
+            console.error(`Could not renew the lock of project ${projectId}:`, error.message);
+        });
+    }, LOCK_RENEW_INTERVAL);
+
+    try {
+        return await task();
+    } finally {
+        clearInterval(renewal);
+        await client.eval(RELEASE_SCRIPT, 1, key, token).catch(error => {
+            console.error(`Could not release the lock of project ${projectId}:`, error.message);
+        });
+    }
+}
+
+module.exports = {
+    withProjectLock
+};
@@ -0,0 +1,34 @@
+// src/services/projectSourceService.js
+const { cloneRepository, createCheckoutPath, cleanupRepository } = require('./gitService');
+const { extractProjectArchive } = require('./archiveService');
+
+/**
+ * Puts a project's source code on disk, by cloning its repository or extracting its uploaded archive.
+ * Either way the code ends up in a new temporary directory of its own, cleaned up with cleanupRepository().
+ * The project must have been loaded with '+githubAccessToken' for private repositories.
+ * @param {Object} project - The project document.
+ * @returns {Promise<string>} The local path of the source code.
+ */
+async function checkoutProjectSource(project) {
+    const localPath = createCheckoutPath(project.projectId);
+    try {
+        if (project.sourceType === 'upload') {
+            return await extractProjectArchive(project.projectId, localPath);
+        }
+
+        return await cloneRepository(
+            project.repositoryUrl,
+            localPath,
+            project.githubBranch,
+            project.getGitOptions()
+        );
+    } catch (error) {
+        // Callers only clean up checkouts they got back
+        await cleanupRepository(localPath);
+        throw error;
+    }
+}
+
+module.exports = {
+    checkoutProjectSource
+};
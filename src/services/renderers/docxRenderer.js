@@ -0,0 +1,120 @@
+// src/services/renderers/docxRenderer.js
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType, AlignmentType } = require('docx');
+const { paragraphs, handlerLocation } = require('./text');
+
+/**
+ * Creates a Word document section for an API endpoint
+ * @param {Object} endpoint - The endpoint information
+ * @returns {Array} Array of document elements (paragraphs, tables, etc.)
+ */
+function createEndpointSection(endpoint) {
+    const elements = [];
+
+    // Endpoint title
+    elements.push(new Paragraph({
+        text: endpoint.name,
+        heading: HeadingLevel.HEADING_2
+    }));
+
+    // Method and URL
+    elements.push(new Paragraph({
+        children: [
+            new TextRun({ text: endpoint.method + " ", bold: true }),
+            new TextRun(endpoint.url)
+        ]
+    }));
+
+    // Description
+    if (endpoint.description) {
+        elements.push(new Paragraph({
+            text: endpoint.description
+        }));
+    }
+
+    // Where it is implemented
+    if (endpoint.handler) {
+        elements.push(new Paragraph({
+            children: [
+                new TextRun({ text: "Handler: ", bold: true }),
+                new TextRun(handlerLocation(endpoint.handler))
+            ]
+        }));
+    }
+    if (endpoint.middleware && endpoint.middleware.length > 0) {
+        elements.push(new Paragraph({
+            children: [
+                new TextRun({ text: "Middleware: ", bold: true }),
+                new TextRun(endpoint.middleware.map(middleware => middleware.name).join(', '))
+            ]
+        }));
+    }
+
+    // Parameters table if there are any
+    if (endpoint.parameters && endpoint.parameters.length > 0) {
+        const table = new Table({
+            width: {
+                size: 100,
+                type: WidthType.PERCENTAGE,
+            },
+            rows: [
+                new TableRow({
+                    children: [
+                        new TableCell({ children: [new Paragraph("Parameter")] }),
+                        new TableCell({ children: [new Paragraph("Type")] }),
+                        new TableCell({ children: [new Paragraph("Description")] })
+                    ]
+                }),
+                ...endpoint.parameters.map(param =>
+                    new TableRow({
+                        children: [
+                            new TableCell({ children: [new Paragraph(param.name)] }),
+                            new TableCell({ children: [new Paragraph(param.type)] }),
+                            new TableCell({ children: [new Paragraph(param.description)] })
+                        ]
+                    })
+                )
+            ]
+        });
+        elements.push(table);
+    }
+
+    return elements;
+}
+
+/**
+ * Renders the documentation as a Word document.
+ * @param {Object} documentation - The documentation model (see renderers/index.js).
+ * @returns {Promise<Array<Object>>} The file to write, `documentation.docx`.
+ */
+async function renderDocx(documentation) {
+    const doc = new Document({
+        sections: [{
+            properties: {},
+            children: [
+                // Title
+                new Paragraph({
+                    text: documentation.title,
+                    heading: HeadingLevel.HEADING_1,
+                    alignment: AlignmentType.CENTER
+                }),
+
+                ...documentation.sections.flatMap(section => [
+                    new Paragraph({
+                        text: section.title,
+                        heading: HeadingLevel.HEADING_1
+                    }),
+                    ...paragraphs(section.content).map(text => new Paragraph({ text })),
+                    ...(section.key === 'endpoints'
+                        ? documentation.endpoints.flatMap(endpoint => createEndpointSection(endpoint))
+                        : [])
+                ])
+            ]
+        }]
+    });
+
+    return [{ path: 'documentation.docx', content: await Packer.toBuffer(doc) }];
+}
+
+module.exports = {
+    renderDocx
+};
@@ -0,0 +1,221 @@
+// src/services/renderers/htmlRenderer.js
+const { slugify, paragraphs, handlerLocation, groupEndpoints } = require('./text');
+
+const SITE_DIR = 'site';
+const SEARCH_TEXT_LENGTH = 500; // Characters of each page or endpoint kept in the search index
+
+const STYLE = `:root {
+    --bg-color: #ffffff;
+    --sidebar-color: #f5f6f8;
+    --text-color: #1e1e1e;
+    --primary-color: #007bff;
+    --secondary-color: #6c757d;
+    --border-color: #dee2e6;
+    --font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+}
+body { margin: 0; font-family: var(--font-family); color: var(--text-color); background: var(--bg-color); display: flex; min-height: 100vh; }
+nav { width: 280px; flex-shrink: 0; background: var(--sidebar-color); border-right: 1px solid var(--border-color); padding: 1.5rem 1rem; box-sizing: border-box; }
+nav h1 { font-size: 1.1rem; margin: 0 0 1rem; }
+nav ul { list-style: none; padding-left: 0; margin: 0; }
+nav ul ul { padding-left: 1rem; }
+nav li { margin: 0.3rem 0; }
+nav a { color: var(--text-color); text-decoration: none; }
+nav a:hover, nav a.active { color: var(--primary-color); }
+#search { width: 100%; padding: 0.5rem; margin-bottom: 0.5rem; border: 1px solid var(--border-color); border-radius: 4px; box-sizing: border-box; }
+#search-results { margin-bottom: 1rem; }
+#search-results li { font-size: 0.9rem; }
+main { flex: 1; max-width: 960px; padding: 2rem 3rem; }
+.meta { color: var(--secondary-color); font-size: 0.9rem; }
+.endpoint { border-top: 1px solid var(--border-color); padding-top: 1rem; margin-top: 1.5rem; }
+.route code { font-size: 1rem; }
+.method { display: inline-block; min-width: 4rem; text-align: center; padding: 0.1rem 0.4rem; border-radius: 4px; color: #ffffff; background: var(--secondary-color); font-weight: bold; font-size: 0.85rem; }
+.method-get { background: #28a745; }
+.method-post { background: var(--primary-color); }
+.method-put, .method-patch { background: #fd7e14; }
+.method-delete { background: #dc3545; }
+table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+th, td { border: 1px solid var(--border-color); padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: var(--sidebar-color); }
+`;
+
+// Searches the index loaded from search-index.js; every word typed must appear in the title or text
+const SEARCH_SCRIPT = `(function () {
+    var input = document.getElementById('search');
+    var results = document.getElementById('search-results');
+    input.addEventListener('input', function () {
+        var words = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+        results.innerHTML = '';
+        if (words.length === 0) return;
+        var matches = (window.DOC_SEARCH_INDEX || []).filter(function (entry) {
+            var haystack = (entry.title + ' ' + entry.text).toLowerCase();
+            return words.every(function (word) { return haystack.indexOf(word) !== -1; });
+        }).sort(function (a, b) {
+            var inTitle = function (entry) { return words.every(function (word) { return entry.title.toLowerCase().indexOf(word) !== -1; }); };
+            return inTitle(b) - inTitle(a);
+        }).slice(0, 20);
+        matches.forEach(function (entry) {
+            var item = document.createElement('li');
+            var link = document.createElement('a');
+            link.href = entry.url;
+            link.textContent = entry.title;
+            item.appendChild(link);
+            results.appendChild(item);
+        });
+        if (matches.length === 0) results.innerHTML = '<li>No results</li>';
+    });
+})();
+`;
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const paragraphsHtml = (text) => paragraphs(text).map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n');
+
+function endpointHtml(endpoint, anchor) {
+    const parts = [
+        `<section class="endpoint" id="${anchor}">`,
+        `<h3>${escapeHtml(endpoint.name)}</h3>`,
+        `<p class="route"><span class="method method-${escapeHtml(endpoint.method.toLowerCase())}">${escapeHtml(endpoint.method)}</span> <code>${escapeHtml(endpoint.url)}</code></p>`
+    ];
+    if (endpoint.description) {
+        parts.push(paragraphsHtml(endpoint.description));
+    }
+    if (endpoint.handler) {
+        parts.push(`<p><strong>Handler:</strong> <code>${escapeHtml(handlerLocation(endpoint.handler))}</code></p>`);
+    }
+    if (endpoint.middleware && endpoint.middleware.length > 0) {
+        parts.push(`<p><strong>Middleware:</strong> ${endpoint.middleware.map(middleware => `<code>${escapeHtml(middleware.name)}</code>`).join(', ')}</p>`);
+    }
+    if (endpoint.parameters && endpoint.parameters.length > 0) {
+        parts.push(
+            '<table>',
+            '<tr><th>Parameter</th><th>Type</th><th>Description</th></tr>',
+            ...endpoint.parameters.map(param =>
+                `<tr><td><code>${escapeHtml(param.name)}</code></td><td>${escapeHtml(param.type)}</td><td>${escapeHtml(param.description)}</td></tr>`),
+            '</table>'
+        );
+    }
+    parts.push('</section>');
+    return parts.join('\n');
+}
+
+/**
+ * Renders the documentation as a static site: the first section is the home page, every other section
+ * a page of its own, and the endpoints one page per resource group. Every page has the navigation and a
+ * search box backed by an index in search-index.js, so the site also works opened from disk.
+ * @param {Object} documentation - The documentation model (see renderers/index.js).
+ * @returns {Promise<Array<Object>>} The files to write under `site/`, starting with `site/index.html`.
+ */
+async function renderHtml(documentation) {
+    const groups = groupEndpoints(documentation.endpoints);
+
+    // Page file names, unique within the site: titles like "Index" or "Users" and "users!" slugify alike
+    const usedPages = new Set(['index']);
+    const uniquePage = (slug) => {
+        let name = slug;
+        for (let i = 2; usedPages.has(name); i++) name = `${slug}-${i}`;
+        usedPages.add(name);
+        return `${name}.html`;
+    };
+    const sectionPages = documentation.sections.map((section, i) => i === 0 ? 'index.html' : uniquePage(slugify(section.title)));
+    const groupPages = new Map(groups.map(group => [group, uniquePage(`endpoints-${group.slug}`)]));
+    const sectionPage = (section, i) => sectionPages[i];
+    const groupPage = (group) => groupPages.get(group);
+
+    // Endpoint anchors, unique within their group's page
+    const anchors = new Map();
+    for (const group of groups) {
+        const used = new Set();
+        for (const endpoint of group.endpoints) {
+            let anchor = slugify(`${endpoint.method} ${endpoint.url}`);
+            for (let i = 2; used.has(anchor); i++) anchor = `${slugify(`${endpoint.method} ${endpoint.url}`)}-${i}`;
+            used.add(anchor);
+            anchors.set(endpoint, anchor);
+        }
+    }
+
+    const navigation = (currentPage) => {
+        const link = (page, title) =>
+            `<a href="${page}"${page === currentPage ? ' class="active"' : ''}>${escapeHtml(title)}</a>`;
+        const items = documentation.sections.map((section, i) => {
+            const subItems = section.key === 'endpoints' && groups.length > 0
+                ? `<ul>${groups.map(group => `<li>${link(groupPage(group), group.name)}</li>`).join('')}</ul>`
+                : '';
+            return `<li>${link(sectionPage(section, i), section.title)}${subItems}</li>`;
+        });
+        return `<nav>
+<h1><a href="index.html">${escapeHtml(documentation.title)}</a></h1>
+<input id="search" type="search" placeholder="Search" aria-label="Search the documentation">
+<ul id="search-results"></ul>
+<ul>${items.join('\n')}</ul>
+</nav>`;
+    };
+
+    const generatedAt = new Date(documentation.generatedAt).toISOString();
+    const page = (fileName, title, body) => ({
+        path: `${SITE_DIR}/${fileName}`,
+        content: `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)} - ${escapeHtml(documentation.title)}</title>
+<link rel="stylesheet" href="assets/style.css">
+</head>
+<body>
+${navigation(fileName)}
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(generatedAt)}${documentation.commit ? ` from commit <code>${escapeHtml(documentation.commit)}</code>` : ''}</p>
+${body}
+</main>
+<script src="assets/search-index.js"></script>
+<script src="assets/search.js"></script>
+</body>
+</html>
+`
+    });
+
+    const files = [];
+    const searchIndex = [];
+    documentation.sections.forEach((section, i) => {
+        let body = paragraphsHtml(section.content);
+        if (section.key === 'endpoints') {
+            body += '\n' + groups.map(group => `<h2><a href="${groupPage(group)}">${escapeHtml(group.name)}</a></h2>
+<ul>${group.endpoints.map(endpoint =>
+        `<li><a href="${groupPage(group)}#${anchors.get(endpoint)}"><code>${escapeHtml(endpoint.method)} ${escapeHtml(endpoint.url)}</code></a> ${escapeHtml(endpoint.name)}</li>`).join('\n')}</ul>`).join('\n');
+        }
+        files.push(page(sectionPage(section, i), section.title, body));
+        searchIndex.push({ title: section.title, url: sectionPage(section, i), text: section.content.substring(0, SEARCH_TEXT_LENGTH) });
+    });
+
+    for (const group of groups) {
+        const body = group.endpoints.map(endpoint => endpointHtml(endpoint, anchors.get(endpoint))).join('\n');
+        files.push(page(groupPage(group), `Endpoints: ${group.name}`, body));
+        for (const endpoint of group.endpoints) {
+            searchIndex.push({
+                title: `${endpoint.method} ${endpoint.url} - ${endpoint.name}`,
+                url: `${groupPage(group)}#${anchors.get(endpoint)}`,
+                text: [endpoint.description, ...(endpoint.parameters || []).map(param => param.name)].join(' ').substring(0, SEARCH_TEXT_LENGTH)
+            });
+        }
+    }
+
+    files.push(
+        { path: `${SITE_DIR}/assets/style.css`, content: STYLE },
+        { path: `${SITE_DIR}/assets/search.js`, content: SEARCH_SCRIPT },
+        // A script rather than JSON, since pages opened from disk can't fetch files
+        { path: `${SITE_DIR}/assets/search-index.js`, content: `window.DOC_SEARCH_INDEX = ${JSON.stringify(searchIndex).replace(/</g, '\\u003c')};\n` }
+    );
+    return files;
+}
+
+module.exports = {
+    renderHtml
+};
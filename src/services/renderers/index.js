@@ -0,0 +1,47 @@
+// src/services/renderers/index.js
+const { renderDocx } = require('./docxRenderer');
+const { renderMarkdown } = require('./markdownRenderer');
+const { renderHtml } = require('./htmlRenderer');
+const { renderPdf } = require('./pdfRenderer');
+
+/**
+ * Renderers turn one documentation model into the files of an output format. The model is:
+ * - `title`, `projectId`, `commit` (null for uploaded archives) and `generatedAt`
+ * - `sections`: `{ key, title, content }` in reading order, `content` being plain text with a paragraph per line;
+ *   the section whose key is `endpoints` is followed by the endpoints
+ * - `endpoints`: `{ name, method, url, description, parameters: [{ name, type, description }], handler, middleware }`
+ *
+ * Every renderer resolves to the files to write, `{ path, content }` with paths relative to the project's
+ * docs directory; the first file is the one to open.
+ */
+const renderers = {
+    docx: renderDocx,
+    markdown: renderMarkdown,
+    html: renderHtml,
+    pdf: renderPdf
+};
+
+const RENDER_FORMATS = Object.keys(renderers);
+const DEFAULT_RENDER_FORMAT = 'docx';
+
+/**
+ * Renders the documentation in one format.
+ * @param {Object} documentation - The documentation model.
+ * @param {string} [format] - One of RENDER_FORMATS (default 'docx').
+ * @returns {Promise<Array<Object>>} The files, `{ path, content }`.
+ * @throws {Error} With code 'UNKNOWN_RENDER_FORMAT' if the format has no renderer.
+ */
+async function renderDocumentation(documentation, format = DEFAULT_RENDER_FORMAT) {
+    if (!renderers[format]) {
+        const error = new Error(`Unknown documentation format: ${format}. Expected one of: ${RENDER_FORMATS.join(', ')}`);
+        error.code = 'UNKNOWN_RENDER_FORMAT';
+        throw error;
+    }
+    return renderers[format](documentation);
+}
+
+module.exports = {
+    RENDER_FORMATS,
+    DEFAULT_RENDER_FORMAT,
+    renderDocumentation
+};
@@ -0,0 +1,62 @@
+// src/services/renderers/markdownRenderer.js
+const { slugify, paragraphs, handlerLocation } = require('./text');
+
+// Table cells can't hold pipes or line breaks
+const cell = (text) => String(text || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+function renderEndpoint(endpoint) {
+    const lines = [`### ${endpoint.name}`, '', `\`${endpoint.method} ${endpoint.url}\``, ''];
+    if (endpoint.description) {
+        lines.push(endpoint.description, '');
+    }
+    if (endpoint.handler) {
+        lines.push(`**Handler:** \`${handlerLocation(endpoint.handler)}\``, '');
+    }
+    if (endpoint.middleware && endpoint.middleware.length > 0) {
+        lines.push(`**Middleware:** ${endpoint.middleware.map(middleware => `\`${middleware.name}\``).join(', ')}`, '');
+    }
+    if (endpoint.parameters && endpoint.parameters.length > 0) {
+        lines.push(
+            '| Parameter | Type | Description |',
+            '| --- | --- | --- |',
+            ...endpoint.parameters.map(param => `| \`${cell(param.name)}\` | ${cell(param.type)} | ${cell(param.description)} |`),
+            ''
+        );
+    }
+    return lines;
+}
+
+/**
+ * Renders the documentation as a single Markdown file with a table of contents, for wikis to import.
+ * @param {Object} documentation - The documentation model (see renderers/index.js).
+ * @returns {Promise<Array<Object>>} The file to write, `documentation.md`.
+ */
+async function renderMarkdown(documentation) {
+    const generatedAt = new Date(documentation.generatedAt).toISOString();
+    const lines = [
+        `# ${documentation.title}`,
+        '',
+        `_Generated ${generatedAt}${documentation.commit ? ` from commit \`${documentation.commit}\`` : ''}._`,
+        '',
+        '## Contents',
+        '',
+        ...documentation.sections.map(section => `- [${section.title}](#${slugify(section.title)})`),
+        ''
+    ];
+
+    for (const section of documentation.sections) {
+        lines.push(`## ${section.title}`, '');
+        for (const paragraph of paragraphs(section.content)) {
+            lines.push(paragraph, '');
+        }
+        if (section.key === 'endpoints') {
+            documentation.endpoints.forEach(endpoint => lines.push(...renderEndpoint(endpoint)));
+        }
+    }
+
+    return [{ path: 'documentation.md', content: lines.join('\n') }];
+}
+
+module.exports = {
+    renderMarkdown
+};
@@ -0,0 +1,97 @@
+// src/services/renderers/pdfRenderer.js
+const PDFDocument = require('pdfkit');
+const { paragraphs, handlerLocation } = require('./text');
+
+const FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    code: 'Courier'
+};
+const COLORS = {
+    text: '#1e1e1e',
+    muted: '#6c757d',
+    primary: '#007bff'
+};
+
+// Writes "Label: value" on one line, with the label in bold
+function labelled(pdf, label, value, font = FONTS.regular) {
+    pdf.font(FONTS.bold).fontSize(10).fillColor(COLORS.text).text(`${label}: `, { continued: true });
+    pdf.font(font).text(value);
+}
+
+function writeEndpoint(pdf, endpoint) {
+    pdf.moveDown();
+    pdf.font(FONTS.bold).fontSize(13).fillColor(COLORS.text).text(endpoint.name);
+    pdf.font(FONTS.code).fontSize(10).fillColor(COLORS.primary).text(`${endpoint.method} ${endpoint.url}`);
+    pdf.moveDown(0.3);
+
+    for (const paragraph of paragraphs(endpoint.description)) {
+        pdf.font(FONTS.regular).fontSize(10).fillColor(COLORS.text).text(paragraph).moveDown(0.3);
+    }
+    if (endpoint.handler) {
+        labelled(pdf, 'Handler', handlerLocation(endpoint.handler), FONTS.code);
+    }
+    if (endpoint.middleware && endpoint.middleware.length > 0) {
+        labelled(pdf, 'Middleware', endpoint.middleware.map(middleware => middleware.name).join(', '), FONTS.code);
+    }
+    if (endpoint.parameters && endpoint.parameters.length > 0) {
+        pdf.moveDown(0.3).font(FONTS.bold).fontSize(10).text('Parameters');
+        for (const param of endpoint.parameters) {
+            pdf.font(FONTS.code).fontSize(9).text(`${param.name}`, { continued: true, indent: 10 })
+                .font(FONTS.regular).fillColor(COLORS.muted).text(` (${param.type})`, { continued: Boolean(param.description) });
+            if (param.description) {
+                pdf.fillColor(COLORS.text).text(` - ${param.description}`);
+            }
+            pdf.fillColor(COLORS.text);
+        }
+    }
+}
+
+/**
+ * Renders the documentation as a PDF, one section after another, with PDF outline entries for navigation.
+ * @param {Object} documentation - The documentation model (see renderers/index.js).
+ * @returns {Promise<Array<Object>>} The file to write, `documentation.pdf`.
+ */
+function renderPdf(documentation) {
+    return new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({
+            size: 'A4',
+            margin: 56,
+            info: { Title: documentation.title, Subject: `Documentation of project ${documentation.projectId}` }
+        });
+        const chunks = [];
+        pdf.on('data', chunk => chunks.push(chunk));
+        pdf.on('end', () => resolve([{ path: 'documentation.pdf', content: Buffer.concat(chunks) }]));
+        pdf.on('error', reject);
+
+        pdf.font(FONTS.bold).fontSize(22).fillColor(COLORS.text).text(documentation.title, { align: 'center' });
+        pdf.moveDown(0.5).font(FONTS.regular).fontSize(10).fillColor(COLORS.muted).text(
+            `Generated ${new Date(documentation.generatedAt).toISOString()}${documentation.commit ? ` from commit ${documentation.commit}` : ''}`,
+            { align: 'center' }
+        );
+
+        documentation.sections.forEach((section, i) => {
+            if (i > 0) pdf.addPage();
+            else pdf.moveDown(2);
+            const outline = pdf.outline.addItem(section.title);
+
+            pdf.font(FONTS.bold).fontSize(18).fillColor(COLORS.text).text(section.title);
+            pdf.moveDown(0.5);
+            for (const paragraph of paragraphs(section.content)) {
+                pdf.font(FONTS.regular).fontSize(11).fillColor(COLORS.text).text(paragraph).moveDown(0.5);
+            }
+            if (section.key === 'endpoints') {
+                for (const endpoint of documentation.endpoints) {
+                    outline.addItem(`${endpoint.method} ${endpoint.url}`);
+                    writeEndpoint(pdf, endpoint);
+                }
+            }
+        });
+
+        pdf.end();
+    });
+}
+
+module.exports = {
+    renderPdf
+};
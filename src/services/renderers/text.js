@@ -0,0 +1,61 @@
+// src/services/renderers/text.js
+
+/**
+ * Turns a title into an anchor or file name, e.g. 'Error Handling' into 'error-handling'.
+ * @param {string} title - The title.
+ * @returns {string} The slug.
+ */
+function slugify(title) {
+    return String(title)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'section';
+}
+
+/**
+ * Splits generated text into paragraphs: the LLM separates them with blank lines or single newlines.
+ * @param {string} text - The text.
+ * @returns {Array<string>} Its non-empty paragraphs.
+ */
+function paragraphs(text) {
+    return String(text || '')
+        .split(/\n+/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Where an endpoint is implemented, e.g. 'getUser (src/controllers/user.js:12)'.
+ * @param {Object} handler - The endpoint's handler, `{ name, filePath?, line? }`.
+ * @returns {string} Its description.
+ */
+function handlerLocation(handler) {
+    const location = handler.filePath ? ` (${handler.filePath}${handler.line ? `:${handler.line}` : ''})` : '';
+    return handler.name + location;
+}
+
+/**
+ * Groups endpoints by the first path segment naming a resource, skipping 'api' and versions,
+ * e.g. '/api/v1/projects/:id' under 'projects'.
+ * @param {Array<Object>} endpoints - Endpoints of the documentation model.
+ * @returns {Array<Object>} `{ name, slug, endpoints }` groups in order of first appearance.
+ */
+function groupEndpoints(endpoints) {
+    const groups = new Map();
+    for (const endpoint of endpoints) {
+        const name = endpoint.url.split('/').find(segment =>
+            segment && segment !== 'api' && !/^v\d+$/.test(segment) && !/^[:<{]/.test(segment)) || 'root';
+        if (!groups.has(name)) {
+            groups.set(name, { name, slug: slugify(name), endpoints: [] });
+        }
+        groups.get(name).endpoints.push(endpoint);
+    }
+    return [...groups.values()];
+}
+
+module.exports = {
+    slugify,
+    paragraphs,
+    handlerLocation,
+    groupEndpoints
+};
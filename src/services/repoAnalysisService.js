@@ -190,11 +190,12 @@ Return JSON array:
  * Analyzes repository and stores metadata
  * @param {string} projectId - Project identifier
  * @param {string} localRepoPath - Path to cloned repository
+ * @param {Object} [scanOptions] - The project's file scan settings (Project#getScanOptions)
  */
-async function analyzeAndStoreRepoMetadata(projectId, localRepoPath) {
+async function analyzeAndStoreRepoMetadata(projectId, localRepoPath, scanOptions = {}) {
     try {
-        // Scan for all code files
-        const codeFilePaths = await scanCodeFiles(localRepoPath);
+        // Scan for all code files, leaving out vendored, generated and ignored ones
+        const codeFilePaths = await scanCodeFiles(localRepoPath, scanOptions);
         
         // Initialize metadata
         let metadata = {
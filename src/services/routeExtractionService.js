@@ -0,0 +1,104 @@
+// src/services/routeExtractionService.js
+const path = require('path');
+const ApiRoute = require('../models/ApiRoute');
+const CodeSymbol = require('../models/CodeSymbol');
+const { extractRoutes } = require('./routeExtractors');
+const { createImportResolver } = require('./dependencyGraphService');
+const { getSymbol, getDefinitionCode } = require('./symbolIndexService');
+
+/**
+ * Links handlers and middleware to their symbols, by file and name, so their code can be looked up later.
+ * @param {string} projectId - The ID of the project.
+ * @param {Array<Object>} routes - Routes from extractRoutes, updated in place.
+ */
+async function linkSymbols(projectId, routes) {
+    const functions = routes.flatMap(route => [route.handler, ...route.middleware]).filter(ref => ref.filePath);
+    const filePaths = [...new Set(functions.map(ref => ref.filePath))];
+    if (filePaths.length === 0) {
+        return;
+    }
+
+    const symbols = await CodeSymbol.find({ projectId, filePath: { $in: filePaths } })
+        .select('symbolId name qualifiedName filePath line')
+        .lean();
+    const byKey = new Map();
+    for (const symbol of symbols) {
+        // Spring handlers are found by `Class.method`, everything else by name
+        for (const key of [`${symbol.filePath}#${symbol.name}`, `${symbol.filePath}#${symbol.qualifiedName}`]) {
+            if (!byKey.has(key)) byKey.set(key, symbol);
+        }
+    }
+
+    for (const ref of functions) {
+        const symbol = byKey.get(`${ref.filePath}#${ref.parent ? `${ref.parent}.${ref.name}` : ref.name}`);
+        if (symbol) {
+            ref.symbolId = symbol.symbolId;
+            ref.line = ref.line || symbol.line;
+        }
+    }
+}
+
+/**
+ * Extracts a project's routes from its checked-out code and replaces its stored route table.
+ * Runs after the symbol index is updated, so handlers can be linked to their symbols.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} localRepoPath - Path of the checked-out repository.
+ * @param {Array<string>} codeFilePaths - Absolute paths of all of the project's code files.
+ * @returns {Promise<Array<Object>>} The routes.
+ */
+async function buildRouteTable(projectId, localRepoPath, codeFilePaths) {
+    const resolveImport = createImportResolver(
+        codeFilePaths.map(filePath => path.relative(localRepoPath, filePath).split(path.sep).join('/'))
+    );
+    const routes = extractRoutes(localRepoPath, codeFilePaths, resolveImport);
+    await linkSymbols(projectId, routes);
+
+    await ApiRoute.deleteMany({ projectId });
+    if (routes.length > 0) {
+        await ApiRoute.insertMany(routes.map(route => ({ projectId, ...route })), { ordered: false });
+    }
+    return routes;
+}
+
+/**
+ * Lists a project's routes as found at its last ingestion.
+ * @param {string} projectId - The ID of the project.
+ * @param {Object} [filters]
+ * @param {string} [filters.method] - Only routes for this HTTP method.
+ * @param {string} [filters.pathPrefix] - Only routes whose path starts with this.
+ * @param {string} [filters.filePath] - Only routes declared in this file.
+ * @returns {Promise<Array<Object>>} The routes, ordered by path and method.
+ */
+async function getProjectRoutes(projectId, { method, pathPrefix, filePath } = {}) {
+    const filter = { projectId };
+    if (method) filter.method = method.toUpperCase();
+    if (filePath) filter.filePath = filePath;
+    if (pathPrefix) filter.path = { $regex: `^${pathPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` };
+
+    return ApiRoute.find(filter).select('-_id -__v').sort({ path: 1, method: 1 }).lean();
+}
+
+/**
+ * Adds each route's handler code (from the symbol index) as `handlerCode`, for prompts describing the routes.
+ * @param {string} projectId - The ID of the project.
+ * @param {Array<Object>} routes - The routes, updated in place.
+ * @returns {Promise<Array<Object>>} The routes.
+ */
+async function attachHandlerCode(projectId, routes) {
+    const codeBySymbol = new Map();
+    for (const route of routes) {
+        const symbolId = route.handler.symbolId;
+        if (symbolId && !codeBySymbol.has(symbolId)) {
+            const symbol = await getSymbol(projectId, symbolId);
+            codeBySymbol.set(symbolId, symbol ? await getDefinitionCode(projectId, symbol) : null);
+        }
+        route.handlerCode = symbolId ? codeBySymbol.get(symbolId) : null;
+    }
+    return routes;
+}
+
+module.exports = {
+    buildRouteTable,
+    getProjectRoutes,
+    attachHandlerCode
+};
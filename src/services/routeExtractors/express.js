@@ -0,0 +1,615 @@
+// src/services/routeExtractors/express.js
+
+const { statusCodeOf } = require('./statusCodes');
+
+const HTTP_METHODS = new Set(['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all']);
+// Receivers accepted without a visible `express()` / `Router()`, e.g. `module.exports = (app) => { app.get(...) }`
+const ROUTER_LIKE_NAME = /^(app|server|api|router|\w*Router)$/;
+const FUNCTION_TYPES = new Set(['arrow_function', 'function_expression', 'function', 'function_declaration', 'method_definition']);
+
+// Where `req.x` is read from, as an OpenAPI parameter location (or the request body)
+const REQUEST_LOCATIONS = { body: 'body', query: 'query', params: 'path', headers: 'header', cookies: 'cookie', signedCookies: 'cookie' };
+// express-validator's field selectors; `check` looks everywhere, so its fields are reported as body fields
+const VALIDATOR_LOCATIONS = { body: 'body', query: 'query', param: 'path', header: 'header', cookie: 'cookie', check: 'body' };
+const VALIDATOR_SCHEMAS = {
+    isInt: { type: 'integer' },
+    toInt: { type: 'integer' },
+    isFloat: { type: 'number' },
+    isDecimal: { type: 'number' },
+    isNumeric: { type: 'number' },
+    toFloat: { type: 'number' },
+    isBoolean: { type: 'boolean' },
+    toBoolean: { type: 'boolean' },
+    isArray: { type: 'array' },
+    isObject: { type: 'object' },
+    isString: { type: 'string' },
+    isEmail: { type: 'string', format: 'email' },
+    isURL: { type: 'string', format: 'uri' },
+    isUUID: { type: 'string', format: 'uuid' },
+    isISO8601: { type: 'string', format: 'date-time' },
+    isDate: { type: 'string', format: 'date' },
+    isMongoId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' }
+};
+// Conversions that tell a query or path value's type, e.g. `parseInt(req.query.limit)`
+const CONVERSION_SCHEMAS = { parseInt: { type: 'integer' }, parseFloat: { type: 'number' }, Number: { type: 'number' }, Boolean: { type: 'boolean' } };
+// Response methods that send the response as it is, 200 unless `res.status()` was chained before them
+const SENDING_METHODS = new Set(['json', 'send', 'end', 'sendFile', 'download', 'render', 'jsonp']);
+// How many helper functions deep `res` is followed, e.g. into `findOwnedProject(req, res)`
+const MAX_HELPER_DEPTH = 3;
+
+const stringValue = (node, source) => {
+    const text = source.substring(node.startIndex, node.endIndex);
+    return node.type === 'string' ? text.slice(1, -1) : null;
+};
+
+/**
+ * Extracts the routers, routes and mounts of one JavaScript/TypeScript file.
+ * @param {Object} file - See routeExtractors/index.js.
+ * @returns {Object} The file's route facts.
+ */
+function extractFile({ filePath, tree, source, resolveImport }) {
+    const text = (node) => source.substring(node.startIndex, node.endIndex);
+    const line = (node) => node.startPosition.row + 1;
+    const facts = { routers: [], exports: {}, routes: [], mounts: [] };
+
+    const bindings = new Map();      // Local name -> { filePath, name } it was imported as
+    const localFunctions = new Map(); // Function name -> line
+    const expressNames = new Set(['express']);
+    const routers = new Map();        // Local name -> router (with the middleware `use`d on it so far)
+    const usesValidator = /express-validator/.test(source);
+
+    const resolveModule = (specifier) => resolveImport(filePath, specifier)[0] || null;
+    const requiredModule = (node) => {
+        const functionNode = node?.type === 'call_expression' && node.childForFieldName('function');
+        const argument = functionNode && text(functionNode) === 'require' && node.childForFieldName('arguments').namedChildren[0];
+        return argument && argument.type === 'string' ? stringValue(argument, source) : null;
+    };
+
+    function addRouter(name, node, root) {
+        if (!routers.has(name)) {
+            const router = { name, framework: 'express', root, prefix: '', middleware: [], line: line(node), scoped: [] };
+            routers.set(name, router);
+            facts.routers.push(router);
+        }
+        return routers.get(name);
+    }
+
+    // `express()` is an application; `express.Router()` / `Router()` a router
+    function routerKind(valueNode) {
+        if (valueNode?.type !== 'call_expression') return null;
+        const callee = text(valueNode.childForFieldName('function'));
+        if (expressNames.has(callee)) return 'app';
+        return /(^|\.)Router$/.test(callee) ? 'router' : null;
+    }
+
+    // First pass: imports, router variables, local functions and exports, wherever they appear
+    (function collect(node) {
+        switch (node.type) {
+            case 'import_statement': {
+                const specifier = stringValue(node.childForFieldName('source'), source);
+                const clause = node.namedChildren.find(child => child.type === 'import_clause');
+                if (specifier === 'express' && clause?.namedChildren[0]?.type === 'identifier') {
+                    expressNames.add(text(clause.namedChildren[0]));
+                }
+                const importedFile = resolveModule(specifier);
+                if (!importedFile || !clause) break;
+                for (const child of clause.namedChildren) {
+                    if (child.type === 'identifier') {
+                        bindings.set(text(child), { filePath: importedFile, name: 'default' });
+                    } else if (child.type === 'namespace_import') {
+                        bindings.set(text(child.namedChildren[0]), { filePath: importedFile, name: '*' });
+                    } else if (child.type === 'named_imports') {
+                        for (const specifierNode of child.namedChildren) {
+                            const importedName = text(specifierNode.childForFieldName('name'));
+                            const alias = specifierNode.childForFieldName('alias');
+                            bindings.set(alias ? text(alias) : importedName, { filePath: importedFile, name: importedName });
+                        }
+                    }
+                }
+                break;
+            }
+            case 'variable_declarator': {
+                const nameNode = node.childForFieldName('name');
+                const valueNode = node.childForFieldName('value');
+                if (!nameNode || !valueNode) break;
+
+                const kind = routerKind(valueNode);
+                if (kind && nameNode.type === 'identifier') {
+                    addRouter(text(nameNode), node, kind === 'app');
+                } else if (['arrow_function', 'function_expression', 'function'].includes(valueNode.type)) {
+                    localFunctions.set(text(nameNode), line(node));
+                }
+
+                // const x = require('./x'), const { a, b: c } = require('./x'), const y = require('./x').y
+                const isMember = valueNode.type === 'member_expression';
+                const specifier = requiredModule(isMember ? valueNode.childForFieldName('object') : valueNode);
+                if (specifier === 'express' && nameNode.type === 'identifier' && !isMember) {
+                    expressNames.add(text(nameNode));
+                }
+                const importedFile = specifier && resolveModule(specifier);
+                if (!importedFile) break;
+                if (nameNode.type === 'identifier') {
+                    bindings.set(text(nameNode), {
+                        filePath: importedFile,
+                        name: isMember ? text(valueNode.childForFieldName('property')) : 'default'
+                    });
+                } else if (nameNode.type === 'object_pattern') {
+                    for (const property of nameNode.namedChildren) {
+                        if (property.type === 'shorthand_property_identifier_pattern') {
+                            bindings.set(text(property), { filePath: importedFile, name: text(property) });
+                        } else if (property.type === 'pair_pattern' && property.childForFieldName('value').type === 'identifier') {
+                            bindings.set(text(property.childForFieldName('value')),
+                                { filePath: importedFile, name: text(property.childForFieldName('key')) });
+                        }
+                    }
+                }
+                break;
+            }
+            case 'function_declaration':
+                localFunctions.set(text(node.childForFieldName('name')), line(node));
+                break;
+            case 'assignment_expression': {
+                // module.exports = router, module.exports.x = y, exports.x = y
+                const left = text(node.childForFieldName('left'));
+                const right = node.childForFieldName('right');
+                const exported = left.match(/^(?:module\.exports|exports)(?:\.(\w+))?$/);
+                if (exported && right.type === 'identifier') {
+                    facts.exports[exported[1] || 'default'] = text(right);
+                } else if (exported && !exported[1] && right.type === 'object') {
+                    // module.exports = { router, admin: adminRouter }
+                    for (const property of right.namedChildren) {
+                        if (property.type === 'shorthand_property_identifier') {
+                            facts.exports[text(property)] = text(property);
+                        } else if (property.type === 'pair' && property.childForFieldName('value').type === 'identifier') {
+                            facts.exports[text(property.childForFieldName('key'))] = text(property.childForFieldName('value'));
+                        }
+                    }
+                }
+                break;
+            }
+            case 'export_statement': {
+                const value = node.childForFieldName('value') || node.childForFieldName('declaration');
+                if (value?.type === 'identifier' && /^export\s+default\b/.test(text(node))) {
+                    facts.exports.default = text(value);
+                }
+                break;
+            }
+        }
+        node.namedChildren.forEach(collect);
+    })(tree.rootNode);
+
+    /**
+     * Describes a handler or middleware argument, following imports to the file defining it.
+     */
+    function describeFunction(node) {
+        if (node.type === 'identifier') {
+            const name = text(node);
+            const binding = bindings.get(name);
+            if (binding) {
+                return { name: ['default', '*'].includes(binding.name) ? name : binding.name, filePath: binding.filePath };
+            }
+            return localFunctions.has(name) ? { name, filePath, line: localFunctions.get(name) } : { name };
+        }
+        if (node.type === 'member_expression') {
+            const objectBinding = node.childForFieldName('object').type === 'identifier' &&
+                bindings.get(text(node.childForFieldName('object')));
+            return objectBinding
+                ? { name: text(node.childForFieldName('property')), filePath: objectBinding.filePath }
+                : { name: text(node) };
+        }
+        if (['arrow_function', 'function_expression', 'function'].includes(node.type)) {
+            return { name: 'anonymous', filePath, line: line(node) };
+        }
+        if (node.type === 'call_expression') {
+            // A middleware factory such as `express.json()` or `validate(schema)`
+            const callee = node.childForFieldName('function');
+            const { filePath: definedIn } = describeFunction(callee);
+            return { name: `${text(callee)}()`, ...(definedIn && { filePath: definedIn }) };
+        }
+        return { name: text(node).substring(0, 100) };
+    }
+
+    // A mounted router, as `{ filePath, name }` of its declaration; null if the argument is not a router
+    function routerTarget(node) {
+        if (node.type === 'identifier') {
+            const name = text(node);
+            if (routers.has(name)) return { filePath, name };
+            const binding = bindings.get(name);
+            return binding && binding.name !== '*' ? binding : null;
+        }
+        if (node.type === 'member_expression') {
+            const objectBinding = node.childForFieldName('object').type === 'identifier' &&
+                bindings.get(text(node.childForFieldName('object')));
+            return objectBinding ? { filePath: objectBinding.filePath, name: text(node.childForFieldName('property')) } : null;
+        }
+        const specifier = requiredModule(node);
+        const requiredFile = specifier && resolveModule(specifier);
+        return requiredFile ? { filePath: requiredFile, name: 'default' } : null;
+    }
+
+    const argumentsOf = (callNode) => callNode.childForFieldName('arguments').namedChildren
+        .filter(child => child.type !== 'comment');
+    // Express accepts arrays of handlers anywhere in the list
+    const flattenHandlers = (nodes) => nodes.flatMap(child => child.type === 'array' ? child.namedChildren : [child]);
+    const pathsOf = (node) => {
+        if (node.type === 'string') return [stringValue(node, source)];
+        if (node.type === 'array' && node.namedChildren.every(child => child.type === 'string')) {
+            return node.namedChildren.map(child => stringValue(child, source));
+        }
+        return null;
+    };
+
+    // The router a call is made on; unknown receivers with a router-like name are routers passed in from elsewhere
+    function receiverRouter(objectNode, node, requireRouterName) {
+        if (objectNode.type !== 'identifier') return null;
+        const name = text(objectNode);
+        if (routers.has(name)) return routers.get(name);
+        if (bindings.has(name) || (requireRouterName && !ROUTER_LIKE_NAME.test(name))) return null;
+        return addRouter(name, node, false);
+    }
+
+    // The fields an express-validator chain such as `body('email').isEmail().optional()` checks
+    function validatorInputs(node) {
+        if (!usesValidator) return [];
+        const rules = [];
+        let current = node;
+        while (current?.type === 'call_expression') {
+            const callee = current.childForFieldName('function');
+            if (callee.type === 'member_expression') {
+                rules.unshift(text(callee.childForFieldName('property')));
+                current = callee.childForFieldName('object');
+                continue;
+            }
+            const location = callee.type === 'identifier' && VALIDATOR_LOCATIONS[text(callee)];
+            const [fieldsNode] = location ? argumentsOf(current) : [];
+            const fields = fieldsNode && pathsOf(fieldsNode);
+            if (!fields) return [];
+
+            const typeRule = rules.find(rule => VALIDATOR_SCHEMAS[rule]);
+            const enumRule = rules.includes('isIn') && findChainCall(node, 'isIn');
+            const values = enumRule && argumentsOf(enumRule)[0];
+            const schema = {
+                ...(typeRule ? VALIDATOR_SCHEMAS[typeRule] : location === 'body' ? {} : { type: 'string' }),
+                ...(values && pathsOf(values) && { enum: pathsOf(values) })
+            };
+            return fields
+                .filter(field => field && !field.includes('*'))
+                .map(name => ({ name, in: location, required: location === 'path' || !rules.includes('optional'), schema }));
+        }
+        return [];
+    }
+
+    // The call of `method` somewhere along a method chain
+    function findChainCall(node, method) {
+        for (let current = node; current?.type === 'call_expression';) {
+            const callee = current.childForFieldName('function');
+            if (callee.type !== 'member_expression') return null;
+            if (text(callee.childForFieldName('property')) === method) return current;
+            current = callee.childForFieldName('object');
+        }
+        return null;
+    }
+
+    function addRoutes(router, method, paths, handlerNodes, node) {
+        if (handlerNodes.length === 0) return;
+        const described = handlerNodes.map(describeFunction);
+        const inputs = handlerNodes.slice(0, -1).flatMap(validatorInputs);
+        for (const routePath of paths) {
+            facts.routes.push({
+                router: router.name,
+                method: method === 'all' ? 'ALL' : method.toUpperCase(),
+                path: routePath,
+                line: line(node),
+                handler: described[described.length - 1],
+                // Middleware `use`d on the router before this route (and matching its path), then the route's own
+                middleware: [
+                    ...router.scoped
+                        .filter(entry => !entry.path || routePath.startsWith(entry.path))
+                        .map(entry => entry.middleware),
+                    ...described.slice(0, -1)
+                ],
+                inputs
+            });
+        }
+    }
+
+    // Second pass, in source order: route registrations and `use` calls
+    (function visit(node) {
+        if (node.type === 'call_expression') {
+            const functionNode = node.childForFieldName('function');
+            const property = functionNode.type === 'member_expression' && text(functionNode.childForFieldName('property'));
+            const objectNode = property && functionNode.childForFieldName('object');
+
+            if (property && HTTP_METHODS.has(property)) {
+                const args = argumentsOf(node);
+                const routeCall = findRouteCall(objectNode);
+                if (routeCall) {
+                    // router.route('/x').get(a).post(b)
+                    const router = receiverRouter(routeCall.receiver, node, true);
+                    if (router) addRoutes(router, property, routeCall.paths, flattenHandlers(args), node);
+                } else {
+                    const paths = args.length > 1 && pathsOf(args[0]);
+                    const knownRouter = objectNode.type === 'identifier' && routers.has(text(objectNode));
+                    // Without a known router, only paths starting with '/' count (not `app.get('env')`)
+                    if (paths && (knownRouter || paths.every(routePath => routePath.startsWith('/')))) {
+                        const router = receiverRouter(objectNode, node, true);
+                        if (router) addRoutes(router, property, paths, flattenHandlers(args.slice(1)), node);
+                    }
+                }
+            } else if (property === 'use') {
+                const router = receiverRouter(objectNode, node, true);
+                if (router) {
+                    const args = argumentsOf(node);
+                    const paths = args.length > 0 ? pathsOf(args[0]) : null;
+                    const handlers = flattenHandlers(paths ? args.slice(1) : args);
+                    const targets = handlers.map(routerTarget);
+                    const middleware = handlers.filter((_, i) => !targets[i]).map(describeFunction);
+                    const mountPaths = paths || [''];
+
+                    if (targets.some(Boolean)) {
+                        targets.forEach((target, order) => {
+                            if (!target) return;
+                            for (const mountPath of mountPaths) {
+                                facts.mounts.push({
+                                    router: router.name,
+                                    target,
+                                    // An imported function looks the same as an imported router until the other file is known
+                                    asMiddleware: describeFunction(handlers[order]),
+                                    prefix: mountPath,
+                                    middleware: [
+                                        ...router.scoped
+                                            .filter(entry => !entry.path || mountPath.startsWith(entry.path))
+                                            .map(entry => entry.middleware),
+                                        ...middleware
+                                    ],
+                                    line: line(node),
+                                    order // Position in the call, e.g. verifyToken before userRoutes in `app.use('/x', verifyToken, userRoutes)`
+                                });
+                            }
+                        });
+                    } else {
+                        for (const entry of middleware) {
+                            for (const mountPath of mountPaths) {
+                                router.scoped.push({ path: mountPath, middleware: entry });
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        node.namedChildren.forEach(visit);
+    })(tree.rootNode);
+
+    // The `.route('/x')` call a method call is chained on, if any
+    function findRouteCall(objectNode) {
+        let current = objectNode;
+        while (current?.type === 'call_expression') {
+            const functionNode = current.childForFieldName('function');
+            if (functionNode.type !== 'member_expression') return null;
+            const property = text(functionNode.childForFieldName('property'));
+            if (property === 'route') {
+                const [pathNode] = argumentsOf(current);
+                const paths = pathNode && pathsOf(pathNode);
+                return paths ? { receiver: functionNode.childForFieldName('object'), paths } : null;
+            }
+            if (!HTTP_METHODS.has(property)) return null;
+            current = functionNode.childForFieldName('object');
+        }
+        return null;
+    }
+
+    facts.routers.forEach(router => delete router.scoped);
+    return facts;
+}
+
+// The name a function is defined under: its own, or the variable, property or export it is assigned to
+function definedName(node, text) {
+    const own = node.childForFieldName('name');
+    if (own) return text(own);
+    const parent = node.parent;
+    if (parent?.type === 'variable_declarator' || parent?.type === 'pair') {
+        return text(parent.childForFieldName(parent.type === 'pair' ? 'key' : 'name')).replace(/^['"]|['"]$/g, '');
+    }
+    if (parent?.type === 'assignment_expression') {
+        return text(parent.childForFieldName('left')).split('.').pop();
+    }
+    return null;
+}
+
+/**
+ * Finds a function definition: the outermost one starting on `line` if that is known (for anonymous
+ * handlers, the last one, as the handler comes after its middleware), otherwise the one named `name`.
+ */
+function findFunction(root, { name, line }, text) {
+    const matches = [];
+    (function visit(node, insideMatch) {
+        let matched = false;
+        if (FUNCTION_TYPES.has(node.type) && !insideMatch) {
+            matched = line
+                ? node.startPosition.row + 1 === line && (name === 'anonymous' || definedName(node, text) === name)
+                : definedName(node, text) === name;
+            if (matched) matches.push(node);
+        }
+        node.namedChildren.forEach(child => visit(child, insideMatch || matched));
+    })(root, false);
+    return line && name === 'anonymous' ? matches[matches.length - 1] : matches[0];
+}
+
+// A function's parameter names, or their patterns where they are destructured
+function parametersOf(functionNode) {
+    const single = functionNode.childForFieldName('parameter');
+    if (single) return [single];
+    return (functionNode.childForFieldName('parameters')?.namedChildren || [])
+        .filter(parameter => parameter.type !== 'comment')
+        .map(parameter => parameter.childForFieldName('pattern') || parameter.childForFieldName('left') || parameter);
+}
+
+/**
+ * Reads what a route handler takes from the request (`req.body`, `req.query`, `req.params`, headers and
+ * cookies, read directly or destructured) and which status codes it responds with (`res.status(...)`,
+ * `res.sendStatus(...)`, `res.redirect(...)`), following same-file helpers it passes `res` to.
+ * @param {Object} handlerFile
+ * @param {Object} handlerFile.tree - Syntax tree of the file defining the handler.
+ * @param {string} handlerFile.source - Source of that file.
+ * @param {Object} handlerFile.handler - The route's handler, `{ name, line? }`.
+ * @returns {Object|null} `{ inputs, responses }` (see routeExtractors/index.js), or null if the handler isn't found.
+ */
+function analyzeHandler({ tree, source, handler }) {
+    const text = (node) => source.substring(node.startIndex, node.endIndex);
+    const functionNode = findFunction(tree.rootNode, handler, text);
+    if (!functionNode) return null;
+
+    const inputs = [];
+    const responses = [];
+    const analyzed = new Set();
+
+    const addInput = (location, name, { required = location === 'path', schema } = {}) => {
+        if (!name) return;
+        // A later read may tell more, e.g. `req.query.limit === undefined ? 10 : parseInt(req.query.limit)`
+        const known = inputs.find(input => input.in === location && input.name === name);
+        if (known) {
+            if (schema) known.schema = schema;
+            return;
+        }
+        inputs.push({ name, in: location, required, schema: schema || (location === 'body' ? {} : { type: 'string' }) });
+    };
+    // `{ limit = 20 }` tells the type by its default
+    const defaultSchema = (node) => {
+        if (node?.type === 'number') return { type: /^\d+$/.test(text(node)) ? 'integer' : 'number', default: Number(text(node)) };
+        if (node?.type === 'true' || node?.type === 'false') return { type: 'boolean', default: node.type === 'true' };
+        if (node?.type === 'string') return { type: 'string', default: stringValue(node, source) };
+        return undefined;
+    };
+    // The message of `.json({ message: '...' })`, describing the response
+    const messageOf = (node) => {
+        const pair = node?.type === 'object' && node.namedChildren.find(child => child.type === 'pair' &&
+            ['message', 'error', 'msg'].includes(text(child.childForFieldName('key')).replace(/['"]/g, '')));
+        const value = pair && pair.childForFieldName('value');
+        return value?.type === 'string' ? stringValue(value, source) : undefined;
+    };
+    const callArguments = (callNode) => callNode.childForFieldName('arguments')?.namedChildren.filter(child => child.type !== 'comment') || [];
+
+    // Analyzes a function given the positions of its request and response parameters
+    function analyzeFunction(node, requestIndex, responseIndex, depth) {
+        if (analyzed.has(node)) return;
+        analyzed.add(node);
+        const parameters = parametersOf(node);
+        const nameAt = (index) => parameters[index]?.type === 'identifier' ? text(parameters[index]) : null;
+        const req = nameAt(requestIndex);
+        const res = nameAt(responseIndex);
+        const aliases = new Map(); // Local name -> request location, e.g. `const body = req.body`
+
+        const locationOf = (expression) => {
+            if (expression.type === 'identifier') return aliases.get(text(expression)) || null;
+            if (expression.type === 'member_expression' && text(expression.childForFieldName('object')) === req) {
+                return REQUEST_LOCATIONS[text(expression.childForFieldName('property'))] || null;
+            }
+            return null;
+        };
+
+        // `{ name, limit = 20, id: projectId }` read from a request location
+        const readFields = (pattern, location) => {
+            for (const property of pattern.namedChildren) {
+                if (property.type === 'shorthand_property_identifier_pattern') {
+                    addInput(location, text(property));
+                } else if (property.type === 'object_assignment_pattern') {
+                    addInput(location, text(property.childForFieldName('left')),
+                        { required: false, schema: defaultSchema(property.childForFieldName('right')) });
+                } else if (property.type === 'pair_pattern') {
+                    const value = property.childForFieldName('value');
+                    addInput(location, text(property.childForFieldName('key')).replace(/^['"]|['"]$/g, ''), value.type === 'assignment_pattern'
+                        ? { required: false, schema: defaultSchema(value.childForFieldName('right')) }
+                        : {});
+                }
+            }
+        };
+        // `({ body, query: q }, res)` or `const { body } = req`
+        const readRequestPattern = (pattern) => {
+            for (const property of pattern.namedChildren) {
+                const key = property.type === 'pair_pattern' ? text(property.childForFieldName('key')) : text(property);
+                const location = REQUEST_LOCATIONS[key];
+                const value = property.type === 'pair_pattern' ? property.childForFieldName('value') : null;
+                if (!location) continue;
+                if (value?.type === 'object_pattern') readFields(value, location);
+                else aliases.set(value ? text(value) : key, location);
+            }
+        };
+
+        if (parameters[requestIndex]?.type === 'object_pattern') readRequestPattern(parameters[requestIndex]);
+
+        (function visit(current) {
+            switch (current.type) {
+                case 'variable_declarator': {
+                    const nameNode = current.childForFieldName('name');
+                    const valueNode = current.childForFieldName('value');
+                    if (!valueNode) break;
+                    const location = locationOf(valueNode);
+                    if (location && nameNode.type === 'object_pattern') readFields(nameNode, location);
+                    else if (location && nameNode.type === 'identifier') aliases.set(text(nameNode), location);
+                    else if (text(valueNode) === req && nameNode.type === 'object_pattern') readRequestPattern(nameNode);
+                    break;
+                }
+                case 'member_expression':
+                case 'subscript_expression': {
+                    const location = locationOf(current.childForFieldName('object'));
+                    if (!location) break;
+                    const key = current.type === 'member_expression'
+                        ? text(current.childForFieldName('property'))
+                        : stringValue(current.childForFieldName('index'), source);
+                    // parseInt(req.query.limit) tells the type
+                    const call = current.parent?.type === 'arguments' && current.parent.parent;
+                    const conversion = call && CONVERSION_SCHEMAS[text(call.childForFieldName('function'))];
+                    addInput(location, key, conversion && { required: location === 'path', schema: conversion });
+                    break;
+                }
+                case 'call_expression': {
+                    const callee = current.childForFieldName('function');
+                    const args = callArguments(current);
+                    if (callee.type === 'member_expression') {
+                        const receiver = text(callee.childForFieldName('object'));
+                        const method = text(callee.childForFieldName('property'));
+                        const [first] = args;
+                        if (receiver === req && ['get', 'header'].includes(method) && first?.type === 'string') {
+                            addInput('header', stringValue(first, source));
+                        } else if (receiver === res && method === 'status' && first) {
+                            // res.status(404).json({ message: 'Not found' })
+                            const sent = current.parent?.type === 'member_expression' && current.parent.parent?.type === 'call_expression'
+                                ? current.parent.parent
+                                : null;
+                            const status = statusCodeOf(text(first));
+                            if (status) responses.push({ status, description: sent && messageOf(callArguments(sent)[0]) });
+                        } else if (receiver === res && method === 'sendStatus' && first) {
+                            const status = statusCodeOf(text(first));
+                            if (status) responses.push({ status });
+                        } else if (receiver === res && method === 'redirect') {
+                            responses.push({ status: args.length > 1 ? statusCodeOf(text(first)) || 302 : 302 });
+                        } else if (receiver === res && SENDING_METHODS.has(method)) {
+                            responses.push({ status: 200, description: messageOf(first) });
+                        }
+                    } else if (callee.type === 'identifier' && depth < MAX_HELPER_DEPTH) {
+                        // A same-file helper given `res` responds for the handler, e.g. `findOwnedProject(req, res)`
+                        const argumentNames = args.map(text);
+                        const helper = res && argumentNames.includes(res) && findFunction(tree.rootNode, { name: text(callee) }, text);
+                        if (helper) {
+                            analyzeFunction(helper, req ? argumentNames.indexOf(req) : -1, argumentNames.indexOf(res), depth + 1);
+                        }
+                    }
+                    break;
+                }
+            }
+            current.namedChildren.forEach(visit);
+        })(node.childForFieldName('body') || node);
+    }
+
+    analyzeFunction(functionNode, 0, 1, 0);
+    return { inputs, responses };
+}
+
+module.exports = {
+    name: 'express',
+    languages: ['javascript', 'typescript'],
+    frameworks: ['express'],
+    detect: /\bexpress\b|\bRouter\s*\(|\.(get|post|put|patch|delete|use|route)\s*\(\s*['"`\/]/,
+    extractFile,
+    analyzeHandler
+};
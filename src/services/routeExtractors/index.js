@@ -0,0 +1,249 @@
+// src/services/routeExtractors/index.js
+const path = require('path');
+const fs = require('fs');
+const { getLanguageForFile } = require('../languages');
+const { parseSyntaxTree } = require('../languageParser');
+
+/**
+ * Registry of web framework route extractors.
+ *
+ * Each extractor declares:
+ * - `name`: framework name, for logs
+ * - `languages`: names of the languages (see ../languages) whose files it reads
+ * - `frameworks`: the `framework` values of the routers it reports
+ * - `detect`: regex a file's source must match to be parsed at all (a cheap pre-filter)
+ * - `extractFile({ filePath, tree, source, resolveImport })`: returns the file's route facts, where
+ *   `resolveImport(fromPath, specifier)` maps an import to project files (see dependencyGraphService):
+ *   - `routers`: `{ name, framework, root, prefix, middleware, line }`; `root` routers (apps, controllers)
+ *     are served as they are, others only where they are mounted
+ *   - `routes`: `{ router, method, path, line, handler: { name, parent?, filePath?, line? }, middleware }`
+ *   - `mounts`: `{ router, target: { filePath, name }, prefix, replacesPrefix?, asMiddleware?, middleware, line, order? }`,
+ *     where `target` names the mounted router's variable, or `default` for what its file exports; if it turns
+ *     out not to be a router, `asMiddleware` describes it as middleware for the routes registered after it,
+ *     including the mounts that follow it in the same call (`order` being the position among the call's handlers)
+ *   - `exports`: `{ default?, [exportedName]: routerName }`
+ *   Routes may also carry `inputs` read from their middleware, such as validators (see below).
+ * - `analyzeHandler({ tree, source, handler, route })`: reads a handler in the file defining it, returning
+ *   `{ inputs, responses, bodyType? }` or null if it isn't found there:
+ *   - `inputs`: `{ name, in, required, schema }` with `in` a parameter location (path, query, header, cookie),
+ *     `body` for a JSON body field or `form` for a form field, and `schema` a JSON schema
+ *   - `responses`: `{ status, description? }`
+ *   - `bodyType`: the name of the class the body is read into, if any
+ *
+ * Middleware entries are `{ name, filePath?, line? }`, outermost first.
+ */
+const extractors = [
+    require('./express'),
+    require('./python'),
+    require('./spring')
+];
+
+/**
+ * Joins path segments into a route path with a single leading slash and no trailing one,
+ * e.g. ('/api', 'users/', '/:id') into '/api/users/:id'.
+ */
+function joinPaths(...segments) {
+    const joined = ('/' + segments.filter(Boolean).join('/')).replace(/\/{2,}/g, '/');
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+/**
+ * Combines the facts of all files into full routes: each root router's routes, then the routes of
+ * the routers mounted on it (recursively) under the mount's prefix and behind the mount's middleware.
+ * Routers that are never mounted are reported under their own prefix with `mounted: false`.
+ * @param {Map<string, Object>} factsByFile - Route facts by repository-relative file path.
+ * @returns {Array<Object>} The routes, ordered by path and method.
+ */
+function assembleRoutes(factsByFile) {
+    const routers = new Map(); // `${filePath}#${name}` -> router with its file's routes and mounts
+    for (const [filePath, facts] of factsByFile) {
+        for (const router of facts.routers) {
+            routers.set(`${filePath}#${router.name}`, { ...router, filePath, routes: [], mounts: [] });
+        }
+        for (const route of facts.routes) {
+            routers.get(`${filePath}#${route.router}`)?.routes.push(route);
+        }
+        for (const mount of facts.mounts) {
+            routers.get(`${filePath}#${mount.router}`)?.mounts.push(mount);
+        }
+    }
+
+    // What a mount refers to: the exported router, a router of that name, or the file's only router
+    const resolveTarget = ({ filePath, name }) => {
+        const facts = factsByFile.get(filePath);
+        if (!facts) return null;
+        const routerName = facts.exports[name] || name;
+        if (routers.has(`${filePath}#${routerName}`)) return `${filePath}#${routerName}`;
+        return facts.routers.length === 1 && name === 'default' ? `${filePath}#${facts.routers[0].name}` : null;
+    };
+
+    const mounted = new Set();
+    for (const router of routers.values()) {
+        for (const mount of router.mounts) {
+            mount.targetId = resolveTarget(mount.target);
+            if (mount.targetId) mounted.add(mount.targetId);
+        }
+    }
+
+    const routes = [];
+    function collect(routerId, prefix, middleware, visiting, isMounted) {
+        const router = routers.get(routerId);
+        // Mounts that turned out to be middleware, e.g. `router.use(verifyToken)` with an imported verifyToken
+        const middlewareMounts = router.mounts.filter(mount => !mount.targetId && mount.asMiddleware);
+        const comesBefore = (mount, line, order) => mount.line < line
+            || (mount.line === line && order !== undefined && mount.order < order);
+        const usedBefore = (line, routePath, order) => middlewareMounts
+            .filter(mount => comesBefore(mount, line, order) && (!mount.prefix || routePath.startsWith(mount.prefix)))
+            .map(mount => mount.asMiddleware);
+
+        for (const route of router.routes) {
+            routes.push({
+                method: route.method,
+                path: joinPaths(prefix, route.path),
+                framework: router.framework,
+                filePath: router.filePath,
+                line: route.line,
+                handler: { filePath: router.filePath, ...route.handler },
+                middleware: [...middleware, ...usedBefore(route.line, route.path), ...route.middleware],
+                mounted: isMounted,
+                inputs: route.inputs || []
+            });
+        }
+        for (const mount of router.mounts) {
+            if (!mount.targetId || visiting.has(mount.targetId)) continue; // Unresolved, or mounted inside itself
+            const child = routers.get(mount.targetId);
+            collect(
+                mount.targetId,
+                joinPaths(prefix, mount.prefix, mount.replacesPrefix ? '' : child.prefix),
+                [...middleware, ...usedBefore(mount.line, mount.prefix, mount.order), ...mount.middleware, ...child.middleware],
+                new Set([...visiting, mount.targetId]),
+                isMounted
+            );
+        }
+    }
+
+    for (const [routerId, router] of routers) {
+        if (!mounted.has(routerId)) {
+            collect(routerId, router.prefix, router.middleware, new Set([routerId]), router.root);
+        }
+    }
+
+    const seen = new Set();
+    return routes
+        .filter(route => {
+            // The same router mounted twice under the same path yields the same route twice
+            const key = `${route.method} ${route.path} ${route.filePath}:${route.line}`;
+            return !seen.has(key) && seen.add(key);
+        })
+        .sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method));
+}
+
+/**
+ * Reads each route's handler for its parameters, request body and responses, and replaces
+ * the route's `inputs` with them. Handlers outside the project are left undescribed.
+ * @param {string} localRepoPath - Path of the checked-out repository.
+ * @param {Array<Object>} routes - Routes from assembleRoutes, updated in place.
+ * @param {Map<string, Object>} files - Files parsed so far by repository-relative path, `{ tree, source }`
+ *   or null if they can't be parsed; handler files are added as they are parsed.
+ */
+function analyzeHandlers(localRepoPath, routes, files) {
+    const parsedFile = (filePath) => {
+        if (!files.has(filePath)) {
+            try {
+                files.set(filePath, parseSyntaxTree(path.join(localRepoPath, filePath)));
+            } catch (error) {
+                files.set(filePath, null);
+            }
+        }
+        return files.get(filePath);
+    };
+
+    for (const route of routes) {
+        const extractor = extractors.find(candidate => candidate.frameworks.includes(route.framework));
+        const file = route.handler.filePath && parsedFile(route.handler.filePath);
+        let analysis = null;
+        try {
+            analysis = file && extractor.analyzeHandler({ tree: file.tree, source: file.source, handler: route.handler, route });
+        } catch (error) {
+            console.warn(`Could not analyze the handler of ${route.method} ${route.path}:`, error.message);
+        }
+
+        // What the route's middleware validates comes first: it tells types and whether fields are required
+        const inputs = [];
+        const seen = new Set();
+        for (const input of [...route.inputs, ...(analysis?.inputs || [])]) {
+            const key = `${input.in} ${input.name}`;
+            if (!seen.has(key) && seen.add(key)) inputs.push(input);
+        }
+        const bodyFields = inputs.filter(input => input.in === 'body' || input.in === 'form');
+        const isMultipart = bodyFields.some(field => field.schema.format === 'binary');
+
+        const responses = new Map();
+        for (const response of analysis?.responses || []) {
+            if (!responses.has(response.status) || !responses.get(response.status).description) {
+                responses.set(response.status, { status: response.status, ...(response.description && { description: response.description }) });
+            }
+        }
+
+        route.parameters = inputs.filter(input => input.in !== 'body' && input.in !== 'form');
+        route.requestBody = bodyFields.length === 0 ? null : {
+            contentType: bodyFields.some(field => field.in === 'form')
+                ? (isMultipart ? 'multipart/form-data' : 'application/x-www-form-urlencoded')
+                : 'application/json',
+            ...(analysis?.bodyType && { typeName: analysis.bodyType }),
+            fields: bodyFields.map(({ name, required, schema }) => ({ name, required, schema }))
+        };
+        route.responses = [...responses.values()].sort((a, b) => a.status - b.status);
+        delete route.inputs;
+    }
+}
+
+/**
+ * Finds every HTTP route a project's code declares, without running it.
+ * @param {string} localRepoPath - Path of the checked-out repository.
+ * @param {Array<string>} filePaths - Absolute paths of the project's code files.
+ * @param {function(string, string): Array<string>} resolveImport - Resolves imports (see dependencyGraphService).
+ * @returns {Array<Object>} The routes: `{ method, path, framework, filePath, line, handler, middleware, mounted,
+ *   parameters, requestBody, responses }`.
+ */
+function extractRoutes(localRepoPath, filePaths, resolveImport) {
+    const factsByFile = new Map();
+    const files = new Map();
+
+    for (const absolutePath of filePaths) {
+        const language = getLanguageForFile(absolutePath)?.language.name;
+        const candidates = extractors.filter(extractor => extractor.languages.includes(language));
+        if (candidates.length === 0) continue;
+
+        const filePath = path.relative(localRepoPath, absolutePath).split(path.sep).join('/');
+        try {
+            const source = fs.readFileSync(absolutePath, 'utf8');
+            const matching = candidates.filter(extractor => extractor.detect.test(source));
+            if (matching.length === 0) continue;
+
+            const { tree } = parseSyntaxTree(absolutePath);
+            files.set(filePath, { tree, source });
+            for (const extractor of matching) {
+                const facts = extractor.extractFile({ filePath, tree, source, resolveImport });
+                const merged = factsByFile.get(filePath) || { routers: [], exports: {}, routes: [], mounts: [] };
+                merged.routers.push(...facts.routers);
+                merged.routes.push(...facts.routes);
+                merged.mounts.push(...facts.mounts);
+                Object.assign(merged.exports, facts.exports);
+                factsByFile.set(filePath, merged);
+            }
+        } catch (error) {
+            console.warn(`Could not extract routes from ${filePath}:`, error.message);
+        }
+    }
+
+    const routes = assembleRoutes(factsByFile);
+    analyzeHandlers(localRepoPath, routes, files);
+    return routes;
+}
+
+module.exports = {
+    extractRoutes,
+    assembleRoutes,
+    joinPaths
+};
@@ -0,0 +1,497 @@
+// src/services/routeExtractors/python.js
+const { statusCodeOf } = require('./statusCodes');
+
+// Constructors of route holders: the framework they belong to, whether they are the application,
+// and the keyword argument holding their own path prefix
+const ROUTER_CONSTRUCTORS = {
+    Flask: { framework: 'flask', root: true },
+    Blueprint: { framework: 'flask', root: false, prefixArgument: 'url_prefix' },
+    FastAPI: { framework: 'fastapi', root: true },
+    APIRouter: { framework: 'fastapi', root: false, prefixArgument: 'prefix' }
+};
+const METHOD_DECORATORS = new Set(['get', 'post', 'put', 'patch', 'delete', 'options', 'head']);
+const ROUTE_DECORATORS = new Set(['route', 'api_route', ...METHOD_DECORATORS]);
+// Receivers accepted without a visible constructor, e.g. a blueprint imported from another package
+const ROUTER_LIKE_NAME = /^(app|api|bp|blueprint|router|\w+_(bp|blueprint|router))$/;
+
+// Flask's request attributes, as OpenAPI parameter locations (or the request body / form)
+const FLASK_LOCATIONS = { args: 'query', form: 'form', files: 'form', headers: 'header', cookies: 'cookie', json: 'body', values: 'query' };
+// FastAPI's parameter declarations
+const FASTAPI_LOCATIONS = { Query: 'query', Path: 'path', Header: 'header', Cookie: 'cookie', Body: 'body', Form: 'form', File: 'form' };
+const PYTHON_SCHEMAS = {
+    int: { type: 'integer' },
+    float: { type: 'number' },
+    Decimal: { type: 'number' },
+    str: { type: 'string' },
+    bool: { type: 'boolean' },
+    bytes: { type: 'string', format: 'binary' },
+    UploadFile: { type: 'string', format: 'binary' },
+    UUID: { type: 'string', format: 'uuid' },
+    datetime: { type: 'string', format: 'date-time' },
+    date: { type: 'string', format: 'date' },
+    EmailStr: { type: 'string', format: 'email' },
+    HttpUrl: { type: 'string', format: 'uri' },
+    dict: { type: 'object' },
+    Dict: { type: 'object' },
+    Any: {}
+};
+const CONTAINER_TYPES = new Set(['list', 'List', 'set', 'Set', 'Sequence', 'tuple', 'Tuple']);
+// Parameters FastAPI fills in itself rather than from the request
+const INJECTED_TYPES = new Set(['Request', 'Response', 'WebSocket', 'HTTPConnection', 'BackgroundTasks', 'Session', 'AsyncSession', 'SecurityScopes']);
+
+/**
+ * Extracts the routers, routes and mounts of one Python file: Flask apps and blueprints,
+ * FastAPI apps and APIRouters, their route decorators, `register_blueprint` and `include_router`.
+ * @param {Object} file - See routeExtractors/index.js.
+ * @returns {Object} The file's route facts.
+ */
+function extractFile({ filePath, tree, source, resolveImport }) {
+    const text = (node) => source.substring(node.startIndex, node.endIndex);
+    const line = (node) => node.startPosition.row + 1;
+    const stringValue = (node) => node?.type === 'string'
+        ? node.namedChildren.filter(child => child.type === 'string_content').map(text).join('')
+        : null;
+    const facts = { routers: [], exports: {}, routes: [], mounts: [] };
+
+    const bindings = new Map();      // Local name -> { filePath, name } ('*' for a whole module)
+    const localFunctions = new Map(); // Function name -> line
+    const routers = new Map();
+    const usesFastApi = /\bfastapi\b/.test(source);
+
+    const argumentsOf = (callNode) => callNode.childForFieldName('arguments')?.namedChildren || [];
+    const keywordArgument = (callNode, ...names) => {
+        const argument = argumentsOf(callNode).find(child =>
+            child.type === 'keyword_argument' && names.includes(text(child.childForFieldName('name'))));
+        return argument ? argument.childForFieldName('value') : null;
+    };
+    const positionalArguments = (callNode) => argumentsOf(callNode).filter(child => child.type !== 'keyword_argument');
+    const lastName = (node) => text(node).split('.').pop();
+
+    function addRouter(name, node, { framework, root, prefix = '', middleware = [] }) {
+        if (!routers.has(name)) {
+            const router = { name, framework, root, prefix, middleware, line: line(node) };
+            routers.set(name, router);
+            facts.routers.push(router);
+        }
+        return routers.get(name);
+    }
+
+    // `Depends(get_user)` / `Security(auth)` in a list or default values, as middleware
+    function dependencies(node) {
+        if (!node) return [];
+        if (node.type === 'list') {
+            return node.namedChildren.flatMap(dependencies);
+        }
+        if (node.type === 'call' && ['Depends', 'Security'].includes(lastName(node.childForFieldName('function')))) {
+            const [dependency] = positionalArguments(node);
+            return dependency ? [describeFunction(dependency)] : [];
+        }
+        return [];
+    }
+
+    function describeFunction(node) {
+        const name = text(node);
+        const binding = bindings.get(name);
+        if (binding && binding.name !== '*') {
+            return { name: binding.name, filePath: binding.filePath };
+        }
+        if (node.type === 'attribute') {
+            const moduleBinding = bindings.get(text(node.childForFieldName('object')));
+            if (moduleBinding?.name === '*') {
+                return { name: text(node.childForFieldName('attribute')), filePath: moduleBinding.filePath };
+            }
+        }
+        return localFunctions.has(name) ? { name, filePath, line: localFunctions.get(name) } : { name };
+    }
+
+    // First pass: imports, route holders and module-level functions
+    for (const statement of tree.rootNode.namedChildren) {
+        const node = statement.type === 'expression_statement' ? statement.namedChildren[0] : statement;
+        if (!node) continue;
+
+        if (node.type === 'import_from_statement') {
+            const moduleName = text(node.childForFieldName('module_name'));
+            for (const nameNode of node.childrenForFieldName('name')) {
+                const importedName = text(nameNode.type === 'aliased_import' ? nameNode.childForFieldName('name') : nameNode);
+                const localName = nameNode.type === 'aliased_import' ? text(nameNode.childForFieldName('alias')) : importedName;
+                // `from app.routers import users` imports a module; `from app.routers.users import router` a name
+                const submodule = resolveImport(filePath, /^\.+$/.test(moduleName) ? moduleName + importedName : `${moduleName}.${importedName}`)[0];
+                const importedFile = submodule || resolveImport(filePath, moduleName)[0];
+                if (importedFile) {
+                    bindings.set(localName, { filePath: importedFile, name: submodule ? '*' : importedName });
+                }
+            }
+        } else if (node.type === 'import_statement') {
+            for (const nameNode of node.childrenForFieldName('name')) {
+                if (nameNode.type !== 'aliased_import') continue; // `import a.b` is used as `a.b.x`, which isn't followed
+                const importedFile = resolveImport(filePath, text(nameNode.childForFieldName('name')))[0];
+                if (importedFile) {
+                    bindings.set(text(nameNode.childForFieldName('alias')), { filePath: importedFile, name: '*' });
+                }
+            }
+        } else if (node.type === 'function_definition' || node.type === 'decorated_definition') {
+            const definition = node.type === 'decorated_definition' ? node.childForFieldName('definition') : node;
+            if (definition.type === 'function_definition') {
+                localFunctions.set(text(definition.childForFieldName('name')), line(definition));
+            }
+        } else if (node.type === 'assignment') {
+            const left = node.childForFieldName('left');
+            const right = node.childForFieldName('right');
+            const constructor = right?.type === 'call' && ROUTER_CONSTRUCTORS[lastName(right.childForFieldName('function'))];
+            if (constructor && left.type === 'identifier') {
+                addRouter(text(left), node, {
+                    framework: constructor.framework,
+                    root: constructor.root,
+                    prefix: constructor.prefixArgument ? stringValue(keywordArgument(right, constructor.prefixArgument)) || '' : '',
+                    middleware: dependencies(keywordArgument(right, 'dependencies'))
+                });
+            }
+        }
+    }
+
+    const receiverRouter = (objectNode, node) => {
+        if (objectNode?.type !== 'identifier') return null;
+        const name = text(objectNode);
+        if (routers.has(name)) return routers.get(name);
+        if (bindings.has(name) || !ROUTER_LIKE_NAME.test(name)) return null;
+        return addRouter(name, node, { framework: usesFastApi ? 'fastapi' : 'flask', root: false });
+    };
+
+    // The router a mounted blueprint/router refers to
+    function routerTarget(node) {
+        const name = text(node);
+        if (routers.has(name)) return { filePath, name };
+        const binding = bindings.get(name);
+        if (binding && binding.name !== '*') return binding;
+        if (node.type === 'attribute') {
+            const moduleBinding = bindings.get(text(node.childForFieldName('object')));
+            if (moduleBinding?.name === '*') {
+                return { filePath: moduleBinding.filePath, name: text(node.childForFieldName('attribute')) };
+            }
+        }
+        return null;
+    }
+
+    function addDecoratedRoutes(decorated) {
+        const definition = decorated.childForFieldName('definition');
+        if (definition?.type !== 'function_definition') return;
+
+        const decorators = decorated.namedChildren
+            .filter(child => child.type === 'decorator')
+            .map(decorator => decorator.namedChildren[0]);
+        const isRouteDecorator = (expression) => {
+            const callee = expression?.type === 'call' && expression.childForFieldName('function');
+            return callee?.type === 'attribute' && ROUTE_DECORATORS.has(text(callee.childForFieldName('attribute')));
+        };
+
+        // Other decorators (@login_required, @limiter.limit(...)) wrap the view
+        const wrappers = decorators
+            .filter(expression => !isRouteDecorator(expression))
+            .map(expression => describeFunction(expression.type === 'call' ? expression.childForFieldName('function') : expression));
+        // FastAPI dependencies declared as parameter defaults: `user = Depends(get_current_user)`
+        const parameterDependencies = definition.childForFieldName('parameters').namedChildren
+            .flatMap(parameter => dependencies(parameter.childForFieldName('value')));
+
+        for (const expression of decorators.filter(isRouteDecorator)) {
+            const callee = expression.childForFieldName('function');
+            const router = receiverRouter(callee.childForFieldName('object'), expression);
+            if (!router) continue;
+
+            const decoratorName = text(callee.childForFieldName('attribute'));
+            const routePath = stringValue(positionalArguments(expression)[0] || keywordArgument(expression, 'path', 'rule'));
+            if (routePath === null) continue;
+
+            const methodsNode = keywordArgument(expression, 'methods');
+            const methods = METHOD_DECORATORS.has(decoratorName)
+                ? [decoratorName.toUpperCase()]
+                : (methodsNode?.namedChildren.map(stringValue).filter(Boolean).map(method => method.toUpperCase()) || ['GET']);
+
+            for (const method of methods) {
+                facts.routes.push({
+                    router: router.name,
+                    method,
+                    path: routePath,
+                    line: line(decorated),
+                    handler: { name: text(definition.childForFieldName('name')), filePath, line: line(definition) },
+                    middleware: [
+                        ...dependencies(keywordArgument(expression, 'dependencies')),
+                        ...wrappers,
+                        ...parameterDependencies
+                    ]
+                });
+            }
+        }
+    }
+
+    // Second pass: route decorators, `add_url_rule`, and blueprints / routers mounted on others
+    (function visit(node) {
+        if (node.type === 'decorated_definition') {
+            addDecoratedRoutes(node);
+        } else if (node.type === 'call') {
+            const callee = node.childForFieldName('function');
+            const method = callee.type === 'attribute' && text(callee.childForFieldName('attribute'));
+            const router = ['register_blueprint', 'include_router', 'add_url_rule'].includes(method) &&
+                receiverRouter(callee.childForFieldName('object'), node);
+
+            if (router && method === 'add_url_rule') {
+                // app.add_url_rule('/x', view_func=view, methods=['POST'])
+                const [pathNode, , viewNode] = positionalArguments(node);
+                const routePath = stringValue(pathNode || keywordArgument(node, 'rule'));
+                const view = keywordArgument(node, 'view_func') || viewNode;
+                const methodsNode = keywordArgument(node, 'methods');
+                if (routePath !== null && view) {
+                    for (const routeMethod of methodsNode?.namedChildren.map(stringValue).filter(Boolean) || ['GET']) {
+                        facts.routes.push({
+                            router: router.name,
+                            method: routeMethod.toUpperCase(),
+                            path: routePath,
+                            line: line(node),
+                            handler: describeFunction(view),
+                            middleware: []
+                        });
+                    }
+                }
+            } else if (router) {
+                const [targetNode] = positionalArguments(node);
+                const target = targetNode && routerTarget(targetNode);
+                if (target) {
+                    const prefixNode = keywordArgument(node, method === 'register_blueprint' ? 'url_prefix' : 'prefix');
+                    facts.mounts.push({
+                        router: router.name,
+                        target,
+                        prefix: stringValue(prefixNode) || '',
+                        // Flask's url_prefix replaces the blueprint's own; FastAPI's prefix is added to the router's
+                        replacesPrefix: method === 'register_blueprint' && prefixNode !== null,
+                        middleware: dependencies(keywordArgument(node, 'dependencies')),
+                        line: line(node)
+                    });
+                }
+            }
+        }
+        node.namedChildren.forEach(visit);
+    })(tree.rootNode);
+
+    return facts;
+}
+
+/**
+ * Reads what a Flask view or FastAPI path operation takes from the request and which status codes it
+ * responds with. Flask views read `request.args`, `request.form`, `request.get_json()`...; FastAPI
+ * declares its inputs as parameters, with Pydantic models (from the same file) as the body.
+ * @param {Object} handlerFile - `{ tree, source, handler, route }`, see routeExtractors/index.js.
+ * @returns {Object|null} `{ inputs, responses }`, or null if the handler isn't found.
+ */
+function analyzeHandler({ tree, source, handler, route }) {
+    const text = (node) => source.substring(node.startIndex, node.endIndex);
+    const stringValue = (node) => node?.type === 'string'
+        ? node.namedChildren.filter(child => child.type === 'string_content').map(text).join('')
+        : null;
+    const argumentsOf = (callNode) => callNode.childForFieldName('arguments')?.namedChildren || [];
+    const keywordArgument = (callNode, ...names) => {
+        const argument = argumentsOf(callNode).find(child =>
+            child.type === 'keyword_argument' && names.includes(text(child.childForFieldName('name'))));
+        return argument ? argument.childForFieldName('value') : null;
+    };
+    const positionalArguments = (callNode) => argumentsOf(callNode).filter(child => child.type !== 'keyword_argument');
+    const calleeName = (node) => node?.type === 'call' ? text(node.childForFieldName('function')).split('.').pop() : null;
+
+    const definitions = [];
+    const models = new Map(); // Class name -> class_definition, for Pydantic bodies
+    (function visit(node) {
+        if (node.type === 'function_definition' && text(node.childForFieldName('name')) === handler.name) definitions.push(node);
+        else if (node.type === 'class_definition') models.set(text(node.childForFieldName('name')), node);
+        node.namedChildren.forEach(visit);
+    })(tree.rootNode);
+    const definition = definitions.find(node => !handler.line || node.startPosition.row + 1 === handler.line) || definitions[0];
+    if (!definition) return null;
+
+    const inputs = [];
+    const responses = [];
+    let bodyType; // The Pydantic model a FastAPI body is
+    const messageOf = (node) => {
+        // jsonify(error='...'), {'detail': '...'}
+        if (node?.type === 'call') return stringValue(keywordArgument(node, 'error', 'message', 'detail')) || messageOf(positionalArguments(node)[0]);
+        const pair = node?.type === 'dictionary' && node.namedChildren.find(child => child.type === 'pair' &&
+            ['error', 'message', 'detail'].includes(stringValue(child.childForFieldName('key'))));
+        return pair ? stringValue(pair.childForFieldName('value')) || undefined : undefined;
+    };
+
+    // Raised HTTP errors: abort(404), raise HTTPException(status_code=404, detail='...')
+    const raisedErrors = (node) => {
+        if (node.type === 'call' && ['abort', 'HTTPException'].includes(calleeName(node))) {
+            const [first, second] = positionalArguments(node);
+            const status = statusCodeOf(text(keywordArgument(node, 'status_code', 'code') || first || node));
+            if (status) {
+                responses.push({ status, description: stringValue(keywordArgument(node, 'detail', 'description') || second) || undefined });
+            }
+        }
+        node.namedChildren.forEach(raisedErrors);
+    };
+
+    if (route.framework === 'fastapi') {
+        analyzeFastApiParameters();
+    } else {
+        analyzeFlaskRequest();
+    }
+    raisedErrors(definition.childForFieldName('body'));
+    return { inputs, responses, bodyType };
+
+    function analyzeFlaskRequest() {
+        const aliases = new Map(); // Local name -> location, e.g. `data = request.get_json()`
+        const locationOf = (node) => {
+            if (node.type === 'identifier') return aliases.get(text(node)) || null;
+            if (node.type === 'attribute' && text(node.childForFieldName('object')) === 'request') {
+                return FLASK_LOCATIONS[text(node.childForFieldName('attribute'))] || null;
+            }
+            if (node.type === 'call' && text(node.childForFieldName('function')) === 'request.get_json') return 'body';
+            return null;
+        };
+        const addInput = (location, name, required, schema) => {
+            if (name) inputs.push({ name, in: location, required, schema: schema || (location === 'body' ? {} : { type: 'string' }) });
+        };
+
+        (function visit(node) {
+            if (node.type === 'assignment' && node.childForFieldName('left').type === 'identifier') {
+                const location = node.childForFieldName('right') && locationOf(node.childForFieldName('right'));
+                if (location) aliases.set(text(node.childForFieldName('left')), location);
+            } else if (node.type === 'subscript') {
+                // request.args['q'], data['name']
+                const location = locationOf(node.childForFieldName('value'));
+                const isFile = text(node.childForFieldName('value')) === 'request.files';
+                if (location) {
+                    addInput(location, stringValue(node.childForFieldName('subscript')), true, isFile ? PYTHON_SCHEMAS.bytes : undefined);
+                }
+            } else if (node.type === 'call') {
+                // request.args.get('page', 1, type=int), data.get('name')
+                const callee = node.childForFieldName('function');
+                const location = callee.type === 'attribute' && text(callee.childForFieldName('attribute')) === 'get' &&
+                    locationOf(callee.childForFieldName('object'));
+                const [nameNode, defaultNode] = positionalArguments(node);
+                if (location && stringValue(nameNode)) {
+                    const typeNode = keywordArgument(node, 'type');
+                    const schema = typeNode ? PYTHON_SCHEMAS[text(typeNode)] : undefined;
+                    addInput(location, stringValue(nameNode), false, schema || (defaultNode?.type === 'integer' ? PYTHON_SCHEMAS.int : undefined));
+                }
+            } else if (node.type === 'return_statement') {
+                // return jsonify(...), 201
+                const value = node.namedChildren[0];
+                const [body, status] = value && ['expression_list', 'tuple'].includes(value.type) ? value.namedChildren : [value];
+                if (calleeName(body) === 'redirect') {
+                    responses.push({ status: 302 });
+                } else {
+                    responses.push({ status: status && statusCodeOf(text(status)) || 200, description: messageOf(body) });
+                }
+            }
+            node.namedChildren.forEach(visit);
+        })(definition.childForFieldName('body'));
+    }
+
+    function analyzeFastApiParameters() {
+        const pathParameters = new Set([...route.path.matchAll(/\{(\w+)(?::[^}]*)?\}/g)].map(match => match[1]));
+        const bodyModels = [];
+
+        for (const parameter of definition.childForFieldName('parameters').namedChildren) {
+            if (!['identifier', 'typed_parameter', 'default_parameter', 'typed_default_parameter'].includes(parameter.type)) continue;
+            const nameNode = parameter.type === 'identifier' ? parameter : parameter.childForFieldName('name') || parameter.namedChildren[0];
+            const name = text(nameNode);
+            const typeNode = parameter.childForFieldName('type');
+            const valueNode = parameter.childForFieldName('value');
+            const declaration = calleeName(valueNode);
+            if (['self', 'cls'].includes(name) || ['Depends', 'Security'].includes(declaration)) continue;
+
+            const type = typeNode ? typeSchema(typeNode, true) : { schema: { type: 'string' }, primitive: true };
+            if (type.injected) continue;
+
+            if (FASTAPI_LOCATIONS[declaration]) {
+                // Query(None) and Query(default=10) are optional; Query(), Query(...) required
+                const [defaultArgument] = positionalArguments(valueNode);
+                const hasDefault = keywordArgument(valueNode, 'default') || (defaultArgument && text(defaultArgument) !== '...');
+                const location = FASTAPI_LOCATIONS[declaration];
+                // Header(...) reads `x_request_id` from the X-Request-Id header
+                const alias = stringValue(keywordArgument(valueNode, 'alias')) || (location === 'header' ? name.replace(/_/g, '-') : null);
+                if (location === 'body' && !type.primitive) {
+                    bodyModels.push({ name, type, required: !hasDefault });
+                } else {
+                    inputs.push({ name: alias || name, in: location, required: location === 'path' || (!hasDefault && !type.optional), schema: type.schema });
+                }
+            } else if (pathParameters.has(name)) {
+                inputs.push({ name, in: 'path', required: true, schema: type.schema });
+            } else if (type.primitive) {
+                inputs.push({ name, in: 'query', required: !valueNode && !type.optional, schema: type.schema });
+            } else {
+                bodyModels.push({ name, type, required: !valueNode && !type.optional });
+            }
+        }
+
+        // One model is the body itself; several are embedded under their parameter names
+        if (bodyModels.length === 1 && bodyModels[0].type.fields) {
+            inputs.push(...bodyModels[0].type.fields.map(field => ({ ...field, in: 'body' })));
+            bodyType = bodyModels[0].type.schema.title;
+        } else {
+            inputs.push(...bodyModels.map(model => ({ name: model.name, in: 'body', required: model.required, schema: model.type.schema })));
+        }
+
+        const decorator = definition.parent?.type === 'decorated_definition' && definition.parent.namedChildren
+            .filter(child => child.type === 'decorator')
+            .map(child => child.namedChildren[0])
+            .find(expression => expression.type === 'call' && keywordArgument(expression, 'status_code'));
+        responses.push({ status: (decorator && statusCodeOf(text(keywordArgument(decorator, 'status_code')))) || 200 });
+    }
+
+    /**
+     * The JSON schema of a type annotation, whether FastAPI reads it as a single value (query parameter)
+     * rather than a body, and with `withFields`, the fields of a Pydantic model declared in this file
+     * (only a parameter's own, so self-referencing models end).
+     */
+    function typeSchema(node, withFields = false) {
+        if (node.type === 'type') return typeSchema(node.namedChildren[0], withFields);
+        // X | None
+        if (node.type === 'binary_operator') {
+            const [left, right] = [node.childForFieldName('left'), node.childForFieldName('right')];
+            return { ...typeSchema(text(left) === 'None' ? right : left, withFields), optional: true };
+        }
+        if (node.type === 'generic_type' || node.type === 'subscript') {
+            const base = text(node.namedChildren[0]).split('.').pop();
+            const parameters = node.type === 'subscript'
+                ? node.namedChildren.slice(1)
+                : node.namedChildren.find(child => child.type === 'type_parameter')?.namedChildren || [];
+            if (base === 'Optional') return { ...typeSchema(parameters[0], withFields), optional: true };
+            if (base === 'Literal') {
+                return { schema: { enum: parameters.map(parameter => stringValue(parameter.namedChildren[0] || parameter) ?? text(parameter)) }, primitive: true };
+            }
+            if (CONTAINER_TYPES.has(base)) return { schema: { type: 'array', items: parameters[0] ? typeSchema(parameters[0]).schema : {} }, primitive: false };
+            if (['dict', 'Dict'].includes(base)) return { schema: { type: 'object' }, primitive: false };
+            return { schema: {}, primitive: false };
+        }
+
+        const name = text(node).split('.').pop();
+        if (INJECTED_TYPES.has(name)) return { injected: true };
+        if (PYTHON_SCHEMAS[name]) return { schema: PYTHON_SCHEMAS[name], primitive: !['dict', 'Dict'].includes(name) };
+        const model = withFields && models.get(name);
+        return model
+            ? { schema: { type: 'object', title: name }, primitive: false, fields: modelFields(model) }
+            : { schema: { type: 'object', title: name }, primitive: false };
+    }
+
+    // `name: str`, `age: Optional[int] = None` in a model's body
+    function modelFields(classNode) {
+        return classNode.childForFieldName('body').namedChildren
+            .map(statement => statement.type === 'expression_statement' ? statement.namedChildren[0] : null)
+            .filter(assignment => assignment?.type === 'assignment' && assignment.childForFieldName('type'))
+            .map(assignment => {
+                const type = typeSchema(assignment.childForFieldName('type'));
+                const value = assignment.childForFieldName('right');
+                const required = !type.optional && (!value || calleeName(value) === 'Field' && text(positionalArguments(value)[0] || value) === '...');
+                return { name: text(assignment.childForFieldName('left')), required, schema: type.schema || {} };
+            });
+    }
+}
+
+module.exports = {
+    name: 'flask/fastapi',
+    languages: ['python'],
+    frameworks: ['flask', 'fastapi'],
+    detect: /\b(flask|fastapi)\b|\b(Blueprint|APIRouter)\s*\(|\.(route|get|post|put|patch|delete)\s*\(/,
+    extractFile,
+    analyzeHandler
+};
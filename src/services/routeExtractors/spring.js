@@ -0,0 +1,344 @@
+// src/services/routeExtractors/spring.js
+const { statusCodeOf } = require('./statusCodes');
+
+// @GetMapping and friends fix the method; @RequestMapping takes it from `method`, or matches every method
+const MAPPING_ANNOTATIONS = {
+    GetMapping: 'GET',
+    PostMapping: 'POST',
+    PutMapping: 'PUT',
+    PatchMapping: 'PATCH',
+    DeleteMapping: 'DELETE',
+    RequestMapping: null
+};
+const CONTROLLER_ANNOTATIONS = new Set(['RestController', 'Controller']);
+// Annotations that guard a handler, reported as its middleware
+const SECURITY_ANNOTATIONS = new Set(['PreAuthorize', 'PostAuthorize', 'Secured', 'RolesAllowed', 'PermitAll', 'DenyAll']);
+
+// Handler parameter annotations, as OpenAPI parameter locations (or the request body / multipart form)
+const PARAMETER_ANNOTATIONS = {
+    PathVariable: 'path',
+    RequestParam: 'query',
+    RequestHeader: 'header',
+    CookieValue: 'cookie',
+    RequestBody: 'body',
+    RequestPart: 'form'
+};
+const REQUIRED_ANNOTATIONS = new Set(['NotNull', 'NotBlank', 'NotEmpty']);
+const JAVA_SCHEMAS = {
+    int: { type: 'integer', format: 'int32' },
+    Integer: { type: 'integer', format: 'int32' },
+    short: { type: 'integer', format: 'int32' },
+    Short: { type: 'integer', format: 'int32' },
+    byte: { type: 'integer', format: 'int32' },
+    Byte: { type: 'integer', format: 'int32' },
+    long: { type: 'integer', format: 'int64' },
+    Long: { type: 'integer', format: 'int64' },
+    BigInteger: { type: 'integer' },
+    float: { type: 'number', format: 'float' },
+    Float: { type: 'number', format: 'float' },
+    double: { type: 'number', format: 'double' },
+    Double: { type: 'number', format: 'double' },
+    BigDecimal: { type: 'number' },
+    boolean: { type: 'boolean' },
+    Boolean: { type: 'boolean' },
+    char: { type: 'string' },
+    Character: { type: 'string' },
+    String: { type: 'string' },
+    UUID: { type: 'string', format: 'uuid' },
+    LocalDate: { type: 'string', format: 'date' },
+    LocalDateTime: { type: 'string', format: 'date-time' },
+    OffsetDateTime: { type: 'string', format: 'date-time' },
+    ZonedDateTime: { type: 'string', format: 'date-time' },
+    Instant: { type: 'string', format: 'date-time' },
+    Date: { type: 'string', format: 'date-time' },
+    MultipartFile: { type: 'string', format: 'binary' },
+    Object: {}
+};
+const COLLECTION_TYPES = new Set(['List', 'Set', 'Collection', 'Iterable', 'ArrayList', 'HashSet', 'Page', 'Flux']);
+// Wrappers whose type argument is the value itself
+const WRAPPER_TYPES = new Set(['ResponseEntity', 'Mono', 'CompletableFuture', 'Optional']);
+// ResponseEntity's shortcut builders
+const RESPONSE_ENTITY_STATUSES = {
+    ok: 200,
+    created: 201,
+    accepted: 202,
+    noContent: 204,
+    badRequest: 400,
+    notFound: 404,
+    unprocessableEntity: 422,
+    internalServerError: 500
+};
+
+/**
+ * Syntax helpers shared by route extraction and handler analysis.
+ * @param {string} source - Source of the file.
+ */
+function helpersFor(source) {
+    const text = (node) => source.substring(node.startIndex, node.endIndex);
+
+    const annotationsOf = (declaration) => {
+        const modifiers = declaration.namedChildren.find(child => child.type === 'modifiers');
+        return (modifiers?.namedChildren || [])
+            .filter(child => child.type === 'annotation' || child.type === 'marker_annotation')
+            .map(annotation => ({
+                name: text(annotation.childForFieldName('name')).split('.').pop(),
+                node: annotation
+            }));
+    };
+
+    // The value of an annotation element; the unnamed argument is `value`
+    function elementValue(annotation, ...keys) {
+        const argumentList = annotation.childForFieldName('arguments');
+        for (const argument of argumentList?.namedChildren || []) {
+            if (argument.type === 'element_value_pair') {
+                if (keys.includes(text(argument.childForFieldName('key')))) return argument.childForFieldName('value');
+            } else if (keys.includes('value')) {
+                return argument;
+            }
+        }
+        return null;
+    }
+
+    // "a", {"a", "b"} or a constant (kept as written)
+    const stringsOf = (node) => {
+        if (!node) return null;
+        if (node.type === 'element_value_array_initializer') return node.namedChildren.flatMap(stringsOf);
+        if (node.type === 'string_literal') return [text(node).slice(1, -1)];
+        return [text(node)];
+    };
+
+    return { text, annotationsOf, elementValue, stringsOf };
+}
+
+/**
+ * Extracts the routes of one Java file: each controller class is a router whose @RequestMapping is
+ * its prefix, and each mapped method a route. Spring registers controllers itself, so there are no mounts.
+ * @param {Object} file - See routeExtractors/index.js.
+ * @returns {Object} The file's route facts.
+ */
+function extractFile({ filePath, tree, source }) {
+    const { text, annotationsOf, elementValue, stringsOf } = helpersFor(source);
+    const line = (node) => node.startPosition.row + 1;
+    const facts = { routers: [], exports: {}, routes: [], mounts: [] };
+
+    const mappingPaths = (annotation) => stringsOf(elementValue(annotation, 'value', 'path')) || [''];
+    const mappingMethods = (annotation) => {
+        const fixed = MAPPING_ANNOTATIONS[annotation.name];
+        if (fixed) return [fixed];
+        const methods = stringsOf(elementValue(annotation.node, 'method'));
+        return methods ? methods.map(method => method.split('.').pop().toUpperCase()) : ['ALL'];
+    };
+    const guards = (annotations) => annotations
+        .filter(annotation => SECURITY_ANNOTATIONS.has(annotation.name))
+        .map(annotation => ({ name: text(annotation.node).substring(1) }));
+
+    (function visit(node, enclosingClasses) {
+        if (node.type === 'class_declaration') {
+            const className = text(node.childForFieldName('name'));
+            const classPath = [...enclosingClasses, className];
+            const annotations = annotationsOf(node);
+            const classMapping = annotations.find(annotation => annotation.name === 'RequestMapping');
+            const methods = node.childForFieldName('body').namedChildren.filter(child => child.type === 'method_declaration');
+            const isController = annotations.some(annotation => CONTROLLER_ANNOTATIONS.has(annotation.name));
+
+            const routes = methods.flatMap(method => {
+                const methodAnnotations = annotationsOf(method);
+                const mapping = methodAnnotations.find(annotation => annotation.name in MAPPING_ANNOTATIONS);
+                if (!mapping) return [];
+                return mappingPaths(mapping.node).flatMap(routePath => mappingMethods(mapping).map(httpMethod => ({
+                    router: classPath.join('.'),
+                    method: httpMethod,
+                    path: routePath,
+                    line: line(method),
+                    handler: {
+                        name: text(method.childForFieldName('name')),
+                        parent: classPath.join('.'),
+                        filePath,
+                        line: line(method)
+                    },
+                    middleware: guards(methodAnnotations)
+                })));
+            });
+
+            if (isController || routes.length > 0) {
+                // A class-level @RequestMapping with several paths registers every route under each
+                const prefixes = classMapping ? mappingPaths(classMapping.node) : [''];
+                prefixes.forEach((prefix, i) => {
+                    const routerName = i === 0 ? classPath.join('.') : `${classPath.join('.')}#${i}`;
+                    facts.routers.push({
+                        name: routerName,
+                        framework: 'spring',
+                        root: true,
+                        prefix,
+                        middleware: guards(annotations),
+                        line: line(node)
+                    });
+                    facts.routes.push(...routes.map(route => ({ ...route, router: routerName })));
+                });
+            }
+
+            node.childForFieldName('body').namedChildren.forEach(child => visit(child, classPath));
+            return;
+        }
+        node.namedChildren.forEach(child => visit(child, enclosingClasses));
+    })(tree.rootNode, []);
+
+    return facts;
+}
+
+/**
+ * Reads a controller method's inputs from its parameter annotations (@PathVariable, @RequestParam,
+ * @RequestHeader, @RequestBody with a DTO declared in the same file...) and its status codes from
+ * @ResponseStatus, ResponseEntity builders and thrown ResponseStatusExceptions.
+ * @param {Object} handlerFile - `{ tree, source, handler }`, see routeExtractors/index.js.
+ * @returns {Object|null} `{ inputs, responses, bodyType }`, or null if the handler isn't found.
+ */
+function analyzeHandler({ tree, source, handler }) {
+    const { text, annotationsOf, elementValue, stringsOf } = helpersFor(source);
+    const types = new Map(); // Class and record declarations of the file, for DTOs
+    let method = null;
+
+    (function visit(node, enclosingClasses) {
+        if (node.type === 'class_declaration' || node.type === 'record_declaration') {
+            const classPath = [...enclosingClasses, text(node.childForFieldName('name'))];
+            types.set(classPath[classPath.length - 1], node);
+            const members = node.childForFieldName('body')?.namedChildren || [];
+            if (classPath.join('.') === handler.parent) {
+                const candidates = members.filter(member =>
+                    member.type === 'method_declaration' && text(member.childForFieldName('name')) === handler.name);
+                method = candidates.find(candidate => candidate.startPosition.row + 1 === handler.line) || candidates[0] || null;
+            }
+            members.forEach(member => visit(member, classPath));
+            return;
+        }
+        node.namedChildren.forEach(child => visit(child, enclosingClasses));
+    })(tree.rootNode, []);
+    if (!method) return null;
+
+    const inputs = [];
+    const responses = [];
+    let bodyType;
+
+    for (const parameter of method.childForFieldName('parameters').namedChildren) {
+        if (parameter.type !== 'formal_parameter') continue;
+        const binding = annotationsOf(parameter).find(annotation => PARAMETER_ANNOTATIONS[annotation.name]);
+        if (!binding) continue;
+
+        const type = typeSchema(parameter.childForFieldName('type'), binding.name === 'RequestBody');
+        const requiredNode = elementValue(binding.node, 'required');
+        const required = (!requiredNode || text(requiredNode) !== 'false') && !elementValue(binding.node, 'defaultValue') && !type.optional;
+        const location = binding.name === 'RequestParam' && type.schema.format === 'binary' ? 'form' : PARAMETER_ANNOTATIONS[binding.name];
+
+        if (location === 'body') {
+            if (type.fields) {
+                inputs.push(...type.fields.map(field => ({ ...field, in: 'body' })));
+                bodyType = type.schema.title;
+            } else {
+                inputs.push({ name: text(parameter.childForFieldName('name')), in: 'body', required, schema: type.schema });
+            }
+            continue;
+        }
+        const [declaredName] = stringsOf(elementValue(binding.node, 'value', 'name')) || [];
+        inputs.push({
+            name: declaredName || text(parameter.childForFieldName('name')),
+            in: location,
+            required: location === 'path' || required,
+            schema: type.schema
+        });
+    }
+
+    const responseStatus = annotationsOf(method).find(annotation => annotation.name === 'ResponseStatus');
+    const statusNode = responseStatus && elementValue(responseStatus.node, 'value', 'code');
+    const returnsEntity = /\bResponseEntity\b/.test(text(method.childForFieldName('type')));
+    if (!returnsEntity || statusNode) {
+        // Without a ResponseEntity, Spring responds with @ResponseStatus or 200
+        responses.push({ status: (statusNode && statusCodeOf(text(statusNode))) || 200 });
+    }
+
+    (function visit(node) {
+        const receiver = node.type === 'method_invocation' && node.childForFieldName('object');
+        if (receiver && /(^|\.)ResponseEntity$/.test(text(receiver))) {
+            // ResponseEntity.notFound().build(), ResponseEntity.status(HttpStatus.CREATED).body(item)
+            const name = text(node.childForFieldName('name'));
+            const [first] = node.childForFieldName('arguments').namedChildren;
+            const status = name === 'status' ? first && statusCodeOf(text(first)) : RESPONSE_ENTITY_STATUSES[name];
+            if (status) responses.push({ status });
+        } else if (node.type === 'method_reference') {
+            // .map(ResponseEntity::ok)
+            const [receiver, name] = text(node).split('::');
+            if (/(^|\.)ResponseEntity$/.test(receiver.trim()) && RESPONSE_ENTITY_STATUSES[name.trim()]) {
+                responses.push({ status: RESPONSE_ENTITY_STATUSES[name.trim()] });
+            }
+        } else if (node.type === 'object_creation_expression') {
+            // new ResponseEntity<>(body, HttpStatus.CREATED), throw new ResponseStatusException(HttpStatus.NOT_FOUND, "...")
+            const typeName = text(node.childForFieldName('type')).replace(/<.*$/s, '').split('.').pop();
+            const args = node.childForFieldName('arguments').namedChildren;
+            const status = ['ResponseEntity', 'ResponseStatusException'].includes(typeName) &&
+                args.map(argument => statusCodeOf(text(argument))).find(Boolean);
+            if (status) {
+                const message = typeName === 'ResponseStatusException' && args.find(argument => argument.type === 'string_literal');
+                responses.push({ status, description: message ? text(message).slice(1, -1) : undefined });
+            }
+        }
+        node.namedChildren.forEach(visit);
+    })(method.childForFieldName('body') || method);
+
+    return { inputs, responses, bodyType };
+
+    /**
+     * The JSON schema of a Java type, whether it is optional, and with `withFields`, the fields of a DTO
+     * declared in this file (only a body's own, so self-referencing DTOs end).
+     */
+    function typeSchema(node, withFields = false) {
+        if (!node) return { schema: {} };
+        if (node.type === 'array_type') {
+            return { schema: { type: 'array', items: typeSchema(node.childForFieldName('element')).schema } };
+        }
+        if (node.type === 'generic_type') {
+            const base = text(node.namedChildren[0]).split('.').pop();
+            const [argument] = node.namedChildren.find(child => child.type === 'type_arguments')?.namedChildren || [];
+            if (WRAPPER_TYPES.has(base)) return { ...typeSchema(argument, withFields), optional: base === 'Optional' };
+            if (COLLECTION_TYPES.has(base)) return { schema: { type: 'array', items: typeSchema(argument).schema } };
+            if (/Map$/.test(base)) return { schema: { type: 'object' } };
+            return { schema: { type: 'object', title: base } };
+        }
+
+        const name = text(node).split('.').pop();
+        if (JAVA_SCHEMAS[name]) return { schema: JAVA_SCHEMAS[name] };
+        const declaration = withFields && types.get(name);
+        return {
+            schema: { type: 'object', title: name },
+            ...(declaration && { fields: dtoFields(declaration) })
+        };
+    }
+
+    // A record's components, or a class's instance fields; @NotNull and friends make them required
+    function dtoFields(declaration) {
+        const isRequired = (node) => annotationsOf(node).some(annotation => REQUIRED_ANNOTATIONS.has(annotation.name));
+        if (declaration.type === 'record_declaration') {
+            return declaration.childForFieldName('parameters').namedChildren
+                .filter(component => component.type === 'formal_parameter')
+                .map(component => ({
+                    name: text(component.childForFieldName('name')),
+                    required: isRequired(component),
+                    schema: typeSchema(component.childForFieldName('type')).schema
+                }));
+        }
+        return declaration.childForFieldName('body').namedChildren
+            .filter(member => member.type === 'field_declaration' && !/\bstatic\b/.test(text(member.namedChildren.find(child => child.type === 'modifiers') || member.childForFieldName('type'))))
+            .flatMap(field => field.childrenForFieldName('declarator').map(declarator => ({
+                name: text(declarator.childForFieldName('name')),
+                required: isRequired(field),
+                schema: typeSchema(field.childForFieldName('type')).schema
+            })));
+    }
+}
+
+module.exports = {
+    name: 'spring',
+    languages: ['java'],
+    frameworks: ['spring'],
+    detect: /@(Rest)?Controller\b|@(Get|Post|Put|Patch|Delete|Request)Mapping\b/,
+    extractFile,
+    analyzeHandler
+};
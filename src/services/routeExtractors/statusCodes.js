@@ -0,0 +1,26 @@
+// src/services/routeExtractors/statusCodes.js
+const http = require('http');
+
+// NOT_FOUND -> 404, as Spring's HttpStatus and http-status-codes name them
+const CODES_BY_NAME = new Map(Object.entries(http.STATUS_CODES)
+    .map(([code, message]) => [message.toUpperCase().replace(/[^A-Z0-9]+/g, '_'), Number(code)]));
+
+/**
+ * Reads an HTTP status code as written in code: `404`, `HttpStatus.NOT_FOUND`,
+ * `status.HTTP_404_NOT_FOUND` or `StatusCodes.NOT_FOUND`.
+ * @param {string} expression - Source text of the status argument.
+ * @returns {number|null} The status code, or null if it can't be told without running the code.
+ */
+function statusCodeOf(expression) {
+    const value = expression.trim();
+    if (/^[1-5]\d\d$/.test(value)) return Number(value);
+
+    const numbered = value.match(/HTTP_([1-5]\d\d)(_|$)/);
+    if (numbered) return Number(numbered[1]);
+
+    return CODES_BY_NAME.get(value.split('.').pop()) || null;
+}
+
+module.exports = {
+    statusCodeOf
+};
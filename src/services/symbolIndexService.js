@@ -0,0 +1,194 @@
+// src/services/symbolIndexService.js
+const crypto = require('crypto');
+const CodeSymbol = require('../models/CodeSymbol');
+const SymbolReference = require('../models/SymbolReference');
+const LexicalChunk = require('../models/LexicalChunk');
+
+const MAX_SEARCH_CANDIDATES = 500; // Matches of each kind ranked in memory per symbol search
+
+/**
+ * Builds a symbol ID from where the symbol is defined, so it survives edits to the symbol's body.
+ * @param {string} filePath - Repository-relative file path.
+ * @param {string} symbolPath - Kind and qualified name, e.g. `method:OrderService.create`.
+ * @returns {string} A 24-character hex ID.
+ */
+function createSymbolId(filePath, symbolPath) {
+    return crypto.createHash('sha256')
+        .update(`${filePath}\0${symbolPath}`)
+        .digest('hex')
+        .substring(0, 24);
+}
+
+/**
+ * Replaces the symbols and identifier references of one file.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} filePath - Repository-relative file path.
+ * @param {Object} parsed - parseCodeFile's result for the file (`chunks`, `definitions`, `references`).
+ */
+async function indexFileSymbols(projectId, filePath, { chunks, definitions, references }) {
+    await deleteFileSymbols(projectId, [filePath]);
+
+    const language = chunks[0]?.metadata.language;
+    const seen = new Map();
+    const symbols = definitions.map(definition => {
+        const qualifiedName = [definition.parent, definition.name].filter(Boolean).join('.');
+        // Overloads and redefinitions share a symbol path, so they are numbered in file order
+        const symbolPath = `${definition.kind}:${qualifiedName}`;
+        const occurrence = (seen.get(symbolPath) || 0) + 1;
+        seen.set(symbolPath, occurrence);
+
+        return {
+            projectId,
+            symbolId: createSymbolId(filePath, occurrence > 1 ? `${symbolPath}~${occurrence}` : symbolPath),
+            name: definition.name,
+            qualifiedName,
+            kind: definition.kind,
+            language,
+            filePath,
+            line: definition.line,
+            lineStart: definition.line_start,
+            lineEnd: definition.line_end,
+            signature: definition.signature,
+            parent: definition.parent,
+            exported: definition.exported,
+            chunkId: definition.chunk_id
+        };
+    });
+
+    if (symbols.length > 0) {
+        await CodeSymbol.insertMany(symbols, { ordered: false });
+    }
+    if (references.size > 0) {
+        await SymbolReference.insertMany(
+            [...references].map(([name, lines]) => ({ projectId, filePath, name, lines })),
+            { ordered: false }
+        );
+    }
+}
+
+/**
+ * Removes the symbols and references of the given files.
+ * @param {string} projectId - The ID of the project.
+ * @param {Array<string>} filePaths - Repository-relative file paths.
+ */
+async function deleteFileSymbols(projectId, filePaths) {
+    if (filePaths.length === 0) {
+        return;
+    }
+    await CodeSymbol.deleteMany({ projectId, filePath: { $in: filePaths } });
+    await SymbolReference.deleteMany({ projectId, filePath: { $in: filePaths } });
+}
+
+/**
+ * Removes a project's whole symbol index, before a full re-ingestion.
+ * @param {string} projectId - The ID of the project.
+ */
+async function resetSymbolIndex(projectId) {
+    await CodeSymbol.deleteMany({ projectId });
+    await SymbolReference.deleteMany({ projectId });
+}
+
+/**
+ * Finds symbols by name. Exact matches come first, then prefix matches, then other substring matches.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} [query] - Case-insensitive part of the name; all symbols when empty.
+ * @param {Object} [options]
+ * @param {string} [options.kind] - Only symbols of this kind (e.g. class, method).
+ * @param {string} [options.filePath] - Only symbols defined in this file.
+ * @param {number} [options.limit=20] - Maximum number of symbols.
+ * @returns {Promise<Array<Object>>} The matching symbols.
+ */
+async function searchSymbols(projectId, query = '', { kind, filePath, limit = 20 } = {}) {
+    const filter = { projectId };
+    if (kind) filter.kind = kind;
+    if (filePath) filter.filePath = filePath;
+
+    // Each kind of match is queried on its own (the anchored ones through the name index),
+    // so better matches are never crowded out of the candidates by worse ones
+    const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const patterns = query ? [`^${escaped}$`, `^${escaped}`, escaped] : [null];
+
+    const symbols = [];
+    for (const pattern of patterns) {
+        if (symbols.length >= limit) break;
+        const stageFilter = { ...filter, _id: { $nin: symbols.map(symbol => symbol._id) } };
+        if (pattern) stageFilter.name = { $regex: pattern, $options: 'i' };
+
+        const matches = await CodeSymbol.find(stageFilter).limit(MAX_SEARCH_CANDIDATES).lean();
+        symbols.push(...matches
+            .sort((a, b) => a.name.length - b.name.length
+                || a.filePath.localeCompare(b.filePath)
+                || a.lineStart - b.lineStart)
+            .slice(0, limit - symbols.length));
+    }
+    return symbols;
+}
+
+/**
+ * Looks up one symbol.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} symbolId - The symbol's ID.
+ * @returns {Promise<Object|null>} The symbol, or null if it does not exist.
+ */
+async function getSymbol(projectId, symbolId) {
+    return CodeSymbol.findOne({ projectId, symbolId }).lean();
+}
+
+/**
+ * Gets the code of a symbol's definition from the keyword index (the source itself is not kept after ingestion).
+ * @param {string} projectId - The ID of the project.
+ * @param {Object} symbol - The symbol.
+ * @returns {Promise<string|null>} The code of the chunk holding the definition (its first part if it was split).
+ */
+async function getDefinitionCode(projectId, symbol) {
+    if (!symbol.chunkId) {
+        return null;
+    }
+    const chunk = await LexicalChunk.findOne({ projectId, chunkId: symbol.chunkId }).select('content').lean();
+    return chunk ? chunk.content : null;
+}
+
+/**
+ * Finds where a symbol is referenced. References are matched by name, so uses of other symbols with
+ * the same name are included too; each reference names the symbol whose definition encloses it.
+ * @param {string} projectId - The ID of the project.
+ * @param {Object} symbol - The symbol.
+ * @param {Object} [options]
+ * @param {number} [options.limit=200] - Maximum number of references.
+ * @returns {Promise<{references: Array<Object>, total: number}>} References in file and line order, and their total count.
+ */
+async function findReferences(projectId, symbol, { limit = 200 } = {}) {
+    const entries = await SymbolReference.find({ projectId, name: symbol.name }).sort('filePath').lean();
+    const references = entries
+        .flatMap(entry => entry.lines.map(line => ({ filePath: entry.filePath, line })))
+        .filter(reference => !(reference.filePath === symbol.filePath && reference.line === symbol.line));
+
+    const shown = references.slice(0, limit);
+    const filePaths = [...new Set(shown.map(reference => reference.filePath))];
+    const fileSymbols = await CodeSymbol.find({ projectId, filePath: { $in: filePaths } })
+        .select('symbolId name qualifiedName kind filePath lineStart lineEnd')
+        .lean();
+
+    for (const reference of shown) {
+        // The innermost definition around the line, e.g. the method rather than its class
+        const enclosing = fileSymbols
+            .filter(candidate => candidate.filePath === reference.filePath
+                && candidate.lineStart <= reference.line && reference.line <= candidate.lineEnd)
+            .sort((a, b) => (a.lineEnd - a.lineStart) - (b.lineEnd - b.lineStart))[0];
+        reference.enclosingSymbol = enclosing
+            ? { symbolId: enclosing.symbolId, name: enclosing.qualifiedName, kind: enclosing.kind }
+            : null;
+    }
+
+    return { references: shown, total: references.length };
+}
+
+module.exports = {
+    indexFileSymbols,
+    deleteFileSymbols,
+    resetSymbolIndex,
+    searchSymbols,
+    getSymbol,
+    getDefinitionCode,
+    findReferences
+};
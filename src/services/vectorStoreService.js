@@ -0,0 +1,253 @@
+// src/services/vectorStoreService.js
+require('dotenv').config(); // Loads .env variables
+const { getEmbeddingProvider, embedTexts } = require('./embeddings');
+const { getVectorStore } = require('./vectorStores');
+
+/**
+ * Name of the vector store namespace (Chroma collection, Pinecone namespace) holding a project's chunks.
+ * @param {string} projectId - The ID of the project.
+ * @returns {string} The namespace.
+ */
+function getCollectionName(projectId) {
+    return `project-${projectId}-code-chunks`;
+}
+
+/**
+ * Returns the embedding provider a collection was created with, so chunks and queries are embedded
+ * with the same model. Collections created before providers were recorded use the HTTP provider.
+ * @param {string} collectionName - The collection's namespace.
+ * @param {Object} metadata - The collection's metadata.
+ * @returns {Object} The embedding provider.
+ * @throws {Error} With code 'EMBEDDING_MODEL_MISMATCH' if the provider is now configured with a different model.
+ */
+function getCollectionEmbeddingProvider(collectionName, metadata = {}) {
+    const { embedding_provider: name = 'http', embedding_model: model } = metadata;
+    const provider = getEmbeddingProvider(name);
+    if (model && model !== provider.model) {
+        const error = new Error(`Collection '${collectionName}' was embedded with ${name} model '${model}', but that provider now uses '${provider.model}'. Re-sync the project to re-embed it.`);
+        error.code = 'EMBEDDING_MODEL_MISMATCH';
+        throw error;
+    }
+    return provider;
+}
+
+/**
+ * Ensures the vector store collection for a specific project exists and returns it.
+ * Each project has its own collection named after its projectId.
+ * @param {string} projectId - The ID of the project.
+ * @param {string} [providerName] - Embedding provider for a new collection; defaults to EMBEDDING_PROVIDER.
+ *   An existing collection keeps the provider it was created with.
+ * @returns {Promise<{name: string, metadata: Object}>} The collection's name and metadata.
+ */
+async function getOrCreateCodeCollection(projectId, providerName) {
+    const name = getCollectionName(projectId);
+    const provider = getEmbeddingProvider(providerName);
+
+    // Recorded so later queries embed with the same provider and model
+    const { metadata } = await getVectorStore().createNamespace(name, {
+        embedding_provider: provider.name,
+        embedding_model: provider.model
+    });
+    return { name, metadata };
+}
+
+/**
+ * Adds code chunks to a project's collection.
+ * Chunk IDs are content-addressed, so this upserts: re-adding a chunk that is already stored replaces it.
+ * @param {Array<Object>} chunks - Array of chunk objects from languageParsers.js.
+ * @param {string} projectId - The ID of the project whose collection to add to.
+ */
+async function addCodeChunksToDB(chunks, projectId) {
+    if (chunks.length === 0) {
+        return;
+    }
+
+    const collection = await getOrCreateCodeCollection(projectId);
+
+    // Skip empty chunks, and duplicates of an ID earlier in the batch (stores reject those)
+    const seenIds = new Set();
+    const validChunks = chunks.filter(chunk => {
+        if (!chunk.content.trim() || seenIds.has(chunk.id)) return false;
+        seenIds.add(chunk.id);
+        return true;
+    });
+
+    if (validChunks.length === 0) {
+        console.log("No valid, non-empty chunks to add after filtering.");
+        return;
+    }
+
+    try {
+        console.log(`Generating embeddings for ${validChunks.length} documents...`);
+        const provider = getCollectionEmbeddingProvider(collection.name, collection.metadata);
+        const embeddings = await embedTexts(provider, validChunks.map(chunk => chunk.content));
+
+        if (embeddings.length !== validChunks.length) {
+            throw new Error("Mismatch between number of documents and generated embeddings.");
+        }
+
+        console.log(`Attempting to add ${validChunks.length} documents to collection ${collection.name}.`);
+        await getVectorStore().upsert(collection.name, validChunks.map((chunk, i) => ({
+            id: chunk.id,
+            embedding: embeddings[i],
+            document: chunk.content,
+            metadata: chunk.metadata
+        })));
+        console.log(`Successfully added ${validChunks.length} documents to ${collection.name}.`);
+    } catch (error) {
+        console.error("Error processing chunks:", error.message);
+        // Re-throw the error to be handled by the caller
+        throw error;
+    }
+}
+
+/**
+ * Queries a project's collection for relevant code chunks.
+ * @param {string} queryText - The natural language query.
+ * @param {string} projectId - The ID of the project to query within.
+ * @param {number} nResults - Number of results to retrieve.
+ * @param {Object} [metadataFilters={}] - Optional metadata filters, all of which must match.
+ * @returns {Promise<Object>} Results in ChromaDB's query format (`ids`, `documents`, `metadatas`, `distances`,
+ *   each an array holding one array of results).
+ */
+async function queryCodeDB(queryText, projectId, nResults = 5, metadataFilters = {}) {
+    const collection = await getOrCreateCodeCollection(projectId);
+
+    try {
+        console.log(`Generating embedding for query: "${queryText}"`);
+        const provider = getCollectionEmbeddingProvider(collection.name, collection.metadata);
+        const [queryEmbedding] = await embedTexts(provider, [queryText]);
+
+        console.log(`Querying collection '${collection.name}' for: "${queryText}" with filters:`, metadataFilters);
+        const matches = await getVectorStore().query(collection.name, queryEmbedding, {
+            nResults,
+            filter: metadataFilters
+        });
+
+        return {
+            ids: [matches.map(match => match.id)],
+            documents: [matches.map(match => match.document)],
+            metadatas: [matches.map(match => match.metadata)],
+            distances: [matches.map(match => match.distance)]
+        };
+    } catch (error) {
+        console.error("Error during query process:", error.message);
+        throw new Error(`Failed to process query: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes all chunks belonging to the given files from a project's collection.
+ * Used by incremental re-sync for files that were modified or removed.
+ * @param {string} projectId - The ID of the project whose collection to delete from.
+ * @param {Array<string>} filePaths - Repository-relative file paths (as stored in chunk metadata).
+ */
+async function deleteChunksForFiles(projectId, filePaths) {
+    if (filePaths.length === 0) {
+        return;
+    }
+
+    const collection = await getOrCreateCodeCollection(projectId);
+    const batchSize = 100; // Keep the $in list reasonably small per request
+
+    for (let i = 0; i < filePaths.length; i += batchSize) {
+        const batch = filePaths.slice(i, i + batchSize);
+        await getVectorStore().delete(collection.name, { filter: { file_path: { $in: batch } } });
+    }
+    console.log(`Deleted chunks for ${filePaths.length} files from ${collection.name}.`);
+}
+
+/**
+ * Gets the IDs of the chunks currently stored for the given files.
+ * @param {string} projectId - The ID of the project whose collection to read.
+ * @param {Array<string>} filePaths - Repository-relative file paths (as stored in chunk metadata).
+ * @returns {Promise<Set<string>>} The stored chunk IDs.
+ */
+async function getChunkIdsForFiles(projectId, filePaths) {
+    const collection = await getOrCreateCodeCollection(projectId);
+    const ids = new Set();
+    const batchSize = 100;
+
+    for (let i = 0; i < filePaths.length; i += batchSize) {
+        const batch = filePaths.slice(i, i + batchSize);
+        const batchIds = await getVectorStore().getIds(collection.name, { file_path: { $in: batch } });
+        batchIds.forEach(id => ids.add(id));
+    }
+    return ids;
+}
+
+/**
+ * Reconciles the stored chunks of one file with a freshly parsed set. Unchanged chunks keep their ID
+ * (and embedding) and only get their metadata (e.g. line numbers) refreshed; chunks that no longer exist
+ * are deleted. New chunks are returned rather than stored, so the caller can embed them in batches.
+ * @param {string} projectId - The ID of the project whose collection to update.
+ * @param {string} filePath - Repository-relative file path (as stored in chunk metadata).
+ * @param {Array<Object>} chunks - The file's current chunks.
+ * @returns {Promise<{newChunks: Array<Object>, updated: number, deleted: number}>} Chunks still to be added, and counts.
+ */
+async function reconcileFileChunks(projectId, filePath, chunks) {
+    const collection = await getOrCreateCodeCollection(projectId);
+    const storedIds = await getChunkIdsForFiles(projectId, [filePath]);
+    const currentIds = new Set(chunks.map(chunk => chunk.id));
+
+    const staleIds = [...storedIds].filter(id => !currentIds.has(id));
+    if (staleIds.length > 0) {
+        await getVectorStore().delete(collection.name, { ids: staleIds });
+    }
+
+    const unchanged = chunks.filter(chunk => storedIds.has(chunk.id));
+    if (unchanged.length > 0) {
+        await getVectorStore().updateMetadata(collection.name, unchanged.map(chunk => ({
+            id: chunk.id,
+            metadata: chunk.metadata
+        })));
+    }
+
+    return {
+        newChunks: chunks.filter(chunk => !storedIds.has(chunk.id)),
+        updated: unchanged.length,
+        deleted: staleIds.length
+    };
+}
+
+/**
+ * Reads which embedding provider and model a project's collection was created with.
+ * @param {string} projectId - The ID of the project.
+ * @returns {Promise<{provider: string, model: string|null}|null>} The recorded provider, or null if the collection does not exist.
+ */
+async function getCollectionEmbeddingInfo(projectId) {
+    const namespace = await getVectorStore().getNamespace(getCollectionName(projectId));
+    if (!namespace) {
+        return null;
+    }
+    const { embedding_provider: provider = 'http', embedding_model: model = null } = namespace.metadata;
+    return { provider, model };
+}
+
+/**
+ * Resets (deletes) a project's collection.
+ * This is used for re-ingestion or project deletion.
+ * @param {string} projectId - The ID of the project whose collection to delete.
+ */
+async function resetCollection(projectId) {
+    const name = getCollectionName(projectId);
+    try {
+        await getVectorStore().resetNamespace(name);
+        console.log(`Collection '${name}' reset for project ${projectId}.`);
+    } catch (e) {
+        console.error("Error handling collection for project:", projectId, e);
+        // Don't throw error up the chain, let the process continue
+        // This allows new collection creation even if deletion fails
+    }
+}
+
+module.exports = {
+    getOrCreateCodeCollection,
+    getCollectionEmbeddingInfo,
+    addCodeChunksToDB,
+    queryCodeDB,
+    deleteChunksForFiles,
+    getChunkIdsForFiles,
+    reconcileFileChunks,
+    resetCollection
+};
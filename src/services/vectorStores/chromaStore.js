@@ -0,0 +1,144 @@
+// src/services/vectorStores/chromaStore.js
+const { ChromaClient } = require('chromadb');
+
+// Embeddings are always passed in by vectorStoreService; this keeps Chroma from embedding anything itself
+const noEmbeddingFunction = {
+    generate: async () => {
+        throw new Error('Chroma collections are given precomputed embeddings; no embedding function is configured.');
+    }
+};
+
+function isNotFound(error) {
+    return error.name === 'ChromaNotFoundError' || error.message.includes("does not exist");
+}
+
+/**
+ * Converts a store filter (`{ field: value | { $in: [...] } }`) into a Chroma where clause.
+ * Chroma only accepts a single condition per where object, so several fields are combined with $and.
+ * @param {Object} filter - The store filter.
+ * @returns {Object|undefined} The where clause, or undefined for an empty filter.
+ */
+function toWhere(filter = {}) {
+    const conditions = Object.entries(filter).map(([key, value]) => ({ [key]: value }));
+    if (conditions.length === 0) return undefined;
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+/**
+ * Creates a vector store backed by ChromaDB, with one collection per namespace.
+ * @param {Object} [options]
+ * @param {string} [options.url] - ChromaDB server URL (CHROMA_URL).
+ * @returns {Object} The vector store (see vectorStores/index.js for the interface).
+ */
+function createChromaStore({ url = process.env.CHROMA_URL || 'http://localhost:8000' } = {}) {
+    const client = new ChromaClient({ path: url });
+
+    const getCollection = (namespace) => client.getCollection({
+        name: namespace,
+        embeddingFunction: noEmbeddingFunction
+    });
+
+    async function getNamespace(namespace) {
+        try {
+            const collection = await getCollection(namespace);
+            return { metadata: collection.metadata || {} };
+        } catch (e) {
+            if (isNotFound(e)) return null;
+            throw e;
+        }
+    }
+
+    async function createNamespace(namespace, metadata = {}) {
+        try {
+            const collection = await getCollection(namespace);
+            return { metadata: collection.metadata || {} };
+        } catch (e) {
+            if (!isNotFound(e)) throw e;
+        }
+
+        try {
+            const collection = await client.createCollection({
+                name: namespace,
+                embeddingFunction: noEmbeddingFunction,
+                metadata
+            });
+            console.log(`Created new collection '${namespace}'`);
+            return { metadata: collection.metadata || metadata };
+        } catch (createError) {
+            // Handle potential race condition where collection was created between our check and create
+            if (createError.name === 'ChromaUniqueError' || createError.message.includes("already exists")) {
+                return getNamespace(namespace);
+            }
+            throw createError;
+        }
+    }
+
+    async function resetNamespace(namespace) {
+        try {
+            await client.deleteCollection({ name: namespace });
+            console.log(`Collection '${namespace}' deleted.`);
+        } catch (e) {
+            if (!isNotFound(e)) throw e;
+        }
+    }
+
+    async function upsert(namespace, records) {
+        const collection = await getCollection(namespace);
+        await collection.upsert({
+            ids: records.map(record => record.id),
+            embeddings: records.map(record => record.embedding),
+            documents: records.map(record => record.document),
+            metadatas: records.map(record => record.metadata)
+        });
+    }
+
+    async function updateMetadata(namespace, records) {
+        const collection = await getCollection(namespace);
+        await collection.update({
+            ids: records.map(record => record.id),
+            metadatas: records.map(record => record.metadata)
+        });
+    }
+
+    async function getIds(namespace, filter) {
+        const collection = await getCollection(namespace);
+        const result = await collection.get({ where: toWhere(filter), include: [] });
+        return result.ids;
+    }
+
+    async function deleteRecords(namespace, { ids, filter }) {
+        const collection = await getCollection(namespace);
+        await collection.delete(ids ? { ids } : { where: toWhere(filter) });
+    }
+
+    async function query(namespace, embedding, { nResults = 5, filter = {} } = {}) {
+        const collection = await getCollection(namespace);
+        const results = await collection.query({
+            queryEmbeddings: [embedding],
+            nResults,
+            where: toWhere(filter)
+        });
+        return results.ids[0].map((id, i) => ({
+            id,
+            document: results.documents[0][i],
+            metadata: results.metadatas[0][i],
+            distance: results.distances?.[0]?.[i]
+        }));
+    }
+
+    return {
+        name: 'chroma',
+        getNamespace,
+        createNamespace,
+        resetNamespace,
+        upsert,
+        updateMetadata,
+        getIds,
+        delete: deleteRecords,
+        query
+    };
+}
+
+module.exports = {
+    createChromaStore
+};
@@ -0,0 +1,63 @@
+// src/services/vectorStores/index.js
+const { createChromaStore } = require('./chromaStore');
+const { createPineconeStore } = require('./pineconeStore');
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Vector stores hold the embedded chunks of each project in a separate namespace. Every store implements:
+ * - `getNamespace(namespace)`: resolves to `{ metadata }`, or null if the namespace does not exist
+ * - `createNamespace(namespace, metadata)`: creates it if needed; resolves to the (possibly existing) `{ metadata }`
+ * - `resetNamespace(namespace)`: deletes the namespace and its records; a missing namespace is not an error
+ * - `upsert(namespace, records)`: stores `{ id, embedding, document, metadata }` records, replacing same IDs
+ * - `updateMetadata(namespace, records)`: replaces the metadata of existing `{ id, metadata }` records
+ * - `getIds(namespace, filter)`: resolves to the IDs of the records matching the filter
+ * - `delete(namespace, { ids } | { filter })`: deletes records by ID or by filter
+ * - `query(namespace, embedding, { nResults, filter })`: resolves to the nearest `{ id, document, metadata, distance }`
+ *
+ * Filters are objects of `field: value` or `field: { $in: [values] }` conditions, all of which must match.
+ */
+const storeFactories = {
+    chroma: createChromaStore,
+    pinecone: createPineconeStore,
+    memory: createMemoryStore
+};
+
+const VECTOR_STORES = Object.keys(storeFactories);
+
+let vectorStore = null;
+
+/**
+ * Returns the configured vector store (VECTOR_STORE, default 'chroma'), creating it on first use.
+ * @returns {Object} The vector store.
+ * @throws {Error} With code 'UNKNOWN_VECTOR_STORE' if VECTOR_STORE names no store.
+ */
+function getVectorStore() {
+    if (!vectorStore) {
+        const name = process.env.VECTOR_STORE || 'chroma';
+        if (!storeFactories[name]) {
+            const error = new Error(`Unknown vector store: ${name}. Expected one of: ${VECTOR_STORES.join(', ')}`);
+            error.code = 'UNKNOWN_VECTOR_STORE';
+            throw error;
+        }
+        vectorStore = storeFactories[name]();
+        console.log(`Using ${name} vector store`);
+    }
+    return vectorStore;
+}
+
+/**
+ * Replaces the vector store, e.g. with a fresh memory store in tests.
+ * @param {Object} store - A vector store implementing the interface above.
+ */
+function setVectorStore(store) {
+    vectorStore = store;
+}
+
+module.exports = {
+    VECTOR_STORES,
+    getVectorStore,
+    setVectorStore,
+    createChromaStore,
+    createPineconeStore,
+    createMemoryStore
+};
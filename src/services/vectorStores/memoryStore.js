@@ -0,0 +1,121 @@
+// src/services/vectorStores/memoryStore.js
+
+/**
+ * Checks a record's metadata against a store filter (`{ field: value | { $in: [...] } }`, all fields must match).
+ * @param {Object} metadata - The record's metadata.
+ * @param {Object} filter - The store filter.
+ * @returns {boolean} Whether the record matches.
+ */
+function matchesFilter(metadata, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (condition && typeof condition === 'object' && Array.isArray(condition.$in)) {
+            return condition.$in.includes(metadata[key]);
+        }
+        return metadata[key] === condition;
+    });
+}
+
+function cosineDistance(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? 1 - dot / Math.sqrt(normA * normB) : 1;
+}
+
+/**
+ * Creates a vector store that keeps everything in process memory, for local development and tests.
+ * Contents are lost on restart and not shared between processes, so jobs must run in the API server
+ * (RUN_JOBS_IN_PROCESS=true) for what they ingest to be searchable.
+ * @returns {Object} The vector store (see vectorStores/index.js for the interface).
+ */
+function createMemoryStore() {
+    const namespaces = new Map(); // namespace -> { metadata, records: Map(id -> record) }
+
+    function getRecords(namespace) {
+        const entry = namespaces.get(namespace);
+        if (!entry) {
+            const error = new Error(`Namespace ${namespace} does not exist`);
+            error.code = 'NAMESPACE_NOT_FOUND';
+            throw error;
+        }
+        return entry.records;
+    }
+
+    async function getNamespace(namespace) {
+        const entry = namespaces.get(namespace);
+        return entry ? { metadata: entry.metadata } : null;
+    }
+
+    async function createNamespace(namespace, metadata = {}) {
+        if (!namespaces.has(namespace)) {
+            namespaces.set(namespace, { metadata: { ...metadata }, records: new Map() });
+        }
+        return getNamespace(namespace);
+    }
+
+    async function resetNamespace(namespace) {
+        namespaces.delete(namespace);
+    }
+
+    async function upsert(namespace, records) {
+        const stored = getRecords(namespace);
+        for (const { id, embedding, document, metadata } of records) {
+            stored.set(id, { id, embedding: [...embedding], document, metadata: { ...metadata } });
+        }
+    }
+
+    async function updateMetadata(namespace, records) {
+        const stored = getRecords(namespace);
+        for (const { id, metadata } of records) {
+            if (stored.has(id)) {
+                stored.get(id).metadata = { ...metadata };
+            }
+        }
+    }
+
+    async function getIds(namespace, filter) {
+        return [...getRecords(namespace).values()]
+            .filter(record => matchesFilter(record.metadata, filter))
+            .map(record => record.id);
+    }
+
+    async function deleteRecords(namespace, { ids, filter }) {
+        const stored = getRecords(namespace);
+        const idsToDelete = ids || await getIds(namespace, filter);
+        idsToDelete.forEach(id => stored.delete(id));
+    }
+
+    async function query(namespace, embedding, { nResults = 5, filter = {} } = {}) {
+        return [...getRecords(namespace).values()]
+            .filter(record => matchesFilter(record.metadata, filter))
+            .map(record => ({
+                id: record.id,
+                document: record.document,
+                metadata: { ...record.metadata },
+                distance: cosineDistance(embedding, record.embedding)
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, nResults);
+    }
+
+    return {
+        name: 'memory',
+        getNamespace,
+        createNamespace,
+        resetNamespace,
+        upsert,
+        updateMetadata,
+        getIds,
+        delete: deleteRecords,
+        query
+    };
+}
+
+module.exports = {
+    createMemoryStore
+};
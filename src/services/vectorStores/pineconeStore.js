@@ -0,0 +1,152 @@
+// src/services/vectorStores/pineconeStore.js
+const { Pinecone } = require('@pinecone-database/pinecone');
+
+const NAMESPACE_INFO_NAMESPACE = '__namespaces__'; // Holds one record per namespace with its metadata
+const MAX_TOP_K = 10000; // Pinecone's limit per query
+const WRITE_BATCH_SIZE = 100;
+
+function isNotFound(error) {
+    return error.name === 'PineconeNotFoundError';
+}
+
+// Pinecone metadata values must be strings, numbers, booleans or lists of strings
+function toPineconeMetadata(metadata = {}) {
+    return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * Creates a vector store backed by one Pinecone index, with one Pinecone namespace per store namespace.
+ * The index must already exist, with the dimension of the embedding model in use.
+ * Pinecone does not store documents, so each record keeps its text in the `document` metadata field.
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Pinecone API key (PINECONE_API_KEY).
+ * @param {string} [options.indexName] - Name of the index (PINECONE_INDEX).
+ * @returns {Object} The vector store (see vectorStores/index.js for the interface).
+ */
+function createPineconeStore({
+    apiKey = process.env.PINECONE_API_KEY,
+    indexName = process.env.PINECONE_INDEX || 'codeaxi'
+} = {}) {
+    if (!apiKey) {
+        throw new Error('PINECONE_API_KEY is required for the pinecone vector store.');
+    }
+
+    const index = new Pinecone({ apiKey }).index(indexName);
+    let dimension = null;
+
+    async function getDimension() {
+        if (dimension === null) {
+            ({ dimension } = await index.describeIndexStats());
+        }
+        return dimension;
+    }
+
+    // Records must have a non-zero vector, even where only the metadata matters
+    async function placeholderVector() {
+        const values = new Array(await getDimension()).fill(0);
+        values[0] = 1;
+        return values;
+    }
+
+    async function getNamespace(namespace) {
+        const { records } = await index.namespace(NAMESPACE_INFO_NAMESPACE).fetch([namespace]);
+        const record = records[namespace];
+        return record ? { metadata: record.metadata || {} } : null;
+    }
+
+    async function createNamespace(namespace, metadata = {}) {
+        const existing = await getNamespace(namespace);
+        if (existing) {
+            return existing;
+        }
+        // Pinecone namespaces are created implicitly by the first upsert; only the metadata is stored here
+        await index.namespace(NAMESPACE_INFO_NAMESPACE).upsert([{
+            id: namespace,
+            values: await placeholderVector(),
+            metadata: toPineconeMetadata(metadata)
+        }]);
+        console.log(`Created Pinecone namespace '${namespace}' in index '${indexName}'`);
+        return { metadata };
+    }
+
+    async function resetNamespace(namespace) {
+        try {
+            await index.deleteNamespace(namespace);
+        } catch (e) {
+            if (!isNotFound(e)) throw e;
+        }
+        await index.namespace(NAMESPACE_INFO_NAMESPACE).deleteOne(namespace);
+        console.log(`Pinecone namespace '${namespace}' deleted.`);
+    }
+
+    async function upsert(namespace, records) {
+        const target = index.namespace(namespace);
+        for (let i = 0; i < records.length; i += WRITE_BATCH_SIZE) {
+            await target.upsert(records.slice(i, i + WRITE_BATCH_SIZE).map(record => ({
+                id: record.id,
+                values: record.embedding,
+                metadata: toPineconeMetadata({ ...record.metadata, document: record.document })
+            })));
+        }
+    }
+
+    async function updateMetadata(namespace, records) {
+        // Pinecone updates one record per request
+        const target = index.namespace(namespace);
+        for (const record of records) {
+            await target.update({ id: record.id, metadata: toPineconeMetadata(record.metadata) });
+        }
+    }
+
+    async function getIds(namespace, filter = {}) {
+        // Metadata can't be listed by filter on serverless indexes, so this queries with a placeholder vector
+        const { matches } = await index.namespace(namespace).query({
+            vector: await placeholderVector(),
+            topK: MAX_TOP_K,
+            filter: Object.keys(filter).length > 0 ? filter : undefined
+        });
+        return matches.map(match => match.id);
+    }
+
+    async function deleteRecords(namespace, { ids, filter }) {
+        const target = index.namespace(namespace);
+        const idsToDelete = ids || await getIds(namespace, filter);
+        for (let i = 0; i < idsToDelete.length; i += WRITE_BATCH_SIZE) {
+            await target.deleteMany(idsToDelete.slice(i, i + WRITE_BATCH_SIZE));
+        }
+    }
+
+    async function query(namespace, embedding, { nResults = 5, filter = {} } = {}) {
+        const { matches } = await index.namespace(namespace).query({
+            vector: embedding,
+            topK: nResults,
+            filter: Object.keys(filter).length > 0 ? filter : undefined,
+            includeMetadata: true
+        });
+        return matches.map(({ id, score, metadata = {} }) => {
+            const { document, ...rest } = metadata;
+            return {
+                id,
+                document,
+                metadata: rest,
+                distance: 1 - score // Similarity to distance, so lower is closer as with the other stores
+            };
+        });
+    }
+
+    return {
+        name: 'pinecone',
+        getNamespace,
+        createNamespace,
+        resetNamespace,
+        upsert,
+        updateMetadata,
+        getIds,
+        delete: deleteRecords,
+        query
+    };
+}
+
+module.exports = {
+    createPineconeStore
+};
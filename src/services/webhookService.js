@@ -0,0 +1,90 @@
+// src/services/webhookService.js
+const crypto = require('crypto');
+const Project = require('../models/Project');
+const { enqueueIngestion } = require('./jobService');
+
+/**
+ * Escapes a string for literal use inside a RegExp.
+ * @param {string} value - The string to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Verifies a GitHub `X-Hub-Signature-256` header against the raw request body.
+ * @param {Buffer} rawBody - The unparsed request body.
+ * @param {string} signatureHeader - The header value, e.g. `sha256=<hex>`.
+ * @param {string} secret - The project's webhook secret.
+ * @returns {boolean} True if the signature matches.
+ */
+function verifyGithubSignature(rawBody, signatureHeader, secret) {
+    if (!rawBody || !signatureHeader || !secret) return false;
+
+    const expected = Buffer.from(
+        `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`
+    );
+    const received = Buffer.from(signatureHeader);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Finds auto-sync projects for a GitHub repository whose webhook secret signed the payload.
+ * @param {string} repoFullName - The `owner/repo` name from the payload.
+ * @param {Buffer} rawBody - The unparsed request body.
+ * @param {string} signatureHeader - The `X-Hub-Signature-256` header value.
+ * @returns {Promise<Array<Object>>} The auto-sync projects of the repository whose signature verified.
+ */
+async function findVerifiedProjects(repoFullName, rawBody, signatureHeader) {
+    const [owner, repo] = repoFullName.split('/');
+    const ownerPattern = new RegExp(`^${escapeRegExp(owner)}$`, 'i');
+    const repoPattern = new RegExp(`^${escapeRegExp(repo)}$`, 'i');
+    const candidates = await Project.find({
+        $or: [
+            { provider: 'github', repoOwner: ownerPattern, repoName: repoPattern },
+            // Projects created before repositoryUrl that have not been saved since
+            { repositoryUrl: { $exists: false }, githubOwner: ownerPattern, githubRepoName: repoPattern }
+        ],
+        'settings.autoSync': true,
+        status: { $nin: ['deleted', 'archived'] }
+    }).select('+webhookSecret');
+
+    return candidates.filter(project =>
+        verifyGithubSignature(rawBody, signatureHeader, project.webhookSecret)
+    );
+}
+
+/**
+ * Enqueues a re-sync for every project tracking the pushed branch.
+ * @param {Array<Object>} projects - Verified projects for the repository.
+ * @param {Object} payload - The GitHub push event payload.
+ * @returns {Promise<Array<{projectId: string, jobId: string}>>} The queued jobs.
+ */
+async function handlePushEvent(projects, payload) {
+    // Tag pushes and branch deletions don't change the tracked code
+    if (!payload.ref || !payload.ref.startsWith('refs/heads/') || payload.deleted) {
+        return [];
+    }
+
+    const branch = payload.ref.substring('refs/heads/'.length);
+    const jobs = [];
+
+    for (const project of projects.filter(p => p.githubBranch === branch)) {
+        const jobId = await enqueueIngestion(project.projectId, project.owner, {
+            trigger: 'webhook',
+            commit: payload.after,
+            generateDocs: project.settings.autoGenerateDocs
+        });
+        jobs.push({ projectId: project.projectId, jobId });
+    }
+
+    return jobs;
+}
+
+module.exports = {
+    verifyGithubSignature,
+    findVerifiedProjects,
+    handlePushEvent
+};
@@ -0,0 +1,61 @@
+// src/utils/chunkId.js
+const crypto = require('crypto');
+
+/**
+ * Hashes chunk content.
+ * @param {string} content - The chunk content.
+ * @returns {string} SHA-256 hex digest.
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Builds a deterministic chunk ID. The same code at the same place always gets the same ID, no matter
+ * what was inserted above it, while files sharing a basename in different directories never collide.
+ * @param {string} filePath - Repository-relative path with forward slashes.
+ * @param {string} symbolPath - Where the chunk sits within the file, e.g. `method:OrderService.create`.
+ * @param {string} contentHash - hashContent() of the chunk content.
+ * @returns {string} A 40-character hex ID.
+ */
+function createChunkId(filePath, symbolPath, contentHash) {
+    return crypto.createHash('sha256')
+        .update(`${filePath}\0${symbolPath}\0${contentHash}`)
+        .digest('hex')
+        .substring(0, 40);
+}
+
+/**
+ * Assigns IDs to the chunks of one file and records their `content_hash` metadata.
+ * Identical chunks under the same symbol path (e.g. two identical anonymous callbacks) are numbered
+ * in file order so IDs stay unique.
+ * @param {Array<Object>} chunks - Chunks of a single file; `metadata.file_path` must be repository-relative.
+ * @param {Function} getSymbolPath - Returns the symbol path of a chunk.
+ * @returns {Array<Object>} The same chunks, with `id` set.
+ */
+function assignChunkIds(chunks, getSymbolPath) {
+    const seen = new Map();
+
+    for (const chunk of chunks) {
+        const contentHash = hashContent(chunk.content);
+        const symbolPath = getSymbolPath(chunk);
+        const key = `${symbolPath}\0${contentHash}`;
+        const occurrence = (seen.get(key) || 0) + 1;
+        seen.set(key, occurrence);
+
+        chunk.id = createChunkId(
+            chunk.metadata.file_path,
+            occurrence > 1 ? `${symbolPath}~${occurrence}` : symbolPath,
+            contentHash
+        );
+        chunk.metadata.content_hash = contentHash;
+    }
+
+    return chunks;
+}
+
+module.exports = {
+    hashContent,
+    createChunkId,
+    assignChunkIds
+};
@@ -0,0 +1,149 @@
+// src/utils/repositoryUrl.js
+const path = require('path');
+
+const PROVIDERS = ['github', 'gitlab', 'bitbucket', 'gitea', 'git', 'local'];
+
+// Hosts of well-known providers; self-hosted instances are configured through the environment
+const KNOWN_HOSTS = {
+    'github.com': 'github',
+    'gitlab.com': 'gitlab',
+    'bitbucket.org': 'bitbucket',
+    'gitea.com': 'gitea'
+};
+
+/**
+ * Reads a comma-separated host list from an environment variable.
+ * @param {string} name - The variable name.
+ * @returns {Array<string>} Lower-cased host names.
+ */
+function getConfiguredHosts(name) {
+    return (process.env[name] || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Works out the provider from a host name.
+ * @param {string} host - Host name without port.
+ * @returns {string} One of PROVIDERS; 'git' when the host is unknown.
+ */
+function detectProvider(host) {
+    const normalizedHost = host.toLowerCase();
+    if (KNOWN_HOSTS[normalizedHost]) return KNOWN_HOSTS[normalizedHost];
+    if (getConfiguredHosts('GITHUB_HOSTS').includes(normalizedHost)) return 'github';
+    if (getConfiguredHosts('GITLAB_HOSTS').includes(normalizedHost)) return 'gitlab';
+    if (getConfiguredHosts('BITBUCKET_HOSTS').includes(normalizedHost)) return 'bitbucket';
+    if (getConfiguredHosts('GITEA_HOSTS').includes(normalizedHost)) return 'gitea';
+    return 'git';
+}
+
+/**
+ * Splits a repository path into owner and name.
+ * GitLab allows nested groups, so everything before the last segment is the owner.
+ * @param {string} repoPath - Path such as `/group/subgroup/repo.git`.
+ * @param {string} provider - The provider the path belongs to.
+ * @returns {{owner: string, name: string}} Owner and repository name.
+ * @throws {Error} If the path does not contain both an owner and a name.
+ */
+function splitRepoPath(repoPath, provider) {
+    const segments = repoPath.replace(/\.git\/?$/, '').split('/').filter(Boolean);
+    if (segments.length < 2) {
+        throw new Error('Repository URL must contain an owner and a repository name');
+    }
+    if (segments.length > 2 && (provider === 'github' || provider === 'bitbucket')) {
+        throw new Error(`Invalid ${provider} repository URL`);
+    }
+    return {
+        owner: segments.slice(0, -1).join('/'),
+        name: segments[segments.length - 1]
+    };
+}
+
+/**
+ * Parses a git repository URL from any supported host.
+ * Supported forms: `https://host/owner/repo(.git)`, `ssh://git@host[:port]/owner/repo.git`,
+ * `git@host:owner/repo.git` and, when ALLOW_LOCAL_REPOS=true, `file:///path/to/repo`.
+ * HTTP(S) URLs with a user name or password are rejected.
+ * @param {string} url - The repository URL.
+ * @param {string} [providerOverride] - Explicit provider, for self-hosted instances not listed in the environment.
+ * @returns {{provider: string, protocol: string, host: string|null, owner: string|null, name: string}} Parsed URL parts.
+ * @throws {Error} If the URL is not a supported repository URL, or contains credentials.
+ */
+function parseRepositoryUrl(url, providerOverride) {
+    if (!url || typeof url !== 'string') {
+        throw new Error('Repository URL is required');
+    }
+    if (providerOverride && !PROVIDERS.includes(providerOverride)) {
+        throw new Error(`Unsupported provider: ${providerOverride}`);
+    }
+    const trimmedUrl = url.trim();
+
+    // scp-like SSH syntax: git@host:owner/repo.git
+    const scpMatch = trimmedUrl.match(/^([\w.-]+)@([\w.-]+):(?!\/)(.+)$/);
+    if (scpMatch) {
+        const host = scpMatch[2];
+        const provider = providerOverride || detectProvider(host);
+        return { provider, protocol: 'ssh', host, ...splitRepoPath(scpMatch[3], provider) };
+    }
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(trimmedUrl);
+    } catch (error) {
+        throw new Error('Invalid repository URL');
+    }
+
+    if (parsedUrl.protocol === 'file:') {
+        if (process.env.ALLOW_LOCAL_REPOS !== 'true') {
+            throw new Error('Local file:// repositories are disabled (set ALLOW_LOCAL_REPOS=true to enable)');
+        }
+        const localPath = decodeURIComponent(parsedUrl.pathname);
+        return {
+            provider: 'local',
+            protocol: 'file',
+            host: null,
+            owner: null,
+            name: path.basename(localPath.replace(/\/+$/, '')).replace(/\.git$/, '')
+        };
+    }
+
+    if (!['https:', 'http:', 'ssh:'].includes(parsedUrl.protocol)) {
+        throw new Error(`Unsupported repository URL protocol: ${parsedUrl.protocol}`);
+    }
+
+    // Credentials would be stored and shown in plain text; tokens go in the project's encrypted access token.
+    // ssh:// URLs name the SSH user (usually `git`), which is not a secret.
+    if (parsedUrl.password || (parsedUrl.username && parsedUrl.protocol !== 'ssh:')) {
+        throw new Error('Repository URL must not contain credentials; pass the token as accessToken instead');
+    }
+
+    const host = parsedUrl.hostname;
+    const provider = providerOverride || detectProvider(host);
+    return {
+        provider,
+        protocol: parsedUrl.protocol.replace(':', ''),
+        host,
+        ...splitRepoPath(parsedUrl.pathname, provider)
+    };
+}
+
+/**
+ * Checks whether a URL is a supported repository URL.
+ * @param {string} url - The repository URL.
+ * @returns {boolean} True if parseRepositoryUrl accepts it.
+ */
+function isValidRepositoryUrl(url) {
+    try {
+        parseRepositoryUrl(url);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    PROVIDERS,
+    parseRepositoryUrl,
+    isValidRepositoryUrl
+};
@@ -0,0 +1,42 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Load environment variables before any service creates its API clients
+const result = dotenv.config({ 
+    path: path.join(__dirname, '..', '.env'),
+    override: true
+});
+
+if (result.error) {
+    console.error('Error loading .env file:', result.error);
+    process.exit(1);
+}
+
+const connectDB = require('./config/db');
+const { closeQueues } = require('./config/queue');
+const { startProcessors } = require('./jobs');
+
+// Check critical environment variables
+const requiredEnvVars = ['OPENAI_API_KEY', 'MONGODB_URI']; // EMBEDDING_SERVICE_URL is only needed by the http embedding provider
+const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
+
+if (missingEnvVars.length > 0) {
+    console.error('Missing required environment variables:', missingEnvVars);
+    process.exit(1);
+}
+
+const shutdown = async (signal) => {
+  console.log(`[Worker] Received ${signal}, waiting for active jobs to finish...`);
+  try {
+    await closeQueues();
+  } finally {
+    process.exit(0);
+  }
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+connectDB().then(() => {
+  startProcessors();
+});
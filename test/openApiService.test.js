@@ -0,0 +1,36 @@
+// test/openApiService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildOpenApiDocument, validateOpenApiDocument } = require('../src/services/openApiService');
+
+// A route as routeExtractionService returns it
+const route = (method, path, handlerName, parameters = []) => ({
+    method,
+    path,
+    handler: { name: handlerName },
+    middleware: [],
+    parameters,
+    requestBody: null,
+    responses: []
+});
+
+test('paths that differ only in parameter names are merged into one', async () => {
+    const document = buildOpenApiDocument({ name: 'Test' }, [
+        route('GET', '/users/:id', 'getUser', [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }]),
+        route('DELETE', '/users/:userId', 'deleteUser', [{ name: 'userId', in: 'path', required: true, schema: { type: 'integer' } }])
+    ]);
+
+    assert.deepStrictEqual(Object.keys(document.paths), ['/users/{id}']);
+    assert.deepStrictEqual(Object.keys(document.paths['/users/{id}']), ['get', 'delete']);
+    assert.deepStrictEqual(document.paths['/users/{id}'].delete.parameters,
+        [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }]);
+    await validateOpenApiDocument(document);
+});
+
+test('optional Express parameters yield the path with and without them', async () => {
+    const document = buildOpenApiDocument({ name: 'Test' }, [route('GET', '/files/:name?', 'getFiles')]);
+
+    assert.deepStrictEqual(Object.keys(document.paths), ['/files/{name}', '/files']);
+    assert.strictEqual(document.paths['/files'].get.parameters, undefined);
+    await validateOpenApiDocument(document);
+});
@@ -0,0 +1,73 @@
+// test/routeExtractors.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { extractRoutes } = require('../src/services/routeExtractors');
+const { createImportResolver } = require('../src/services/dependencyGraphService');
+
+/**
+ * Writes files into a temporary repository and extracts its routes.
+ * @param {Object} files - File contents by repository-relative path.
+ * @returns {Promise<Array<Object>>} The routes.
+ */
+async function extractFrom(files) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'routes-'));
+    try {
+        for (const [filePath, content] of Object.entries(files)) {
+            await fs.outputFile(path.join(root, filePath), content);
+        }
+        const filePaths = Object.keys(files);
+        return extractRoutes(root, filePaths.map(filePath => path.join(root, filePath)), createImportResolver(filePaths));
+    } finally {
+        await fs.remove(root);
+    }
+}
+
+test('middleware passed in the same use() call as a router applies to its routes', async () => {
+    const routes = await extractFrom({
+        'src/app.js': [
+            "const express = require('express');",
+            "const verifyToken = require('./middleware/auth');",
+            "const userRoutes = require('./routes/users');",
+            'const app = express();',
+            "app.use('/api/users', verifyToken, userRoutes);",
+            'module.exports = app;'
+        ].join('\n'),
+        'src/middleware/auth.js': 'module.exports = (req, res, next) => next();',
+        'src/routes/users.js': [
+            "const express = require('express');",
+            'const router = express.Router();',
+            "router.get('/:id', (req, res) => res.json({}));",
+            'module.exports = router;'
+        ].join('\n')
+    });
+
+    assert.deepStrictEqual(
+        routes.map(route => [route.method, route.path, route.middleware.map(entry => entry.name)]),
+        [['GET', '/api/users/:id', ['verifyToken']]]
+    );
+});
+
+test('middleware passed after a router in the same use() call does not apply to it', async () => {
+    const routes = await extractFrom({
+        'src/app.js': [
+            "const express = require('express');",
+            "const logRequests = require('./middleware/log');",
+            "const userRoutes = require('./routes/users');",
+            'const app = express();',
+            "app.use('/api/users', userRoutes, logRequests);",
+            'module.exports = app;'
+        ].join('\n'),
+        'src/middleware/log.js': 'module.exports = (req, res, next) => next();',
+        'src/routes/users.js': [
+            "const express = require('express');",
+            'const router = express.Router();',
+            "router.get('/:id', (req, res) => res.json({}));",
+            'module.exports = router;'
+        ].join('\n')
+    });
+
+    assert.deepStrictEqual(routes.map(route => route.middleware.map(entry => entry.name)), [[]]);
+});